@@ -0,0 +1,1455 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AffiliateERC1155Storefront";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "seaport";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_designatedArbiter";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_escrowFactory";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_erc1155Token";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_affiliateVerifier";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_minSettleTime";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_initialSettleDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "AlreadyInitialized";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "EmptySpentItems";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "requested";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "available";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "InsufficientBalance";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "InsufficientTokenBalance";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InvalidAffiliateFee";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "newDeadline";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "minDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "InvalidSettleDeadline";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "NoTokensAvailable";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "NotSeaport";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableInvalidOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "account";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableUnauthorizedAccount";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "StorefrontNotReady";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "TransferFailed";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "oldVerifier";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newVerifier";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "AffiliateVerifierSet";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "oldAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newAddress";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC1155TokenAddressChanged";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "oldKey";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "newKey";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "EncryptionPublicKeySet";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "price";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "paymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint16";
+        readonly name: "affiliateFee";
+        readonly type: "uint16";
+      },
+    ];
+    readonly name: "ListingAdded";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "price";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "paymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint16";
+        readonly name: "affiliateFee";
+        readonly type: "uint16";
+      },
+    ];
+    readonly name: "ListingRemoved";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "oldPrice";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "newPrice";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "oldPaymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newPaymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint16";
+        readonly name: "oldAffiliateFee";
+        readonly type: "uint16";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint16";
+        readonly name: "newAffiliateFee";
+        readonly type: "uint16";
+      },
+    ];
+    readonly name: "ListingUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "previousOwner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnershipTransferred";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "newState";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "ReadyStateChanged";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "newSettleDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "SettleDeadlineUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "buyer";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "paymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "price";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "escrowContract";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "affiliate";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint16";
+        readonly name: "affiliateShare";
+        readonly type: "uint16";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "encryptedData";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "ephemeralPublicKey";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "iv";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "verificationHash";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "StorefrontOrderFulfilled";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "MIN_SETTLE_TIME";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "SEAPORT";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "VERSION";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "affiliateVerifier";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "contract AffiliateVerifier";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "changeOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "designatedArbiter";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "encryptionPublicKey";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "erc1155Token";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "contract ERC1155Interface";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "escrowContract";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "contract AffiliateEscrow";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "escrowFactory";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "contract AffiliateEscrowFactory";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "fulfiller";
+        readonly type: "address";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct SpentItem[]";
+        readonly name: "spentItems";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct SpentItem[]";
+        readonly name: "";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "context";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "generateOrder";
+    readonly outputs: readonly [
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct SpentItem[]";
+        readonly name: "offer";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "address payable";
+            readonly name: "recipient";
+            readonly type: "address";
+          },
+        ];
+        readonly internalType: "struct ReceivedItem[]";
+        readonly name: "consideration";
+        readonly type: "tuple[]";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "getArbiter";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "getEscrowContract";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "getSeaportMetadata";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "uint256";
+            readonly name: "id";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "bytes";
+            readonly name: "metadata";
+            readonly type: "bytes";
+          },
+        ];
+        readonly internalType: "struct Schema[]";
+        readonly name: "schemas";
+        readonly type: "tuple[]";
+      },
+    ];
+    readonly stateMutability: "pure";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "initialize";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "price";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "paymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "affiliateFee";
+        readonly type: "uint16";
+      },
+    ];
+    readonly name: "listToken";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "listedTokenIds";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "listings";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "price";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "paymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "listingTime";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "affiliateFee";
+        readonly type: "uint16";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256[]";
+        readonly name: "";
+        readonly type: "uint256[]";
+      },
+      {
+        readonly internalType: "uint256[]";
+        readonly name: "";
+        readonly type: "uint256[]";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "onERC1155BatchReceived";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "onERC1155Received";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "onERC721Received";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "owner";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct SpentItem[]";
+        readonly name: "spentItems";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct SpentItem[]";
+        readonly name: "";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "previewOrder";
+    readonly outputs: readonly [
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct SpentItem[]";
+        readonly name: "offer";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "address payable";
+            readonly name: "recipient";
+            readonly type: "address";
+          },
+        ];
+        readonly internalType: "struct ReceivedItem[]";
+        readonly name: "consideration";
+        readonly type: "tuple[]";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct SpentItem[]";
+        readonly name: "offer";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "enum ItemType";
+            readonly name: "itemType";
+            readonly type: "uint8";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "token";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "identifier";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "amount";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "address payable";
+            readonly name: "recipient";
+            readonly type: "address";
+          },
+        ];
+        readonly internalType: "struct ReceivedItem[]";
+        readonly name: "consideration";
+        readonly type: "tuple[]";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "context";
+        readonly type: "bytes";
+      },
+      {
+        readonly internalType: "bytes32[]";
+        readonly name: "";
+        readonly type: "bytes32[]";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ratifyOrder";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "ready";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "removeListing";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "renounceOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "tokenAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "id";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "rescueERC1155";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "tokenAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "rescueERC20";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "tokenAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "rescueERC721";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "rescueETH";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "_newVerifier";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "setAffiliateVerifier";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "_newArbiter";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "setDesignatedArbiter";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "_newERC1155Token";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "setERC1155TokenAddress";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "newKey";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "setEncryptionPublicKey";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_newSettleDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "setSettleDeadline";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "settleDeadline";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "interfaceId";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly name: "supportsInterface";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "toggleReady";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "transferOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "newPrice";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "newPaymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "newAffiliateFee";
+        readonly type: "uint16";
+      },
+    ];
+    readonly name: "updateListing";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  { readonly stateMutability: "payable"; readonly type: "receive" },
+];
@@ -0,0 +1,5 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  contractName: "AffiliateERC1155Storefront",
+  abi: require("./AffiliateERC1155Storefront.json"),
+};
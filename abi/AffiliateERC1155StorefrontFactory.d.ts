@@ -0,0 +1,141 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AffiliateERC1155StorefrontFactory";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "_seaport";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_minSettleTime";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "storefront";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "erc1155Token";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "escrowFactory";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "affiliateVerifier";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "version";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "StorefrontCreated";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "MIN_SETTLE_TIME";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "SEAPORT";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "VERSION";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "designatedArbiter";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "erc1155Token";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "escrowFactory";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "affiliateVerifier";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "initialSettleDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "createStorefront";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+];
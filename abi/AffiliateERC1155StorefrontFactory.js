@@ -0,0 +1,5 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  contractName: "AffiliateERC1155StorefrontFactory",
+  abi: require("./AffiliateERC1155StorefrontFactory.json"),
+};
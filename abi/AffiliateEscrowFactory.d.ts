@@ -0,0 +1,108 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AffiliateEscrowFactory";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "FailedDeployment";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "balance";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "needed";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "InsufficientBalance";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InvalidAddress";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "escrowAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "payee";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "storefront";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "arbiter";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "AffiliateEscrowCreated";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "payee";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "storefront";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "arbiter";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "createEscrow";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "escrowImplementation";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+];
@@ -0,0 +1,237 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AffiliateVerifier";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "target";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "AddressEmptyCode";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "implementation";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC1967InvalidImplementation";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "ERC1967NonPayable";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "FailedCall";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InvalidInitialization";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "NotInitializing";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableInvalidOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "account";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableUnauthorizedAccount";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "UUPSUnauthorizedCallContext";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "bytes32";
+        readonly name: "slot";
+        readonly type: "bytes32";
+      },
+    ];
+    readonly name: "UUPSUnsupportedProxiableUUID";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint64";
+        readonly name: "version";
+        readonly type: "uint64";
+      },
+    ];
+    readonly name: "Initialized";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "previousOwner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnershipTransferred";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "implementation";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "Upgraded";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "UPGRADE_INTERFACE_VERSION";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "affiliate";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "getMultiplier";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "multiplier";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "initialize";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "owner";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "proxiableUUID";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bytes32";
+        readonly name: "";
+        readonly type: "bytes32";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "renounceOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "transferOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newImplementation";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "data";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "upgradeToAndCall";
+    readonly outputs: readonly [];
+    readonly stateMutability: "payable";
+    readonly type: "function";
+  },
+];
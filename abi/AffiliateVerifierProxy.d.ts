@@ -0,0 +1,66 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AffiliateVerifierProxy";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "implementation";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "_data";
+        readonly type: "bytes";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "target";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "AddressEmptyCode";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "implementation";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC1967InvalidImplementation";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "ERC1967NonPayable";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "FailedCall";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "implementation";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "Upgraded";
+    readonly type: "event";
+  },
+  { readonly stateMutability: "payable"; readonly type: "fallback" },
+];
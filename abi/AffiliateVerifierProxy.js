@@ -0,0 +1,5 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  contractName: "AffiliateVerifierProxy",
+  abi: require("./AffiliateVerifierProxy.json"),
+};
@@ -0,0 +1,1704 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AuctionHouse";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "_name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_image";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_description";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_contractURI";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_symbol";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_customDeadline";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_auctionItemFactory";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_escrowFactory";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "AuctionExpired";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "AuctionHasntCompleted";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "AuctionHasntStarted";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "AuctionNotFound";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "AuctionStillActive";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "BidTooLow";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "BidsAlreadyPlaced";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "CannotRescueToZeroAddress";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "CannotRescueWhileAuctionsActive";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InsufficientBalance";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InsufficientTokenAmount";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InvalidPremiumPercentage";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "NFTNotHeldByContract";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "NotAuctionOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "NotWinner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "OnlyOwnerCanRescue";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableInvalidOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "account";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableUnauthorizedAccount";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "ReentrancyGuardReentrantCall";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "ReservePriceTooLow";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "TokenInActiveAuction";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "TokenTransferFailed";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "TransferFailed";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "bidder";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "affiliate";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "firstBid";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "AuctionBid";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "AuctionCanceled";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionHouse";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "AuctionCancelled";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionOwner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "tokenContract";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "duration";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "reservePrice";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint16";
+        readonly name: "affiliateFee";
+        readonly type: "uint16";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "arbiter";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "escrowAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "isPremiumAuction";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "AuctionCreated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "bidder";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "encryptedData";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "ephemeralPublicKey";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "iv";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "verificationHash";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "isFinal";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "AuctionEncryptedMessage";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "winner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "affiliate";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "finalAmount";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "affiliatePayout";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "AuctionEnded";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "newEndTime";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "AuctionExtended";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionHouse";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "image";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "AuctionHouseMetadataUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "bidder";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "bidAmount";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "affiliate";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "encryptedData";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "ephemeralPublicKey";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "iv";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bytes";
+        readonly name: "verificationHash";
+        readonly type: "bytes";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "isFinal";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "BidCreated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "token";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ERC20Rescued";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "token";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ERC721Rescued";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ETHRescued";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "tokenContract";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "NFTReceived";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "previousOwner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnershipTransferred";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "outbidUser";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "newBidder";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "originalBid";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "premiumAmount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "PremiumPaid";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "newDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "SettlementDeadlineUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "VERSION";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "activeAuctionsCount";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "auctionEncryptedMessages";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bytes";
+        readonly name: "encryptedData";
+        readonly type: "bytes";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "ephemeralPublicKey";
+        readonly type: "bytes";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "iv";
+        readonly type: "bytes";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "verificationHash";
+        readonly type: "bytes";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "auctionExists";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "auctionItemContract";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "contract AuctionItemERC721";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "auctionItemFactoryAddress";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "auctions";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "tokenContract";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "highestBid";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "endTime";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "startTime";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "reservePrice";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "affiliateFee";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "auctionOwner";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address payable";
+        readonly name: "bidder";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "affiliate";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "arbiter";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "escrowAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "auctionCurrency";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "minBidIncrementBps";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "bool";
+        readonly name: "isPremiumAuction";
+        readonly type: "bool";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "premiumBps";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "timeExtension";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "paymentAmount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256[]";
+        readonly name: "_auctionIds";
+        readonly type: "uint256[]";
+      },
+    ];
+    readonly name: "batchEndExpiredAuctions";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_auctionId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "cancelAuction";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "_tokenContract";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_startTime";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_reservePrice";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_duration";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "_affiliateFee";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_arbiter";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_escrowFactory";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_auctionCurrency";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "bool";
+        readonly name: "_isPremiumAuction";
+        readonly type: "bool";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "_premiumBps";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "_minBidIncrementBps";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_timeExtension";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "createAuction";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "string";
+            readonly name: "name";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string";
+            readonly name: "description";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string";
+            readonly name: "image";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string";
+            readonly name: "termsOfService";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string[]";
+            readonly name: "supplementalImages";
+            readonly type: "string[]";
+          },
+        ];
+        readonly internalType: "struct AuctionHouse.NFTMetadata";
+        readonly name: "_metadata";
+        readonly type: "tuple";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_startTime";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_reservePrice";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_duration";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "_affiliateFee";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_arbiterAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_escrowFactoryAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_auctionCurrency";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "bool";
+        readonly name: "_isPremiumAuction";
+        readonly type: "bool";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "_premiumRateBps";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "_minBidIncrementBps";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_timeExtension";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "createAuctionWithNewNFT";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_affiliate";
+        readonly type: "address";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "bytes";
+            readonly name: "encryptedData";
+            readonly type: "bytes";
+          },
+          {
+            readonly internalType: "bytes";
+            readonly name: "ephemeralPublicKey";
+            readonly type: "bytes";
+          },
+          {
+            readonly internalType: "bytes";
+            readonly name: "iv";
+            readonly type: "bytes";
+          },
+          {
+            readonly internalType: "bytes";
+            readonly name: "verificationHash";
+            readonly type: "bytes";
+          },
+        ];
+        readonly internalType: "struct IAuctionHouse.EncryptedMessage";
+        readonly name: "_encryptedMsg";
+        readonly type: "tuple";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_bidAmount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "createBid";
+    readonly outputs: readonly [];
+    readonly stateMutability: "payable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "_name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_symbol";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_contractURI";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "createNFTContract";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "description";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_auctionId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "endAuction";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "escrowFactory";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "contract AffiliateEscrowFactory";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_auctionId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getAuctionData";
+    readonly outputs: readonly [
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "uint256";
+            readonly name: "tokenId";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "tokenContract";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "highestBid";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "endTime";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "startTime";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "reservePrice";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint16";
+            readonly name: "affiliateFee";
+            readonly type: "uint16";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "auctionOwner";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "address payable";
+            readonly name: "bidder";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "affiliate";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "arbiter";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "escrowAddress";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "address";
+            readonly name: "auctionCurrency";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint16";
+            readonly name: "minBidIncrementBps";
+            readonly type: "uint16";
+          },
+          {
+            readonly internalType: "bool";
+            readonly name: "isPremiumAuction";
+            readonly type: "bool";
+          },
+          {
+            readonly internalType: "uint16";
+            readonly name: "premiumBps";
+            readonly type: "uint16";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "timeExtension";
+            readonly type: "uint256";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "paymentAmount";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct IAuctionHouse.Auction";
+        readonly name: "";
+        readonly type: "tuple";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_auctionId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getMinimumBid";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "houseName";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "image";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_auctionId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "isAuctionActive";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "noActiveAuctions";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "onERC721Received";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "owner";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "renounceOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "tokenAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "rescueERC20";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "tokenAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "rescueERC721";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address payable";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "amount";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "rescueETH";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_auctionId";
+        readonly type: "uint256";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "bytes";
+            readonly name: "encryptedData";
+            readonly type: "bytes";
+          },
+          {
+            readonly internalType: "bytes";
+            readonly name: "ephemeralPublicKey";
+            readonly type: "bytes";
+          },
+          {
+            readonly internalType: "bytes";
+            readonly name: "iv";
+            readonly type: "bytes";
+          },
+          {
+            readonly internalType: "bytes";
+            readonly name: "verificationHash";
+            readonly type: "bytes";
+          },
+        ];
+        readonly internalType: "struct IAuctionHouse.EncryptedMessage";
+        readonly name: "_newMsg";
+        readonly type: "tuple";
+      },
+    ];
+    readonly name: "setWinningBidderEncryptedMessage";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "settlementDeadline";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "tokenToAuctionId";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "transferOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "_name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_image";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_description";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "updateAuctionHouseMetadata";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "_newDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "updateSettlementDeadline";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+];
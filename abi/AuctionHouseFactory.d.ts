@@ -0,0 +1,118 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AuctionHouseFactory";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "auctionHouse";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "image";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "contractURI";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "symbol";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "settlementDeadline";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "AuctionHouseCreated";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "_name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_image";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_description";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_contractURI";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "_symbol";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "_customDeadline";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_auctionItemFactory";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "_escrowFactory";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "createAuctionHouse";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+];
@@ -0,0 +1,5 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  contractName: "AuctionHouseFactory",
+  abi: require("./AuctionHouseFactory.json"),
+};
@@ -0,0 +1,851 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "AuctionItemERC721";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "name_";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "symbol_";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "contractURI_";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "sender";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721IncorrectOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ERC721InsufficientApproval";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "approver";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidApprover";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidOperator";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "receiver";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidReceiver";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "sender";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidSender";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ERC721NonexistentToken";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableInvalidOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "account";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableUnauthorizedAccount";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "approved";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "Approval";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "approved";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "ApprovalForAll";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "_fromTokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "_toTokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "BatchMetadataUpdate";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "newURI";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "ContractURIUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "_tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "MetadataUpdate";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "previousOwner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnershipChanged";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "previousOwner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnershipTransferred";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "image";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "termsOfService";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "TokenMetadataUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "Transfer";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "approve";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "balanceOf";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "changeOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "contractURI";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "generateTokenURI";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getApproved";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getTokenMetadata";
+    readonly outputs: readonly [
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "string";
+            readonly name: "name";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string";
+            readonly name: "description";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string";
+            readonly name: "image";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string";
+            readonly name: "termsOfService";
+            readonly type: "string";
+          },
+          {
+            readonly internalType: "string[]";
+            readonly name: "supplementalImages";
+            readonly type: "string[]";
+          },
+        ];
+        readonly internalType: "struct AuctionItemERC721.TokenMetadata";
+        readonly name: "";
+        readonly type: "tuple";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "isApprovedForAll";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "mint";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "image";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "termsOfService";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string[]";
+        readonly name: "supplementalImages";
+        readonly type: "string[]";
+      },
+    ];
+    readonly name: "mintWithMetadata";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "name";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "owner";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ownerOf";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "renounceOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "safeTransferFrom";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "data";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "safeTransferFrom";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "bool";
+        readonly name: "approved";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "setApprovalForAll";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "baseURI";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "setBaseURI";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "newURI";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "setContractURI";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "image";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "termsOfService";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string[]";
+        readonly name: "supplementalImages";
+        readonly type: "string[]";
+      },
+    ];
+    readonly name: "setTokenMetadata";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "interfaceId";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly name: "supportsInterface";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "symbol";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "tokenURI";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "transferFrom";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "transferOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+];
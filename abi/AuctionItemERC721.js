@@ -0,0 +1,5 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  contractName: "AuctionItemERC721",
+  abi: require("./AuctionItemERC721.json"),
+};
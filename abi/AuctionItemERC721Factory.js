@@ -0,0 +1,5 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  contractName: "AuctionItemERC721Factory",
+  abi: require("./AuctionItemERC721Factory.json"),
+};
@@ -0,0 +1,1170 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "CurationStorefront";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "constructor";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "BatchSizeInvalid";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "CurationNotFound";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "sender";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721IncorrectOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ERC721InsufficientApproval";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "approver";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidApprover";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidOperator";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "receiver";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidReceiver";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "sender";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "ERC721InvalidSender";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ERC721NonexistentToken";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InvalidPaymentAddress";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "InvalidStorefront";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "ListingNotFound";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "NotCurator";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "NotTokenOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableInvalidOwner";
+    readonly type: "error";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "account";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnableUnauthorizedAccount";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "approved";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "Approval";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "approved";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "ApprovalForAll";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "_fromTokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "_toTokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "BatchMetadataUpdate";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "address";
+        readonly name: "paymentAddress";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "CurationCreated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "curator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "CuratorAdded";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "curator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "CuratorRemoved";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "listingId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "storefrontAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ListingCurated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "listingId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "bool";
+        readonly name: "active";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "ListingUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: false;
+        readonly internalType: "uint256";
+        readonly name: "_tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "MetadataUpdate";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "newTokenURI";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "MetadataUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "previousOwner";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "OwnershipTransferred";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "oldAddress";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "newAddress";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "PaymentAddressUpdated";
+    readonly type: "event";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: true;
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "Transfer";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "MAX_BATCH_SIZE";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint8";
+        readonly name: "";
+        readonly type: "uint8";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "VERSION";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "curator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "addCurator";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "approve";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "balanceOf";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly components: readonly [
+          {
+            readonly internalType: "address";
+            readonly name: "storefrontAddress";
+            readonly type: "address";
+          },
+          {
+            readonly internalType: "uint256";
+            readonly name: "tokenId";
+            readonly type: "uint256";
+          },
+        ];
+        readonly internalType: "struct CurationStorefront.BatchListingInput[]";
+        readonly name: "listingsToAdd";
+        readonly type: "tuple[]";
+      },
+    ];
+    readonly name: "batchCurateListings";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256[]";
+        readonly name: "";
+        readonly type: "uint256[]";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256[]";
+        readonly name: "listingIds";
+        readonly type: "uint256[]";
+      },
+      {
+        readonly internalType: "bool[]";
+        readonly name: "activeStates";
+        readonly type: "bool[]";
+      },
+    ];
+    readonly name: "batchUpdateListings";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "paymentAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "tokenURI";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "createCuration";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "storefrontAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "curateListing";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "curations";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "nextListingId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "paymentAddress";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getApproved";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "listingId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getCuratedListing";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "storefrontAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "bool";
+        readonly name: "active";
+        readonly type: "bool";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "price";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "paymentToken";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint16";
+        readonly name: "affiliateFee";
+        readonly type: "uint16";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "erc1155Token";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getCurationDetails";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "name";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "description";
+        readonly type: "string";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "paymentAddress";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "totalListings";
+        readonly type: "uint256";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "listingId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "getListingERC1155Token";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "owner";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "isApprovedForAll";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "curator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "isCurator";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "name";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "owner";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "ownerOf";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "curator";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "removeCurator";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "renounceOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "safeTransferFrom";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "bytes";
+        readonly name: "data";
+        readonly type: "bytes";
+      },
+    ];
+    readonly name: "safeTransferFrom";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "operator";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "bool";
+        readonly name: "approved";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "setApprovalForAll";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "newTokenURI";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "setCurationMetadata";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "newPaymentAddress";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "setPaymentAddress";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "bytes4";
+        readonly name: "interfaceId";
+        readonly type: "bytes4";
+      },
+    ];
+    readonly name: "supportsInterface";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "bool";
+        readonly name: "";
+        readonly type: "bool";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "symbol";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "tokenURI";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "from";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "to";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "tokenId";
+        readonly type: "uint256";
+      },
+    ];
+    readonly name: "transferFrom";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "newOwner";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "transferOwnership";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "uint256";
+        readonly name: "curationId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "uint256";
+        readonly name: "listingId";
+        readonly type: "uint256";
+      },
+      {
+        readonly internalType: "bool";
+        readonly name: "active";
+        readonly type: "bool";
+      },
+    ];
+    readonly name: "updateListing";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+];
@@ -0,0 +1,95 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export declare const contractName: "EncryptionKeyRegistry";
+export declare const abi: readonly [
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "target";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "address";
+        readonly name: "caller";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "NotContractOwner";
+    readonly type: "error";
+  },
+  {
+    readonly anonymous: false;
+    readonly inputs: readonly [
+      {
+        readonly indexed: true;
+        readonly internalType: "address";
+        readonly name: "target";
+        readonly type: "address";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "oldKey";
+        readonly type: "string";
+      },
+      {
+        readonly indexed: false;
+        readonly internalType: "string";
+        readonly name: "newKey";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "EncryptionPublicKeySet";
+    readonly type: "event";
+  },
+  {
+    readonly inputs: readonly [];
+    readonly name: "VERSION";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "";
+        readonly type: "address";
+      },
+    ];
+    readonly name: "encryptionPublicKey";
+    readonly outputs: readonly [
+      {
+        readonly internalType: "string";
+        readonly name: "";
+        readonly type: "string";
+      },
+    ];
+    readonly stateMutability: "view";
+    readonly type: "function";
+  },
+  {
+    readonly inputs: readonly [
+      {
+        readonly internalType: "address";
+        readonly name: "target";
+        readonly type: "address";
+      },
+      {
+        readonly internalType: "string";
+        readonly name: "newKey";
+        readonly type: "string";
+      },
+    ];
+    readonly name: "setEncryptionPublicKey";
+    readonly outputs: readonly [];
+    readonly stateMutability: "nonpayable";
+    readonly type: "function";
+  },
+];
@@ -0,0 +1,5 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  contractName: "ReceiptERC1155",
+  abi: require("./ReceiptERC1155.json"),
+};
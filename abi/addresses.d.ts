@@ -0,0 +1,27 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+declare const addresses: {
+  readonly basemainnet: {
+    readonly network: "basemainnet";
+    readonly chainId: 8453;
+    readonly contracts: {
+      readonly AffiliateERC1155Storefront: "0xeEDB35Ebe143283b448FA82861430251a556ee8c";
+      readonly AffiliateERC1155StorefrontFactory: "0xd0dE2B250F0b65C66F318797083558Ac9eACE836";
+      readonly AffiliateEscrow: "0x570f2ae7BF56E1c471D2031E7356Afa3D314d0c3";
+      readonly AffiliateEscrowFactory: "0x52e8936F8Aad36dbFceb3525C57E086a2E67cfaC";
+      readonly AffiliateVerifier: "0x93ae91231ebE3B525E1A28a616C86d65A7aB91C2";
+      readonly AffiliateVerifierProxy: "0x6b127f444Fde9a8E65E5A33E1fB1845066ee1266";
+      readonly AuctionHouse: "0xEEBd856800C5e468AaFFBCd5fDA44C198e30DC9a";
+      readonly AuctionHouseFactory: "0xe7C121cb8773d324b68d1fb3531Fc9043440D1e0";
+      readonly AuctionItemERC721: "0x7A4317B20354B8f1ac29AFa0A1dA4129d5309FaC";
+      readonly AuctionItemERC721Factory: "0xC6d383429967Ed49cAf224bbD6c7A7F4317C0a15";
+      readonly CurationStorefront: "0xdFCA83ff7544Acb88B5D04A9101d58780243E0cb";
+      readonly EscrowFactory: "0x04e6654D571AcF88Edb26d4FA5ff9E3CA6209dF7";
+      readonly ReceiptERC1155: "0xEC24F45030f70033B86FD757FB5B116fA447Dc63";
+      readonly ReceiptERC1155Factory: "0x997fc6dcBf71dc6291D85292e458a92e934fd06c";
+      readonly SimpleERC1155Storefront: "0x66b77F80FDa6Aa2Fb29722529976aD46e536Fe3A";
+      readonly SimpleERC1155StorefrontFactory: "0xF16148764a31BB43a09397f50cf018267D0bB62f";
+      readonly SimpleEscrow: "0xc165d9DE8DfBB40D9154Ce6B0072068946f22B20";
+    };
+  };
+};
+export = addresses;
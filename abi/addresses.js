@@ -0,0 +1,2 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = { basemainnet: require("./addresses/basemainnet.json") };
@@ -0,0 +1,18 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+export * as AffiliateERC1155Storefront from "./AffiliateERC1155Storefront";
+export * as AffiliateERC1155StorefrontFactory from "./AffiliateERC1155StorefrontFactory";
+export * as AffiliateEscrow from "./AffiliateEscrow";
+export * as AffiliateEscrowFactory from "./AffiliateEscrowFactory";
+export * as AffiliateVerifier from "./AffiliateVerifier";
+export * as AffiliateVerifierProxy from "./AffiliateVerifierProxy";
+export * as AuctionHouse from "./AuctionHouse";
+export * as AuctionHouseFactory from "./AuctionHouseFactory";
+export * as AuctionItemERC721 from "./AuctionItemERC721";
+export * as AuctionItemERC721Factory from "./AuctionItemERC721Factory";
+export * as CurationStorefront from "./CurationStorefront";
+export * as EncryptionKeyRegistry from "./EncryptionKeyRegistry";
+export * as ReceiptERC1155 from "./ReceiptERC1155";
+export * as ReceiptERC1155Factory from "./ReceiptERC1155Factory";
+export * as UmpMetadata from "./UmpMetadata";
+import addresses = require("./addresses");
+export { addresses };
@@ -0,0 +1,19 @@
+// Generated by `npx hardhat export-abi`. Do not edit.
+module.exports = {
+  AffiliateERC1155Storefront: require("./AffiliateERC1155Storefront"),
+  AffiliateERC1155StorefrontFactory: require("./AffiliateERC1155StorefrontFactory"),
+  AffiliateEscrow: require("./AffiliateEscrow"),
+  AffiliateEscrowFactory: require("./AffiliateEscrowFactory"),
+  AffiliateVerifier: require("./AffiliateVerifier"),
+  AffiliateVerifierProxy: require("./AffiliateVerifierProxy"),
+  AuctionHouse: require("./AuctionHouse"),
+  AuctionHouseFactory: require("./AuctionHouseFactory"),
+  AuctionItemERC721: require("./AuctionItemERC721"),
+  AuctionItemERC721Factory: require("./AuctionItemERC721Factory"),
+  CurationStorefront: require("./CurationStorefront"),
+  EncryptionKeyRegistry: require("./EncryptionKeyRegistry"),
+  ReceiptERC1155: require("./ReceiptERC1155"),
+  ReceiptERC1155Factory: require("./ReceiptERC1155Factory"),
+  UmpMetadata: require("./UmpMetadata"),
+  addresses: require("./addresses"),
+};
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.27;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+error NotContractOwner(address target, address caller);
+
+/**
+ * @title EncryptionKeyRegistry
+ * @notice Publishes the public key buyers encrypt their messages to, for
+ * contracts that do not store one themselves (such as AuctionHouse). Keys are
+ * keyed by contract address and only that contract's owner can set them.
+ */
+contract EncryptionKeyRegistry {
+    string public constant VERSION = "0.0.1";
+
+    /// @notice Public key of each contract's seller
+    mapping(address => string) public encryptionPublicKey;
+
+    event EncryptionPublicKeySet(address indexed target, string oldKey, string newKey);
+
+    /**
+     * @notice Sets the public key messages sent to `target` are encrypted to
+     * @param target An Ownable contract whose owner is the caller
+     * @param newKey The seller's public key
+     */
+    function setEncryptionPublicKey(address target, string calldata newKey) external {
+        if (Ownable(target).owner() != msg.sender) {
+            revert NotContractOwner(target, msg.sender);
+        }
+        string memory oldKey = encryptionPublicKey[target];
+        encryptionPublicKey[target] = newKey;
+        emit EncryptionPublicKeySet(target, oldKey, newKey);
+    }
+}
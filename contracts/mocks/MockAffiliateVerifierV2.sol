@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: GPL-3.0
+pragma solidity ^0.8.27;
+
+import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {IAffiliateVerifier} from "../../contracts/IAffiliateVerifier.sol";
+
+// Upgrade target for AffiliateVerifier that appends a storage variable.
+contract MockAffiliateVerifierV2 is IAffiliateVerifier, Initializable, UUPSUpgradeable, OwnableUpgradeable {
+    uint256 public defaultMultiplier;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() external initializer {
+        __UUPSUpgradeable_init();
+        __Ownable_init(msg.sender);
+    }
+
+    function initializeV2(uint256 _defaultMultiplier) external reinitializer(2) {
+        defaultMultiplier = _defaultMultiplier;
+    }
+
+    function getMultiplier(address affiliate) external view returns (uint256) {
+        return affiliate != address(0) ? defaultMultiplier : 0;
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
+
+// Incompatible with MockAffiliateVerifierV2: inserts a variable before defaultMultiplier.
+contract MockAffiliateVerifierV3 is IAffiliateVerifier, Initializable, UUPSUpgradeable, OwnableUpgradeable {
+    address public admin;
+    uint256 public defaultMultiplier;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() external initializer {
+        __UUPSUpgradeable_init();
+        __Ownable_init(msg.sender);
+    }
+
+    function getMultiplier(address affiliate) external view returns (uint256) {
+        return affiliate != address(0) ? defaultMultiplier : 0;
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
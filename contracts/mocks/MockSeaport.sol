@@ -2,12 +2,17 @@
 pragma solidity ^0.8.13;
 
 import {
+    AdvancedOrder,
+    CriteriaResolver,
+    OrderParameters,
     ReceivedItem,
     SpentItem,
     Schema
 } from "seaport-types/src/lib/ConsiderationStructs.sol";
+import {ItemType, OrderType} from "seaport-types/src/lib/ConsiderationEnums.sol";
 
 import {AffiliateERC1155Storefront} from "../AffiliateERC1155Storefront.sol";
+import {IERC20, IERC1155} from "../TokenInterfaces.sol";
 
 contract MockSeaport {
     function callGenerateOrder(
@@ -30,4 +35,69 @@ contract MockSeaport {
     ) external returns (bytes4) {
         return escrowStorefront.ratifyOrder(offer, consideration, context, orderHashes, contractNonce);
     }
+
+    uint256 private contractNonce;
+
+    // Fulfills a contract order the way Seaport does: generateOrder, transfers
+    // for the generated items, then ratifyOrder. No conduits or criteria.
+    function fulfillAdvancedOrder(
+        AdvancedOrder calldata advancedOrder,
+        CriteriaResolver[] calldata,
+        bytes32,
+        address recipient
+    ) external payable returns (bool) {
+        OrderParameters calldata parameters = advancedOrder.parameters;
+        require(parameters.orderType == OrderType.CONTRACT, "Only contract orders");
+        if (recipient == address(0)) {
+            recipient = msg.sender;
+        }
+
+        SpentItem[] memory minimumReceived = new SpentItem[](parameters.offer.length);
+        for (uint256 i = 0; i < parameters.offer.length; i++) {
+            minimumReceived[i] = SpentItem({
+                itemType: parameters.offer[i].itemType,
+                token: parameters.offer[i].token,
+                identifier: parameters.offer[i].identifierOrCriteria,
+                amount: parameters.offer[i].startAmount
+            });
+        }
+        SpentItem[] memory maximumSpent = new SpentItem[](parameters.consideration.length);
+        for (uint256 i = 0; i < parameters.consideration.length; i++) {
+            maximumSpent[i] = SpentItem({
+                itemType: parameters.consideration[i].itemType,
+                token: parameters.consideration[i].token,
+                identifier: parameters.consideration[i].identifierOrCriteria,
+                amount: parameters.consideration[i].startAmount
+            });
+        }
+
+        AffiliateERC1155Storefront offerer = AffiliateERC1155Storefront(payable(parameters.offerer));
+        (SpentItem[] memory offer, ReceivedItem[] memory consideration) =
+            offerer.generateOrder(msg.sender, minimumReceived, maximumSpent, advancedOrder.extraData);
+
+        for (uint256 i = 0; i < offer.length; i++) {
+            IERC1155(offer[i].token).safeTransferFrom(
+                address(offerer), recipient, offer[i].identifier, offer[i].amount, ""
+            );
+        }
+        uint256 spent = 0;
+        for (uint256 i = 0; i < consideration.length; i++) {
+            if (consideration[i].itemType == ItemType.NATIVE) {
+                spent += consideration[i].amount;
+                (bool success, ) = consideration[i].recipient.call{value: consideration[i].amount}("");
+                require(success, "Native transfer failed");
+            } else {
+                require(
+                    IERC20(consideration[i].token).transferFrom(
+                        msg.sender, consideration[i].recipient, consideration[i].amount
+                    ),
+                    "ERC20 transfer failed"
+                );
+            }
+        }
+        require(msg.value >= spent, "Insufficient native tokens supplied");
+
+        offerer.ratifyOrder(offer, consideration, advancedOrder.extraData, new bytes32[](0), contractNonce++);
+        return true;
+    }
 }
@@ -1,9 +1,25 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-chai-matchers");
 require("@nomiclabs/hardhat-solhint");
+require("@openzeppelin/hardhat-upgrades");
+require("./tasks/abi");
+require("./tasks/api");
+require("./tasks/deploy");
+require("./tasks/drift");
+require("./tasks/dry-run");
+require("./tasks/inbox");
+require("./tasks/indexer");
+require("./tasks/metadata");
+require("./tasks/ownership");
+require("./tasks/seller-keys");
+require("./tasks/upgrade");
+require("./tasks/verify");
 const dotenv = require("dotenv");
+const { hardhatNetworks, etherscanConfig } = require("./lib/networks");
+const { installRedaction } = require("./lib/redact");
 
 const result = dotenv.config();
+installRedaction();
 if (result.error) {
   console.error("Error loading .env file:", result.error);
 } else {
@@ -11,18 +27,6 @@ if (result.error) {
 }
 
 console.log("INFURA_API_KEY:", process.env.INFURA_API_KEY ? "Set" : "Not Set");
-console.log(
-  "PRIVATE_KEY:",
-  process.env.PRIVATE_KEY
-    ? "Set (length: " + process.env.PRIVATE_KEY.length + ")"
-    : "Not Set",
-);
-
-const rpcUrl = process.env.INFURA_API_KEY
-  ? `https://base-mainnet.infura.io/v3/${process.env.INFURA_API_KEY}`
-  : "https://base-mainnet.infura.io/v3/YOUR-PROJECT-ID";
-
-console.log("RPC URL:", rpcUrl);
 
 module.exports = {
   solidity: {
@@ -35,28 +39,8 @@ module.exports = {
       viaIR: true,
     },
   },
-  networks: {
-    basemainnet: {
-      url: rpcUrl,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 8453,
-    },
-  },
-  etherscan: {
-    apiKey: {
-      base: process.env.BASESCAN_API_KEY,
-    },
-    customChains: [
-      {
-        network: "base",
-        chainId: 8453,
-        urls: {
-          apiURL: "https://api.basescan.org/api",
-          browserURL: "https://basescan.org",
-        },
-      },
-    ],
-  },
+  networks: hardhatNetworks(),
+  etherscan: etherscanConfig(),
   paths: {
     sources: "./contracts",
     tests: "./test",
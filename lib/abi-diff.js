@@ -0,0 +1,288 @@
+const { Fragment, ParamType } = require("ethers");
+const { DEPLOYMENTS_DIR, listDeployments } = require("./deployments");
+
+const MEMBER_TYPES = ["function", "event", "error"];
+const SPECIAL_TYPES = ["receive", "fallback"];
+
+function byType(abi, type) {
+  const fragments = new Map();
+  for (const item of abi) {
+    if (item.type !== type) continue;
+    const fragment = Fragment.from(item);
+    fragments.set(fragment.format("sighash"), fragment);
+  }
+  return fragments;
+}
+
+function params(list) {
+  return list.map(
+    (param) => `${param.format("sighash")}${param.indexed ? " indexed" : ""}`,
+  );
+}
+
+// Everything consumers rely on except the name, so a renamed member can be
+// told apart from a removed one
+function shape(fragment) {
+  const inputs = `(${params(fragment.inputs).join(",")})`;
+  if (fragment.type === "function") {
+    return `${inputs} ${fragment.stateMutability} returns (${params(
+      fragment.outputs,
+    ).join(",")})`;
+  }
+  if (fragment.type === "event" && fragment.anonymous) {
+    return `${inputs} anonymous`;
+  }
+  return inputs;
+}
+
+// Differences between two members with the same selector or topic, each as
+// [reason, breaking]
+function memberDifferences(before, after) {
+  const reasons = [];
+  if (before.type === "function") {
+    if (params(before.outputs).join() !== params(after.outputs).join()) {
+      reasons.push(["return types", true]);
+    }
+    if (before.stateMutability !== after.stateMutability) {
+      const payable =
+        before.stateMutability === "nonpayable" &&
+        after.stateMutability === "payable";
+      reasons.push([
+        `${before.stateMutability} -> ${after.stateMutability}`,
+        !payable,
+      ]);
+    }
+  }
+  if (before.type === "event") {
+    if (params(before.inputs).join() !== params(after.inputs).join()) {
+      reasons.push(["indexed parameters", true]);
+    }
+    if (before.anonymous !== after.anonymous) {
+      reasons.push(["anonymous", true]);
+    }
+  }
+  if (reasons.length === 0 && before.format("full") !== after.format("full")) {
+    // Notebooks and indexers read decoded values by name
+    reasons.push(["parameter names", true]);
+  }
+  return reasons;
+}
+
+function change(type, name, kind, breaking, before, after, detail) {
+  return {
+    type,
+    name,
+    change: kind,
+    severity: breaking ? "breaking" : "additive",
+    before,
+    after,
+    detail,
+  };
+}
+
+function diffMembers(before, after, type) {
+  const changes = [];
+  const old = byType(before, type);
+  const current = byType(after, type);
+  const removed = [...old.keys()].filter((key) => !current.has(key));
+  const added = [...current.keys()].filter((key) => !old.has(key));
+  const full = (fragment) => fragment.format("full");
+
+  for (const [key, fragment] of old) {
+    if (!current.has(key)) continue;
+    const reasons = memberDifferences(fragment, current.get(key));
+    if (reasons.length > 0) {
+      changes.push(
+        change(
+          type,
+          fragment.name,
+          "changed",
+          reasons.some(([, breaking]) => breaking),
+          full(fragment),
+          full(current.get(key)),
+          reasons.map(([reason]) => reason).join(", "),
+        ),
+      );
+    }
+  }
+
+  // Pair the remaining members up: same name with new parameters, or same
+  // parameters under a new name
+  const pair = (matches) => {
+    const index = added.findIndex(matches);
+    return index === -1 ? undefined : added.splice(index, 1)[0];
+  };
+  for (const key of removed) {
+    const fragment = old.get(key);
+    const retyped = pair((other) => current.get(other).name === fragment.name);
+    const renamed =
+      !retyped &&
+      pair((other) => shape(current.get(other)) === shape(fragment));
+    if (retyped) {
+      changes.push(
+        change(
+          type,
+          fragment.name,
+          "changed",
+          true,
+          full(fragment),
+          full(current.get(retyped)),
+          "signature",
+        ),
+      );
+    } else if (renamed) {
+      changes.push(
+        change(
+          type,
+          fragment.name,
+          "renamed",
+          true,
+          full(fragment),
+          full(current.get(renamed)),
+          `renamed to ${current.get(renamed).name}`,
+        ),
+      );
+    } else {
+      changes.push(
+        change(type, fragment.name, "removed", true, full(fragment), undefined),
+      );
+    }
+  }
+  for (const key of added) {
+    const fragment = current.get(key);
+    changes.push(
+      change(type, fragment.name, "added", false, undefined, full(fragment)),
+    );
+  }
+  return changes;
+}
+
+/**
+ * Field layout of every struct used in the ABI, keyed by its Solidity name
+ * (e.g. "AuctionHouse.Auction").
+ */
+function structLayouts(abi) {
+  const layouts = new Map();
+  const visit = (param) => {
+    if (!param.components) return;
+    if (param.internalType && param.internalType.startsWith("struct ")) {
+      const name = param.internalType.slice(7).replace(/(\[\d*\])+$/, "");
+      layouts.set(
+        name,
+        `(${param.components
+          .map((component) => ParamType.from(component).format("full"))
+          .join(", ")})`,
+      );
+    }
+    param.components.forEach(visit);
+  };
+  for (const item of abi) {
+    [...(item.inputs || []), ...(item.outputs || [])].forEach(visit);
+  }
+  return layouts;
+}
+
+/**
+ * Classifies the differences between a deployed ABI and the current one.
+ *
+ * Anything existing consumers could trip over is breaking: removed, renamed
+ * or retyped functions, events and errors, new return types or mutability,
+ * changed indexed parameters, renamed parameters and changed struct layouts.
+ * New members are additive. Constructors are ignored, as they do not run
+ * again for a deployed contract.
+ */
+function diffAbis(before, after) {
+  const changes = MEMBER_TYPES.flatMap((type) =>
+    diffMembers(before, after, type),
+  );
+
+  const oldStructs = structLayouts(before);
+  const newStructs = structLayouts(after);
+  for (const [name, layout] of oldStructs) {
+    if (newStructs.has(name) && newStructs.get(name) !== layout) {
+      changes.push(
+        change(
+          "struct",
+          name,
+          "changed",
+          true,
+          layout,
+          newStructs.get(name),
+          "layout",
+        ),
+      );
+    }
+  }
+
+  for (const type of SPECIAL_TYPES) {
+    const had = before.some((item) => item.type === type);
+    const has = after.some((item) => item.type === type);
+    if (had && !has) {
+      changes.push(change(type, type, "removed", true, `${type}()`, undefined));
+    } else if (!had && has) {
+      changes.push(change(type, type, "added", false, undefined, `${type}()`));
+    }
+  }
+  return changes;
+}
+
+/**
+ * Diffs the compiled ABI of every recorded contract of the network (or of
+ * `names`) against the ABI stored in its deployment record.
+ *
+ * Resolves to a report with one entry per contract, whose status is
+ * "breaking", "additive", "unchanged" or "skipped" (no recorded ABI or no
+ * artifact of that name).
+ */
+async function checkAbis(hre, options = {}) {
+  const { names, deploymentsDir = DEPLOYMENTS_DIR } = options;
+  const deployments = listDeployments(hre, deploymentsDir);
+
+  const contracts = [];
+  for (const name of names || Object.keys(deployments).sort()) {
+    const deployment = deployments[name];
+    if (!deployment) {
+      throw new Error(
+        `No deployment of ${name} recorded on ${hre.network.name}`,
+      );
+    }
+    const contractName = deployment.contractName || name;
+    const entry = { name, contractName, address: deployment.address };
+    contracts.push(entry);
+
+    if (!deployment.abi) {
+      entry.status = "skipped";
+      entry.reason = "no ABI recorded";
+      continue;
+    }
+    let artifact;
+    try {
+      artifact = await hre.artifacts.readArtifact(contractName);
+    } catch (error) {
+      entry.status = "skipped";
+      entry.reason = `no artifact for ${contractName}`;
+      continue;
+    }
+
+    entry.changes = diffAbis(deployment.abi, artifact.abi);
+    if (entry.changes.some((item) => item.severity === "breaking")) {
+      entry.status = "breaking";
+    } else {
+      entry.status = entry.changes.length > 0 ? "additive" : "unchanged";
+    }
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return {
+    network: hre.network.name,
+    chainId: Number(chainId),
+    breaking: contracts.filter((entry) => entry.status === "breaking").length,
+    contracts,
+  };
+}
+
+module.exports = {
+  structLayouts,
+  diffAbis,
+  checkAbis,
+};
@@ -0,0 +1,197 @@
+const fs = require("fs");
+const path = require("path");
+const prettier = require("prettier");
+const {
+  DEPLOYMENTS_DIR,
+  listChainIds,
+  listDeployments,
+} = require("./deployments");
+const { NETWORKS } = require("./networks");
+
+const ROOT = path.join(__dirname, "..");
+const ABI_DIR = "abi";
+// The notebooks load <Name>_ABI.json from their own directory
+const NOTEBOOK_DIR = "affiliate storefront test notebook";
+const HEADER = "// Generated by `npx hardhat export-abi`. Do not edit.\n";
+
+/**
+ * Deployable contracts under contracts/ (mocks and interfaces excluded), with
+ * their full ABI including events and custom errors.
+ */
+async function publicContracts(hre) {
+  const contracts = [];
+  for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+    if (!name.startsWith("contracts/") || name.startsWith("contracts/mocks/")) {
+      continue;
+    }
+    const artifact = await hre.artifacts.readArtifact(name);
+    if (artifact.bytecode !== "0x") {
+      contracts.push({ name: artifact.contractName, abi: artifact.abi });
+    }
+  }
+  return contracts.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// TypeScript type of a JSON value with readonly literal types, so tools such
+// as viem and abitype infer argument and return types from the ABI.
+function typeLiteral(value) {
+  if (Array.isArray(value)) {
+    return `readonly [${value.map(typeLiteral).join(", ")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{ ${Object.entries(value)
+      .map(
+        ([key, item]) =>
+          `readonly ${JSON.stringify(key)}: ${typeLiteral(item)}`,
+      )
+      .join("; ")} }`;
+  }
+  return JSON.stringify(value);
+}
+
+function networkName(chainId, records) {
+  const registered = Object.entries(NETWORKS).find(
+    ([, network]) => !network.local && network.chainId === chainId,
+  );
+  if (registered) return registered[0];
+  const record = Object.values(records).find((entry) => entry.network);
+  return record ? record.network : String(chainId);
+}
+
+// Current addresses per network, from the deployment records. Local chains
+// are left out.
+function addressBooks(deploymentsDir) {
+  const books = {};
+  for (const chainId of listChainIds(deploymentsDir).sort((a, b) => a - b)) {
+    if (chainId === NETWORKS.hardhat.chainId) continue;
+    const deployments = listDeployments(chainId, deploymentsDir);
+    const contracts = Object.fromEntries(
+      Object.keys(deployments)
+        .sort()
+        .map((name) => [name, deployments[name].address]),
+    );
+    const network = networkName(chainId, deployments);
+    books[network] = { network, chainId, contracts };
+  }
+  return books;
+}
+
+/**
+ * Builds every exported file, keyed by its path relative to `root`:
+ *
+ * - abi/<Name>.json, .js and .d.ts for each public contract
+ * - abi/addresses/<network>.json, abi/addresses.js and .d.ts
+ * - abi/index.js and .d.ts
+ * - the notebooks' existing <Name>_ABI.json copies
+ */
+async function buildExport(hre, options = {}) {
+  const { root = ROOT, deploymentsDir = DEPLOYMENTS_DIR } = options;
+  const files = {};
+  const add = (file, content) => {
+    files[file] = content;
+  };
+
+  const contracts = await publicContracts(hre);
+  for (const { name, abi } of contracts) {
+    const json = JSON.stringify(abi);
+    add(`${ABI_DIR}/${name}.json`, json);
+    add(
+      `${ABI_DIR}/${name}.js`,
+      `${HEADER}module.exports = { contractName: "${name}", abi: require("./${name}.json") };`,
+    );
+    add(
+      `${ABI_DIR}/${name}.d.ts`,
+      `${HEADER}export declare const contractName: "${name}";\nexport declare const abi: ${typeLiteral(abi)};`,
+    );
+
+    const notebookCopy = `${NOTEBOOK_DIR}/${name}_ABI.json`;
+    if (fs.existsSync(path.join(root, notebookCopy))) {
+      add(notebookCopy, json);
+    }
+  }
+
+  const books = addressBooks(deploymentsDir);
+  const networks = Object.keys(books);
+  for (const network of networks) {
+    add(`${ABI_DIR}/addresses/${network}.json`, JSON.stringify(books[network]));
+  }
+  add(
+    `${ABI_DIR}/addresses.js`,
+    `${HEADER}module.exports = { ${networks
+      .map((network) => `${network}: require("./addresses/${network}.json")`)
+      .join(", ")} };`,
+  );
+  add(
+    `${ABI_DIR}/addresses.d.ts`,
+    `${HEADER}declare const addresses: ${typeLiteral(books)};\nexport = addresses;`,
+  );
+
+  add(
+    `${ABI_DIR}/index.js`,
+    `${HEADER}module.exports = { ${contracts
+      .map(({ name }) => `${name}: require("./${name}")`)
+      .join(", ")}, addresses: require("./addresses") };`,
+  );
+  add(
+    `${ABI_DIR}/index.d.ts`,
+    `${HEADER}${contracts
+      .map(({ name }) => `export * as ${name} from "./${name}";`)
+      .join(
+        "\n",
+      )}\nimport addresses = require("./addresses");\nexport { addresses };`,
+  );
+
+  // Formatted like the rest of the tree, so lint-staged leaves them alone
+  for (const file of Object.keys(files)) {
+    files[file] = await prettier.format(files[file], { filepath: file });
+  }
+  return files;
+}
+
+function listExported(root) {
+  const dir = path.join(root, ABI_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .map((file) => path.join(ABI_DIR, file).split(path.sep).join("/"))
+    .filter((file) => fs.statSync(path.join(root, file)).isFile());
+}
+
+/**
+ * Writes the export under `root`, removing abi/ files that are no longer
+ * generated. With `check`, nothing is written: resolves to the files that are
+ * missing, stale or out of date instead.
+ */
+async function exportAbis(hre, options = {}) {
+  const { root = ROOT, check = false } = options;
+  const files = await buildExport(hre, options);
+  const stale = listExported(root).filter((file) => !(file in files));
+
+  if (check) {
+    const changed = Object.keys(files).filter((file) => {
+      const target = path.join(root, file);
+      return (
+        !fs.existsSync(target) ||
+        fs.readFileSync(target, "utf8") !== files[file]
+      );
+    });
+    return { changed, stale };
+  }
+
+  for (const [file, content] of Object.entries(files)) {
+    const target = path.join(root, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  }
+  for (const file of stale) {
+    fs.unlinkSync(path.join(root, file));
+  }
+  return { written: Object.keys(files), removed: stale };
+}
+
+module.exports = {
+  ABI_DIR,
+  publicContracts,
+  buildExport,
+  exportAbis,
+};
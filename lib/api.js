@@ -0,0 +1,748 @@
+const http = require("http");
+const { ZeroAddress, getAddress, isAddress } = require("ethers");
+const { DEPLOYMENTS_DIR, resolveChainId } = require("./deployments");
+const { buildSchema, graphql, printSchema } = require("graphql");
+const { defaultIndexFile, openIndex } = require("./indexer");
+
+const AUCTION_STATUSES = ["open", "ended", "cancelled"];
+// As EscrowClient names them; "funded" includes its "settleable"
+const ESCROW_STATES = [
+  "awaiting-payer",
+  "funded",
+  "disputed",
+  "settled",
+  "refunded",
+  "escaped",
+];
+const MAX_PAGE = 1000;
+// Request bodies above this are refused
+const MAX_BODY = 1024 * 1024;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function page({ first = 100, skip = 0 }) {
+  if (!Number.isInteger(first) || first < 1 || first > MAX_PAGE) {
+    throw badRequest(`first must be a whole number from 1 to ${MAX_PAGE}`);
+  }
+  if (!Number.isInteger(skip) || skip < 0) {
+    throw badRequest("skip must be a whole number from 0");
+  }
+  return { first, skip };
+}
+
+function address(value, name) {
+  if (value === undefined || value === null) return null;
+  if (!isAddress(value)) throw badRequest(`${name} is not an address`);
+  return getAddress(value);
+}
+
+function oneOf(value, values, name) {
+  if (value === undefined || value === null) return null;
+  if (!values.includes(value)) {
+    throw badRequest(`${name} must be one of ${values.join(", ")}`);
+  }
+  return value;
+}
+
+function integer(value, name) {
+  if (value === undefined || value === null) return null;
+  if (!/^\d+$/.test(String(value))) {
+    throw badRequest(`${name} must be a whole number`);
+  }
+  return BigInt(value).toString();
+}
+
+function auctionRow(row) {
+  return {
+    auctionHouse: row.auction_house,
+    auctionId: row.auction_id,
+    seller: row.seller,
+    tokenContract: row.token_contract,
+    tokenId: row.token_id,
+    reservePrice: row.reserve_price,
+    currency: row.currency,
+    affiliateFee: Number(row.affiliate_fee),
+    arbiter: row.arbiter,
+    premium: Boolean(row.premium),
+    premiumBps: row.premium_bps,
+    minBidIncrementBps: row.min_bid_increment_bps,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    status: row.status,
+    bidCount: row.bids,
+    highestBid: row.highest_bid,
+    highestBidder: row.highest_bidder,
+    escrow: row.escrow,
+    escrowState: row.escrow_state,
+    createdBlock: row.created_block,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Auctions, newest first, filtered by `house`, `status`, `currency` (the
+ * zero address for ETH) and `seller`.
+ */
+function listAuctions(db, filters = {}) {
+  return db
+    .prepare(
+      `SELECT * FROM auctions
+       WHERE (:house IS NULL OR auction_house = :house)
+         AND (:status IS NULL OR status = :status)
+         AND (:currency IS NULL OR currency = :currency)
+         AND (:seller IS NULL OR seller = :seller)
+       ORDER BY created_block DESC, created_log_index DESC
+       LIMIT :first OFFSET :skip`,
+    )
+    .all({
+      house: address(filters.house, "house"),
+      status: oneOf(filters.status, AUCTION_STATUSES, "status"),
+      currency: address(filters.currency, "currency"),
+      seller: address(filters.seller, "seller"),
+      ...page(filters),
+    })
+    .map(auctionRow);
+}
+
+function getAuction(db, house, auctionId) {
+  const row = db
+    .prepare(
+      "SELECT * FROM auctions WHERE auction_house = ? AND auction_id = ?",
+    )
+    .get(address(house, "house"), integer(auctionId, "auctionId"));
+  return row ? auctionRow(row) : null;
+}
+
+/**
+ * The bids on an auction in the order they were placed, each with the
+ * premium it paid the bidder it outbid.
+ */
+function listBids(db, filters = {}) {
+  return db
+    .prepare(
+      `SELECT bids.*, (
+         SELECT args FROM events AS paid
+         WHERE paid.address = bids.auction_house AND paid.name = 'PremiumPaid'
+           AND paid.transaction_hash = bids.transaction_hash
+           AND json_extract(paid.args, '$.auctionId') = bids.auction_id
+       ) AS premium
+       FROM bids
+       WHERE auction_house = :house AND auction_id = :auctionId
+       ORDER BY block_number, log_index
+       LIMIT :first OFFSET :skip`,
+    )
+    .all({
+      house: address(filters.house, "house"),
+      auctionId: integer(filters.auctionId, "auctionId"),
+      ...page(filters),
+    })
+    .map((row) => {
+      const premium = row.premium && JSON.parse(row.premium);
+      return {
+        bidder: row.bidder,
+        amount: row.amount,
+        affiliate: row.affiliate,
+        premium: premium
+          ? {
+              outbidBidder: premium.outbidUser,
+              outbidAmount: premium.originalBid,
+              amount: premium.premiumAmount,
+            }
+          : null,
+        blockNumber: row.block_number,
+        timestamp: row.timestamp,
+        transactionHash: row.transaction_hash,
+      };
+    });
+}
+
+// Listings with the token sold and the units left, which are null when
+// the token's transfers are not indexed. Ids are decimal strings, ordered
+// by length first.
+const LISTINGS = `
+  SELECT listings.*, tokens.token AS erc1155_token,
+    CASE WHEN tokens.followed THEN (
+      SELECT decimal_sum(
+        CASE WHEN recipient = listings.storefront THEN value ELSE '-' || value END
+      )
+      FROM token_transfers
+      WHERE token = tokens.token AND token_id = listings.token_id
+        AND (recipient = listings.storefront OR sender = listings.storefront)
+        AND recipient != sender
+    ) END AS stock
+  FROM listings
+  LEFT JOIN storefront_tokens AS tokens
+    ON tokens.storefront = listings.storefront`;
+
+function listingRow(row) {
+  return {
+    storefront: row.storefront,
+    tokenId: row.token_id,
+    price: row.price,
+    paymentToken: row.payment_token,
+    affiliateFee: Number(row.affiliate_fee),
+    erc1155Token: row.erc1155_token,
+    stock: row.stock,
+  };
+}
+
+/**
+ * The current listings of the indexed storefronts (or `storefront`), with
+ * the units left to sell. `stock` is null when the storefront's token is
+ * not indexed.
+ */
+function listListings(db, filters = {}) {
+  return db
+    .prepare(
+      `${LISTINGS}
+       WHERE (:storefront IS NULL OR listings.storefront = :storefront)
+         AND (:tokenId IS NULL OR listings.token_id = :tokenId)
+       ORDER BY lower(listings.storefront), length(listings.token_id),
+         listings.token_id
+       LIMIT :first OFFSET :skip`,
+    )
+    .all({
+      storefront: address(filters.storefront, "storefront"),
+      tokenId: integer(filters.tokenId, "tokenId"),
+      ...page(filters),
+    })
+    .map(listingRow);
+}
+
+/**
+ * Storefront orders, newest first, with the state of the escrow holding
+ * the payment.
+ */
+function listOrders(db, filters = {}) {
+  return db
+    .prepare(
+      `SELECT * FROM orders
+       WHERE (:storefront IS NULL OR storefront = :storefront)
+         AND (:buyer IS NULL OR buyer = :buyer)
+         AND (:escrowState IS NULL OR escrow_state = :escrowState)
+       ORDER BY block_number DESC, log_index DESC
+       LIMIT :first OFFSET :skip`,
+    )
+    .all({
+      storefront: address(filters.storefront, "storefront"),
+      buyer: address(filters.buyer, "buyer"),
+      escrowState: oneOf(filters.escrowState, ESCROW_STATES, "escrowState"),
+      ...page(filters),
+    })
+    .map((row) => ({
+      storefront: row.storefront,
+      tokenId: row.token_id,
+      amount: row.amount,
+      buyer: row.buyer,
+      paymentToken: row.payment_token,
+      price: row.price,
+      affiliate: row.affiliate,
+      affiliateShare: Number(row.affiliate_share),
+      escrow: row.escrow,
+      escrowState: row.escrow_state,
+      blockNumber: row.block_number,
+      timestamp: row.timestamp,
+      transactionHash: row.transaction_hash,
+    }));
+}
+
+/**
+ * Curations of the indexed CurationStorefronts, each listing resolved to
+ * the storefront's current listing (null when it is not indexed or was
+ * removed).
+ */
+function listCurations(db, filters = {}) {
+  const curators = db.prepare(
+    `SELECT curator FROM curators
+     WHERE contract = ? AND curation_id = ?
+     ORDER BY block_number, log_index`,
+  );
+  const listings = db.prepare(
+    `SELECT curated.listing_id, curated.storefront, curated.token_id,
+       curated.active, listing.token_id IS NOT NULL AS listed, listing.price,
+       listing.payment_token, listing.affiliate_fee, listing.erc1155_token,
+       listing.stock
+     FROM curated_listings AS curated
+     LEFT JOIN (${LISTINGS}) AS listing
+       ON listing.storefront = curated.storefront
+       AND listing.token_id = curated.token_id
+     WHERE curated.contract = ? AND curated.curation_id = ?
+     ORDER BY length(curated.listing_id), curated.listing_id`,
+  );
+  return db
+    .prepare(
+      `SELECT * FROM curations
+       WHERE (:contract IS NULL OR contract = :contract)
+         AND (:curationId IS NULL OR curation_id = :curationId)
+       ORDER BY lower(contract), length(curation_id), curation_id
+       LIMIT :first OFFSET :skip`,
+    )
+    .all({
+      contract: address(filters.contract, "contract"),
+      curationId: integer(filters.curationId, "curationId"),
+      ...page(filters),
+    })
+    .map((row) => ({
+      contract: row.contract,
+      curationId: row.curation_id,
+      name: row.name,
+      description: row.description,
+      paymentAddress: row.payment_address,
+      tokenURI: row.token_uri,
+      curators: curators
+        .all(row.contract, row.curation_id)
+        .map(({ curator }) => curator),
+      listings: listings.all(row.contract, row.curation_id).map((listing) => ({
+        listingId: listing.listing_id,
+        storefront: listing.storefront,
+        tokenId: listing.token_id,
+        active: Boolean(listing.active),
+        listing: listing.listed ? listingRow(listing) : null,
+      })),
+    }));
+}
+
+/**
+ * What each affiliate was paid (`earned`, from every settle) and is owed
+ * (`pending`, its share of what is left in funded or disputed escrows of
+ * ended auctions and of orders), per payment token.
+ */
+function affiliateEarnings(db, filters = {}) {
+  return db
+    .prepare(
+      `SELECT affiliate, token,
+         decimal_sum(CASE WHEN settled THEN amount END) AS earned,
+         decimal_sum(
+           CASE WHEN NOT settled THEN decimal_share(amount, share_bps) END
+         ) AS pending,
+         sum(settled) AS settlements
+       FROM affiliate_payouts
+       WHERE affiliate != :zero
+         AND (:affiliate IS NULL OR affiliate = :affiliate)
+       GROUP BY affiliate, token
+       ORDER BY lower(affiliate), lower(token)
+       LIMIT :first OFFSET :skip`,
+    )
+    .all({
+      zero: ZeroAddress,
+      affiliate: address(filters.affiliate, "affiliate"),
+      ...page(filters),
+    })
+    .map((row) => ({
+      affiliate: row.affiliate,
+      token: row.token,
+      earned: row.earned,
+      pending: row.pending,
+      settlements: row.settlements,
+    }));
+}
+
+function indexStatus(db) {
+  const { chain_id: chainId, block_number: blockNumber } = db
+    .prepare("SELECT chain_id, block_number FROM checkpoint")
+    .get();
+  const count = (table) =>
+    db.prepare(`SELECT count(*) AS count FROM ${table}`).get().count;
+  return {
+    chainId,
+    blockNumber,
+    contracts: count("contracts"),
+    events: count("events"),
+  };
+}
+
+// Amounts and ids are decimal strings, addresses checksummed
+const SCHEMA = buildSchema(`
+  type Query {
+    "How far the index got"
+    status: Status!
+    "Newest first"
+    auctions(
+      house: String
+      status: AuctionStatus
+      currency: String
+      seller: String
+      first: Int = 100
+      skip: Int = 0
+    ): [Auction!]!
+    auction(house: String!, auctionId: String!): Auction
+    listings(
+      storefront: String
+      tokenId: String
+      first: Int = 100
+      skip: Int = 0
+    ): [Listing!]!
+    "Newest first; escrowState is ${ESCROW_STATES.join(", ")}"
+    orders(
+      storefront: String
+      buyer: String
+      escrowState: String
+      first: Int = 100
+      skip: Int = 0
+    ): [Order!]!
+    curations(
+      contract: String
+      curationId: String
+      first: Int = 100
+      skip: Int = 0
+    ): [Curation!]!
+    affiliateEarnings(
+      affiliate: String
+      first: Int = 100
+      skip: Int = 0
+    ): [AffiliateEarning!]!
+  }
+
+  enum AuctionStatus {
+    ${AUCTION_STATUSES.join("\n    ")}
+  }
+
+  type Status {
+    chainId: Int!
+    blockNumber: Int!
+    contracts: Int!
+    events: Int!
+  }
+
+  type Auction {
+    auctionHouse: String!
+    auctionId: String!
+    seller: String!
+    tokenContract: String!
+    tokenId: String!
+    reservePrice: String!
+    currency: String
+    affiliateFee: Int!
+    arbiter: String!
+    premium: Boolean!
+    premiumBps: Int
+    minBidIncrementBps: Int
+    startTime: Int
+    endTime: Int
+    status: AuctionStatus!
+    bidCount: Int!
+    highestBid: String
+    highestBidder: String
+    escrow: String!
+    escrowState: String
+    createdBlock: Int!
+    createdAt: Int!
+    bids(first: Int = 100, skip: Int = 0): [Bid!]!
+  }
+
+  type Bid {
+    bidder: String!
+    amount: String!
+    affiliate: String!
+    premium: Premium
+    blockNumber: Int!
+    timestamp: Int!
+    transactionHash: String!
+  }
+
+  type Premium {
+    outbidBidder: String!
+    outbidAmount: String!
+    amount: String!
+  }
+
+  type Listing {
+    storefront: String!
+    tokenId: String!
+    price: String!
+    paymentToken: String!
+    affiliateFee: Int!
+    erc1155Token: String
+    stock: String
+  }
+
+  type Order {
+    storefront: String!
+    tokenId: String!
+    amount: String!
+    buyer: String
+    paymentToken: String!
+    price: String!
+    affiliate: String!
+    affiliateShare: Int!
+    escrow: String!
+    escrowState: String
+    blockNumber: Int!
+    timestamp: Int!
+    transactionHash: String!
+  }
+
+  type Curation {
+    contract: String!
+    curationId: String!
+    name: String!
+    description: String!
+    paymentAddress: String!
+    tokenURI: String
+    curators: [String!]!
+    listings: [CuratedListing!]!
+  }
+
+  type CuratedListing {
+    listingId: String!
+    storefront: String!
+    tokenId: String!
+    active: Boolean!
+    listing: Listing
+  }
+
+  type AffiliateEarning {
+    affiliate: String!
+    token: String!
+    earned: String!
+    pending: String!
+    settlements: Int!
+  }
+`);
+
+// GraphQL auctions resolve their bids when they are selected
+function withBids(auction) {
+  return (
+    auction && {
+      ...auction,
+      bids: (args, { db }) =>
+        listBids(db, {
+          ...args,
+          house: auction.auctionHouse,
+          auctionId: auction.auctionId,
+        }),
+    }
+  );
+}
+
+// The root resolvers of SCHEMA's Query fields
+const ROOT = {
+  status: (args, { db }) => indexStatus(db),
+  auctions: (args, { db }) => listAuctions(db, args).map(withBids),
+  auction: (args, { db }) =>
+    withBids(getAuction(db, args.house, args.auctionId)),
+  listings: (args, { db }) => listListings(db, args),
+  orders: (args, { db }) => listOrders(db, args),
+  curations: (args, { db }) => listCurations(db, args),
+  affiliateEarnings: (args, { db }) => affiliateEarnings(db, args),
+};
+
+function queryFilters(searchParams, names) {
+  const filters = {};
+  for (const name of names) {
+    if (searchParams.has(name)) filters[name] = searchParams.get(name);
+  }
+  for (const name of ["first", "skip"]) {
+    if (searchParams.has(name)) {
+      filters[name] = Number(searchParams.get(name) || NaN);
+    }
+  }
+  return filters;
+}
+
+// REST routes: [method, pattern, (db, match, searchParams) => body]
+const ROUTES = [
+  ["GET", /^\/status$/, (db) => indexStatus(db)],
+  [
+    "GET",
+    /^\/auctions$/,
+    (db, match, params) =>
+      listAuctions(
+        db,
+        queryFilters(params, ["house", "status", "currency", "seller"]),
+      ),
+  ],
+  [
+    "GET",
+    /^\/auctions\/([^/]+)\/([^/]+)$/,
+    (db, [, house, auctionId]) => {
+      const auction = getAuction(db, house, auctionId);
+      if (!auction) {
+        const error = new Error(`No auction ${auctionId} on ${house}`);
+        error.status = 404;
+        throw error;
+      }
+      return auction;
+    },
+  ],
+  [
+    "GET",
+    /^\/auctions\/([^/]+)\/([^/]+)\/bids$/,
+    (db, [, house, auctionId], params) =>
+      listBids(db, { ...queryFilters(params, []), house, auctionId }),
+  ],
+  [
+    "GET",
+    /^\/listings$/,
+    (db, match, params) =>
+      listListings(db, queryFilters(params, ["storefront", "tokenId"])),
+  ],
+  [
+    "GET",
+    /^\/orders$/,
+    (db, match, params) =>
+      listOrders(
+        db,
+        queryFilters(params, ["storefront", "buyer", "escrowState"]),
+      ),
+  ],
+  [
+    "GET",
+    /^\/curations$/,
+    (db, match, params) =>
+      listCurations(db, queryFilters(params, ["contract", "curationId"])),
+  ],
+  [
+    "GET",
+    /^\/affiliate-earnings$/,
+    (db, match, params) =>
+      affiliateEarnings(db, queryFilters(params, ["affiliate"])),
+  ],
+];
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        // Stop reading; the 413 is sent with Connection: close
+        request.removeAllListeners("data");
+        request.pause();
+        const error = new Error(`The body must be at most ${MAX_BODY} bytes`);
+        error.status = 413;
+        reject(error);
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+async function graphqlRequest(db, request, url) {
+  let params;
+  if (request.method === "POST") {
+    const body = await readBody(request);
+    try {
+      params = JSON.parse(body || "{}");
+    } catch (error) {
+      throw badRequest("The body must be JSON: { query, variables }");
+    }
+  } else {
+    params = {
+      query: url.searchParams.get("query"),
+      operationName: url.searchParams.get("operationName") || undefined,
+    };
+    try {
+      params.variables = JSON.parse(url.searchParams.get("variables") || "{}");
+    } catch (error) {
+      throw badRequest("variables must be JSON");
+    }
+  }
+  if (!params.query) throw badRequest("Pass a GraphQL query");
+  return graphql({
+    schema: SCHEMA,
+    source: params.query,
+    rootValue: ROOT,
+    contextValue: { db },
+    variableValues: params.variables,
+    operationName: params.operationName,
+  });
+}
+
+/**
+ * An HTTP server answering the REST routes, GraphQL at /graphql (GET or
+ * POST) and the GraphQL schema at /graphql/schema, from `db`.
+ */
+function createApiServer(db) {
+  return http.createServer(async (request, response) => {
+    const send = (status, body, type = "application/json") => {
+      response.writeHead(status, {
+        "Content-Type": type,
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      response.end(type === "application/json" ? JSON.stringify(body) : body);
+    };
+
+    try {
+      const url = new URL(request.url, "http://localhost");
+      if (request.method === "OPTIONS") return send(204, "", "text/plain");
+      if (url.pathname === "/graphql/schema") {
+        return send(200, printSchema(SCHEMA), "text/plain");
+      }
+      if (url.pathname === "/graphql") {
+        if (!["GET", "POST"].includes(request.method)) {
+          return send(405, { error: "Use GET or POST" });
+        }
+        const result = await graphqlRequest(db, request, url);
+        // Results with `data`, even partial or null, were executed; only a
+        // query that failed to parse or validate has none
+        return send("data" in result ? 200 : 400, result);
+      }
+      for (const [method, pattern, handler] of ROUTES) {
+        const match = url.pathname.match(pattern);
+        if (!match) continue;
+        if (request.method !== method) {
+          return send(405, { error: `Use ${method}` });
+        }
+        return send(200, handler(db, match, url.searchParams));
+      }
+      send(404, { error: `No route ${url.pathname}` });
+    } catch (error) {
+      if (error.status === 413) response.setHeader("Connection", "close");
+      send(error.status || 500, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Serves the index of the current network (or `file`) on `host`:`port`
+ * until `close` is called.
+ */
+async function serveApi(hre, options = {}) {
+  const {
+    deploymentsDir = DEPLOYMENTS_DIR,
+    host = "127.0.0.1",
+    port = 4000,
+  } = options;
+  const chainId = resolveChainId(hre, deploymentsDir);
+  const file = options.file || defaultIndexFile(chainId, deploymentsDir);
+  const db = openIndex(file, chainId, { readOnly: true });
+  const server = createApiServer(db);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: bound } = server.address();
+  return {
+    file,
+    url: `http://${host}:${bound}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => {
+          db.close();
+          resolve();
+        });
+        server.closeAllConnections();
+      }),
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  affiliateEarnings,
+  createApiServer,
+  getAuction,
+  listAuctions,
+  listBids,
+  listCurations,
+  listListings,
+  listOrders,
+  serveApi,
+};
@@ -0,0 +1,66 @@
+const VERSION_PATTERN = /string\s+public\s+constant\s+VERSION\s*=\s*"([^"]*)"/;
+
+/**
+ * Artifact of `contractName` with the immutable references of its runtime
+ * code and its VERSION constant, or undefined when it is not compiled.
+ */
+async function readCompiled(hre, contractName) {
+  if (!(await hre.artifacts.artifactExists(contractName))) {
+    return undefined;
+  }
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`,
+  );
+  const output =
+    buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  const source = buildInfo.input.sources[artifact.sourceName].content;
+  const version = source.match(VERSION_PATTERN);
+
+  return {
+    artifact,
+    immutableReferences: output.evm.deployedBytecode.immutableReferences || {},
+    version:
+      version && artifact.abi.some((item) => item.name === "VERSION")
+        ? version[1]
+        : undefined,
+  };
+}
+
+// Zeroes immutable values and drops the CBOR metadata trailer, which differ
+// between deployments of the same source.
+function normalizeBytecode(bytecode, immutableReferences) {
+  const code = Buffer.from(bytecode.replace(/^0x/, ""), "hex");
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      code.fill(0, start, start + length);
+    }
+  }
+  const metadataLength =
+    code.length >= 2 ? code.readUInt16BE(code.length - 2) : 0;
+  const end =
+    metadataLength + 2 <= code.length
+      ? code.length - metadataLength - 2
+      : code.length;
+  return code.subarray(0, end).toString("hex");
+}
+
+/**
+ * Whether deployed runtime `code` was compiled from `compiled` (see
+ * `readCompiled`), ignoring immutables and metadata.
+ */
+function matchesCompiled(code, compiled) {
+  return (
+    normalizeBytecode(code, compiled.immutableReferences) ===
+    normalizeBytecode(
+      compiled.artifact.deployedBytecode,
+      compiled.immutableReferences,
+    )
+  );
+}
+
+module.exports = {
+  readCompiled,
+  normalizeBytecode,
+  matchesCompiled,
+};
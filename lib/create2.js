@@ -0,0 +1,148 @@
+const {
+  concat,
+  getCreate2Address,
+  id,
+  isHexString,
+  keccak256,
+  ZeroHash,
+} = require("ethers");
+const { matchesCompiled, readCompiled } = require("./bytecode");
+const { readOwner } = require("./deployments");
+const { getNetworkConfig } = require("./networks");
+const { sendTransaction } = require("./sender");
+const { getSigner } = require("./signers");
+
+// Arachnid's deterministic deployment proxy, at the same address on every
+// chain we support (https://github.com/Arachnid/deterministic-deployment-proxy).
+// It takes the salt followed by the init code and deploys with CREATE2.
+const CREATE2_DEPLOYER = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+const CREATE2_DEPLOYER_CODE =
+  "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+/**
+ * Turns a salt into bytes32: 32-byte hex is used as is, anything else is
+ * hashed, and no salt is the zero hash.
+ */
+function toSalt(salt) {
+  if (salt === undefined || salt === null || salt === "") return ZeroHash;
+  if (isHexString(salt, 32)) return salt;
+  return id(String(salt));
+}
+
+/**
+ * Init code of `contractName` with `args`, and the address CREATE2 puts it at.
+ */
+async function predictAddress(hre, contractName, args = [], options = {}) {
+  const { deployer = CREATE2_DEPLOYER } = options;
+  const salt = toSalt(options.salt);
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const { data } = await factory.getDeployTransaction(...args);
+  return {
+    address: getCreate2Address(deployer, salt, keccak256(data)),
+    salt,
+    initCode: data,
+  };
+}
+
+/**
+ * What is at a predicted address: "free", "deployed" (code compiled from
+ * `contractName`) or "conflict" (any other code).
+ */
+async function addressStatus(hre, contractName, address) {
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") return "free";
+  const compiled = await readCompiled(hre, contractName);
+  return compiled && matchesCompiled(code, compiled) ? "deployed" : "conflict";
+}
+
+/**
+ * Makes sure the CREATE2 deployer exists. Local nodes get its code set
+ * directly; other networks must already have it.
+ */
+async function ensureCreate2Deployer(hre, deployer = CREATE2_DEPLOYER) {
+  if ((await hre.ethers.provider.getCode(deployer)) !== "0x") return;
+  if (
+    !getNetworkConfig(hre.network.name).local ||
+    deployer !== CREATE2_DEPLOYER
+  ) {
+    throw new Error(
+      `No CREATE2 deployer at ${deployer} on ${hre.network.name}`,
+    );
+  }
+  // Hardhat and anvil name the same RPC method differently
+  try {
+    await hre.network.provider.send("hardhat_setCode", [
+      deployer,
+      CREATE2_DEPLOYER_CODE,
+    ]);
+  } catch (error) {
+    await hre.network.provider.send("anvil_setCode", [
+      deployer,
+      CREATE2_DEPLOYER_CODE,
+    ]);
+  }
+}
+
+/**
+ * Deploys `contractName` with `args` through the CREATE2 deployer, so the
+ * same salt, code and arguments give the same address on every chain.
+ *
+ * When the address already holds the same contract, nothing is sent; when it
+ * holds other code, this throws. Resolves to `{ address, receipt, existing }`.
+ */
+async function deployDeterministic(hre, contractName, args = [], options = {}) {
+  const {
+    deployer = CREATE2_DEPLOYER,
+    overrides = {},
+    signer = await getSigner(hre),
+    log = console.log,
+    ...sendOptions
+  } = options;
+  const { address, salt, initCode } = await predictAddress(
+    hre,
+    contractName,
+    args,
+    options,
+  );
+
+  const status = await addressStatus(hre, contractName, address);
+  if (status === "conflict") {
+    throw new Error(
+      `${address} already holds code that is not ${contractName}; use another salt`,
+    );
+  }
+  if (status === "deployed") {
+    log(`${contractName} is already deployed at ${address}`);
+    return { address, existing: true };
+  }
+
+  await ensureCreate2Deployer(hre, deployer);
+  const receipt = await sendTransaction(
+    hre,
+    signer,
+    { to: deployer, data: concat([salt, initCode]), ...overrides },
+    { log, ...sendOptions },
+  );
+  if ((await addressStatus(hre, contractName, address)) !== "deployed") {
+    throw new Error(
+      `CREATE2 deployment of ${contractName} did not create ${address}`,
+    );
+  }
+
+  const owner = await readOwner(hre, address);
+  if (owner && owner.toLowerCase() === deployer.toLowerCase()) {
+    log(
+      `Warning: ${contractName} at ${address} is owned by the CREATE2 deployer`,
+    );
+  }
+  return { address, receipt, existing: false };
+}
+
+module.exports = {
+  CREATE2_DEPLOYER,
+  toSalt,
+  predictAddress,
+  addressStatus,
+  ensureCreate2Deployer,
+  deployDeterministic,
+};
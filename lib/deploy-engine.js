@@ -0,0 +1,521 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  CREATE2_DEPLOYER,
+  addressStatus,
+  deployDeterministic,
+  predictAddress,
+  toSalt,
+} = require("./create2");
+const {
+  DEPLOYMENTS_DIR,
+  chainDir,
+  getAddress,
+  recordDeployment,
+  recordingChainId,
+} = require("./deployments");
+const { getNetworkConfig, getNetworkConstants } = require("./networks");
+const { deployContract, sendTransaction } = require("./sender");
+const { getSigner } = require("./signers");
+const { verifyDeployment } = require("./verify");
+
+const MANIFESTS_DIR = path.join(__dirname, "../manifests");
+const RESERVED_IDS = ["deployer", "network", "records"];
+const TEMPLATE = /\{\{\s*([\w.]+)\s*\}\}/g;
+const SINGLE_TEMPLATE = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+/**
+ * Loads a manifest either by name (from manifests/) or by path.
+ */
+function loadManifest(nameOrPath) {
+  const candidates = [
+    path.resolve(nameOrPath),
+    path.join(MANIFESTS_DIR, nameOrPath),
+    path.join(MANIFESTS_DIR, `${nameOrPath}.js`),
+    path.join(MANIFESTS_DIR, `${nameOrPath}.json`),
+  ];
+  const manifestPath = candidates.find(
+    (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile(),
+  );
+  if (!manifestPath) {
+    throw new Error(`Manifest not found: ${nameOrPath}`);
+  }
+
+  const manifest = manifestPath.endsWith(".json")
+    ? JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+    : require(manifestPath);
+  validateManifest(manifest);
+  return manifest;
+}
+
+function validateManifest(manifest) {
+  if (!manifest.name) {
+    throw new Error("Manifest is missing a name");
+  }
+  if (!Array.isArray(manifest.steps) || manifest.steps.length === 0) {
+    throw new Error(`Manifest ${manifest.name} has no steps`);
+  }
+
+  const seen = new Set();
+  for (const step of manifest.steps) {
+    if (!step.id) {
+      throw new Error(`Manifest ${manifest.name} has a step without an id`);
+    }
+    if (RESERVED_IDS.includes(step.id)) {
+      throw new Error(`Step id ${step.id} is reserved in ${manifest.name}`);
+    }
+    if (seen.has(step.id)) {
+      throw new Error(`Duplicate step id in ${manifest.name}: ${step.id}`);
+    }
+    seen.add(step.id);
+
+    const kinds = ["address", "read", "call"].filter((k) => step[k]);
+    if (kinds.length > 1) {
+      throw new Error(`Step ${step.id} mixes ${kinds.join(" and ")}`);
+    }
+    if (kinds.length === 0 && !step.contract) {
+      throw new Error(`Step ${step.id} has nothing to deploy`);
+    }
+    if (step.create2 && kinds.length > 0) {
+      throw new Error(`Step ${step.id} uses CREATE2 but deploys nothing`);
+    }
+    if (step.call && step.call.event && !step.contract) {
+      throw new Error(
+        `Step ${step.id} captures an address but has no contract`,
+      );
+    }
+  }
+}
+
+function stepKind(step) {
+  if (step.address) return "existing";
+  if (step.read) return "read";
+  if (step.call) return "call";
+  return "deploy";
+}
+
+function lookup(name, context) {
+  const [head, ...fields] = name.split(".");
+
+  let value;
+  if (head === "deployer") {
+    value = context.deployer;
+  } else if (head === "network") {
+    value = context.network;
+  } else if (head === "records") {
+    // {{records.Name}} is the current recorded address of Name
+    const [record, ...rest] = fields;
+    if (!record || rest.length > 0) {
+      throw new Error(`Reference {{${name}}} must name one record`);
+    }
+    return getAddress(record, context.hre, context.deploymentsDir);
+  } else if (head in context.steps) {
+    const step = context.steps[head];
+    value = fields.length === 0 ? step.address : step;
+  } else if (context.vars && head in context.vars) {
+    value = resolveValue(context.vars[head], context);
+  } else if (context.stepIds && context.stepIds.has(head)) {
+    throw new Error(`Reference {{${name}}} is used before step ${head} ran`);
+  } else {
+    throw new Error(`Unknown reference: {{${name}}}`);
+  }
+
+  for (const field of fields) {
+    if (value === undefined || value === null) break;
+    value = value[field];
+  }
+  if (value === undefined) {
+    throw new Error(`Reference {{${name}}} is not available yet`);
+  }
+  return value;
+}
+
+/**
+ * Resolves `{{...}}` references in manifest values. A string that is exactly
+ * one reference keeps the referenced value's type.
+ */
+function resolveValue(value, context) {
+  if (typeof value === "string") {
+    const single = value.match(SINGLE_TEMPLATE);
+    if (single) {
+      return lookup(single[1], context);
+    }
+    return value.replace(TEMPLATE, (_, name) => String(lookup(name, context)));
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveValue(item, context));
+  }
+  if (value && typeof value === "object") {
+    if (value.encodeCall) {
+      return encodeCall(value.encodeCall, context);
+    }
+    if (value.json) {
+      return JSON.stringify(resolveValue(value.json, context));
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        resolveValue(item, context),
+      ]),
+    );
+  }
+  return value;
+}
+
+function encodeCall({ contract, method, args = [] }, context) {
+  const artifact = context.hre.artifacts.readArtifactSync(contract);
+  const iface = new context.hre.ethers.Interface(artifact.abi);
+  return iface.encodeFunctionData(method, resolveValue(args, context));
+}
+
+function toJSON(value) {
+  return JSON.parse(
+    JSON.stringify(value, (_, item) =>
+      typeof item === "bigint" ? item.toString() : item,
+    ),
+  );
+}
+
+function statePath(manifest, chainId, deploymentsDir) {
+  return path.join(
+    chainDir(chainId, deploymentsDir),
+    "state",
+    `${manifest.name}.json`,
+  );
+}
+
+function loadState(file) {
+  if (!fs.existsSync(file)) {
+    return { steps: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+async function getStepContract(hre, context, id) {
+  const step = context.steps[id];
+  if (!step || !step.address) {
+    throw new Error(`Step ${id} has no address to call`);
+  }
+  if (!step.contract) {
+    throw new Error(`Step ${id} has no contract name to load an ABI from`);
+  }
+  return hre.ethers.getContractAt(step.contract, step.address, context.signer);
+}
+
+async function findEventArg(hre, context, receipt, step) {
+  const { event } = step.call;
+  const emitterId = event.emitter || step.call.target;
+  const emitter = await getStepContract(hre, context, emitterId);
+  const emitterAddress = (await emitter.getAddress()).toLowerCase();
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== emitterAddress) continue;
+    const parsed = emitter.interface.parseLog(log);
+    if (parsed && parsed.name === event.name) {
+      return parsed.args[event.arg];
+    }
+  }
+  throw new Error(
+    `Step ${step.id}: ${event.name} was not emitted by ${emitterId}`,
+  );
+}
+
+async function executeStep(hre, step, context) {
+  const kind = stepKind(step);
+  const overrides = step.overrides || {};
+
+  if (kind === "existing") {
+    const address = resolveValue(step.address, context);
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+      throw new Error(
+        `Step ${step.id}: no code at ${address} on ${hre.network.name}`,
+      );
+    }
+    return { address };
+  }
+
+  if (kind === "read") {
+    const target = await getStepContract(hre, context, step.read.target);
+    const args = resolveValue(step.read.args || [], context);
+    return { address: await target[step.read.method](...args) };
+  }
+
+  const send = {
+    key: `${context.manifest}:${step.id}`,
+    deploymentsDir: context.deploymentsDir,
+    description: `${context.manifest} step ${step.id}`,
+    confirm: context.confirm,
+    log: context.log,
+  };
+
+  if (kind === "call") {
+    const target = await getStepContract(hre, context, step.call.target);
+    const args = resolveValue(step.call.args || [], context);
+    const request = await target[step.call.method].populateTransaction(
+      ...args,
+      overrides,
+    );
+    const receipt = await sendTransaction(hre, context.signer, request, send);
+    const result = { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    if (step.call.event) {
+      result.address = await findEventArg(hre, context, receipt, step);
+    }
+    return result;
+  }
+
+  const args = resolveValue(step.args || [], context);
+  if (context.create2 && step.create2) {
+    const salt = stepSalt(step, context);
+    const { address, receipt } = await deployDeterministic(
+      hre,
+      step.contract,
+      args,
+      { ...send, overrides, salt, signer: context.signer },
+    );
+    return {
+      address,
+      txHash: receipt && receipt.hash,
+      blockNumber: receipt && receipt.blockNumber,
+      create2: { deployer: CREATE2_DEPLOYER, salt },
+    };
+  }
+  const factory = await hre.ethers.getContractFactory(
+    step.contract,
+    context.signer,
+  );
+  const { address, receipt } = await deployContract(hre, factory, args, {
+    ...send,
+    overrides,
+  });
+  return {
+    address,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+// A step's own salt wins over the salt of the run
+function stepSalt(step, context) {
+  const own = typeof step.create2 === "object" ? step.create2.salt : undefined;
+  return toSalt(own !== undefined ? own : context.create2.salt);
+}
+
+function constructorArgsFor(step, context) {
+  if (step.constructorArgs) {
+    return resolveValue(step.constructorArgs, context);
+  }
+  return stepKind(step) === "deploy"
+    ? resolveValue(step.args || [], context)
+    : [];
+}
+
+async function isStepStillDeployed(hre, recorded) {
+  if (!recorded.address) return true;
+  const code = await hre.ethers.provider.getCode(recorded.address);
+  return code !== "0x";
+}
+
+function createContext(hre, manifest, signer, options) {
+  return {
+    hre,
+    manifest: manifest.name,
+    deploymentsDir: options.deploymentsDir,
+    log: options.log,
+    confirm: options.confirm,
+    create2: options.create2,
+    signer,
+    deployer: signer.address,
+    network: getNetworkConstants(hre),
+    vars: manifest.vars || {},
+    stepIds: new Set(manifest.steps.map((step) => step.id)),
+    steps: {},
+  };
+}
+
+/**
+ * Runs every step of a manifest in order, persisting each completed step so
+ * that a re-run resumes after the last successful one.
+ *
+ * With `create2` (`{ salt }`), steps marked `create2` are deployed through
+ * the CREATE2 deployer instead, with their own salt or `create2.salt`.
+ * `confirm` is handed to sendTransaction for every step that sends.
+ */
+async function runManifest(hre, manifest, options = {}) {
+  const {
+    reset = false,
+    verify = !getNetworkConfig(hre.network.name).local,
+    create2,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    signer = await getSigner(hre),
+    confirm,
+    log = console.log,
+  } = options;
+
+  const chainId = await recordingChainId(hre);
+  const file = statePath(manifest, chainId, deploymentsDir);
+  const state = reset ? { steps: {} } : loadState(file);
+  Object.assign(state, {
+    manifest: manifest.name,
+    network: hre.network.name,
+    chainId,
+  });
+
+  const context = createContext(hre, manifest, signer, {
+    deploymentsDir,
+    log,
+    confirm,
+    create2,
+  });
+
+  log(
+    `Running manifest ${manifest.name} on ${hre.network.name} as ${signer.address}`,
+  );
+
+  for (const step of manifest.steps) {
+    const recorded = state.steps[step.id];
+    // Existing contracts are looked up again, as their record may have moved
+    if (
+      recorded &&
+      recorded.status === "done" &&
+      stepKind(step) !== "existing"
+    ) {
+      if (await isStepStillDeployed(hre, recorded)) {
+        log(
+          `- ${step.id}: already done${recorded.address ? ` at ${recorded.address}` : ""}, skipping`,
+        );
+        context.steps[step.id] = recorded;
+        continue;
+      }
+      log(
+        `- ${step.id}: no code at recorded ${recorded.address}, running again`,
+      );
+    }
+
+    log(
+      `- ${step.id}: ${stepKind(step)}${step.contract ? ` ${step.contract}` : ""}...`,
+    );
+    const result = await executeStep(hre, step, context);
+
+    const entry = {
+      status: "done",
+      kind: stepKind(step),
+      contract: step.contract,
+      ...result,
+      completedAt: new Date().toISOString(),
+    };
+    context.steps[step.id] = entry;
+    if (entry.address && step.contract) {
+      entry.constructorArguments = toJSON(constructorArgsFor(step, context));
+    }
+    state.steps[step.id] = entry;
+    saveState(file, state);
+
+    if (entry.address) {
+      log(`  ${step.id} at ${entry.address}`);
+    }
+    const record = step.record ?? entry.kind !== "existing";
+    if (record && entry.address && step.contract) {
+      await recordDeployment(
+        hre,
+        typeof record === "string" ? record : step.id,
+        {
+          contractName: step.contract,
+          address: entry.address,
+          constructorArguments: entry.constructorArguments,
+          txHash: entry.txHash,
+          blockNumber: entry.blockNumber,
+          deployer: signer.address,
+          extra: entry.create2
+            ? { manifest: manifest.name, create2: entry.create2 }
+            : { manifest: manifest.name },
+        },
+        { deploymentsDir },
+      );
+    }
+  }
+
+  if (verify) {
+    const seen = new Map();
+    for (const step of manifest.steps) {
+      const entry = state.steps[step.id];
+      if (
+        step.verify === false ||
+        entry.kind === "existing" ||
+        entry.verified ||
+        !entry.address ||
+        !step.contract
+      ) {
+        continue;
+      }
+      const rows = await verifyDeployment(
+        hre,
+        {
+          name: step.id,
+          contractName: step.contract,
+          address: entry.address,
+          constructorArguments: entry.constructorArguments,
+        },
+        { seen, log },
+      );
+      entry.verified = rows.every((row) => row.status !== "failed");
+      saveState(file, state);
+    }
+  }
+
+  log(`\n=== ${manifest.name} on ${hre.network.name} ===`);
+  for (const [id, entry] of Object.entries(state.steps)) {
+    log(`${id}: ${entry.address || entry.txHash}`);
+  }
+  log(`State saved to ${path.relative(process.cwd(), file)}`);
+
+  return state;
+}
+
+/**
+ * Precomputes the CREATE2 address of every step marked `create2`, without
+ * sending anything, and reports what is at each address now ("free",
+ * "deployed" or "conflict"). Steps whose arguments depend on steps that are
+ * not deployed with CREATE2 are "unresolved".
+ */
+async function predictManifest(hre, manifest, options = {}) {
+  const { create2 = {}, signer = await getSigner(hre) } = options;
+  const context = createContext(hre, manifest, signer, { create2 });
+
+  const rows = [];
+  for (const step of manifest.steps.filter((item) => item.create2)) {
+    const row = { id: step.id, contract: step.contract };
+    rows.push(row);
+    let args;
+    try {
+      args = resolveValue(step.args || [], context);
+    } catch (error) {
+      row.status = "unresolved";
+      row.reason = error.message;
+      continue;
+    }
+    const { address, salt } = await predictAddress(hre, step.contract, args, {
+      salt: stepSalt(step, context),
+    });
+    Object.assign(row, {
+      address,
+      salt,
+      status: await addressStatus(hre, step.contract, address),
+    });
+    context.steps[step.id] = { address, contract: step.contract };
+  }
+  return rows;
+}
+
+module.exports = {
+  MANIFESTS_DIR,
+  loadManifest,
+  validateManifest,
+  resolveValue,
+  runManifest,
+  predictManifest,
+};
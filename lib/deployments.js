@@ -0,0 +1,350 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { NETWORKS, getNetworkConfig } = require("./networks");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+const LEGACY_SUFFIX = "-deployment.json";
+
+// Deployment records live in deployments/<chainId>/<Name>.json. Every file
+// keeps the full history of deployments for that name; the last entry is the
+// current one. Entries are only ever appended.
+
+function chainDir(chainId, deploymentsDir = DEPLOYMENTS_DIR) {
+  return path.join(deploymentsDir, String(chainId));
+}
+
+function recordPath(chainId, name, deploymentsDir = DEPLOYMENTS_DIR) {
+  return path.join(chainDir(chainId, deploymentsDir), `${name}.json`);
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function listChainIds(deploymentsDir = DEPLOYMENTS_DIR) {
+  if (!fs.existsSync(deploymentsDir)) return [];
+  return fs
+    .readdirSync(deploymentsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && /^\d+$/.test(entry.name))
+    .map((entry) => Number(entry.name));
+}
+
+function listRecordFiles(chainId, deploymentsDir = DEPLOYMENTS_DIR) {
+  const dir = chainDir(chainId, deploymentsDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.join(dir, file));
+}
+
+/**
+ * Resolves a chain id from a chain id, a network name used in the records, or
+ * a Hardhat runtime environment.
+ */
+function resolveChainId(network, deploymentsDir = DEPLOYMENTS_DIR) {
+  if (network && network.network && network.network.config) {
+    if (network.network.config.chainId !== undefined) {
+      return Number(network.network.config.chainId);
+    }
+    network = network.network.name;
+  }
+  if (typeof network === "number" || typeof network === "bigint") {
+    return Number(network);
+  }
+  if (typeof network === "string" && /^\d+$/.test(network)) {
+    return Number(network);
+  }
+
+  for (const chainId of listChainIds(deploymentsDir)) {
+    for (const file of listRecordFiles(chainId, deploymentsDir)) {
+      if (readJSON(file).network === network) {
+        return chainId;
+      }
+    }
+  }
+  throw new Error(`No deployment records found for network ${network}`);
+}
+
+function gitCommit() {
+  try {
+    const commit = execSync("git rev-parse HEAD", {
+      cwd: __dirname,
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+    const dirty =
+      execSync("git status --porcelain", {
+        cwd: __dirname,
+        stdio: ["ignore", "pipe", "ignore"],
+      })
+        .toString()
+        .trim() !== "";
+    return { commit, dirty };
+  } catch (error) {
+    return undefined;
+  }
+}
+
+async function compilerSettings(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`,
+  );
+  if (!buildInfo) return undefined;
+
+  const { optimizer, viaIR, evmVersion } = buildInfo.input.settings;
+  return {
+    version: buildInfo.solcLongVersion,
+    optimizer,
+    viaIR,
+    evmVersion,
+    sourceName: artifact.sourceName,
+  };
+}
+
+// Proxies expose owner() through their implementation, so this does not rely
+// on the recorded ABI.
+async function readOwner(hre, address) {
+  const contract = new hre.ethers.Contract(
+    address,
+    ["function owner() view returns (address)"],
+    hre.ethers.provider,
+  );
+  try {
+    return await contract.owner();
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * The chain id records of the running network are written under. A local
+ * node (anvil, `hardhat node`) forking a live chain reports that chain's id,
+ * so it is refused rather than mixing fork-only contracts into the live
+ * chain's records.
+ */
+async function recordingChainId(hre) {
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const definition = NETWORKS[hre.network.name];
+  if (!definition || !definition.local) return chainId;
+  const live = Object.keys(NETWORKS).find((name) => {
+    if (NETWORKS[name].local) return false;
+    return getNetworkConfig(name).chainId === chainId;
+  });
+  if (live) {
+    throw new Error(
+      `${hre.network.name} reports chain ${chainId}, which is ${live}; a local fork is not recorded into the ${live} records. Restart the node with another chain id (anvil --chain-id 31337)`,
+    );
+  }
+  return chainId;
+}
+
+/**
+ * Appends a deployment entry to deployments/<chainId>/<name>.json and returns
+ * the stored entry. The owner at the time of recording is stored for
+ * Ownable contracts.
+ */
+async function recordDeployment(hre, name, deployment, options = {}) {
+  const { deploymentsDir = DEPLOYMENTS_DIR } = options;
+  const chainId = await recordingChainId(hre);
+  const contractName = deployment.contractName || name;
+  const artifact = await hre.artifacts.readArtifact(contractName);
+
+  const file = recordPath(chainId, name, deploymentsDir);
+  const record = fs.existsSync(file)
+    ? readJSON(file)
+    : { name, chainId, deployments: [] };
+  record.network = hre.network.name;
+
+  const entry = {
+    contractName,
+    address: deployment.address,
+    constructorArguments: deployment.constructorArguments || [],
+    txHash: deployment.txHash,
+    blockNumber: deployment.blockNumber,
+    deployer: deployment.deployer,
+    owner: deployment.owner || (await readOwner(hre, deployment.address)),
+    deploymentTime: new Date().toISOString(),
+    network: hre.network.name,
+    git: gitCommit(),
+    compiler: await compilerSettings(hre, contractName),
+    ...deployment.extra,
+    abi: artifact.abi,
+  };
+
+  record.deployments.push(entry);
+  writeJSON(file, record);
+  console.log(
+    `Recorded ${name} at ${entry.address} in ${path.relative(process.cwd(), file)}`,
+  );
+  return entry;
+}
+
+function readRecord(name, network, deploymentsDir = DEPLOYMENTS_DIR) {
+  const chainId = resolveChainId(network, deploymentsDir);
+  const file = recordPath(chainId, name, deploymentsDir);
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+  return readJSON(file);
+}
+
+/**
+ * Returns the current deployment of `name` on `network`, or undefined.
+ */
+function getDeployment(name, network, deploymentsDir = DEPLOYMENTS_DIR) {
+  const record = readRecord(name, network, deploymentsDir);
+  if (!record || record.deployments.length === 0) {
+    return undefined;
+  }
+  return record.deployments[record.deployments.length - 1];
+}
+
+/**
+ * Returns the current address of `name` on `network` and throws when there is
+ * no record for it.
+ */
+function getAddress(name, network, deploymentsDir = DEPLOYMENTS_DIR) {
+  const deployment = getDeployment(name, network, deploymentsDir);
+  if (!deployment) {
+    const label = network && network.network ? network.network.name : network;
+    throw new Error(`No deployment of ${name} recorded for network ${label}`);
+  }
+  return deployment.address;
+}
+
+function getDeploymentHistory(name, network, deploymentsDir = DEPLOYMENTS_DIR) {
+  const record = readRecord(name, network, deploymentsDir);
+  return record ? record.deployments : [];
+}
+
+/**
+ * Returns the current deployment of every recorded name on `network`, keyed
+ * by name.
+ */
+function listDeployments(network, deploymentsDir = DEPLOYMENTS_DIR) {
+  const chainId = resolveChainId(network, deploymentsDir);
+  const deployments = {};
+  for (const file of listRecordFiles(chainId, deploymentsDir)) {
+    const record = readJSON(file);
+    if (record.deployments && record.deployments.length > 0) {
+      deployments[record.name] =
+        record.deployments[record.deployments.length - 1];
+    }
+  }
+  return deployments;
+}
+
+/**
+ * Returns every recorded deployment on `network`, oldest first, keyed by
+ * name.
+ */
+function listDeploymentHistories(network, deploymentsDir = DEPLOYMENTS_DIR) {
+  const chainId = resolveChainId(network, deploymentsDir);
+  const histories = {};
+  for (const file of listRecordFiles(chainId, deploymentsDir)) {
+    const record = readJSON(file);
+    if (record.deployments && record.deployments.length > 0) {
+      histories[record.name] = record.deployments;
+    }
+  }
+  return histories;
+}
+
+/**
+ * Moves flat deployments/<Contract>-deployment.json files written by the old
+ * deploy scripts into the per-chain records, keeping them as history.
+ */
+function migrateLegacyRecords(deploymentsDir = DEPLOYMENTS_DIR) {
+  const legacyFiles = fs
+    .readdirSync(deploymentsDir)
+    .filter((file) => file.endsWith(LEGACY_SUFFIX))
+    .map((file) => path.join(deploymentsDir, file));
+
+  const migrated = [];
+  for (const legacyFile of legacyFiles) {
+    const { contractName, chainId, network, ...legacy } = readJSON(legacyFile);
+    const file = recordPath(chainId, contractName, deploymentsDir);
+    const record = fs.existsSync(file)
+      ? readJSON(file)
+      : { name: contractName, chainId, network, deployments: [] };
+
+    const known = record.deployments.some(
+      (entry) => entry.address === legacy.address,
+    );
+    if (!known) {
+      record.deployments.push({ contractName, network, ...legacy });
+      record.deployments.sort((a, b) =>
+        (a.deploymentTime || "").localeCompare(b.deploymentTime || ""),
+      );
+    }
+    writeJSON(file, record);
+    fs.unlinkSync(legacyFile);
+    migrated.push(contractName);
+  }
+  return migrated;
+}
+
+/**
+ * Adds the addresses from an old *-summary.json file to the per-chain records.
+ * Summaries carry no timestamps, so unknown addresses are treated as the
+ * oldest entries of their record.
+ */
+function importLegacySummary(
+  summaryFile,
+  chainId,
+  network,
+  names,
+  deploymentsDir = DEPLOYMENTS_DIR,
+) {
+  const summary = readJSON(summaryFile);
+  const imported = [];
+  for (const [key, name] of Object.entries(names)) {
+    const address = summary[key];
+    if (!address) continue;
+
+    const file = recordPath(chainId, name, deploymentsDir);
+    const record = fs.existsSync(file)
+      ? readJSON(file)
+      : { name, chainId, network, deployments: [] };
+    if (record.deployments.some((entry) => entry.address === address)) {
+      continue;
+    }
+    record.deployments.unshift({
+      contractName: name,
+      address,
+      network,
+      source: path.basename(summaryFile),
+    });
+    writeJSON(file, record);
+    imported.push(name);
+  }
+  fs.unlinkSync(summaryFile);
+  return imported;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  chainDir,
+  recordPath,
+  resolveChainId,
+  listChainIds,
+  readOwner,
+  recordingChainId,
+  recordDeployment,
+  getDeployment,
+  getAddress,
+  getDeploymentHistory,
+  listDeployments,
+  listDeploymentHistories,
+  migrateLegacyRecords,
+  importLegacySummary,
+};
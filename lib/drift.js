@@ -0,0 +1,246 @@
+const { getAddress } = require("ethers");
+const { matchesCompiled, readCompiled } = require("./bytecode");
+const {
+  DEPLOYMENTS_DIR,
+  listDeployments,
+  listDeploymentHistories,
+} = require("./deployments");
+const { desiredMetadata, FIELDS } = require("./metadata");
+const { getNetworkConfig } = require("./networks");
+const { detectProxy } = require("./verify");
+
+/**
+ * Chain id whose records describe the running network. A local node forking
+ * a registered network is compared against that network's records.
+ */
+async function recordsChainId(hre) {
+  const config = getNetworkConfig(hre.network.name);
+  if (config.forkOf) {
+    return getNetworkConfig(config.forkOf).chainId;
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return Number(chainId);
+}
+
+// Reverting getters are reported as drift rather than aborting the check.
+async function call(hre, address, signature) {
+  const contract = new hre.ethers.Contract(
+    address,
+    [`function ${signature}`],
+    hre.ethers.provider,
+  );
+  const [name] = signature.split("(");
+  try {
+    return await contract[name]();
+  } catch (error) {
+    return `${name}() reverted`;
+  }
+}
+
+function row(name, address, check, expected, actual, ok = expected === actual) {
+  return {
+    name,
+    address,
+    check,
+    status: ok ? "ok" : "drift",
+    expected,
+    actual,
+  };
+}
+
+async function checkDeployment(hre, name, deployment, options) {
+  const { address, contractName } = deployment;
+  const rows = [];
+
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    return [row(name, address, "code", "contract", "no code")];
+  }
+
+  const { kind, implementation } = await detectProxy(
+    hre.ethers.provider,
+    address,
+  );
+  const compiled = await readCompiled(hre, contractName);
+  if (kind === "clone") {
+    rows.push({
+      name,
+      address,
+      check: "bytecode",
+      status: "skipped",
+      actual: `clone of ${implementation}`,
+    });
+  } else if (!compiled) {
+    rows.push({
+      name,
+      address,
+      check: "bytecode",
+      status: "skipped",
+      actual: `no artifact for ${contractName}`,
+    });
+  } else {
+    const matches = matchesCompiled(code, compiled);
+    rows.push(
+      row(
+        name,
+        address,
+        "bytecode",
+        contractName,
+        matches ? contractName : "different runtime code",
+      ),
+    );
+  }
+
+  if (kind === "proxy") {
+    // Records imported from the old deploy summaries have no arguments
+    const expected =
+      (deployment.upgrade && deployment.upgrade.to) ||
+      (deployment.constructorArguments && deployment.constructorArguments[0]);
+    rows.push(
+      expected
+        ? row(
+            name,
+            address,
+            "implementation",
+            getAddress(expected),
+            implementation,
+          )
+        : {
+            name,
+            address,
+            check: "implementation",
+            status: "skipped",
+            actual: "no constructor arguments recorded",
+          },
+    );
+  }
+
+  if (compiled && compiled.version) {
+    rows.push(
+      row(
+        name,
+        address,
+        "VERSION",
+        compiled.version,
+        await call(hre, address, "VERSION() view returns (string)"),
+      ),
+    );
+  }
+
+  if (deployment.owner) {
+    const owner = await call(hre, address, "owner() view returns (address)");
+    rows.push(row(name, address, "owner", getAddress(deployment.owner), owner));
+  }
+
+  if (
+    contractName === "AffiliateERC1155Storefront" &&
+    options.ready !== undefined
+  ) {
+    const ready = await call(hre, address, "ready() view returns (bool)");
+    rows.push(
+      row(name, address, "ready", String(options.ready), String(ready)),
+    );
+  }
+
+  return rows;
+}
+
+async function checkMetadata(hre, deployments, options) {
+  const { address } = deployments.UmpMetadata;
+  const metadata = await hre.ethers.getContractAt("UmpMetadata", address);
+  const desired = await desiredMetadata(hre, options.histories, options.tokens);
+  const rows = [];
+
+  for (const field of FIELDS) {
+    const expected = desired.addresses[field.getter];
+    if (expected) {
+      rows.push(
+        row(
+          "UmpMetadata",
+          address,
+          field.getter,
+          getAddress(expected),
+          await metadata[field.getter](),
+        ),
+      );
+    }
+  }
+  for (const storefront of desired.storefronts) {
+    const allowlisted = await metadata.isStorefrontAllowlisted(storefront);
+    rows.push(
+      row(
+        "UmpMetadata",
+        address,
+        "storefront allowlist",
+        storefront,
+        allowlisted ? storefront : "missing",
+      ),
+    );
+  }
+  for (const token of desired.tokens) {
+    const supported = await metadata.isSupportedERC20Token(token);
+    rows.push(
+      row(
+        "UmpMetadata",
+        address,
+        "supported token",
+        token,
+        supported ? token : "missing",
+      ),
+    );
+  }
+  return rows;
+}
+
+/**
+ * Compares every recorded contract of the running network with the chain:
+ * runtime bytecode against the compiled artifact, proxy implementation
+ * slots, VERSION constants, recorded owners, storefront `ready` flags
+ * (expected to be `ready`, or not checked when it is null) and UmpMetadata's
+ * registry values.
+ *
+ * Resolves to report rows with a status of "ok", "drift" or "skipped".
+ */
+async function checkDrift(hre, options = {}) {
+  const {
+    names,
+    ready = true,
+    tokens,
+    deploymentsDir = DEPLOYMENTS_DIR,
+  } = options;
+  const chainId = await recordsChainId(hre);
+  const deployments = listDeployments(chainId, deploymentsDir);
+  const rows = [];
+
+  for (const name of names || Object.keys(deployments)) {
+    if (!deployments[name]) {
+      rows.push({ name, check: "record", status: "drift", actual: "missing" });
+      continue;
+    }
+    rows.push(
+      ...(await checkDeployment(hre, name, deployments[name], {
+        ready: ready === null ? undefined : ready,
+      })),
+    );
+  }
+
+  const metadata = deployments.UmpMetadata;
+  if (
+    metadata &&
+    (!names || names.includes("UmpMetadata")) &&
+    (await hre.ethers.provider.getCode(metadata.address)) !== "0x"
+  ) {
+    rows.push(
+      ...(await checkMetadata(hre, deployments, {
+        tokens,
+        histories: listDeploymentHistories(chainId, deploymentsDir),
+      })),
+    );
+  }
+  return rows;
+}
+
+module.exports = {
+  recordsChainId,
+  checkDrift,
+};
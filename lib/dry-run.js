@@ -0,0 +1,234 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  Contract,
+  Interface,
+  JsonRpcProvider,
+  parseEther,
+  toQuantity,
+  Transaction,
+} = require("ethers");
+const { CREATE2_DEPLOYER } = require("./create2");
+const { DEPLOYMENTS_DIR, chainDir } = require("./deployments");
+const { getNetworkConfig } = require("./networks");
+const { estimateFees, feeCaps } = require("./sender");
+const { getSigner, signerAddress } = require("./signers");
+
+// OP Stack chains such as Base charge an L1 data fee on top of execution gas
+const GAS_PRICE_ORACLE = "0x420000000000000000000000000000000000000F";
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Forks registered network `name` into the in-process hardhat network, at
+ * `blockNumber` or the latest block. Manifests then see the constants of the
+ * forked network, as with FORK_NETWORK.
+ */
+async function forkNetwork(hre, name, blockNumber) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error("Dry runs fork into the in-process hardhat network");
+  }
+  const config = getNetworkConfig(name);
+  if (config.local || !config.rpcUrl) {
+    throw new Error(`Cannot fork ${name}: no remote RPC URL`);
+  }
+  const forking = { jsonRpcUrl: config.rpcUrl };
+  if (blockNumber !== undefined) forking.blockNumber = blockNumber;
+  await hre.network.provider.request({
+    method: "hardhat_reset",
+    params: [{ forking }],
+  });
+  process.env.FORK_NETWORK = name;
+  return config;
+}
+
+// Copies the records (and manifest state) of `from` into a scratch directory
+// under the local chain id, so the run resumes like the real one would while
+// nothing it records reaches the real files.
+function scratchRecords(deploymentsDir, from, to) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dry-run-"));
+  const source = chainDir(from, deploymentsDir);
+  if (fs.existsSync(source)) {
+    fs.cpSync(source, chainDir(to, dir), {
+      recursive: true,
+      filter: (file) => path.basename(file) !== "pending.json",
+    });
+  }
+  return dir;
+}
+
+// Recorded contracts by address and by the transaction that created them
+function readRecords(dir, chainId) {
+  const byAddress = new Map();
+  const byTx = new Map();
+  const records = chainDir(chainId, dir);
+  if (!fs.existsSync(records)) return { byAddress, byTx };
+  for (const file of fs.readdirSync(records)) {
+    if (!file.endsWith(".json")) continue;
+    const record = JSON.parse(
+      fs.readFileSync(path.join(records, file), "utf8"),
+    );
+    for (const entry of record.deployments || []) {
+      const item = { name: record.name, ...entry };
+      byAddress.set(entry.address.toLowerCase(), item);
+      if (entry.txHash) byTx.set(entry.txHash, item);
+    }
+  }
+  return { byAddress, byTx };
+}
+
+function describeCall(tx, records) {
+  if (!tx.to) return "deploy";
+  if (sameAddress(tx.to, CREATE2_DEPLOYER)) return "create2 deploy";
+  const target = records.byAddress.get(tx.to.toLowerCase());
+  if (!target) return `${tx.to} ${tx.data.slice(0, 10)}`;
+  const parsed = target.abi && new Interface(target.abi).parseTransaction(tx);
+  return `${target.name}.${parsed ? parsed.name : tx.data.slice(0, 10)}`;
+}
+
+async function l1Fee(oracle, tx, chainId) {
+  if (!oracle) return 0n;
+  const unsigned = Transaction.from({
+    type: 2,
+    chainId,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit,
+    maxFeePerGas: tx.maxFeePerGas,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    to: tx.to,
+    value: tx.value,
+    data: tx.data,
+  });
+  return oracle.getL1Fee(unsigned.unsignedSerialized);
+}
+
+/**
+ * Runs `action` on the in-process hardhat network, forked from `fork` when
+ * given, and reports every transaction it sent without broadcasting any.
+ *
+ * `action` is called with `{ signer, deploymentsDir, log }` and must send
+ * through that signer and record into that directory: a scratch copy of the
+ * records of the forked network. The signer impersonates `from`, by default
+ * the signer configured for `fork`, so addresses match a real run.
+ *
+ * Costs use `gasPrice` (wei) or the current base fee plus the network's
+ * priority fee within MAX_FEE_GWEI, plus the L1 data fee on OP Stack chains.
+ */
+async function dryRun(hre, action, options = {}) {
+  const {
+    fork,
+    blockNumber,
+    gasPrice,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    log = console.log,
+  } = options;
+  const { provider } = hre.ethers;
+
+  let sourceChainId;
+  let feeSource = provider;
+  if (fork) {
+    const config = await forkNetwork(hre, fork, blockNumber);
+    sourceChainId = config.chainId;
+    feeSource = new JsonRpcProvider(config.rpcUrl, config.chainId, {
+      staticNetwork: true,
+    });
+  } else if (hre.network.name !== "hardhat") {
+    throw new Error("Dry runs fork into the in-process hardhat network");
+  }
+  const localChainId = Number((await provider.getNetwork()).chainId);
+  sourceChainId = sourceChainId || localChainId;
+
+  const from = options.from || (fork && signerAddress(fork));
+  let signer;
+  if (from) {
+    await provider.send("hardhat_impersonateAccount", [from]);
+    signer = await hre.ethers.getSigner(from);
+  } else {
+    signer = await getSigner(hre);
+  }
+  const balance = await provider.getBalance(signer.address);
+  await provider.send("hardhat_setBalance", [
+    signer.address,
+    toQuantity(balance + parseEther("1000")),
+  ]);
+
+  const caps = feeCaps();
+  let price = gasPrice;
+  if (price === undefined) {
+    const { baseFeePerGas } = await provider.getBlock("latest");
+    const fees = await estimateFees(feeSource, caps);
+    price =
+      fees.gasPrice !== undefined
+        ? fees.gasPrice
+        : baseFeePerGas + fees.maxPriorityFeePerGas;
+    if (caps.maxFeePerGas !== undefined && price > caps.maxFeePerGas) {
+      price = caps.maxFeePerGas;
+    }
+  }
+
+  const scratch = scratchRecords(deploymentsDir, sourceChainId, localChainId);
+  const startBlock = await provider.getBlockNumber();
+  let result;
+  try {
+    result = await action({ signer, deploymentsDir: scratch, log });
+  } catch (error) {
+    fs.rmSync(scratch, { recursive: true, force: true });
+    throw error;
+  }
+
+  const records = readRecords(scratch, localChainId);
+  fs.rmSync(scratch, { recursive: true, force: true });
+  const oracle =
+    (await provider.getCode(GAS_PRICE_ORACLE)) !== "0x"
+      ? new Contract(
+          GAS_PRICE_ORACLE,
+          ["function getL1Fee(bytes) view returns (uint256)"],
+          provider,
+        )
+      : undefined;
+
+  const transactions = [];
+  const endBlock = await provider.getBlockNumber();
+  for (let number = startBlock + 1; number <= endBlock; number++) {
+    const block = await provider.getBlock(number, true);
+    for (const tx of block.prefetchedTransactions) {
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      const created = records.byTx.get(tx.hash);
+      const fee = await l1Fee(oracle, tx, sourceChainId);
+      transactions.push({
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to,
+        description: describeCall(tx, records),
+        contract: created ? created.name : undefined,
+        address: created ? created.address : receipt.contractAddress,
+        gasUsed: receipt.gasUsed,
+        l1Fee: fee,
+        cost: receipt.gasUsed * price + fee,
+      });
+    }
+  }
+
+  const totalGas = transactions.reduce((sum, tx) => sum + tx.gasUsed, 0n);
+  const totalCost = transactions.reduce((sum, tx) => sum + tx.cost, 0n);
+  return {
+    network: fork || hre.network.name,
+    blockNumber: startBlock,
+    from: signer.address,
+    gasPrice: price,
+    transactions,
+    totalGas,
+    totalCost,
+    balance,
+    sufficient: balance >= totalCost,
+    result,
+  };
+}
+
+module.exports = {
+  forkNetwork,
+  dryRun,
+};
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const { isAddress } = require("ethers");
+const { readInbox } = require("../sdk/inbox");
+const { DEPLOYMENTS_DIR, listDeployments } = require("./deployments");
+const { toCsv } = require("./table");
+
+const ORDER_COLUMNS = [
+  "source",
+  "auctionId",
+  "tokenContract",
+  "tokenId",
+  "escrowAddress",
+  "buyer",
+  "amount",
+  "currency",
+  "affiliate",
+  "final",
+  "encryptionPublicKey",
+  "blockNumber",
+  "transactionHash",
+  "status",
+  "error",
+];
+
+/**
+ * The seller's message keys: SELLER_PRIVATE_KEY (comma-separated, so older
+ * keys still open older messages) and the lines of `keyFile`.
+ */
+function sellerKeys(options = {}) {
+  const { keyFile, env = process.env } = options;
+  const keys = (env.SELLER_PRIVATE_KEY || "").split(",");
+  if (keyFile) {
+    keys.push(...fs.readFileSync(keyFile, "utf8").split(/\r?\n/));
+  }
+  return keys.map((key) => key.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the inbox of `target`, a record name or address, on the current
+ * network. Recorded contracts are scanned from their deployment block, and
+ * auction house keys are read from the recorded EncryptionKeyRegistry.
+ */
+async function sellerInbox(hre, target, options = {}) {
+  const { deploymentsDir = DEPLOYMENTS_DIR, ...inboxOptions } = options;
+  const deployments = listDeployments(hre, deploymentsDir);
+  const registry = deployments.EncryptionKeyRegistry;
+  let address = target;
+  let { fromBlock } = options;
+  if (!isAddress(target)) {
+    const deployment = deployments[target];
+    if (!deployment) {
+      throw new Error(
+        `No deployment of ${target} recorded on ${hre.network.name}`,
+      );
+    }
+    address = deployment.address;
+    if (fromBlock === undefined) fromBlock = deployment.blockNumber;
+  }
+  return readInbox(hre.ethers.provider, address, {
+    keyRegistry: registry && registry.address,
+    ...inboxOptions,
+    fromBlock: fromBlock || 0,
+  });
+}
+
+/**
+ * One flat row per order; the fields of object payloads (a shipping address,
+ * say) become columns of their own, other payloads go in `message`.
+ */
+function inboxRows(inbox) {
+  return inbox.orders.map(({ payload, ...order }) => {
+    if (payload !== null && typeof payload === "object") {
+      return { ...payload, ...order };
+    }
+    return payload === undefined ? order : { ...order, message: payload };
+  });
+}
+
+function inboxCsv(inbox) {
+  const rows = inboxRows(inbox);
+  const extra = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!ORDER_COLUMNS.includes(key)) extra.add(key);
+    }
+  }
+  return toCsv(rows, [...ORDER_COLUMNS, ...extra]);
+}
+
+module.exports = {
+  sellerKeys,
+  sellerInbox,
+  inboxRows,
+  inboxCsv,
+};
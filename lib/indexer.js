@@ -0,0 +1,980 @@
+const fs = require("fs");
+const path = require("path");
+const { setTimeout: sleep } = require("timers/promises");
+const { Interface, ZeroAddress, getAddress } = require("ethers");
+const artifacts = require("../abi");
+const {
+  DEPLOYMENTS_DIR,
+  chainDir,
+  listDeployments,
+  resolveChainId,
+} = require("./deployments");
+
+const KINDS = [
+  "AuctionHouseFactory",
+  "AuctionHouse",
+  "AffiliateERC1155StorefrontFactory",
+  "AffiliateERC1155Storefront",
+  "AffiliateEscrowFactory",
+  "AffiliateEscrow",
+  "ReceiptERC1155Factory",
+  "ReceiptERC1155",
+  "CurationStorefront",
+];
+
+const INTERFACES = {
+  ...Object.fromEntries(
+    KINDS.map((kind) => [kind, new Interface(artifacts[kind].abi)]),
+  ),
+  // The tokens storefronts sell, whatever their contract
+  ERC1155: new Interface([
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+  ]),
+};
+
+// Events that point at contracts to follow: kind -> event -> [[argument, kind]]
+const CHILDREN = {
+  AuctionHouseFactory: {
+    AuctionHouseCreated: [["auctionHouse", "AuctionHouse"]],
+  },
+  AffiliateERC1155StorefrontFactory: {
+    StorefrontCreated: [
+      ["storefront", "AffiliateERC1155Storefront"],
+      // Storefronts create their next escrow ahead of the order paying it
+      ["escrowFactory", "AffiliateEscrowFactory"],
+      // Its balances are the storefront's stock
+      ["erc1155Token", "ERC1155"],
+    ],
+  },
+  AffiliateEscrowFactory: {
+    AffiliateEscrowCreated: [["escrowAddress", "AffiliateEscrow"]],
+  },
+  ReceiptERC1155Factory: {
+    ReceiptERC1155Created: [["tokenAddress", "ReceiptERC1155"]],
+  },
+  AuctionHouse: { AuctionCreated: [["escrowAddress", "AffiliateEscrow"]] },
+  AffiliateERC1155Storefront: {
+    StorefrontOrderFulfilled: [["escrowContract", "AffiliateEscrow"]],
+    ERC1155TokenAddressChanged: [["newAddress", "ERC1155"]],
+  },
+};
+
+// Addresses per eth_getLogs request
+const ADDRESS_CHUNK = 100;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS checkpoint (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  chain_id INTEGER NOT NULL,
+  block_number INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS contracts (
+  address TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  name TEXT,
+  parent TEXT,
+  created_block INTEGER NOT NULL,
+  backfill INTEGER NOT NULL DEFAULT 0
+);
+CREATE TABLE IF NOT EXISTS events (
+  id INTEGER PRIMARY KEY,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  name TEXT NOT NULL,
+  args TEXT NOT NULL,
+  UNIQUE (block_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_by_name ON events (name, address);
+CREATE INDEX IF NOT EXISTS events_by_block ON events (block_number);
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL
+);
+-- What AuctionCreated leaves out, read from the house at the same block
+CREATE TABLE IF NOT EXISTS auction_terms (
+  auction_house TEXT NOT NULL,
+  auction_id TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  start_time INTEGER NOT NULL,
+  end_time INTEGER NOT NULL,
+  premium_bps INTEGER NOT NULL,
+  min_bid_increment_bps INTEGER NOT NULL,
+  time_extension INTEGER NOT NULL,
+  block_number INTEGER NOT NULL,
+  PRIMARY KEY (auction_house, auction_id)
+);
+
+CREATE VIEW IF NOT EXISTS auctions AS
+SELECT
+  created.address AS auction_house,
+  json_extract(created.args, '$.auctionId') AS auction_id,
+  json_extract(created.args, '$.auctionOwner') AS seller,
+  json_extract(created.args, '$.tokenContract') AS token_contract,
+  json_extract(created.args, '$.tokenId') AS token_id,
+  json_extract(created.args, '$.reservePrice') AS reserve_price,
+  json_extract(created.args, '$.affiliateFee') AS affiliate_fee,
+  json_extract(created.args, '$.arbiter') AS arbiter,
+  json_extract(created.args, '$.isPremiumAuction') AS premium,
+  json_extract(created.args, '$.escrowAddress') AS escrow,
+  terms.currency,
+  terms.premium_bps,
+  terms.min_bid_increment_bps,
+  terms.start_time,
+  coalesce(
+    (SELECT max(CAST(json_extract(args, '$.newEndTime') AS INTEGER))
+      FROM events
+      WHERE address = created.address AND name = 'AuctionExtended'
+        AND json_extract(args, '$.auctionId') = json_extract(created.args, '$.auctionId')),
+    terms.end_time
+  ) AS end_time,
+  created.block_number AS created_block,
+  created.log_index AS created_log_index,
+  created.timestamp AS created_at,
+  (SELECT count(*) FROM bids
+    WHERE bids.auction_house = created.address
+      AND bids.auction_id = json_extract(created.args, '$.auctionId')) AS bids,
+  (SELECT amount FROM bids
+    WHERE bids.auction_house = created.address
+      AND bids.auction_id = json_extract(created.args, '$.auctionId')
+    ORDER BY block_number DESC, log_index DESC LIMIT 1) AS highest_bid,
+  (SELECT bidder FROM bids
+    WHERE bids.auction_house = created.address
+      AND bids.auction_id = json_extract(created.args, '$.auctionId')
+    ORDER BY block_number DESC, log_index DESC LIMIT 1) AS highest_bidder,
+  CASE
+    WHEN EXISTS (SELECT 1 FROM events
+      WHERE address = created.address AND name = 'AuctionEnded'
+        AND json_extract(args, '$.auctionId') = json_extract(created.args, '$.auctionId'))
+      THEN 'ended'
+    WHEN EXISTS (SELECT 1 FROM events
+      WHERE address = created.address AND name = 'AuctionCancelled'
+        AND json_extract(args, '$.auctionId') = json_extract(created.args, '$.auctionId'))
+      THEN 'cancelled'
+    ELSE 'open'
+  END AS status,
+  (SELECT state FROM escrows
+    WHERE escrows.escrow = json_extract(created.args, '$.escrowAddress')) AS escrow_state
+FROM events AS created
+LEFT JOIN auction_terms AS terms
+  ON terms.auction_house = created.address
+  AND terms.auction_id = json_extract(created.args, '$.auctionId')
+WHERE created.name = 'AuctionCreated';
+
+CREATE VIEW IF NOT EXISTS bids AS
+SELECT
+  address AS auction_house,
+  json_extract(args, '$.auctionId') AS auction_id,
+  json_extract(args, '$.bidder') AS bidder,
+  json_extract(args, '$.bidAmount') AS amount,
+  json_extract(args, '$.affiliate') AS affiliate,
+  block_number,
+  log_index,
+  timestamp,
+  transaction_hash
+FROM events
+WHERE name = 'BidCreated';
+
+-- The event's buyer is the escrow paid; the buyer is the payer it was given
+CREATE VIEW IF NOT EXISTS orders AS
+SELECT
+  fulfilled.address AS storefront,
+  json_extract(fulfilled.args, '$.tokenId') AS token_id,
+  json_extract(fulfilled.args, '$.amount') AS amount,
+  (SELECT json_extract(payer.args, '$.payer') FROM events AS payer
+    WHERE payer.address = json_extract(fulfilled.args, '$.escrowContract')
+      AND payer.name = 'PayerSet'
+      AND payer.transaction_hash = fulfilled.transaction_hash) AS buyer,
+  json_extract(fulfilled.args, '$.paymentToken') AS payment_token,
+  json_extract(fulfilled.args, '$.price') AS price,
+  json_extract(fulfilled.args, '$.escrowContract') AS escrow,
+  json_extract(fulfilled.args, '$.affiliate') AS affiliate,
+  json_extract(fulfilled.args, '$.affiliateShare') AS affiliate_share,
+  (SELECT state FROM escrows
+    WHERE escrows.escrow = json_extract(fulfilled.args, '$.escrowContract')) AS escrow_state,
+  fulfilled.block_number,
+  fulfilled.log_index,
+  fulfilled.timestamp,
+  fulfilled.transaction_hash
+FROM events AS fulfilled
+WHERE fulfilled.name = 'StorefrontOrderFulfilled';
+
+-- What came in (the final amount of the auction or the price of the order
+-- that paid into it), what is left after every settle (payee and affiliate),
+-- refund and escape, and the state named as EscrowClient names them. Releases
+-- can be partial: the state of the last one only holds once nothing is left,
+-- until then the escrow is still funded.
+CREATE VIEW IF NOT EXISTS escrows AS
+SELECT escrow, parent, created_block, last_event, deposited, remaining,
+  CASE
+    WHEN state IN ('settled', 'refunded', 'escaped')
+      AND remaining NOT LIKE '-%' AND remaining != '0' THEN 'funded'
+    ELSE state
+  END AS state
+FROM (
+  SELECT *,
+    CASE WHEN deposited IS NOT NULL THEN
+      (SELECT decimal_sum(value) FROM (
+        SELECT deposited AS value
+        UNION ALL
+        SELECT '-' || json_extract(args, '$.amount') FROM events
+          WHERE address = escrow AND name IN ('Settled', 'Refunded', 'Escaped')
+        UNION ALL
+        SELECT '-' || json_extract(args, '$.affiliateAmount') FROM events
+          WHERE address = escrow AND name = 'Settled'))
+    END AS remaining
+  FROM (
+    SELECT
+      contracts.address AS escrow,
+      contracts.parent,
+      contracts.created_block,
+      (SELECT name FROM events
+        WHERE events.address = contracts.address
+        ORDER BY block_number DESC, log_index DESC LIMIT 1) AS last_event,
+      coalesce(
+        (SELECT json_extract(ended.args, '$.finalAmount')
+          FROM events AS created
+          JOIN events AS ended ON ended.address = created.address
+            AND ended.name = 'AuctionEnded'
+            AND json_extract(ended.args, '$.auctionId') = json_extract(created.args, '$.auctionId')
+          WHERE created.name = 'AuctionCreated'
+            AND json_extract(created.args, '$.escrowAddress') = contracts.address),
+        (SELECT json_extract(args, '$.price') FROM events
+          WHERE name = 'StorefrontOrderFulfilled'
+            AND json_extract(args, '$.escrowContract') = contracts.address)
+      ) AS deposited,
+      coalesce(
+        (SELECT CASE name
+            WHEN 'Disputed' THEN 'disputed'
+            WHEN 'DisputeResolved' THEN
+              CASE json_extract(args, '$.settled') WHEN 1 THEN 'settled' ELSE 'refunded' END
+            WHEN 'Settled' THEN 'settled'
+            WHEN 'Refunded' THEN 'refunded'
+            WHEN 'Escaped' THEN 'escaped'
+            ELSE 'funded'
+          END
+          FROM events
+          WHERE address = contracts.address
+            AND name IN ('PayerSet', 'Disputed', 'DisputeRemoved', 'DisputeResolved',
+              'Settled', 'Refunded', 'Escaped')
+          ORDER BY block_number DESC, log_index DESC LIMIT 1),
+        'awaiting-payer'
+      ) AS state
+    FROM contracts
+    WHERE contracts.kind = 'AffiliateEscrow'
+  )
+);
+
+-- The current listing of each storefront token; removed ones are left out
+CREATE VIEW IF NOT EXISTS listings AS
+SELECT storefront, token_id, price, payment_token, affiliate_fee, block_number
+FROM (
+  SELECT
+    address AS storefront,
+    json_extract(args, '$.tokenId') AS token_id,
+    name,
+    CASE name WHEN 'ListingUpdated' THEN json_extract(args, '$.newPrice')
+      ELSE json_extract(args, '$.price') END AS price,
+    CASE name WHEN 'ListingUpdated' THEN json_extract(args, '$.newPaymentToken')
+      ELSE json_extract(args, '$.paymentToken') END AS payment_token,
+    CASE name WHEN 'ListingUpdated' THEN json_extract(args, '$.newAffiliateFee')
+      ELSE json_extract(args, '$.affiliateFee') END AS affiliate_fee,
+    block_number,
+    row_number() OVER (
+      PARTITION BY address, json_extract(args, '$.tokenId')
+      ORDER BY block_number DESC, log_index DESC
+    ) AS latest
+  FROM events
+  WHERE kind = 'AffiliateERC1155Storefront'
+    AND name IN ('ListingAdded', 'ListingUpdated', 'ListingRemoved')
+)
+WHERE latest = 1 AND name != 'ListingRemoved';
+
+-- The token each storefront sells now, and whether its transfers are indexed
+CREATE VIEW IF NOT EXISTS storefront_tokens AS
+SELECT storefront, token,
+  EXISTS (SELECT 1 FROM contracts WHERE address = token) AS followed
+FROM (
+  SELECT storefront, token, row_number() OVER (
+    PARTITION BY storefront ORDER BY block_number DESC, log_index DESC
+  ) AS latest
+  FROM (
+    SELECT json_extract(args, '$.storefront') AS storefront,
+      json_extract(args, '$.erc1155Token') AS token, block_number, log_index
+    FROM events WHERE name = 'StorefrontCreated'
+    UNION ALL
+    SELECT address, json_extract(args, '$.newAddress'), block_number, log_index
+    FROM events WHERE name = 'ERC1155TokenAddressChanged'
+  )
+)
+WHERE latest = 1;
+
+-- ERC1155 transfers, one row per id of a batch
+CREATE VIEW IF NOT EXISTS token_transfers AS
+SELECT
+  address AS token,
+  json_extract(args, '$.from') AS sender,
+  json_extract(args, '$.to') AS recipient,
+  json_extract(args, '$.id') AS token_id,
+  json_extract(args, '$.value') AS value,
+  block_number,
+  log_index
+FROM events
+WHERE name = 'TransferSingle'
+UNION ALL
+SELECT
+  events.address,
+  json_extract(events.args, '$.from'),
+  json_extract(events.args, '$.to'),
+  ids.value,
+  json_extract(events.args, '$.values[' || ids.key || ']'),
+  events.block_number,
+  events.log_index
+FROM events, json_each(events.args, '$.ids') AS ids
+WHERE events.name = 'TransferBatch';
+
+CREATE VIEW IF NOT EXISTS curations AS
+SELECT
+  created.address AS contract,
+  json_extract(created.args, '$.curationId') AS curation_id,
+  json_extract(created.args, '$.name') AS name,
+  json_extract(created.args, '$.description') AS description,
+  coalesce(
+    (SELECT json_extract(args, '$.newAddress') FROM events
+      WHERE address = created.address AND name = 'PaymentAddressUpdated'
+        AND json_extract(args, '$.curationId') = json_extract(created.args, '$.curationId')
+      ORDER BY block_number DESC, log_index DESC LIMIT 1),
+    json_extract(created.args, '$.paymentAddress')
+  ) AS payment_address,
+  (SELECT json_extract(args, '$.newTokenURI') FROM events
+    WHERE address = created.address AND name = 'MetadataUpdated'
+      AND json_extract(args, '$.curationId') = json_extract(created.args, '$.curationId')
+    ORDER BY block_number DESC, log_index DESC LIMIT 1) AS token_uri,
+  created.block_number AS created_block
+FROM events AS created
+WHERE created.kind = 'CurationStorefront' AND created.name = 'CurationCreated';
+
+-- Curators whose last event added them
+CREATE VIEW IF NOT EXISTS curators AS
+SELECT contract, curation_id, curator, block_number, log_index
+FROM (
+  SELECT
+    address AS contract,
+    json_extract(args, '$.curationId') AS curation_id,
+    json_extract(args, '$.curator') AS curator,
+    name,
+    block_number,
+    log_index,
+    row_number() OVER (
+      PARTITION BY address, json_extract(args, '$.curationId'), json_extract(args, '$.curator')
+      ORDER BY block_number DESC, log_index DESC
+    ) AS latest
+  FROM events
+  WHERE kind = 'CurationStorefront' AND name IN ('CuratorAdded', 'CuratorRemoved')
+)
+WHERE latest = 1 AND name = 'CuratorAdded';
+
+CREATE VIEW IF NOT EXISTS curated_listings AS
+SELECT
+  curated.address AS contract,
+  json_extract(curated.args, '$.curationId') AS curation_id,
+  json_extract(curated.args, '$.listingId') AS listing_id,
+  json_extract(curated.args, '$.storefrontAddress') AS storefront,
+  json_extract(curated.args, '$.tokenId') AS token_id,
+  coalesce(
+    (SELECT json_extract(args, '$.active') FROM events
+      WHERE address = curated.address AND kind = 'CurationStorefront'
+        AND name = 'ListingUpdated'
+        AND json_extract(args, '$.curationId') = json_extract(curated.args, '$.curationId')
+        AND json_extract(args, '$.listingId') = json_extract(curated.args, '$.listingId')
+      ORDER BY block_number DESC, log_index DESC LIMIT 1),
+    1
+  ) AS active
+FROM events AS curated
+WHERE curated.kind = 'CurationStorefront' AND curated.name = 'ListingCurated';
+
+-- What affiliates were paid (settled) and are owed: amount * share_bps / 10000,
+-- from every settle, and from what is left in funded or disputed escrows of
+-- ended auctions and orders
+CREATE VIEW IF NOT EXISTS affiliate_payouts AS
+SELECT
+  json_extract(args, '$.affiliate') AS affiliate,
+  json_extract(args, '$.token') AS token,
+  json_extract(args, '$.affiliateAmount') AS amount,
+  10000 AS share_bps,
+  1 AS settled
+FROM events
+WHERE kind = 'AffiliateEscrow' AND name = 'Settled'
+UNION ALL
+SELECT
+  json_extract(ended.args, '$.affiliate'),
+  auctions.currency,
+  escrows.remaining,
+  auctions.affiliate_fee,
+  0
+FROM events AS ended
+JOIN auctions ON auctions.auction_house = ended.address
+  AND auctions.auction_id = json_extract(ended.args, '$.auctionId')
+JOIN escrows ON escrows.escrow = auctions.escrow
+WHERE ended.name = 'AuctionEnded'
+  AND escrows.state IN ('funded', 'disputed')
+UNION ALL
+SELECT orders.affiliate, orders.payment_token, escrows.remaining,
+  orders.affiliate_share, 0
+FROM orders
+JOIN escrows ON escrows.escrow = orders.escrow
+WHERE escrows.state IN ('funded', 'disputed');
+`;
+
+// Amounts are uint256 decimal strings, past what SQLite integers hold, so
+// every connection gets decimal_sum(value) and decimal_share(amount, bps)
+function addFunctions(db) {
+  db.aggregate("decimal_sum", {
+    start: () => 0n,
+    step: (total, value) => (value === null ? total : total + BigInt(value)),
+    result: (total) => total.toString(),
+  });
+  db.function("decimal_share", (amount, bps) =>
+    amount === null
+      ? null
+      : ((BigInt(amount) * BigInt(bps)) / 10000n).toString(),
+  );
+}
+
+function defaultIndexFile(chainId, deploymentsDir = DEPLOYMENTS_DIR) {
+  return path.join(chainDir(chainId, deploymentsDir), "state", "index.sqlite");
+}
+
+/**
+ * Opens (creating it if needed) the SQLite index of chain `chainId` at
+ * `file`. An index built for another chain is refused. With `readOnly` the
+ * index must exist already; it can be read while the indexer writes to it.
+ */
+function openIndex(file, chainId, options = {}) {
+  const { readOnly = false } = options;
+  // node:sqlite needs Node 22; required here so the tasks load without it
+  const { DatabaseSync } = require("node:sqlite");
+  if (readOnly && !fs.existsSync(file)) {
+    throw new Error(`No index at ${file}; run \`npx hardhat index\` first`);
+  }
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  const db = new DatabaseSync(file, { readOnly });
+  addFunctions(db);
+  if (!readOnly) {
+    db.exec("PRAGMA journal_mode = WAL");
+    // Views hold no data: recreate them so older indexes get the current ones
+    for (const { name } of db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'view'")
+      .all()) {
+      db.exec(`DROP VIEW "${name}"`);
+    }
+    db.exec(SCHEMA);
+  }
+
+  const checkpoint = db.prepare("SELECT chain_id FROM checkpoint").get();
+  if (checkpoint && checkpoint.chain_id !== Number(chainId)) {
+    db.close();
+    throw new Error(
+      `${file} indexes chain ${checkpoint.chain_id}, not ${chainId}`,
+    );
+  }
+  if (!checkpoint) {
+    db.prepare(
+      "INSERT INTO checkpoint (id, chain_id, block_number) VALUES (1, ?, -1)",
+    ).run(Number(chainId));
+  }
+  return db;
+}
+
+function readCheckpoint(db) {
+  return db.prepare("SELECT block_number FROM checkpoint").get().block_number;
+}
+
+function transaction(db, fn) {
+  db.exec("BEGIN");
+  try {
+    const result = fn();
+    db.exec("COMMIT");
+    return result;
+  } catch (error) {
+    db.exec("ROLLBACK");
+    throw error;
+  }
+}
+
+/**
+ * Adds `contracts` ({address, kind, name?, blockNumber?}) to follow. One
+ * created at or below the checkpoint is backfilled by the next sync.
+ */
+function seedIndex(db, contracts) {
+  const checkpoint = readCheckpoint(db);
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO contracts (address, kind, name, created_block, backfill)
+     VALUES (?, ?, ?, ?, ?)`,
+  );
+  const added = [];
+  transaction(db, () => {
+    for (const { address, kind, name = null, blockNumber = 0 } of contracts) {
+      if (!INTERFACES[kind]) {
+        throw new Error(`Cannot index ${kind}; known kinds: ${KINDS}`);
+      }
+      const { changes } = insert.run(
+        getAddress(address),
+        kind,
+        name,
+        blockNumber,
+        blockNumber <= checkpoint ? 1 : 0,
+      );
+      if (changes) added.push(getAddress(address));
+    }
+  });
+  return added;
+}
+
+// Decoded event arguments as JSON, with integers as decimal strings
+function toJSON(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJSON);
+  if (value && typeof value.toArray === "function") {
+    return value.toArray().map(toJSON);
+  }
+  return value;
+}
+
+function decodeArgs(parsed) {
+  return Object.fromEntries(
+    parsed.fragment.inputs.map((input, i) => [
+      input.name || String(i),
+      toJSON(parsed.args[i]),
+    ]),
+  );
+}
+
+async function getLogs(provider, addresses, fromBlock, toBlock, batchSize) {
+  const logs = [];
+  for (let i = 0; i < addresses.length; i += ADDRESS_CHUNK) {
+    const address = addresses.slice(i, i + ADDRESS_CHUNK);
+    for (let from = fromBlock; from <= toBlock; from += batchSize) {
+      logs.push(
+        ...(await provider.getLogs({
+          address,
+          fromBlock: from,
+          toBlock: Math.min(toBlock, from + batchSize - 1),
+        })),
+      );
+    }
+  }
+  return logs;
+}
+
+/**
+ * Fetches the logs of `targets` ({address, kind, fromBlock}) up to
+ * `toBlock`, then those of every contract they create, until no new one
+ * turns up. Resolves to the decoded events and the new contracts.
+ */
+async function collect(provider, db, targets, toBlock, batchSize) {
+  const known = new Map(
+    db
+      .prepare("SELECT address, kind FROM contracts")
+      .all()
+      .map(({ address, kind }) => [address, kind]),
+  );
+  const events = [];
+  const children = [];
+
+  let queue = targets;
+  while (queue.length > 0) {
+    const found = [];
+    const byBlock = new Map();
+    for (const target of queue) {
+      byBlock.set(target.fromBlock, [
+        ...(byBlock.get(target.fromBlock) || []),
+        target.address,
+      ]);
+    }
+    for (const [fromBlock, addresses] of byBlock) {
+      for (const log of await getLogs(
+        provider,
+        addresses,
+        fromBlock,
+        toBlock,
+        batchSize,
+      )) {
+        const address = getAddress(log.address);
+        const kind = known.get(address);
+        const parsed = INTERFACES[kind].parseLog(log);
+        if (!parsed) continue;
+        events.push({ log, address, kind, parsed });
+
+        for (const [argument, childKind] of (CHILDREN[kind] || {})[
+          parsed.name
+        ] || []) {
+          const child = getAddress(parsed.args[argument]);
+          if (child === ZeroAddress || known.has(child)) continue;
+          known.set(child, childKind);
+          const created = {
+            address: child,
+            kind: childKind,
+            parent: address,
+            fromBlock: log.blockNumber,
+          };
+          children.push(created);
+          found.push(created);
+        }
+      }
+    }
+    queue = found;
+  }
+
+  events.sort(
+    (a, b) =>
+      a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index,
+  );
+  return { events, children };
+}
+
+// The terms of the auctions created by `events`, read at their block
+async function auctionTerms(provider, events) {
+  const terms = [];
+  for (const { log, address, kind, parsed } of events) {
+    if (kind !== "AuctionHouse" || parsed.name !== "AuctionCreated") continue;
+    const { auctionId } = parsed.args;
+    const auction = INTERFACES.AuctionHouse.decodeFunctionResult(
+      "auctions",
+      await provider.call({
+        to: address,
+        data: INTERFACES.AuctionHouse.encodeFunctionData("auctions", [
+          auctionId,
+        ]),
+        blockTag: log.blockNumber,
+      }),
+    );
+    terms.push([
+      address,
+      auctionId.toString(),
+      auction.auctionCurrency,
+      Number(auction.startTime),
+      Number(auction.endTime),
+      Number(auction.premiumBps),
+      Number(auction.minBidIncrementBps),
+      Number(auction.timeExtension),
+      log.blockNumber,
+    ]);
+  }
+  return terms;
+}
+
+/**
+ * The highest recorded block still on the chain, or undefined when every
+ * recorded block was replaced.
+ */
+async function findAncestor(provider, db) {
+  const blocks = db
+    .prepare("SELECT number, hash FROM blocks ORDER BY number DESC")
+    .all();
+  for (const { number, hash } of blocks) {
+    const block = await provider.getBlock(number);
+    if (block && block.hash === hash) return number;
+  }
+  return blocks.length > 0 ? undefined : readCheckpoint(db);
+}
+
+/**
+ * Deletes everything indexed above `blockNumber`: events, the contracts
+ * they created and block hashes. Seeds are kept.
+ */
+function rollback(db, blockNumber) {
+  transaction(db, () => {
+    db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+    db.prepare("DELETE FROM auction_terms WHERE block_number > ?").run(
+      blockNumber,
+    );
+    db.prepare(
+      "DELETE FROM contracts WHERE parent IS NOT NULL AND created_block > ?",
+    ).run(blockNumber);
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+    db.prepare("UPDATE checkpoint SET block_number = min(block_number, ?)").run(
+      blockNumber,
+    );
+  });
+}
+
+// Writes a collected range and moves the checkpoint to `toBlock`
+function write(db, { events, children, terms }, blocks, toBlock, prune) {
+  const insertEvent = db.prepare(
+    `INSERT OR IGNORE INTO events (block_number, block_hash, timestamp,
+       transaction_hash, log_index, address, kind, name, args)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  );
+  const insertContract = db.prepare(
+    `INSERT OR IGNORE INTO contracts (address, kind, parent, created_block)
+     VALUES (?, ?, ?, ?)`,
+  );
+  const insertTerms = db.prepare(
+    "INSERT OR REPLACE INTO auction_terms VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+  );
+  const insertBlock = db.prepare(
+    "INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)",
+  );
+
+  transaction(db, () => {
+    for (const { address, kind, parent, fromBlock } of children) {
+      insertContract.run(address, kind, parent, fromBlock);
+    }
+    for (const { log, address, kind, parsed } of events) {
+      insertEvent.run(
+        log.blockNumber,
+        log.blockHash,
+        blocks.get(log.blockNumber).timestamp,
+        log.transactionHash,
+        log.index,
+        address,
+        kind,
+        parsed.name,
+        JSON.stringify(decodeArgs(parsed)),
+      );
+    }
+    for (const values of terms) insertTerms.run(...values);
+    for (const [number, block] of blocks) {
+      if (block.keep) insertBlock.run(number, block.hash);
+    }
+    db.prepare("UPDATE checkpoint SET block_number = ?").run(toBlock);
+    db.prepare("DELETE FROM blocks WHERE number <= ? AND number < ?").run(
+      prune,
+      toBlock,
+    );
+  });
+}
+
+/**
+ * Indexes the followed contracts from the checkpoint up to `toBlock` (the
+ * chain head by default), in ranges of `batchSize` blocks.
+ *
+ * Blocks within `confirmations` of the head may still be reorganised, so
+ * their hashes are kept and checked on the next sync; when one changed
+ * the index is rolled back to the last block still on the chain. A block
+ * that changes during the sync stops it at the last range written.
+ *
+ * Resolves to `{ blockNumber, events, rolledBack }`: the checkpoint reached,
+ * the number of events indexed and whether a reorg was rolled back.
+ */
+async function syncIndex(provider, db, options = {}) {
+  const { confirmations = 12, batchSize = 2000, log = () => {} } = options;
+  const head =
+    options.toBlock === undefined
+      ? await provider.getBlockNumber()
+      : Number(options.toBlock);
+  let rolledBack = false;
+
+  const ancestor = await findAncestor(provider, db);
+  if (ancestor === undefined) {
+    throw new Error(
+      `The chain was reorganised below the ${confirmations} confirmations kept; rebuild the index`,
+    );
+  }
+  if (ancestor < readCheckpoint(db)) {
+    rollback(db, ancestor);
+    rolledBack = true;
+    log(`Reorg: rolled back to block ${ancestor}`);
+  }
+
+  const checkpoint = readCheckpoint(db);
+  const stale = db
+    .prepare(
+      "SELECT address, kind, created_block FROM contracts WHERE backfill = 1",
+    )
+    .all();
+  const ranges = [];
+  if (stale.length > 0 && checkpoint >= 0) {
+    ranges.push({
+      targets: stale.map(({ address, kind, created_block: fromBlock }) => ({
+        address,
+        kind,
+        fromBlock,
+      })),
+      toBlock: checkpoint,
+    });
+  }
+
+  let from = checkpoint + 1;
+  if (checkpoint < 0) {
+    const { first } = db
+      .prepare("SELECT min(created_block) AS first FROM contracts")
+      .get();
+    from = first === null ? head + 1 : first;
+  }
+
+  let indexed = 0;
+  const result = () => ({
+    blockNumber: readCheckpoint(db),
+    events: indexed,
+    rolledBack,
+  });
+  const run = async (targets, toBlock) => {
+    const collected = await collect(provider, db, targets, toBlock, batchSize);
+    collected.terms = await auctionTerms(provider, collected.events);
+    const numbers = new Set(
+      collected.events.map((event) => event.log.blockNumber),
+    );
+    for (let n = Math.max(head - confirmations + 1, 0); n <= toBlock; n++) {
+      numbers.add(n);
+    }
+    numbers.add(toBlock);
+
+    const blocks = new Map();
+    for (const number of [...numbers].sort((a, b) => a - b)) {
+      const block = await provider.getBlock(number);
+      blocks.set(number, {
+        hash: block.hash,
+        timestamp: block.timestamp,
+        keep: number > head - confirmations || number === toBlock,
+      });
+    }
+    // A log from a block that was replaced meanwhile; the next sync retries
+    if (
+      collected.events.some(
+        ({ log }) => blocks.get(log.blockNumber).hash !== log.blockHash,
+      )
+    ) {
+      return false;
+    }
+
+    write(db, collected, blocks, toBlock, head - confirmations);
+    indexed += collected.events.length;
+    for (const child of collected.children) {
+      log(`Following ${child.kind} ${child.address}`);
+    }
+    return true;
+  };
+
+  for (const { targets, toBlock } of ranges) {
+    if (!(await run(targets, toBlock))) return result();
+    db.exec("UPDATE contracts SET backfill = 0");
+  }
+
+  for (; from <= head; from += batchSize) {
+    const toBlock = Math.min(head, from + batchSize - 1);
+    const targets = db
+      .prepare("SELECT address, kind FROM contracts WHERE created_block <= ?")
+      .all(toBlock)
+      .map(({ address, kind }) => ({ address, kind, fromBlock: from }));
+    if (!(await run(targets, toBlock))) break;
+    log(`Indexed blocks ${from}-${toBlock}`);
+  }
+
+  return result();
+}
+
+/**
+ * The recorded deployments of the network that the indexer can follow.
+ * Records written before blocks were recorded only carry `txHash`.
+ */
+function recordedContracts(hre, deploymentsDir = DEPLOYMENTS_DIR) {
+  return Object.entries(listDeployments(hre, deploymentsDir))
+    .filter(([, deployment]) => INTERFACES[deployment.contractName])
+    .map(([name, deployment]) => ({
+      address: deployment.address,
+      kind: deployment.contractName,
+      name,
+      blockNumber: deployment.blockNumber,
+      txHash: deployment.txHash,
+    }));
+}
+
+/**
+ * The block a seed was deployed in, from its creation transaction when the
+ * record has no block number. Without either, scanning would start at
+ * genesis, so it asks for `--from-block` instead.
+ */
+async function deploymentBlock(provider, { name, blockNumber, txHash }) {
+  if (blockNumber !== undefined) return blockNumber;
+  const receipt = txHash && (await provider.getTransactionReceipt(txHash));
+  if (!receipt) {
+    throw new Error(
+      `The record of ${name} has no deployment block or transaction; pass --from-block to choose where to start`,
+    );
+  }
+  return receipt.blockNumber;
+}
+
+/**
+ * Indexes the marketplace contracts recorded on the current network (and
+ * everything they create) into deployments/<chainId>/state/index.sqlite,
+ * or `file`. With `follow` it keeps polling every `pollMs` until `signal`
+ * aborts.
+ */
+async function runIndexer(hre, options = {}) {
+  const {
+    deploymentsDir = DEPLOYMENTS_DIR,
+    follow = false,
+    pollMs = 2000,
+    signal,
+    log = console.log,
+  } = options;
+  const chainId = resolveChainId(hre, deploymentsDir);
+  const file = options.file || defaultIndexFile(chainId, deploymentsDir);
+
+  const recorded = recordedContracts(hre, deploymentsDir);
+  if (recorded.length === 0) {
+    throw new Error(
+      `No marketplace contract recorded on ${hre.network.name}; deploy one or record it first`,
+    );
+  }
+
+  const db = openIndex(file, chainId);
+  try {
+    const followed = new Set(
+      db
+        .prepare("SELECT address FROM contracts")
+        .all()
+        .map((row) => row.address),
+    );
+    const seeds = [];
+    for (const seed of recorded) {
+      if (followed.has(getAddress(seed.address))) continue;
+      seeds.push({
+        ...seed,
+        blockNumber:
+          options.fromBlock === undefined
+            ? await deploymentBlock(hre.ethers.provider, seed)
+            : Number(options.fromBlock),
+      });
+    }
+    for (const address of seedIndex(db, seeds)) {
+      log(`Following ${address}`);
+    }
+
+    let result;
+    do {
+      result = await syncIndex(hre.ethers.provider, db, { ...options, log });
+      if (!follow || (signal && signal.aborted)) break;
+      try {
+        await sleep(pollMs, undefined, { signal });
+      } catch (error) {
+        if (error.name !== "AbortError") throw error;
+      }
+    } while (!(signal && signal.aborted));
+    return { file, ...result };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  CHILDREN,
+  KINDS,
+  defaultIndexFile,
+  openIndex,
+  recordedContracts,
+  rollback,
+  runIndexer,
+  seedIndex,
+  syncIndex,
+};
@@ -0,0 +1,287 @@
+const { getAddress, ZeroAddress } = require("ethers");
+const {
+  DEPLOYMENTS_DIR,
+  listDeployments,
+  listDeploymentHistories,
+  recordDeployment,
+} = require("./deployments");
+const { CREATE2_DEPLOYER, deployDeterministic, toSalt } = require("./create2");
+const { getNetworkConstants, getTokenAddress } = require("./networks");
+const { sendOrQueue } = require("./safe");
+const { deployContract } = require("./sender");
+const { getSigner } = require("./signers");
+
+// Blocks per eth_getLogs request, which public RPCs limit
+const LOG_STEP = 10000;
+
+// UmpMetadata address fields and the record each one is taken from.
+const FIELDS = [
+  {
+    getter: "affiliateEscrowFactory",
+    setter: "setAffiliateEscrowFactory",
+    record: "AffiliateEscrowFactory",
+  },
+  {
+    getter: "affiliateStorefrontFactory",
+    setter: "setAffiliateStorefrontFactory",
+    record: "AffiliateERC1155StorefrontFactory",
+  },
+  {
+    getter: "receiptERC1155Factory",
+    setter: "setReceiptERC1155Factory",
+    record: "ReceiptERC1155Factory",
+  },
+  {
+    getter: "curationStorefronts",
+    setter: "setCurationStorefronts",
+    record: "CurationStorefront",
+  },
+  {
+    getter: "affiliateVerifier",
+    setter: "setAffiliateVerifier",
+    record: "AffiliateVerifierProxy",
+  },
+];
+
+function sameAddress(a, b) {
+  return getAddress(a) === getAddress(b);
+}
+
+// Storefronts announced by every recorded storefront factory
+async function createdStorefronts(hre, histories) {
+  const latest = await hre.ethers.provider.getBlockNumber();
+  const storefronts = [];
+  for (const entries of Object.values(histories)) {
+    for (const entry of entries) {
+      if (entry.contractName !== "AffiliateERC1155StorefrontFactory") continue;
+      if ((await hre.ethers.provider.getCode(entry.address)) === "0x") continue;
+      const factory = await hre.ethers.getContractAt(
+        "AffiliateERC1155StorefrontFactory",
+        entry.address,
+      );
+      const filter = factory.filters.StorefrontCreated();
+      for (let start = entry.blockNumber || 0; start <= latest; ) {
+        const end = Math.min(start + LOG_STEP - 1, latest);
+        for (const event of await factory.queryFilter(filter, start, end)) {
+          storefronts.push(event.args.storefront);
+        }
+        start = end + 1;
+      }
+    }
+  }
+  return storefronts;
+}
+
+/**
+ * Works out what UmpMetadata should contain from the deployment `histories`
+ * (listDeploymentHistories): the current factory and registry addresses, the
+ * supported tokens (by default the network's configured ERC20s) and every
+ * storefront, both those ever recorded and those created by a recorded
+ * AffiliateERC1155StorefrontFactory.
+ */
+async function desiredMetadata(hre, histories, tokens) {
+  const addresses = {};
+  for (const field of FIELDS) {
+    const entries = histories[field.record];
+    if (entries) {
+      addresses[field.getter] = entries[entries.length - 1].address;
+    }
+  }
+
+  const recorded = Object.values(histories)
+    .flat()
+    .filter(
+      (deployment) => deployment.contractName === "AffiliateERC1155Storefront",
+    )
+    .map((deployment) => deployment.address);
+  const storefronts = [];
+  for (const storefront of [
+    ...recorded,
+    ...(await createdStorefronts(hre, histories)),
+  ]) {
+    if (!storefronts.some((known) => sameAddress(known, storefront))) {
+      storefronts.push(getAddress(storefront));
+    }
+  }
+
+  const tokenAddresses = (
+    tokens || Object.keys(getNetworkConstants(hre).tokens)
+  ).map((token) => getTokenAddress(hre, token));
+
+  return { addresses, storefronts, tokens: tokenAddresses };
+}
+
+/**
+ * Constructor arguments of an UmpMetadata deployed with CREATE2: every address
+ * is left unset, so only `owner` and the salt decide where it lands.
+ */
+function create2Arguments(owner) {
+  return [...FIELDS.map(() => ZeroAddress), owner];
+}
+
+async function sendAndLog(hre, contract, method, args, actions, options) {
+  const receipt = await sendOrQueue(hre, contract, method, args, {
+    ...options,
+    label: "UmpMetadata",
+  });
+  actions.push(
+    receipt ? { method, args, txHash: receipt.hash } : { method, args },
+  );
+}
+
+/**
+ * Deploys or attaches the recorded UmpMetadata and brings it in line with the
+ * deployment records. Only values that differ are sent, so running it again
+ * without new deployments sends no transactions. Fields without a record are
+ * left untouched.
+ *
+ * With `safe`, a new UmpMetadata is owned by the Safe and the updates are
+ * appended to `queue` for it instead of being sent.
+ *
+ * With `create2` (`{ salt }`), a new UmpMetadata is deployed through the
+ * CREATE2 deployer with only its owner set in the constructor, so its address
+ * depends on nothing but the owner and the salt. The addresses are then set
+ * like any other update.
+ *
+ * Resolves to `{ address, deployed, actions }`.
+ */
+async function wireMetadata(hre, options = {}) {
+  const {
+    tokens,
+    safe,
+    queue,
+    create2,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    signer = await getSigner(hre),
+    confirm,
+    log = console.log,
+  } = options;
+  const { ethers } = hre;
+  const owner = safe || signer.address;
+  const send = {
+    queue: safe ? queue : undefined,
+    deploymentsDir,
+    confirm,
+    log,
+  };
+
+  const deployments = listDeployments(hre, deploymentsDir);
+  const desired = await desiredMetadata(
+    hre,
+    listDeploymentHistories(hre, deploymentsDir),
+    tokens,
+  );
+  const actions = [];
+
+  let metadata;
+  let deployed = false;
+  const existing = deployments.UmpMetadata;
+  if (existing && (await ethers.provider.getCode(existing.address)) !== "0x") {
+    metadata = await ethers.getContractAt(
+      "UmpMetadata",
+      existing.address,
+      signer,
+    );
+    log(`Using UmpMetadata at ${existing.address}`);
+  } else {
+    const constructorArguments = create2
+      ? create2Arguments(owner)
+      : [
+          ...FIELDS.map(
+            (field) => desired.addresses[field.getter] || ZeroAddress,
+          ),
+          owner,
+        ];
+    let deployment;
+    if (create2) {
+      const salt = toSalt(create2.salt);
+      deployment = await deployDeterministic(
+        hre,
+        "UmpMetadata",
+        constructorArguments,
+        { salt, signer, deploymentsDir, confirm, log },
+      );
+      deployment.extra = { create2: { deployer: CREATE2_DEPLOYER, salt } };
+    } else {
+      deployment = await deployContract(
+        hre,
+        await ethers.getContractFactory("UmpMetadata", signer),
+        constructorArguments,
+        { deploymentsDir, description: "Deploy UmpMetadata", confirm, log },
+      );
+    }
+    const { address, receipt, extra } = deployment;
+    metadata = await ethers.getContractAt("UmpMetadata", address, signer);
+    deployed = !deployment.existing;
+    if (deployed) log(`Deployed UmpMetadata at ${address}`);
+    await recordDeployment(
+      hre,
+      "UmpMetadata",
+      {
+        address,
+        constructorArguments,
+        txHash: receipt && receipt.hash,
+        blockNumber: receipt && receipt.blockNumber,
+        deployer: signer.address,
+        extra,
+      },
+      { deploymentsDir },
+    );
+  }
+
+  const currentOwner = await metadata.owner();
+  if (!sameAddress(currentOwner, owner)) {
+    throw new Error(
+      `UmpMetadata is owned by ${currentOwner}, not by ${safe ? "the Safe" : "the signer"} ${owner}`,
+    );
+  }
+
+  for (const field of FIELDS) {
+    const target = desired.addresses[field.getter];
+    if (!target) {
+      log(`- ${field.getter}: no ${field.record} record, leaving it as is`);
+      continue;
+    }
+    if (!sameAddress(await metadata[field.getter](), target)) {
+      await sendAndLog(hre, metadata, field.setter, [target], actions, send);
+    }
+  }
+
+  for (const storefront of desired.storefronts) {
+    if (!(await metadata.isStorefrontAllowlisted(storefront))) {
+      await sendAndLog(
+        hre,
+        metadata,
+        "addStorefrontToAllowlist",
+        [storefront],
+        actions,
+        send,
+      );
+    }
+  }
+
+  for (const token of desired.tokens) {
+    if (!(await metadata.isSupportedERC20Token(token))) {
+      await sendAndLog(
+        hre,
+        metadata,
+        "addSupportedERC20Token",
+        [token],
+        actions,
+        send,
+      );
+    }
+  }
+
+  if (actions.length === 0) {
+    log("UmpMetadata is up to date");
+  }
+  return { address: await metadata.getAddress(), deployed, actions };
+}
+
+module.exports = {
+  FIELDS,
+  desiredMetadata,
+  create2Arguments,
+  wireMetadata,
+};
@@ -0,0 +1,275 @@
+// Network registry shared by hardhat.config.js, the deploy manifests, tasks
+// and scripts. Each entry holds the RPC endpoint, the signer and the per-chain
+// protocol constants; local networks inherit the constants of the chain they
+// fork.
+
+const SEAPORT_1_6 = "0x0000000000000068F116a894984e2DB1123eB395";
+const ONE_WEEK = 7 * 24 * 60 * 60;
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0/0";
+const SIGNER_KINDS = ["private-key", "mnemonic", "keystore", "impersonate"];
+
+const DEFAULTS = {
+  seaport: SEAPORT_1_6,
+  minSettleTime: ONE_WEEK,
+  settlementDeadline: 3 * ONE_WEEK,
+  tokens: {},
+};
+
+const NETWORKS = {
+  basemainnet: {
+    chainId: 8453,
+    rpcUrl: (env) =>
+      env.BASE_MAINNET_RPC_URL ||
+      (env.INFURA_API_KEY
+        ? `https://base-mainnet.infura.io/v3/${env.INFURA_API_KEY}`
+        : "https://mainnet.base.org"),
+    signer: (env) => env.BASE_MAINNET_SIGNER,
+    explorer: {
+      network: "base",
+      apiKeyEnv: "BASESCAN_API_KEY",
+      apiURL: "https://api.basescan.org/api",
+      browserURL: "https://basescan.org",
+    },
+    tokens: {
+      USDC: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+      WETH: "0x4200000000000000000000000000000000000006",
+    },
+  },
+  basesepolia: {
+    chainId: 84532,
+    rpcUrl: (env) =>
+      env.BASE_SEPOLIA_RPC_URL ||
+      (env.INFURA_API_KEY
+        ? `https://base-sepolia.infura.io/v3/${env.INFURA_API_KEY}`
+        : "https://sepolia.base.org"),
+    signer: (env) => env.BASE_SEPOLIA_SIGNER,
+    explorer: {
+      network: "baseSepolia",
+      apiKeyEnv: "BASESCAN_API_KEY",
+      apiURL: "https://api-sepolia.basescan.org/api",
+      browserURL: "https://sepolia.basescan.org",
+    },
+    // Shorter windows so test settlements can be exercised the same week
+    minSettleTime: 60 * 60,
+    settlementDeadline: 2 * 24 * 60 * 60,
+    tokens: {
+      USDC: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+      WETH: "0x4200000000000000000000000000000000000006",
+    },
+  },
+  hardhat: {
+    chainId: 31337,
+    local: true,
+    signer: (env) => env.HARDHAT_SIGNER,
+  },
+  // anvil and `npx hardhat node` both listen here by default
+  localhost: {
+    chainId: 31337,
+    local: true,
+    rpcUrl: (env) => env.LOCALHOST_RPC_URL || "http://127.0.0.1:8545",
+    signer: (env) => env.LOCALHOST_SIGNER,
+  },
+  custom: {
+    chainId: (env) => env.CUSTOM_CHAIN_ID && Number(env.CUSTOM_CHAIN_ID),
+    rpcUrl: (env) => env.CUSTOM_RPC_URL,
+    signer: (env) => env.CUSTOM_SIGNER,
+    explorer: (env) =>
+      env.CUSTOM_EXPLORER_API_URL && {
+        network: "custom",
+        apiKeyEnv: "CUSTOM_EXPLORER_API_KEY",
+        apiURL: env.CUSTOM_EXPLORER_API_URL,
+        browserURL: env.CUSTOM_EXPLORER_URL,
+      },
+    seaport: (env) => env.CUSTOM_SEAPORT_ADDRESS || SEAPORT_1_6,
+  },
+};
+
+function evaluate(value, env) {
+  return typeof value === "function" ? value(env) : value;
+}
+
+/**
+ * Returns the resolved registry entry for `name`: chain id, RPC URL, explorer
+ * and protocol constants. Local networks forking another registered network
+ * (FORK_NETWORK) report that network's constants.
+ */
+function getNetworkConfig(name, env = process.env) {
+  const definition = NETWORKS[name];
+  if (!definition) {
+    throw new Error(
+      `Unknown network ${name}. Known networks: ${Object.keys(NETWORKS).join(", ")}`,
+    );
+  }
+
+  const resolved = Object.fromEntries(
+    Object.entries(definition).map(([key, value]) => [
+      key,
+      evaluate(value, env),
+    ]),
+  );
+  const config = { name, ...DEFAULTS, ...resolved };
+
+  if (definition.local && env.FORK_NETWORK) {
+    const fork = getNetworkConfig(env.FORK_NETWORK, env);
+    return {
+      ...config,
+      ...pickConstants(fork),
+      forkOf: fork.name,
+      forkUrl: env.FORK_RPC_URL || fork.rpcUrl,
+      forkBlockNumber: env.FORK_BLOCK_NUMBER && Number(env.FORK_BLOCK_NUMBER),
+    };
+  }
+  return config;
+}
+
+function pickConstants(config) {
+  const { seaport, minSettleTime, settlementDeadline, tokens, explorer } =
+    config;
+  return { seaport, minSettleTime, settlementDeadline, tokens, explorer };
+}
+
+/**
+ * Returns the protocol constants for a network name or Hardhat runtime
+ * environment.
+ */
+function getNetworkConstants(network, env = process.env) {
+  const name = network && network.network ? network.network.name : network;
+  return pickConstants(getNetworkConfig(name, env));
+}
+
+/**
+ * Looks up a supported ERC20 by symbol (or returns an address unchanged).
+ */
+function getTokenAddress(network, symbolOrAddress, env = process.env) {
+  if (/^0x[0-9a-fA-F]{40}$/.test(symbolOrAddress)) {
+    return symbolOrAddress;
+  }
+  const { tokens } = getNetworkConstants(network, env);
+  const address = tokens[symbolOrAddress.toUpperCase()];
+  if (!address) {
+    throw new Error(`Token ${symbolOrAddress} is not configured`);
+  }
+  return address;
+}
+
+/**
+ * Returns how transactions are signed on network `name`, as `{ kind, value }`.
+ * The network's own variable (e.g. BASE_MAINNET_SIGNER) wins over SIGNER,
+ * which only applies to remote networks:
+ *
+ * - `private-key`: PRIVATE_KEY, the default for remote networks
+ * - `mnemonic`: MNEMONIC at MNEMONIC_PATH (default m/44'/60'/0'/0/0)
+ * - `keystore:<file>`: an encrypted JSON keystore, unlocked with
+ *   KEYSTORE_PASSWORD or a password prompt
+ * - `impersonate:<address>`: an impersonated account, local networks only
+ *
+ * Without any of these, local networks use the node's own accounts (kind
+ * `node`).
+ */
+function getSignerConfig(name, env = process.env) {
+  const config = getNetworkConfig(name, env);
+  const spec = config.signer || (!config.local && env.SIGNER);
+  if (!spec) {
+    return { kind: config.local ? "node" : "private-key" };
+  }
+
+  const separator = spec.indexOf(":");
+  const kind = separator === -1 ? spec : spec.slice(0, separator);
+  const value = separator === -1 ? undefined : spec.slice(separator + 1);
+  if (!SIGNER_KINDS.includes(kind)) {
+    throw new Error(
+      `Unknown signer ${kind} for ${name}. Use one of: ${SIGNER_KINDS.join(", ")}`,
+    );
+  }
+  if ((kind === "keystore" || kind === "impersonate") && !value) {
+    throw new Error(`Signer ${kind} for ${name} needs a value: ${kind}:<...>`);
+  }
+  if (kind === "impersonate" && !config.local) {
+    throw new Error(`Accounts can only be impersonated on local networks`);
+  }
+  return { kind, value };
+}
+
+// Accounts Hardhat can load from the config. Keystores are unlocked lazily by
+// lib/signers.js and impersonated accounts need no key.
+function hardhatAccounts(signer, env) {
+  if (signer.kind === "private-key") {
+    return env.PRIVATE_KEY ? [env.PRIVATE_KEY] : [];
+  }
+  if (signer.kind === "mnemonic") {
+    const hdPath = env.MNEMONIC_PATH || DEFAULT_HD_PATH;
+    const index = hdPath.lastIndexOf("/");
+    return {
+      mnemonic: env.MNEMONIC,
+      path: hdPath.slice(0, index),
+      initialIndex: Number(hdPath.slice(index + 1)),
+      count: 1,
+      passphrase: env.MNEMONIC_PASSPHRASE || "",
+    };
+  }
+  return [];
+}
+
+/**
+ * Builds the `networks` section of the Hardhat config. The custom network is
+ * only added when CUSTOM_RPC_URL is set.
+ */
+function hardhatNetworks(env = process.env) {
+  const networks = {};
+
+  for (const name of Object.keys(NETWORKS)) {
+    const config = getNetworkConfig(name, env);
+    if (name === "hardhat") {
+      networks.hardhat = {};
+      if (config.forkUrl) {
+        networks.hardhat.forking = { url: config.forkUrl };
+        if (config.forkBlockNumber) {
+          networks.hardhat.forking.blockNumber = config.forkBlockNumber;
+        }
+      }
+    } else if (config.rpcUrl) {
+      networks[name] = { url: config.rpcUrl };
+      // anvil keeps the forked chain id, so local chain ids are not pinned
+      if (!config.local) {
+        networks[name].chainId = config.chainId;
+      }
+      const signer = getSignerConfig(name, env);
+      if (signer.kind !== "node") {
+        networks[name].accounts = hardhatAccounts(signer, env);
+      }
+    }
+  }
+  return networks;
+}
+
+/**
+ * Builds the `etherscan` section of the Hardhat config from the explorers in
+ * the registry.
+ */
+function etherscanConfig(env = process.env) {
+  const apiKey = {};
+  const customChains = [];
+  for (const name of Object.keys(NETWORKS)) {
+    const config = getNetworkConfig(name, env);
+    if (config.local || !config.explorer || !config.rpcUrl) continue;
+
+    const { network, apiKeyEnv, apiURL, browserURL } = config.explorer;
+    apiKey[network] = env[apiKeyEnv];
+    customChains.push({
+      network,
+      chainId: config.chainId,
+      urls: { apiURL, browserURL },
+    });
+  }
+  return { apiKey, customChains };
+}
+
+module.exports = {
+  NETWORKS,
+  getNetworkConfig,
+  getNetworkConstants,
+  getTokenAddress,
+  getSignerConfig,
+  hardhatNetworks,
+  etherscanConfig,
+};
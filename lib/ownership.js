@@ -0,0 +1,196 @@
+const { getAddress, isAddress, ZeroAddress } = require("ethers");
+const {
+  DEPLOYMENTS_DIR,
+  listDeployments,
+  readOwner,
+  recordDeployment,
+} = require("./deployments");
+const { sendOrQueue } = require("./safe");
+const { getSigner } = require("./signers");
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && getAddress(a) === getAddress(b);
+}
+
+/**
+ * Calls an owner-only function on a recorded contract (or on an address with
+ * `contract` naming its ABI). With `safe`, the call is checked against the
+ * contract's owner and appended to `queue` instead of being sent, and no
+ * signer is needed. `ownedBy` names another contract whose owner the sender
+ * must be, for registries that check the owner of the contract an entry is
+ * about.
+ *
+ * Resolves to the receipt, or undefined for queued calls.
+ */
+async function ownerCall(hre, options) {
+  const {
+    target,
+    method,
+    args = [],
+    value = 0n,
+    safe,
+    queue,
+    ownedBy,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    confirm,
+    log = console.log,
+  } = options;
+
+  let { contract, label, signer } = options;
+  let address = target;
+  if (!isAddress(target)) {
+    const deployment = listDeployments(hre, deploymentsDir)[target];
+    if (!deployment) {
+      throw new Error(
+        `No deployment of ${target} recorded on ${hre.network.name}`,
+      );
+    }
+    address = deployment.address;
+    contract = contract || deployment.contractName;
+    label = label || target;
+  }
+  if (!contract) {
+    throw new Error(`Name the contract whose ABI to use for ${target}`);
+  }
+
+  if (!safe) signer = signer || (await getSigner(hre));
+  const sender = safe || signer.address;
+  const owner = await readOwner(hre, ownedBy || address);
+  if (owner && !sameAddress(owner, sender)) {
+    throw new Error(
+      `${ownedBy || label || address} is owned by ${owner}, not by ${sender}`,
+    );
+  }
+
+  const { abi } = await hre.artifacts.readArtifact(contract);
+  const instance = new hre.ethers.Contract(
+    address,
+    abi,
+    signer || hre.ethers.provider,
+  );
+  return sendOrQueue(hre, instance, method, args, {
+    queue: safe ? queue : undefined,
+    value,
+    label: label || contract,
+    deploymentsDir,
+    confirm,
+    log,
+  });
+}
+
+/**
+ * Hands ownership of recorded Ownable contracts (all of them, or `names`) to
+ * `to`, typically a Safe.
+ *
+ * Contracts owned by the signer are transferred directly. Contracts owned by
+ * `safe` are queued for it; the signer is only resolved for contracts owned
+ * by neither. Contracts `to` already owns are only recorded, so
+ * running the task again after the Safe executed its batch brings the records
+ * up to date. Every transfer appends an entry to the contract's record with
+ * the new owner.
+ *
+ * Resolves to report rows with a status of "transferred", "queued",
+ * "recorded", "unchanged" or "skipped".
+ */
+async function transferOwnership(hre, options) {
+  const {
+    to,
+    names,
+    safe,
+    queue,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    confirm,
+    log = console.log,
+  } = options;
+  let { signer } = options;
+  if (!isAddress(to) || sameAddress(to, ZeroAddress)) {
+    throw new Error(`Invalid new owner ${to}`);
+  }
+
+  const deployments = listDeployments(hre, deploymentsDir);
+  const rows = [];
+
+  for (const name of names || Object.keys(deployments)) {
+    const deployment = deployments[name];
+    if (!deployment) {
+      throw new Error(
+        `No deployment of ${name} recorded on ${hre.network.name}`,
+      );
+    }
+    const { address } = deployment;
+    const owner = await readOwner(hre, address);
+    if (!owner || sameAddress(owner, ZeroAddress)) {
+      // Not Ownable (or an uninitialized implementation)
+      if (names) rows.push({ name, address, status: "skipped" });
+      continue;
+    }
+
+    const row = { name, address, owner };
+    rows.push(row);
+    let from = owner;
+    if (sameAddress(owner, to)) {
+      if (sameAddress(deployment.owner, to)) {
+        row.status = "unchanged";
+        continue;
+      }
+      row.status = "recorded";
+      from = deployment.owner;
+    } else {
+      const direct = !sameAddress(owner, safe);
+      if (direct) {
+        signer = signer || (await getSigner(hre));
+        if (!sameAddress(owner, signer.address)) {
+          row.status = "skipped";
+          continue;
+        }
+      }
+      const instance = new hre.ethers.Contract(
+        address,
+        ["function transferOwnership(address newOwner)"],
+        direct ? signer : hre.ethers.provider,
+      );
+      const receipt = await sendOrQueue(
+        hre,
+        instance,
+        "transferOwnership",
+        [to],
+        {
+          queue: direct ? undefined : queue,
+          label: name,
+          deploymentsDir,
+          confirm,
+          log,
+        },
+      );
+      if (!receipt) {
+        row.status = "queued";
+        continue;
+      }
+      row.status = "transferred";
+      row.txHash = receipt.hash;
+      row.blockNumber = receipt.blockNumber;
+    }
+
+    await recordDeployment(
+      hre,
+      name,
+      {
+        contractName: deployment.contractName,
+        address,
+        constructorArguments: deployment.constructorArguments,
+        txHash: row.txHash,
+        blockNumber: row.blockNumber,
+        deployer: row.txHash ? signer.address : from,
+        owner: getAddress(to),
+        extra: { ownershipTransfer: { from, to: getAddress(to) } },
+      },
+      { deploymentsDir },
+    );
+  }
+  return rows;
+}
+
+module.exports = {
+  ownerCall,
+  transferOwnership,
+};
@@ -0,0 +1,82 @@
+const util = require("util");
+
+const REDACTED = "[redacted]";
+const SECRET_NAME = /PRIVATE_KEY|MNEMONIC|PASSWORD|PASSPHRASE|API_KEY|SECRET/;
+// Shorter values would blank out ordinary words and numbers in the output
+const MIN_SECRET_LENGTH = 8;
+const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+
+/**
+ * Hides everything after the host of a URL: RPC providers put API keys in the
+ * path or query.
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hidden =
+      parsed.username ||
+      parsed.password ||
+      parsed.search ||
+      parsed.pathname.length > 1;
+    return hidden ? `${parsed.protocol}//${parsed.host}/${REDACTED}` : url;
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+// Secret values in `env` with their replacement, longest first so a key is
+// never partly replaced by a shorter secret. Key variables may hold a
+// comma-separated list (SELLER_PRIVATE_KEY), each key redacted on its own.
+// Paths to secrets (MNEMONIC_PATH) are not secret themselves.
+function secrets(env) {
+  const found = [];
+  for (const [name, value] of Object.entries(env)) {
+    if (!value || name.endsWith("_PATH")) continue;
+    if (name.endsWith("RPC_URL")) {
+      const redacted = redactUrl(value);
+      if (redacted !== value) found.push([value, redacted]);
+    } else if (SECRET_NAME.test(name)) {
+      const parts = name.endsWith("PRIVATE_KEY")
+        ? value.split(",").map((part) => part.trim())
+        : [];
+      for (const secret of new Set([value, ...parts])) {
+        if (secret.length < MIN_SECRET_LENGTH) continue;
+        found.push([secret, REDACTED]);
+        if (/^0x[0-9a-fA-F]+$/.test(secret)) {
+          found.push([secret.slice(2), REDACTED]);
+        }
+      }
+    }
+  }
+  return found.sort(([a], [b]) => b.length - a.length);
+}
+
+/**
+ * Replaces keys, passwords, mnemonics and keyed RPC URLs from `env` in `text`.
+ */
+function redact(text, env = process.env) {
+  let result = String(text);
+  for (const [secret, replacement] of secrets(env)) {
+    result = result.split(secret).join(replacement);
+  }
+  return result;
+}
+
+/**
+ * Routes console output through `redact`, so neither our own logging nor
+ * Hardhat's error messages print secrets from the environment.
+ */
+function installRedaction(target = console, env = process.env) {
+  for (const method of CONSOLE_METHODS) {
+    const original = target[method];
+    target[method] = (...args) =>
+      original.call(target, redact(util.format(...args), env));
+  }
+}
+
+module.exports = {
+  REDACTED,
+  redactUrl,
+  redact,
+  installRedaction,
+};
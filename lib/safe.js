@@ -0,0 +1,236 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress, id } = require("ethers");
+const { DEPLOYMENTS_DIR, chainDir } = require("./deployments");
+const { sendTransaction } = require("./sender");
+
+// Version of the Safe Transaction Builder app whose batch format is written.
+const TX_BUILDER_VERSION = "1.16.5";
+
+function formatValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(formatValue);
+  return value;
+}
+
+// Transaction Builder takes scalars as strings and arrays or tuples as JSON.
+function formatInput(value) {
+  const formatted = formatValue(value);
+  return typeof formatted === "object"
+    ? JSON.stringify(formatted)
+    : String(formatted);
+}
+
+/**
+ * Encodes `contract.method(...args)` as a Transaction Builder transaction. The
+ * decoded method and inputs are kept next to the calldata so the Safe app can
+ * show what is being signed.
+ */
+async function safeTransaction(contract, method, args = [], value = 0n) {
+  const fragment = contract.interface.getFunction(method, args);
+  return {
+    to: getAddress(await contract.getAddress()),
+    value: String(value),
+    data: contract.interface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: fragment.inputs.map((input) => ({
+        internalType: input.type,
+        name: input.name,
+        type: input.type,
+      })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues: Object.fromEntries(
+      fragment.inputs.map((input, i) => [
+        input.name || String(i),
+        formatInput(args[i]),
+      ]),
+    ),
+  };
+}
+
+/**
+ * One-line summary of a Transaction Builder transaction, e.g.
+ * `AffiliateERC1155Storefront.toggleReady()`. `label` defaults to the target
+ * address.
+ */
+function describeTransaction(transaction, label = transaction.to) {
+  const { contractMethod, contractInputsValues, value } = transaction;
+  const call = contractMethod
+    ? `${contractMethod.name}(${Object.values(contractInputsValues).join(", ")})`
+    : transaction.data;
+  return `${label}.${call}${value !== "0" ? ` with ${value} wei` : ""}`;
+}
+
+// Mirrors the serialization the Transaction Builder uses for its checksum:
+// object keys are sorted and the batch name is left out.
+function serialize(value) {
+  const replacer = (_, item) => (item === undefined ? null : item);
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys, replacer)}${keys
+      .map((key) => `${serialize(value[key])},`)
+      .join("")}}`;
+  }
+  return JSON.stringify(value, replacer);
+}
+
+function calculateChecksum(batch) {
+  const { checksum, ...meta } = batch.meta;
+  return id(serialize({ ...batch, meta: { ...meta, name: null } }));
+}
+
+/**
+ * Builds a Transaction Builder batch for `safe`. The description lists the
+ * decoded calls unless one is given.
+ */
+function buildBatch(options) {
+  const {
+    chainId,
+    safe,
+    transactions,
+    labels = [],
+    name = "Owner operations",
+    description = transactions
+      .map((transaction, i) => describeTransaction(transaction, labels[i]))
+      .join("\n"),
+    createdAt = Date.now(),
+  } = options;
+
+  const batch = {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: getAddress(safe),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = calculateChecksum(batch);
+  return batch;
+}
+
+function defaultBatchPath(chainId, name, deploymentsDir = DEPLOYMENTS_DIR) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return path.join(
+    chainDir(chainId, deploymentsDir),
+    "safe",
+    `${stamp}-${slug}.json`,
+  );
+}
+
+/**
+ * Writes a batch to `file`. When the file already holds a batch for the same
+ * Safe and chain, the new transactions are appended to it, so several tasks
+ * can fill one batch for a single signing round.
+ */
+function writeBatch(file, batch) {
+  let merged = batch;
+  if (fs.existsSync(file)) {
+    const existing = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (
+      existing.chainId !== batch.chainId ||
+      existing.meta.createdFromSafeAddress !== batch.meta.createdFromSafeAddress
+    ) {
+      throw new Error(`${file} holds a batch for another Safe or chain`);
+    }
+    merged = {
+      ...existing,
+      meta: {
+        ...existing.meta,
+        description: [existing.meta.description, batch.meta.description]
+          .filter(Boolean)
+          .join("\n"),
+      },
+      transactions: [...existing.transactions, ...batch.transactions],
+    };
+    merged.meta.checksum = calculateChecksum(merged);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(merged, null, 2)}\n`);
+  return merged;
+}
+
+/**
+ * Sends `contract.method(...args)` from the contract's signer through
+ * `sendTransaction`, or appends it to `queue` for a Safe batch when a queue is
+ * given. Queue items are `{ label, transaction }`. Resolves to the receipt, or
+ * undefined for queued calls.
+ */
+async function sendOrQueue(hre, contract, method, args = [], options = {}) {
+  const {
+    queue,
+    value = 0n,
+    label,
+    log = console.log,
+    ...sendOptions
+  } = options;
+  if (queue) {
+    const transaction = await safeTransaction(contract, method, args, value);
+    queue.push({ label, transaction });
+    log(`- queued ${describeTransaction(transaction, label)}`);
+    return undefined;
+  }
+  log(
+    `- ${label ? `${label}.` : ""}${method}(${args.map(formatInput).join(", ")})`,
+  );
+  const request = await contract[method].populateTransaction(...args, {
+    value,
+  });
+  return sendTransaction(hre, contract.runner, request, {
+    log,
+    ...sendOptions,
+  });
+}
+
+/**
+ * Writes the queued transactions of a task as a batch for `safe`, prints the
+ * decoded calls and returns the batch file, or undefined when nothing was
+ * queued.
+ */
+async function saveQueue(hre, queue, options) {
+  const { safe, name, file, deploymentsDir, log = console.log } = options;
+  if (queue.length === 0) {
+    return undefined;
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const out = file || defaultBatchPath(chainId, name, deploymentsDir);
+  const batch = writeBatch(
+    out,
+    buildBatch({
+      chainId,
+      safe,
+      name,
+      transactions: queue.map((item) => item.transaction),
+      labels: queue.map((item) => item.label),
+    }),
+  );
+  log(
+    `\nWrote ${queue.length} transaction(s) for Safe ${batch.meta.createdFromSafeAddress} to ${path.relative(process.cwd(), out)} (${batch.transactions.length} in the batch)`,
+  );
+  log(
+    "Import it in the Safe Transaction Builder to review, sign and execute it.",
+  );
+  return out;
+}
+
+module.exports = {
+  TX_BUILDER_VERSION,
+  safeTransaction,
+  describeTransaction,
+  calculateChecksum,
+  buildBatch,
+  writeBatch,
+  sendOrQueue,
+  saveQueue,
+};
@@ -0,0 +1,312 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  SigningKey,
+  computeAddress,
+  decryptKeystoreJson,
+  encryptKeystoreJson,
+  isAddress,
+} = require("ethers");
+const { generateKeyPair } = require("../sdk/ecies");
+const { contractKind, keyHistory } = require("../sdk/inbox");
+const { DEPLOYMENTS_DIR, listDeployments } = require("./deployments");
+const { ownerCall } = require("./ownership");
+const { promptSecret } = require("./signers");
+
+const KEYRING_FILE = path.join(
+  os.homedir(),
+  ".auction-house",
+  "seller-keyring.json",
+);
+const KEYRING_VERSION = 1;
+const CONTRACT_NAMES = {
+  storefront: "AffiliateERC1155Storefront",
+  auction: "AuctionHouse",
+};
+
+function sameKey(a, b) {
+  try {
+    return (
+      SigningKey.computePublicKey(a, true) ===
+      SigningKey.computePublicKey(b, true)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+function keyringFile(env = process.env) {
+  return env.SELLER_KEYRING || KEYRING_FILE;
+}
+
+/**
+ * The keyring in `file`: the seller's message keys, oldest first, each with
+ * its public key in the clear and its private key in an encrypted JSON
+ * keystore. A missing file is an empty keyring.
+ */
+function readKeyring(file = keyringFile()) {
+  if (!fs.existsSync(file)) {
+    return { version: KEYRING_VERSION, keys: [] };
+  }
+  const keyring = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (keyring.version !== KEYRING_VERSION) {
+    throw new Error(
+      `Unsupported seller keyring version ${keyring.version} in ${file}`,
+    );
+  }
+  return keyring;
+}
+
+function writeKeyring(file, keyring) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(keyring, null, 2)}\n`, {
+    mode: 0o600,
+  });
+}
+
+/**
+ * KEYRING_PASSWORD, or asked for on the terminal (twice with `confirm`, when
+ * a new keyring is created).
+ */
+async function keyringPassword(options = {}) {
+  const { env = process.env, confirm = false } = options;
+  if (env.KEYRING_PASSWORD) return env.KEYRING_PASSWORD;
+  const password = await promptSecret("Seller keyring password: ");
+  if (confirm && (await promptSecret("Repeat the password: ")) !== password) {
+    throw new Error("The passwords do not match");
+  }
+  return password;
+}
+
+async function unlockKey(file, entry, password) {
+  try {
+    const { privateKey } = await decryptKeystoreJson(
+      JSON.stringify(entry.keystore),
+      password,
+    );
+    return privateKey;
+  } catch (error) {
+    throw new Error(
+      `Could not unlock the seller keyring ${file}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Every key of the keyring in `file` with its private key, oldest first.
+ */
+async function unlockKeyring(options = {}) {
+  const { file = keyringFile() } = options;
+  const { keys } = readKeyring(file);
+  if (!keys.length) return [];
+  const password = options.password || (await keyringPassword());
+  const unlocked = [];
+  for (const entry of keys) {
+    unlocked.push({
+      publicKey: entry.publicKey,
+      createdAt: entry.createdAt,
+      privateKey: await unlockKey(file, entry, password),
+    });
+  }
+  return unlocked;
+}
+
+/**
+ * Generates a seller keypair and appends it to the keyring in `file`,
+ * encrypted with `password` (which must open the keys already there).
+ * Older keys are kept for the messages sent to them. Resolves to the new
+ * public key, ready for setEncryptionPublicKey.
+ *
+ * `scrypt` overrides the keystore's scrypt parameters.
+ */
+async function addSellerKey(options = {}) {
+  const { file = keyringFile(), scrypt } = options;
+  const keyring = readKeyring(file);
+  const password =
+    options.password ||
+    (await keyringPassword({ confirm: !keyring.keys.length }));
+  if (keyring.keys.length) {
+    await unlockKey(file, keyring.keys[0], password);
+  }
+
+  const { privateKey, publicKey } = generateKeyPair();
+  const keystore = await encryptKeystoreJson(
+    { address: computeAddress(publicKey), privateKey },
+    password,
+    scrypt && { scrypt },
+  );
+  keyring.keys.push({
+    publicKey,
+    createdAt: new Date().toISOString(),
+    keystore: JSON.parse(keystore),
+  });
+  writeKeyring(file, keyring);
+  return publicKey;
+}
+
+// Storefronts hold their own key; auction houses publish theirs in the
+// EncryptionKeyRegistry recorded on the network
+function keyHolder(hre, address, contract, deploymentsDir) {
+  if (contract === CONTRACT_NAMES.storefront) {
+    return { address, contract, args: [] };
+  }
+  const registry = listDeployments(hre, deploymentsDir).EncryptionKeyRegistry;
+  if (!registry) {
+    throw new Error(
+      `No EncryptionKeyRegistry recorded on ${hre.network.name}; deploy the key-registry manifest first`,
+    );
+  }
+  return {
+    address: registry.address,
+    contract: "EncryptionKeyRegistry",
+    args: [address],
+  };
+}
+
+async function resolveTarget(hre, target, deploymentsDir) {
+  if (isAddress(target)) {
+    const kind = await contractKind(hre.ethers.provider, target);
+    return { address: target, contract: CONTRACT_NAMES[kind] };
+  }
+  const deployment = listDeployments(hre, deploymentsDir)[target];
+  if (!deployment) {
+    throw new Error(
+      `No deployment of ${target} recorded on ${hre.network.name}`,
+    );
+  }
+  return {
+    address: deployment.address,
+    contract: deployment.contractName,
+    fromBlock: deployment.blockNumber,
+  };
+}
+
+/**
+ * Publishes a keyring key (`publicKey`, default the newest) as the
+ * encryption key of `target`, an AffiliateERC1155Storefront or AuctionHouse
+ * given by record name or address. Auction houses publish it in the recorded
+ * EncryptionKeyRegistry. Goes through `ownerCall`, so with `safe` the call is
+ * queued instead.
+ *
+ * Resolves to `{ publicKey, previous, status }` with a status of
+ * "published", "queued" or "unchanged".
+ */
+async function publishSellerKey(hre, options) {
+  const {
+    target,
+    publicKey,
+    file = keyringFile(),
+    deploymentsDir = DEPLOYMENTS_DIR,
+    ...callOptions
+  } = options;
+  const { keys } = readKeyring(file);
+  if (!keys.length) {
+    throw new Error(
+      `The seller keyring ${file} has no keys; run seller-key-generate first`,
+    );
+  }
+  const entry = publicKey
+    ? keys.find((key) => sameKey(key.publicKey, publicKey))
+    : keys[keys.length - 1];
+  if (!entry) {
+    throw new Error(
+      `${publicKey} is not in the seller keyring ${file}, so its messages could not be read`,
+    );
+  }
+
+  const { address, contract } = await resolveTarget(
+    hre,
+    target,
+    deploymentsDir,
+  );
+  const holder = keyHolder(hre, address, contract, deploymentsDir);
+  const instance = await hre.ethers.getContractAt(
+    holder.contract,
+    holder.address,
+  );
+  const previous =
+    (await instance.encryptionPublicKey(...holder.args)) || undefined;
+  const result = { publicKey: entry.publicKey, previous };
+  if (previous && sameKey(previous, entry.publicKey)) {
+    return { ...result, status: "unchanged" };
+  }
+
+  await ownerCall(hre, {
+    ...callOptions,
+    target: holder.address,
+    contract: holder.contract,
+    method: "setEncryptionPublicKey",
+    args: [...holder.args, entry.publicKey],
+    ownedBy: address,
+    label: target,
+    deploymentsDir,
+  });
+  return { ...result, status: callOptions.safe ? "queued" : "published" };
+}
+
+/**
+ * Report rows for the keyring keys. With `target`, each key also shows
+ * whether it is the key `target` publishes now ("current"), was published
+ * earlier ("retired") or never ("unpublished"), and since which block; keys
+ * published there but missing from the keyring are listed as "missing",
+ * since their messages cannot be read.
+ */
+async function listSellerKeys(hre, options = {}) {
+  const {
+    target,
+    file = keyringFile(),
+    deploymentsDir = DEPLOYMENTS_DIR,
+  } = options;
+  const rows = readKeyring(file).keys.map((key) => ({
+    publicKey: key.publicKey,
+    createdAt: key.createdAt,
+  }));
+  if (!target) return rows;
+
+  const { address, contract, fromBlock } = await resolveTarget(
+    hre,
+    target,
+    deploymentsDir,
+  );
+  const holder = keyHolder(hre, address, contract, deploymentsDir);
+  const all = await keyHistory(hre.ethers.provider, address, {
+    fromBlock,
+    registry: holder.address === address ? undefined : holder.address,
+  });
+  const current = all[all.length - 1];
+  const history = all.filter((entry) => entry.publicKey);
+
+  for (const row of rows) {
+    const published = history.filter((entry) =>
+      sameKey(entry.publicKey, row.publicKey),
+    );
+    if (!published.length) {
+      row.status = "unpublished";
+      continue;
+    }
+    row.status = published.includes(current) ? "current" : "retired";
+    row.since = published[published.length - 1].blockNumber;
+  }
+  for (const entry of history) {
+    if (!rows.some((row) => sameKey(row.publicKey, entry.publicKey))) {
+      rows.push({
+        publicKey: entry.publicKey,
+        status: entry === current ? "current, missing" : "missing",
+        since: entry.blockNumber,
+      });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  KEYRING_FILE,
+  keyringFile,
+  readKeyring,
+  keyringPassword,
+  unlockKeyring,
+  addSellerKey,
+  publishSellerKey,
+  listSellerKeys,
+};
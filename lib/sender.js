@@ -0,0 +1,423 @@
+const fs = require("fs");
+const path = require("path");
+const { id, parseUnits } = require("ethers");
+const { decodeError } = require("../sdk/errors");
+const { formatPlan, simulate } = require("../sdk/preflight");
+const { DEPLOYMENTS_DIR, chainDir } = require("./deployments");
+
+const DEFAULTS = {
+  gasMargin: 20, // percent added to the gas estimate
+  deadlineMs: 3 * 60 * 1000, // pending for longer than this counts as stuck
+  pollMs: 4000,
+  bumpPercent: 20, // nodes accept replacements from +10%
+  maxReplacements: 5,
+  timeoutMs: 30 * 60 * 1000, // give up waiting, leaving the journal entry
+};
+
+// Next nonce per chain and account, shared by every send in this process
+const nonces = new Map();
+
+/**
+ * Reads fee caps in wei from MAX_FEE_GWEI and MAX_PRIORITY_FEE_GWEI.
+ */
+function feeCaps(env = process.env) {
+  const gwei = (value) => (value ? parseUnits(value, "gwei") : undefined);
+  return {
+    maxFeePerGas: gwei(env.MAX_FEE_GWEI),
+    maxPriorityFeePerGas: gwei(env.MAX_PRIORITY_FEE_GWEI),
+  };
+}
+
+function min(value, cap) {
+  return cap !== undefined && value > cap ? cap : value;
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+/**
+ * EIP-1559 fees from the node's fee data, limited by `caps`. Chains without
+ * EIP-1559 get a capped legacy gas price.
+ */
+async function estimateFees(provider, caps = {}) {
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas === null) {
+    return { gasPrice: min(feeData.gasPrice, caps.maxFeePerGas) };
+  }
+  const maxFeePerGas = min(feeData.maxFeePerGas, caps.maxFeePerGas);
+  return {
+    maxFeePerGas,
+    maxPriorityFeePerGas: min(
+      min(feeData.maxPriorityFeePerGas, caps.maxPriorityFeePerGas),
+      maxFeePerGas,
+    ),
+  };
+}
+
+// Fees for a replacement: `bumpPercent` above the stuck transaction and at
+// least the current market fees, within the caps. Returns undefined when the
+// caps leave no room for the 10% nodes require.
+function bumpFees(previous, market, bumpPercent, caps = {}) {
+  const bump = (value) => (value * BigInt(100 + bumpPercent)) / 100n;
+  const enough = (next, prev) => next * 10n >= prev * 11n;
+  if (previous.gasPrice !== undefined) {
+    const gasPrice = min(
+      max(bump(previous.gasPrice), market.gasPrice || 0n),
+      caps.maxFeePerGas,
+    );
+    return enough(gasPrice, previous.gasPrice) ? { gasPrice } : undefined;
+  }
+  const maxFeePerGas = min(
+    max(bump(previous.maxFeePerGas), market.maxFeePerGas || 0n),
+    caps.maxFeePerGas,
+  );
+  const maxPriorityFeePerGas = min(
+    min(
+      max(
+        bump(previous.maxPriorityFeePerGas),
+        market.maxPriorityFeePerGas || 0n,
+      ),
+      caps.maxPriorityFeePerGas,
+    ),
+    maxFeePerGas,
+  );
+  if (
+    !enough(maxFeePerGas, previous.maxFeePerGas) ||
+    !enough(maxPriorityFeePerGas, previous.maxPriorityFeePerGas)
+  ) {
+    return undefined;
+  }
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+async function reserveNonce(signer, chainId) {
+  const address = await signer.getAddress();
+  const key = `${chainId}:${address}`;
+  if (!nonces.has(key)) {
+    nonces.set(key, { next: 0, lock: Promise.resolve() });
+  }
+  const entry = nonces.get(key);
+  // Sends are serialized here only while their nonce is picked
+  const nonce = entry.lock.then(async () => {
+    const pending = await signer.provider.getTransactionCount(
+      address,
+      "pending",
+    );
+    entry.next = Math.max(entry.next, pending);
+    return entry.next++;
+  });
+  entry.lock = nonce.catch(() => {});
+  return {
+    nonce: await nonce,
+    release: (used) => {
+      if (entry.next === used + 1) entry.next = used;
+    },
+  };
+}
+
+/**
+ * File holding the in-flight transactions of a chain, so a re-run picks them
+ * back up instead of sending them again.
+ */
+function journalPath(chainId, deploymentsDir = DEPLOYMENTS_DIR) {
+  return path.join(chainDir(chainId, deploymentsDir), "state", "pending.json");
+}
+
+function readJournal(file) {
+  return file && fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : {};
+}
+
+function updateJournal(file, key, entry) {
+  if (!file) return;
+  const journal = readJournal(file);
+  if (entry) {
+    journal[key] = entry;
+  } else {
+    delete journal[key];
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(journal, null, 2)}\n`);
+}
+
+function toJournal(value) {
+  return JSON.parse(
+    JSON.stringify(value, (_, item) =>
+      typeof item === "bigint" ? item.toString() : item,
+    ),
+  );
+}
+
+function fromJournal(fees) {
+  return Object.fromEntries(
+    Object.entries(fees).map(([name, value]) => [name, BigInt(value)]),
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Replays a reverted transaction as a call on the state before its block to
+// recover the reason, which receipts do not carry
+async function revertError(provider, from, request, receipt) {
+  try {
+    await provider.call({
+      from,
+      to: request.to,
+      data: request.data,
+      value: BigInt(request.value || 0),
+      blockTag: receipt.blockNumber - 1,
+    });
+  } catch (error) {
+    const decoded = decodeError(error);
+    if (decoded !== error) {
+      decoded.message = `Transaction ${receipt.hash} reverted: ${decoded.message}`;
+      return decoded;
+    }
+  }
+  return new Error(`Transaction ${receipt.hash} reverted`);
+}
+
+function isLostReplacement(error) {
+  return (
+    ["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"].includes(error.code) ||
+    /nonce too low|replacement transaction underpriced/i.test(error.message)
+  );
+}
+
+async function findReceipt(provider, hashes) {
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+/**
+ * Sends a transaction request from `signer` and resolves to its receipt.
+ *
+ * Gas is estimated with a margin unless `request.gasLimit` is set, fees are
+ * EIP-1559 within `caps` (by default MAX_FEE_GWEI and MAX_PRIORITY_FEE_GWEI)
+ * and nonces are handed out locally, so concurrent sends from one account do
+ * not collide. A transaction still pending after `deadlineMs` is replaced by
+ * the same call with higher fees, up to `maxReplacements` times. Waiting stops
+ * with an error after `timeoutMs`; the transaction stays in the journal, so
+ * the next send with the same key picks it up again.
+ *
+ * Unless `journal` is false, the hashes of in-flight transactions are kept in
+ * deployments/<chainId>/state/pending.json under `key` (by default derived
+ * from sender, target and calldata). A later send with the same key waits for
+ * those transactions instead of sending a new one.
+ *
+ * New transactions are first simulated on the pending block. A revert there,
+ * or on chain, is thrown as a ContractError from sdk/errors.js where the
+ * revert data is known. With `confirm`, the simulated plan is logged and
+ * handed to it, and the transaction is only sent when it resolves to true.
+ */
+async function sendTransaction(hre, signer, request, options = {}) {
+  const {
+    caps = feeCaps(),
+    gasMargin = DEFAULTS.gasMargin,
+    deadlineMs = DEFAULTS.deadlineMs,
+    pollMs = DEFAULTS.pollMs,
+    bumpPercent = DEFAULTS.bumpPercent,
+    maxReplacements = DEFAULTS.maxReplacements,
+    timeoutMs = DEFAULTS.timeoutMs,
+    journal = hre.network.name !== "hardhat",
+    deploymentsDir = DEPLOYMENTS_DIR,
+    confirm,
+    log = console.log,
+  } = options;
+  const { provider } = signer;
+  const from = await signer.getAddress();
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const file = journal ? journalPath(chainId, deploymentsDir) : undefined;
+  const key =
+    options.key ||
+    `${from}:${request.to || "create"}:${id(request.data || "0x")}`;
+
+  let entry = readJournal(file)[key];
+  if (entry) {
+    const receipt = await findReceipt(provider, entry.hashes);
+    const mined = await provider.getTransactionCount(from, "latest");
+    if (receipt) {
+      updateJournal(file, key, undefined);
+      return receipt;
+    }
+    if (mined > entry.nonce) {
+      log(`Nonce ${entry.nonce} of ${key} was used by another transaction`);
+      updateJournal(file, key, undefined);
+      entry = undefined;
+    } else {
+      log(
+        `Resuming ${entry.hashes[entry.hashes.length - 1]} (nonce ${entry.nonce})`,
+      );
+    }
+  }
+
+  if (!entry) {
+    const transaction = {
+      to: request.to,
+      data: request.data,
+      value: request.value || 0n,
+    };
+    const simulation = await simulate(provider, {
+      ...transaction,
+      from,
+      gasLimit: request.gasLimit,
+    });
+    const estimate = request.gasLimit
+      ? simulation.gasLimit
+      : (simulation.gasLimit * BigInt(100 + gasMargin)) / 100n;
+    if (confirm) {
+      const value = BigInt(transaction.value);
+      const plan = {
+        description: options.description,
+        from,
+        to: request.to,
+        value,
+        ...simulation,
+        events: [],
+        balances: value
+          ? [
+              { label: "sender", account: from, amount: -value },
+              { label: "recipient", account: request.to, amount: value },
+            ]
+          : [],
+      };
+      formatPlan(plan).forEach((line) => log(line));
+      if (!(await confirm(plan))) {
+        throw new Error("Not confirmed; nothing was sent");
+      }
+    }
+    const fees = await estimateFees(provider, caps);
+    const { nonce, release } = await reserveNonce(signer, chainId);
+
+    let response;
+    try {
+      response = await signer.sendTransaction({
+        ...transaction,
+        ...fees,
+        gasLimit: estimate,
+        nonce,
+      });
+    } catch (error) {
+      release(nonce);
+      throw decodeError(error);
+    }
+    entry = toJournal({
+      from,
+      nonce,
+      request: { ...transaction, gasLimit: estimate },
+      fees,
+      hashes: [response.hash],
+      sentAt: Date.now(),
+    });
+    updateJournal(file, key, entry);
+  }
+
+  let replacements = entry.hashes.length - 1;
+  let deadline = entry.sentAt + deadlineMs;
+  const giveUp = Date.now() + timeoutMs;
+  for (;;) {
+    const receipt = await findReceipt(provider, entry.hashes);
+    if (receipt) {
+      updateJournal(file, key, undefined);
+      if (receipt.status === 0) {
+        throw await revertError(provider, from, entry.request, receipt);
+      }
+      return receipt;
+    }
+    if ((await provider.getTransactionCount(from, "latest")) > entry.nonce) {
+      // Mined but not yet visible to getTransactionReceipt, or replaced
+      // outside this process: look once more before giving up.
+      await sleep(pollMs);
+      const late = await findReceipt(provider, entry.hashes);
+      if (late) continue;
+      updateJournal(file, key, undefined);
+      throw new Error(
+        `Nonce ${entry.nonce} of ${from} was used by a transaction not sent from here`,
+      );
+    }
+
+    if (Date.now() >= giveUp) {
+      throw new Error(
+        `${entry.hashes[entry.hashes.length - 1]} (nonce ${entry.nonce}) is still pending after ${Math.round(timeoutMs / 1000)}s${
+          file ? "; it stays in the journal for the next run to pick up" : ""
+        }`,
+      );
+    }
+
+    if (Date.now() >= deadline && replacements < maxReplacements) {
+      const previous = fromJournal(entry.fees);
+      const fees = bumpFees(
+        previous,
+        await estimateFees(provider),
+        bumpPercent,
+        caps,
+      );
+      if (!fees) {
+        log(
+          `${entry.hashes[entry.hashes.length - 1]} is stuck but the fee caps leave no room to replace it`,
+        );
+      } else {
+        const { gasLimit, ...transaction } = entry.request;
+        let response;
+        try {
+          response = await signer.sendTransaction({
+            ...transaction,
+            value: BigInt(transaction.value),
+            gasLimit: BigInt(gasLimit),
+            ...fees,
+            nonce: entry.nonce,
+          });
+        } catch (error) {
+          // The original was mined meanwhile, or the node keeps a pricier one:
+          // either way the receipt check above settles it.
+          if (!isLostReplacement(error)) throw decodeError(error);
+          log(
+            `Replacement of nonce ${entry.nonce} was refused (${error.shortMessage || error.message})`,
+          );
+        }
+        if (response) {
+          replacements++;
+          log(
+            `Replaced stuck transaction with ${response.hash} (nonce ${entry.nonce}, ${replacements}/${maxReplacements})`,
+          );
+          entry.fees = toJournal(fees);
+          entry.hashes.push(response.hash);
+          updateJournal(file, key, entry);
+        }
+      }
+      deadline = Date.now() + deadlineMs;
+    }
+    await sleep(pollMs);
+  }
+}
+
+/**
+ * Deploys `factory` with `args` through `sendTransaction` and resolves to
+ * `{ address, receipt }`.
+ */
+async function deployContract(hre, factory, args = [], options = {}) {
+  const { overrides = {}, ...sendOptions } = options;
+  const request = await factory.getDeployTransaction(...args);
+  const receipt = await sendTransaction(
+    hre,
+    factory.runner,
+    { ...request, ...overrides },
+    sendOptions,
+  );
+  return { address: receipt.contractAddress, receipt };
+}
+
+module.exports = {
+  feeCaps,
+  estimateFees,
+  journalPath,
+  sendTransaction,
+  deployContract,
+};
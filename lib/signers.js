@@ -0,0 +1,160 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { Writable } = require("stream");
+const { getAddress, HDNodeWallet, Wallet } = require("ethers");
+const { getSignerConfig } = require("./networks");
+
+// Unlocked keystores per network, so the password is asked for only once
+const unlocked = new Map();
+
+function expandHome(file) {
+  return file.startsWith("~/") ? path.join(os.homedir(), file.slice(2)) : file;
+}
+
+/**
+ * Asks for a secret on the terminal without echoing it: once the question is
+ * out, the output readline echoes the answer to is muted.
+ */
+function promptSecret(question, options = {}) {
+  const { input = process.stdin, output = process.stderr } = options;
+  if (!input.isTTY) {
+    return Promise.reject(
+      new Error(`${question.trim()} No terminal to ask on; set it in the env`),
+    );
+  }
+  let muted = false;
+  const echo = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) output.write(chunk, encoding);
+      callback();
+    },
+  });
+  const rl = readline.createInterface({ input, output: echo, terminal: true });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      output.write("\n");
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Asks a yes/no question on the terminal; anything but "y" or "yes" is no.
+ */
+function promptConfirm(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(
+      new Error(`${question.trim()} No terminal to ask on; pass --yes`),
+    );
+  }
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(["y", "yes"].includes(answer.trim().toLowerCase()));
+    });
+  });
+}
+
+/**
+ * The `confirm` option of sendTransaction for tasks: asks on the terminal
+ * before each send, or accepts every plan with `yes` (--yes).
+ */
+function confirmSends(yes) {
+  return yes ? async () => true : () => promptConfirm("Send it? [y/N] ");
+}
+
+async function unlockKeystore(file, env) {
+  const json = fs.readFileSync(expandHome(file), "utf8");
+  const password =
+    env.KEYSTORE_PASSWORD ||
+    (await promptSecret(`Password for ${path.basename(file)}: `));
+  try {
+    return await Wallet.fromEncryptedJson(json, password);
+  } catch (error) {
+    throw new Error(`Could not unlock the keystore ${file}: ${error.message}`);
+  }
+}
+
+async function impersonate(hre, address) {
+  // Hardhat and anvil name the same RPC method differently
+  try {
+    await hre.network.provider.send("hardhat_impersonateAccount", [address]);
+  } catch (error) {
+    await hre.network.provider.send("anvil_impersonateAccount", [address]);
+  }
+  return hre.ethers.getSigner(address);
+}
+
+/**
+ * Returns the signer configured for the running network (see
+ * `getSignerConfig` in lib/networks.js). Keystores are unlocked on first use
+ * and impersonated accounts are enabled on the node.
+ */
+async function getSigner(hre, options = {}) {
+  const { env = process.env } = options;
+  const { kind, value } = getSignerConfig(hre.network.name, env);
+
+  if (kind === "keystore") {
+    const key = `${hre.network.name}:${value}`;
+    if (!unlocked.has(key)) {
+      unlocked.set(key, await unlockKeystore(value, env));
+    }
+    return unlocked.get(key).connect(hre.ethers.provider);
+  }
+  if (kind === "impersonate") {
+    return impersonate(hre, value);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error(
+      `No ${kind} account configured for ${hre.network.name}; see .env.example`,
+    );
+  }
+  return signer;
+}
+
+/**
+ * Address of the signer configured for network `name`, found without
+ * unlocking anything (keystores store their address in the clear). Undefined
+ * when the node's own accounts are used or the secret is not set.
+ */
+function signerAddress(name, env = process.env) {
+  const { kind, value } = getSignerConfig(name, env);
+  if (kind === "private-key") {
+    return env.PRIVATE_KEY ? new Wallet(env.PRIVATE_KEY).address : undefined;
+  }
+  if (kind === "mnemonic") {
+    return env.MNEMONIC
+      ? HDNodeWallet.fromPhrase(
+          env.MNEMONIC,
+          env.MNEMONIC_PASSPHRASE || "",
+          env.MNEMONIC_PATH || undefined,
+        ).address
+      : undefined;
+  }
+  if (kind === "keystore") {
+    const { address } = JSON.parse(fs.readFileSync(expandHome(value), "utf8"));
+    return getAddress(address.startsWith("0x") ? address : `0x${address}`);
+  }
+  if (kind === "impersonate") {
+    return getAddress(value);
+  }
+  return undefined;
+}
+
+module.exports = {
+  confirmSends,
+  promptConfirm,
+  promptSecret,
+  getSigner,
+  signerAddress,
+};
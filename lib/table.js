@@ -0,0 +1,46 @@
+/**
+ * Prints rows as a plain-text table with the given columns. Only the first
+ * line of multi-line values is shown.
+ */
+function printTable(rows, columns, log = console.log) {
+  const cells = rows.map((row) =>
+    columns.map(
+      (column) =>
+        String(row[column] === undefined ? "" : row[column]).split("\n")[0],
+    ),
+  );
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((cell) => cell[i].length)),
+  );
+  const line = (values) =>
+    values
+      .map((value, i) => value.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  log(line(columns));
+  log(line(widths.map((width) => "-".repeat(width))));
+  for (const cell of cells) {
+    log(line(cell));
+  }
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV with a header line, quoting cells that need it.
+ */
+function toCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+module.exports = {
+  printTable,
+  toCsv,
+};
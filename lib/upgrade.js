@@ -0,0 +1,242 @@
+const { getAddress } = require("ethers");
+const {
+  DEPLOYMENTS_DIR,
+  listDeployments,
+  recordDeployment,
+} = require("./deployments");
+const { sendOrQueue } = require("./safe");
+const { deployContract } = require("./sender");
+const { getSigner } = require("./signers");
+const { IMPLEMENTATION_SLOT } = require("./verify");
+
+async function readImplementation(provider, proxy) {
+  const slot = await provider.getStorage(proxy, IMPLEMENTATION_SLOT);
+  return getAddress("0x" + slot.slice(-40));
+}
+
+/**
+ * Upgrades the UUPS proxy recorded as `proxy` to a new implementation of
+ * `contract`.
+ *
+ * The storage layout of `contract` is validated against the implementation the
+ * proxy currently points to. That one is compiled from `reference`, which
+ * defaults to the contract recorded for the current implementation, so it has
+ * to still be in the tree. The new implementation is then deployed through
+ * deployContract, simulated and confirmed like any other send. After
+ * `upgradeToAndCall` the EIP-1967 slot is read back, and both the new
+ * implementation and the upgrade are appended to the deployment records.
+ *
+ * With `safe`, the new implementation is still deployed by the signer but
+ * `upgradeToAndCall` is appended to `queue` for the Safe. Only the
+ * implementation is recorded then; the proxy's upgrade is recorded by
+ * recordExecutedUpgrades once the Safe has executed it.
+ */
+async function upgradeProxy(hre, options = {}) {
+  const {
+    proxy = "AffiliateVerifierProxy",
+    contract = "AffiliateVerifier",
+    reference,
+    call,
+    safe,
+    queue,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    signer = await getSigner(hre),
+    confirm,
+    log = console.log,
+  } = options;
+  const { ethers, upgrades } = hre;
+
+  await recordExecutedUpgrades(hre, { deploymentsDir, log });
+  const deployments = listDeployments(hre, deploymentsDir);
+  const proxyRecord = deployments[proxy];
+  if (!proxyRecord) {
+    throw new Error(
+      `No deployment of ${proxy} recorded on ${hre.network.name}`,
+    );
+  }
+  const proxyAddress = proxyRecord.address;
+  const previous = await readImplementation(ethers.provider, proxyAddress);
+
+  // The implementation keeps its record name (e.g. AffiliateVerifier) across
+  // upgrades, even when the contract is renamed.
+  const implementationName =
+    Object.keys(deployments).find(
+      (name) => getAddress(deployments[name].address) === previous,
+    ) || contract;
+  const referenceName =
+    reference ||
+    (deployments[implementationName] &&
+      deployments[implementationName].contractName) ||
+    contract;
+
+  const ReferenceFactory = await ethers.getContractFactory(
+    referenceName,
+    signer,
+  );
+  const NewFactory = await ethers.getContractFactory(contract, signer);
+
+  // Proxies deployed by the manifests are unknown to the upgrades plugin
+  // until imported with the layout of their current implementation.
+  await upgrades.forceImport(proxyAddress, ReferenceFactory, { kind: "uups" });
+
+  log(
+    `Validating ${contract} against ${referenceName} at ${previous} (${proxy} ${proxyAddress})`,
+  );
+  await upgrades.validateUpgrade(proxyAddress, NewFactory, { kind: "uups" });
+
+  const { address, receipt: deployReceipt } = await deployContract(
+    hre,
+    NewFactory,
+    [],
+    {
+      description: `Deploy ${contract} as the new implementation of ${proxy}`,
+      deploymentsDir,
+      confirm,
+      log,
+    },
+  );
+  const implementation = getAddress(address);
+  log(`New ${contract} implementation at ${implementation}`);
+
+  const data = call
+    ? NewFactory.interface.encodeFunctionData(call.method, call.args || [])
+    : "0x";
+  const proxyContract = await ethers.getContractAt(
+    contract,
+    proxyAddress,
+    signer,
+  );
+  const receipt = await sendOrQueue(
+    hre,
+    proxyContract,
+    "upgradeToAndCall",
+    [implementation, data],
+    {
+      queue: safe ? queue : undefined,
+      label: proxy,
+      deploymentsDir,
+      confirm,
+      log,
+    },
+  );
+
+  if (receipt) {
+    const current = await readImplementation(ethers.provider, proxyAddress);
+    if (current !== implementation) {
+      throw new Error(
+        `${proxy} points to ${current} after the upgrade, expected ${implementation}`,
+      );
+    }
+    log(`${proxy} upgraded from ${previous} to ${implementation}`);
+  }
+
+  await recordDeployment(
+    hre,
+    implementationName,
+    {
+      contractName: contract,
+      address: implementation,
+      txHash: deployReceipt && deployReceipt.hash,
+      blockNumber: deployReceipt && deployReceipt.blockNumber,
+      deployer: signer.address,
+      extra: receipt
+        ? { proxy: proxyAddress }
+        : {
+            proxy: proxyAddress,
+            queuedUpgrade: { from: previous, data, safe },
+          },
+    },
+    { deploymentsDir },
+  );
+  if (receipt) {
+    await recordDeployment(
+      hre,
+      proxy,
+      {
+        contractName: proxyRecord.contractName,
+        address: proxyAddress,
+        constructorArguments: proxyRecord.constructorArguments,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployer: signer.address,
+        extra: {
+          upgrade: { from: previous, to: implementation, contract, data },
+        },
+      },
+      { deploymentsDir },
+    );
+  }
+
+  return {
+    proxy: proxyAddress,
+    previous,
+    implementation,
+    txHash: receipt && receipt.hash,
+  };
+}
+
+/**
+ * Records the upgrades queued for a Safe that have since been executed. A
+ * queued upgrade only records its implementation (with `queuedUpgrade`); the
+ * proxy's `upgrade` entry is appended here once its EIP-1967 slot reads that
+ * implementation. Resolves to the appended proxy entries.
+ */
+async function recordExecutedUpgrades(hre, options = {}) {
+  const { deploymentsDir = DEPLOYMENTS_DIR, log = console.log } = options;
+  const deployments = listDeployments(hre, deploymentsDir);
+  const recorded = [];
+
+  for (const { queuedUpgrade, proxy, address, contractName } of Object.values(
+    deployments,
+  )) {
+    if (!queuedUpgrade) continue;
+    const proxyName = Object.keys(deployments).find(
+      (name) => getAddress(deployments[name].address) === getAddress(proxy),
+    );
+    if (!proxyName) continue;
+    const proxyRecord = deployments[proxyName];
+    const implementation = getAddress(address);
+    if (
+      proxyRecord.upgrade &&
+      getAddress(proxyRecord.upgrade.to) === implementation
+    ) {
+      continue;
+    }
+    if (
+      (await readImplementation(hre.ethers.provider, proxy)) !== implementation
+    ) {
+      continue;
+    }
+
+    log(
+      `${proxyName} was upgraded to ${implementation} by ${queuedUpgrade.safe}`,
+    );
+    recorded.push(
+      await recordDeployment(
+        hre,
+        proxyName,
+        {
+          contractName: proxyRecord.contractName,
+          address: proxyRecord.address,
+          constructorArguments: proxyRecord.constructorArguments,
+          deployer: queuedUpgrade.safe,
+          extra: {
+            upgrade: {
+              ...queuedUpgrade,
+              to: implementation,
+              contract: contractName,
+            },
+          },
+        },
+        { deploymentsDir },
+      ),
+    );
+  }
+  return recorded;
+}
+
+module.exports = {
+  readImplementation,
+  recordExecutedUpgrades,
+  upgradeProxy,
+};
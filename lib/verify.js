@@ -0,0 +1,348 @@
+const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+const { getAddress } = require("ethers");
+const { DEPLOYMENTS_DIR, listDeployments } = require("./deployments");
+const { printTable } = require("./table");
+
+// keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+// EIP-1167 minimal proxy runtime code around the implementation address
+const CLONE_PREFIX = "0x363d3d373d3d3d363d73";
+const CLONE_SUFFIX = "5af43d82803e903d91602b57fd5bf3";
+
+const NOT_INDEXED = [
+  /does not have bytecode/i,
+  /unable to locate contractcode/i,
+  /not yet indexed/i,
+  /no bytecode found/i,
+];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isAlreadyVerifiedError(error) {
+  return /already (been )?verified/i.test(error.message);
+}
+
+/**
+ * True for explorer errors that only mean the explorer has not indexed the
+ * contract yet, so the request is worth retrying.
+ */
+function isNotIndexedError(error) {
+  return NOT_INDEXED.some((pattern) => pattern.test(error.message));
+}
+
+/**
+ * Classifies the code at `address` as an EIP-1967 proxy, an EIP-1167 clone or
+ * a plain contract, returning the implementation address for the first two.
+ */
+async function detectProxy(provider, address) {
+  const code = (await provider.getCode(address)).toLowerCase();
+  if (
+    code.length === CLONE_PREFIX.length + 40 + CLONE_SUFFIX.length &&
+    code.startsWith(CLONE_PREFIX) &&
+    code.endsWith(CLONE_SUFFIX)
+  ) {
+    return {
+      kind: "clone",
+      implementation: getAddress(
+        "0x" + code.slice(CLONE_PREFIX.length, CLONE_PREFIX.length + 40),
+      ),
+    };
+  }
+
+  const slot = await provider.getStorage(address, IMPLEMENTATION_SLOT);
+  if (BigInt(slot) !== 0n) {
+    return {
+      kind: "proxy",
+      implementation: getAddress("0x" + slot.slice(-40)),
+    };
+  }
+  return { kind: "contract" };
+}
+
+async function getExplorer(hre) {
+  const chainConfig = await Etherscan.getCurrentChainConfig(
+    hre.network.name,
+    hre.network.provider,
+    hre.config.etherscan.customChains,
+  );
+  return Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+}
+
+/**
+ * Verifies the source of one contract, retrying with exponential backoff while
+ * the explorer has not indexed it yet. Resolves to `{ status, error }` where
+ * status is "verified", "already verified" or "failed".
+ */
+async function verifyContract(
+  hre,
+  address,
+  constructorArguments = [],
+  options = {},
+) {
+  const { contract, attempts = 5, delayMs = 5000, log = console.log } = options;
+
+  try {
+    const explorer = await getExplorer(hre);
+    if (await explorer.isVerified(address)) {
+      return { status: "already verified" };
+    }
+  } catch (error) {
+    return { status: "failed", error: error.message };
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await hre.run("verify:verify", {
+        address,
+        constructorArguments,
+        contract,
+      });
+      return { status: "verified" };
+    } catch (error) {
+      if (isAlreadyVerifiedError(error)) {
+        return { status: "already verified" };
+      }
+      if (!isNotIndexedError(error) || attempt >= attempts) {
+        return { status: "failed", error: error.message };
+      }
+      const wait = delayMs * 2 ** (attempt - 1);
+      log(
+        `${address} is not indexed by the explorer yet, retrying in ${wait / 1000}s (${attempt}/${attempts})`,
+      );
+      await sleep(wait);
+    }
+  }
+}
+
+async function explorerRequest(explorer, parameters, method = "GET") {
+  const url = new URL(explorer.apiUrl);
+  const body = new URLSearchParams({ apikey: explorer.apiKey, ...parameters });
+  let response;
+  if (method === "GET") {
+    url.search = body.toString();
+    response = await fetch(url);
+  } else {
+    response = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: body.toString(),
+    });
+  }
+  return response.json();
+}
+
+/**
+ * Asks the explorer to treat `address` as a proxy of `implementation`, so its
+ * page exposes the implementation ABI. Works for EIP-1967 proxies and clones.
+ */
+async function linkProxy(hre, address, implementation, options = {}) {
+  const { attempts = 5, delayMs = 5000, log = console.log } = options;
+
+  try {
+    const explorer = await getExplorer(hre);
+    const submitted = await explorerRequest(
+      explorer,
+      {
+        module: "contract",
+        action: "verifyproxycontract",
+        address,
+        expectedimplementation: implementation,
+      },
+      "POST",
+    );
+    if (String(submitted.status) !== "1") {
+      return { status: "failed", error: submitted.result };
+    }
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      await sleep(delayMs * 2 ** (attempt - 1));
+      const result = await explorerRequest(explorer, {
+        module: "contract",
+        action: "checkproxyverification",
+        guid: submitted.result,
+      });
+      if (String(result.status) === "1") {
+        return { status: "verified" };
+      }
+      if (!/pending|in progress/i.test(result.result)) {
+        return { status: "failed", error: result.result };
+      }
+      log(`Proxy link for ${address} is still pending`);
+    }
+    return { status: "failed", error: "proxy verification timed out" };
+  } catch (error) {
+    return { status: "failed", error: error.message };
+  }
+}
+
+function qualifiedName(deployment) {
+  if (deployment.compiler && deployment.compiler.sourceName) {
+    return `${deployment.compiler.sourceName}:${deployment.contractName}`;
+  }
+  return undefined;
+}
+
+/**
+ * Verifies a recorded deployment. Proxies and clones are detected from their
+ * code: the implementation is verified first (with its own record's arguments
+ * when `implementations` has one), then the proxy is linked to it.
+ *
+ * Resolves to rows for a status table, one per verified address. Pass the
+ * same `seen` map across calls to verify shared implementations only once.
+ */
+async function verifyDeployment(hre, deployment, options = {}) {
+  const { implementations = {}, seen = new Map(), ...verifyOptions } = options;
+  const verifyOnce = async (address, args, contract) => {
+    if (!seen.has(address)) {
+      seen.set(
+        address,
+        await verifyContract(hre, address, args, {
+          ...verifyOptions,
+          contract,
+        }),
+      );
+    }
+    return seen.get(address);
+  };
+  const { name = deployment.contractName, address } = deployment;
+  const { kind, implementation } = await detectProxy(
+    hre.ethers.provider,
+    address,
+  );
+  const rows = [];
+
+  if (kind !== "contract") {
+    const implementationRecord = implementations[implementation] || {
+      contractName: `${name} implementation`,
+      address: implementation,
+    };
+    const result = await verifyOnce(
+      implementation,
+      implementationRecord.constructorArguments,
+      qualifiedName(implementationRecord),
+    );
+    rows.push({
+      name: implementationRecord.contractName,
+      address: implementation,
+      kind: "implementation",
+      ...result,
+    });
+  }
+
+  if (kind !== "clone") {
+    const result = await verifyOnce(
+      address,
+      deployment.constructorArguments,
+      qualifiedName(deployment),
+    );
+    rows.push({ name, address, kind, ...result });
+  }
+
+  if (kind !== "contract") {
+    const result = await linkProxy(hre, address, implementation, verifyOptions);
+    rows.push({
+      name,
+      address,
+      kind: `${kind} link`,
+      ...result,
+    });
+  }
+
+  return rows;
+}
+
+async function findEscrowClones(hre, factory) {
+  const contract = await hre.ethers.getContractAt(
+    "AffiliateEscrowFactory",
+    factory.address,
+  );
+  const events = await contract.queryFilter(
+    contract.filters.AffiliateEscrowCreated(),
+    factory.blockNumber || 0,
+  );
+  return events.map((event) => event.args.escrowAddress);
+}
+
+/**
+ * Verifies the current deployment of every recorded contract on the running
+ * network (or only `names`). With `clones`, escrow clones created by recorded
+ * AffiliateEscrowFactory contracts are linked to their implementation too.
+ */
+async function verifyRecords(hre, options = {}) {
+  const {
+    names,
+    clones = false,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    ...verifyOptions
+  } = options;
+  const deployments = listDeployments(hre, deploymentsDir);
+  const selected = names || Object.keys(deployments);
+  const implementations = Object.fromEntries(
+    Object.values(deployments).map((deployment) => [
+      getAddress(deployment.address),
+      deployment,
+    ]),
+  );
+  const seen = new Map();
+  const rows = [];
+
+  for (const name of selected) {
+    const deployment = deployments[name];
+    if (!deployment) {
+      rows.push({ name, status: "failed", error: "no deployment record" });
+      continue;
+    }
+    if ((await hre.ethers.provider.getCode(deployment.address)) === "0x") {
+      rows.push({
+        name,
+        address: deployment.address,
+        status: "failed",
+        error: "no code at the recorded address",
+      });
+      continue;
+    }
+
+    rows.push(
+      ...(await verifyDeployment(
+        hre,
+        { name, ...deployment },
+        { ...verifyOptions, implementations, seen },
+      )),
+    );
+
+    if (clones && deployment.contractName === "AffiliateEscrowFactory") {
+      for (const address of await findEscrowClones(hre, deployment)) {
+        rows.push(
+          ...(await verifyDeployment(
+            hre,
+            { name: "AffiliateEscrow clone", address },
+            { ...verifyOptions, implementations, seen },
+          )),
+        );
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Prints verification rows as a table.
+ */
+function printStatusTable(rows, log = console.log) {
+  printTable(rows, ["name", "address", "kind", "status", "error"], log);
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  sleep,
+  isNotIndexedError,
+  detectProxy,
+  verifyContract,
+  linkProxy,
+  verifyDeployment,
+  verifyRecords,
+  printStatusTable,
+};
@@ -0,0 +1,96 @@
+// Affiliate storefront stack: verifier proxy, escrow factory, receipt token
+// and a first AffiliateERC1155Storefront created through its factory.
+module.exports = {
+  name: "affiliate-storefront",
+  vars: {
+    seaport: "{{network.seaport}}",
+    minSettleTime: "{{network.minSettleTime}}",
+    initialSettleDeadline: "{{network.settlementDeadline}}",
+    designatedArbiter: "{{deployer}}",
+    contractURI: {
+      json: {
+        name: "Receipt Collection",
+        description: "A collection of transaction receipts",
+        image: "https://example.com/collection-image.png",
+        external_link: "https://example.com",
+        seller_fee_basis_points: 100,
+        fee_recipient: "{{deployer}}",
+      },
+    },
+  },
+  steps: [
+    {
+      id: "AffiliateVerifier",
+      contract: "AffiliateVerifier",
+    },
+    {
+      id: "AffiliateVerifierProxy",
+      contract: "AffiliateVerifierProxy",
+      args: [
+        "{{AffiliateVerifier}}",
+        { encodeCall: { contract: "AffiliateVerifier", method: "initialize" } },
+      ],
+    },
+    {
+      id: "AffiliateEscrowFactory",
+      contract: "AffiliateEscrowFactory",
+      create2: true,
+    },
+    {
+      id: "AffiliateEscrow",
+      contract: "AffiliateEscrow",
+      read: {
+        target: "AffiliateEscrowFactory",
+        method: "escrowImplementation",
+      },
+    },
+    {
+      id: "ReceiptERC1155Factory",
+      contract: "ReceiptERC1155Factory",
+      create2: true,
+    },
+    {
+      id: "ReceiptERC1155",
+      contract: "ReceiptERC1155",
+      call: {
+        target: "ReceiptERC1155Factory",
+        method: "createReceiptERC1155",
+        args: ["{{contractURI}}"],
+        event: { name: "ReceiptERC1155Created", arg: "tokenAddress" },
+      },
+      constructorArgs: ["{{contractURI}}"],
+    },
+    {
+      id: "AffiliateERC1155StorefrontFactory",
+      contract: "AffiliateERC1155StorefrontFactory",
+      create2: true,
+      args: ["{{seaport}}", "{{minSettleTime}}"],
+    },
+    {
+      id: "AffiliateERC1155Storefront",
+      contract: "AffiliateERC1155Storefront",
+      call: {
+        target: "AffiliateERC1155StorefrontFactory",
+        method: "createStorefront",
+        args: [
+          "{{designatedArbiter}}",
+          "{{ReceiptERC1155}}",
+          "{{AffiliateEscrowFactory}}",
+          "{{AffiliateVerifierProxy}}",
+          "{{initialSettleDeadline}}",
+        ],
+        event: { name: "StorefrontCreated", arg: "storefront" },
+      },
+      overrides: { gasLimit: 6000000 },
+      constructorArgs: [
+        "{{seaport}}",
+        "{{designatedArbiter}}",
+        "{{AffiliateEscrowFactory}}",
+        "{{ReceiptERC1155}}",
+        "{{AffiliateVerifierProxy}}",
+        "{{minSettleTime}}",
+        "{{initialSettleDeadline}}",
+      ],
+    },
+  ],
+};
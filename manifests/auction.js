@@ -0,0 +1,84 @@
+// Auction stack: item and auction house factories, a first AuctionHouse and an
+// extra NFT collection owned by it. Reuses the AffiliateEscrowFactory recorded
+// on the network (see the affiliate-storefront manifest).
+module.exports = {
+  name: "auction",
+  vars: {
+    auctionHouseName: "Main Auction House",
+    auctionHouseImage: "https://example.com/auction-house-image.png",
+    auctionHouseDescription: "The primary auction house for NFT sales",
+    auctionHouseContractURI: "https://example.com/auction-house-metadata",
+    auctionHouseSymbol: "AH",
+    settlementDeadline: "{{network.settlementDeadline}}",
+    nftName: "Auction Items",
+    nftSymbol: "AITM",
+    nftContractURI: "https://example.com/auction-items-metadata",
+  },
+  steps: [
+    {
+      id: "AuctionItemERC721Factory",
+      contract: "AuctionItemERC721Factory",
+      create2: true,
+    },
+    {
+      id: "AffiliateEscrowFactory",
+      contract: "AffiliateEscrowFactory",
+      address: "{{records.AffiliateEscrowFactory}}",
+    },
+    {
+      id: "AuctionHouseFactory",
+      contract: "AuctionHouseFactory",
+      create2: true,
+    },
+    {
+      id: "AuctionHouse",
+      contract: "AuctionHouse",
+      call: {
+        target: "AuctionHouseFactory",
+        method: "createAuctionHouse",
+        args: [
+          "{{auctionHouseName}}",
+          "{{auctionHouseImage}}",
+          "{{auctionHouseDescription}}",
+          "{{auctionHouseContractURI}}",
+          "{{auctionHouseSymbol}}",
+          "{{settlementDeadline}}",
+          "{{AuctionItemERC721Factory}}",
+          "{{AffiliateEscrowFactory}}",
+        ],
+        event: { name: "AuctionHouseCreated", arg: "auctionHouse" },
+      },
+      // Hardhat's gas estimate for this call exceeds the transaction gas cap
+      overrides: { gasLimit: 7500000 },
+      constructorArgs: [
+        "{{auctionHouseName}}",
+        "{{auctionHouseImage}}",
+        "{{auctionHouseDescription}}",
+        "{{auctionHouseContractURI}}",
+        "{{auctionHouseSymbol}}",
+        "{{settlementDeadline}}",
+        "{{AuctionItemERC721Factory}}",
+        "{{AffiliateEscrowFactory}}",
+      ],
+    },
+    {
+      id: "AuctionItemERC721",
+      contract: "AuctionItemERC721",
+      call: {
+        target: "AuctionHouse",
+        method: "createNFTContract",
+        args: ["{{nftName}}", "{{nftSymbol}}", "{{nftContractURI}}"],
+        event: {
+          emitter: "AuctionItemERC721Factory",
+          name: "AuctionItemERC721Created",
+          arg: "tokenContract",
+        },
+      },
+      constructorArgs: ["{{nftName}}", "{{nftSymbol}}", "{{nftContractURI}}"],
+    },
+    {
+      id: "AffiliateVerifier",
+      contract: "AffiliateVerifier",
+    },
+  ],
+};
@@ -0,0 +1,10 @@
+// Standalone CurationStorefront registry.
+module.exports = {
+  name: "curation",
+  steps: [
+    {
+      id: "CurationStorefront",
+      contract: "CurationStorefront",
+    },
+  ],
+};
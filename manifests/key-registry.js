@@ -0,0 +1,10 @@
+// Registry of the sellers' encryption keys for contracts without their own.
+module.exports = {
+  name: "key-registry",
+  steps: [
+    {
+      id: "EncryptionKeyRegistry",
+      contract: "EncryptionKeyRegistry",
+    },
+  ],
+};
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  DEPLOYMENTS_DIR,
+  migrateLegacyRecords,
+  importLegacySummary,
+} = require("../lib/deployments");
+const { NETWORKS } = require("../lib/networks");
+
+// The old deploy scripts only ever wrote their summaries on Base mainnet.
+const SUMMARY_CHAIN_ID = NETWORKS.basemainnet.chainId;
+const SUMMARY_NETWORK = "basemainnet";
+const SUMMARIES = {
+  "deployment-summary.json": {
+    affiliateVerifierImplementation: "AffiliateVerifier",
+    affiliateVerifierProxy: "AffiliateVerifierProxy",
+    affiliateEscrowFactory: "AffiliateEscrowFactory",
+    affiliateEscrowImplementation: "AffiliateEscrow",
+    receiptERC1155Factory: "ReceiptERC1155Factory",
+    receiptERC1155: "ReceiptERC1155",
+    affiliateERC1155StorefrontFactory: "AffiliateERC1155StorefrontFactory",
+    affiliateERC1155Storefront: "AffiliateERC1155Storefront",
+  },
+  "auction-deployment-summary.json": {
+    auctionItemERC721Factory: "AuctionItemERC721Factory",
+    affiliateEscrowFactory: "AffiliateEscrowFactory",
+    auctionHouseFactory: "AuctionHouseFactory",
+    auctionHouse: "AuctionHouse",
+    nftContract: "AuctionItemERC721",
+    affiliateVerifier: "AffiliateVerifier",
+  },
+};
+
+const migrated = migrateLegacyRecords();
+console.log(`Migrated ${migrated.length} deployment files.`);
+
+for (const [file, names] of Object.entries(SUMMARIES)) {
+  const summaryFile = path.join(DEPLOYMENTS_DIR, file);
+  if (!fs.existsSync(summaryFile)) continue;
+  const imported = importLegacySummary(
+    summaryFile,
+    SUMMARY_CHAIN_ID,
+    SUMMARY_NETWORK,
+    names,
+  );
+  console.log(`Imported ${imported.length} older addresses from ${file}.`);
+}
@@ -0,0 +1,107 @@
+import type {
+  ContractRunner,
+  ContractTransactionReceipt,
+  Overrides,
+} from "ethers";
+import type { MessageInput } from "./context";
+import type { Confirm } from "./preflight";
+
+export interface Auction {
+  tokenId: bigint;
+  tokenContract: string;
+  highestBid: bigint;
+  endTime: bigint;
+  startTime: bigint;
+  reservePrice: bigint;
+  affiliateFee: bigint;
+  auctionOwner: string;
+  bidder: string;
+  affiliate: string;
+  arbiter: string;
+  escrowAddress: string;
+  auctionCurrency: string;
+  minBidIncrementBps: bigint;
+  isPremiumAuction: boolean;
+  premiumBps: bigint;
+  timeExtension: bigint;
+  paymentAmount: bigint;
+}
+
+export interface NFTMetadata {
+  name: string;
+  description?: string;
+  image?: string;
+  termsOfService?: string;
+  supplementalImages?: string[];
+}
+
+export interface AuctionOptions {
+  reservePrice: bigint;
+  duration: number | bigint;
+  arbiter: string;
+  startTime?: number | bigint;
+  startDelay?: number;
+  affiliateFee?: number;
+  escrowFactory?: string;
+  currency?: string;
+  isPremiumAuction?: boolean;
+  premiumBps?: number;
+  minBidIncrementBps?: number;
+  timeExtension?: number | bigint;
+  overrides?: Overrides;
+}
+
+export interface CreatedAuction {
+  auctionId: bigint;
+  tokenContract: string;
+  tokenId: bigint;
+  escrowAddress: string;
+  receipt: ContractTransactionReceipt;
+}
+
+export interface BidOptions {
+  auctionId: bigint | number;
+  amount?: bigint;
+  affiliate?: string;
+  message?: MessageInput;
+  overrides?: Overrides;
+}
+
+export declare class AuctionHouseClient {
+  constructor(
+    address: string,
+    runner: ContractRunner,
+    options?: { confirm?: Confirm; log?: (line: string) => void },
+  );
+  readonly address: string;
+  getAuction(auctionId: bigint | number): Promise<Auction>;
+  getMinimumBid(auctionId: bigint | number): Promise<bigint>;
+  createAuction(
+    options: AuctionOptions & {
+      tokenContract: string;
+      tokenId: bigint | number;
+    },
+  ): Promise<CreatedAuction>;
+  createAuctionWithNewNFT(
+    options: AuctionOptions & { metadata: NFTMetadata },
+  ): Promise<CreatedAuction>;
+  bid(
+    options: BidOptions,
+  ): Promise<{ amount: bigint; receipt: ContractTransactionReceipt }>;
+  end(
+    auctionId: bigint | number,
+    overrides?: Overrides,
+  ): Promise<ContractTransactionReceipt>;
+  cancel(
+    auctionId: bigint | number,
+    overrides?: Overrides,
+  ): Promise<ContractTransactionReceipt>;
+  batchEndExpired(
+    auctionIds: (bigint | number)[],
+    overrides?: Overrides,
+  ): Promise<{
+    ended: bigint[];
+    skipped: { auctionId: bigint; reason: string }[];
+    receipt: ContractTransactionReceipt;
+  }>;
+}
@@ -0,0 +1,485 @@
+const { Contract, ZeroAddress } = require("ethers");
+const { abi } = require("../abi/AuctionHouse");
+const { toMessage } = require("./context");
+const { decodeError } = require("./errors");
+const { sendChecked } = require("./preflight");
+
+const CONTRACT = "AuctionHouse";
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+const ERC721_ABI = [
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+];
+
+const AUCTION_DEFAULTS = {
+  startDelay: 60,
+  affiliateFee: 0,
+  currency: ZeroAddress,
+  premiumBps: 0,
+  minBidIncrementBps: 1000,
+  timeExtension: 0,
+};
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function requireOptions(method, options, names) {
+  const missing = names.filter((name) => options[name] === undefined);
+  if (missing.length) {
+    throw new Error(`${method} needs ${missing.join(", ")}`);
+  }
+}
+
+/**
+ * Client for one AuctionHouse, sending through the signer (or reading through
+ * the provider) it is created with. Write methods wait for the transaction
+ * and resolve to its receipt along with what it created. Reverts are thrown
+ * as ContractErrors with a readable message.
+ *
+ * Every write is simulated on the pending block first. With a `confirm`
+ * option, the plan (see formatPlan) with the expected events and balance
+ * changes is printed through `log` (console.log by default) and given to
+ * `confirm`, and the write is only sent when it resolves to true.
+ */
+class AuctionHouseClient {
+  constructor(address, runner, options = {}) {
+    this.address = address;
+    this.runner = runner;
+    this.confirm = options.confirm;
+    this.log = options.log;
+    this.contract = new Contract(address, abi, runner);
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  /**
+   * The auction as a plain object with the field names of the `Auction`
+   * struct.
+   */
+  async getAuction(auctionId) {
+    const auction = await this.call("getAuctionData", [auctionId]);
+    return auction.toObject();
+  }
+
+  async getMinimumBid(auctionId) {
+    return this.call("getMinimumBid", [auctionId]);
+  }
+
+  /**
+   * Auctions a token the signer or the house holds. A token held by the
+   * signer is transferred to the house first.
+   *
+   * Needs `tokenContract`, `tokenId`, `reservePrice`, `duration` (seconds) and
+   * `arbiter`. `startTime` defaults to `startDelay` seconds after the latest
+   * block, `escrowFactory` to the house's, `currency` to native ETH and
+   * `isPremiumAuction` to whether `premiumBps` is set.
+   */
+  async createAuction(options) {
+    requireOptions("createAuction", options, ["tokenContract", "tokenId"]);
+    const { tokenContract, tokenId, overrides = {} } = options;
+    const args = await this.auctionArgs("createAuction", options);
+
+    const token = new Contract(tokenContract, ERC721_ABI, this.runner);
+    const holder = await token.ownerOf(tokenId);
+    if (!sameAddress(holder, this.address)) {
+      const from = await this.runner.getAddress();
+      if (!sameAddress(holder, from)) {
+        throw new Error(
+          `Token ${tokenId} of ${tokenContract} is held by ${holder}, not by the signer or the auction house`,
+        );
+      }
+      await sendChecked(
+        token,
+        "safeTransferFrom",
+        [from, this.address, tokenId],
+        {
+          label: "ERC721",
+          confirm: this.confirm,
+          log: this.log,
+          effects: async () => ({
+            balances: [
+              { account: from, token: tokenContract, tokenId, amount: -1n },
+              {
+                label: "auction house",
+                account: this.address,
+                token: tokenContract,
+                tokenId,
+                amount: 1n,
+              },
+            ],
+          }),
+        },
+      );
+    }
+
+    const receipt = await this.send(
+      "createAuction",
+      [tokenContract, tokenId, ...args],
+      overrides,
+      async () => this.createEffects(args),
+    );
+    return { ...this.createdAuction(receipt), receipt };
+  }
+
+  /**
+   * Mints a token with `metadata` ({ name, description, image,
+   * termsOfService, supplementalImages }) and auctions it, with the options
+   * and defaults of `createAuction`.
+   */
+  async createAuctionWithNewNFT(options) {
+    requireOptions("createAuctionWithNewNFT", options, ["metadata"]);
+    const { metadata, overrides = {} } = options;
+    const args = await this.auctionArgs("createAuctionWithNewNFT", options);
+
+    const receipt = await this.send(
+      "createAuctionWithNewNFT",
+      [
+        {
+          name: metadata.name || "",
+          description: metadata.description || "",
+          image: metadata.image || "",
+          termsOfService: metadata.termsOfService || "",
+          supplementalImages: metadata.supplementalImages || [],
+        },
+        ...args,
+      ],
+      overrides,
+      async () => this.createEffects(args),
+    );
+    return { ...this.createdAuction(receipt), receipt };
+  }
+
+  /**
+   * Bids `amount` (by default the minimum bid) on an auction, with an
+   * optional `affiliate` and encrypted `message`. ETH auctions send the
+   * amount as value; currency auctions first approve the whole amount when
+   * the allowance is lower.
+   */
+  async bid(options) {
+    requireOptions("bid", options, ["auctionId"]);
+    const {
+      auctionId,
+      affiliate = ZeroAddress,
+      message = {},
+      overrides = {},
+    } = options;
+    const encryptedMessage = toMessage(message);
+    const minimum = await this.getMinimumBid(auctionId);
+    const amount = options.amount === undefined ? minimum : options.amount;
+    if (amount < minimum) {
+      throw new Error(
+        `Bid of ${amount} on auction ${auctionId} is below the minimum bid of ${minimum}`,
+      );
+    }
+
+    const auction = await this.getAuction(auctionId);
+    const { auctionCurrency } = auction;
+    const from = await this.runner.getAddress();
+    const value = auctionCurrency === ZeroAddress ? amount : 0n;
+    if (auctionCurrency !== ZeroAddress) {
+      const currency = new Contract(auctionCurrency, ERC20_ABI, this.runner);
+      if ((await currency.allowance(from, this.address)) < amount) {
+        await sendChecked(currency, "approve", [this.address, amount], {
+          label: "ERC20",
+          confirm: this.confirm,
+          log: this.log,
+          effects: async () => ({
+            events: [
+              {
+                name: "Approval",
+                args: { owner: from, spender: this.address, value: amount },
+              },
+            ],
+          }),
+        });
+      }
+    }
+
+    const receipt = await this.send(
+      "createBid",
+      [auctionId, affiliate, encryptedMessage, amount],
+      { value, ...overrides },
+      async () => this.bidEffects(auctionId, auction, from, amount, affiliate),
+    );
+    return { amount, receipt };
+  }
+
+  async end(auctionId, overrides = {}) {
+    return this.send("endAuction", [auctionId], overrides, async () =>
+      this.endEffects(auctionId),
+    );
+  }
+
+  async cancel(auctionId, overrides = {}) {
+    return this.send("cancelAuction", [auctionId], overrides, async () => {
+      const auction = await this.getAuction(auctionId);
+      return {
+        events: [
+          {
+            name: "AuctionCancelled",
+            args: { auctionId, owner: auction.auctionOwner },
+          },
+        ],
+        balances: [
+          {
+            label: "seller",
+            account: auction.auctionOwner,
+            token: auction.tokenContract,
+            tokenId: auction.tokenId,
+            amount: 1n,
+          },
+        ],
+      };
+    });
+  }
+
+  /**
+   * Ends every expired auction with a bid among `auctionIds`; the others are
+   * skipped by the contract, which also swallows the revert of any auction
+   * that fails to end. Resolves to the ids that ended, the `skipped` ones
+   * with the `reason` endAuction gives for them now, and the receipt.
+   */
+  async batchEndExpired(auctionIds, overrides = {}) {
+    const receipt = await this.send(
+      "batchEndExpiredAuctions",
+      [auctionIds],
+      overrides,
+      async () => {
+        const events = [];
+        const balances = [];
+        for (const auctionId of auctionIds) {
+          if (await this.whyNotEnded(auctionId)) continue;
+          const effects = await this.endEffects(auctionId);
+          events.push(...effects.events);
+          balances.push(...effects.balances);
+        }
+        return { events, balances };
+      },
+    );
+    const ended = this.parseLogs(receipt, "AuctionEnded").map(
+      (event) => event.args.auctionId,
+    );
+    const skipped = [];
+    for (const auctionId of auctionIds) {
+      if (ended.some((id) => id === BigInt(auctionId))) continue;
+      skipped.push({
+        auctionId: BigInt(auctionId),
+        reason: (await this.whyNotEnded(auctionId)) || "Can be ended now",
+      });
+    }
+    return { ended, skipped, receipt };
+  }
+
+  // The message endAuction reverts with, simulated on the latest block;
+  // undefined when the auction can be ended
+  async whyNotEnded(auctionId) {
+    try {
+      await this.contract.endAuction.staticCall(auctionId);
+      return undefined;
+    } catch (error) {
+      return decodeError(error, { contract: CONTRACT }).message;
+    }
+  }
+
+  async call(method, args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw decodeError(error, { contract: CONTRACT });
+    }
+  }
+
+  async send(method, args, overrides = {}, effects) {
+    return sendChecked(this.contract, method, args, {
+      overrides,
+      label: CONTRACT,
+      confirm: this.confirm,
+      log: this.log,
+      effects,
+    });
+  }
+
+  createEffects(args) {
+    const [, reservePrice, duration, , arbiter, escrowFactory] = args;
+    return {
+      events: [
+        {
+          name: "AuctionCreated",
+          args: { reservePrice, duration, arbiter, escrowFactory },
+        },
+      ],
+    };
+  }
+
+  // The refund and premium owed to the bidder being outbid, the extension
+  // of a bid in the last `timeExtension` seconds, and the bid itself
+  async bidEffects(auctionId, auction, bidder, amount, affiliate) {
+    const token = auction.auctionCurrency;
+    const events = [];
+    const balances = [
+      { label: "bidder", account: bidder, token, amount: -amount },
+    ];
+    let refund = 0n;
+    if (auction.bidder !== ZeroAddress) {
+      const premium =
+        auction.isPremiumAuction && auction.premiumBps > 0n
+          ? (((auction.highestBid * auction.minBidIncrementBps) / 10000n) *
+              auction.premiumBps) /
+            10000n
+          : 0n;
+      refund = auction.highestBid + premium;
+      if (premium > 0n) {
+        events.push({
+          name: "PremiumPaid",
+          args: {
+            auctionId,
+            outbidUser: auction.bidder,
+            originalBid: auction.highestBid,
+            premiumAmount: premium,
+          },
+        });
+      }
+      balances.push({
+        label: premium > 0n ? "outbid bidder (bid + premium)" : "outbid bidder",
+        account: auction.bidder,
+        token,
+        amount: refund,
+      });
+    }
+    balances.push({
+      label: "auction house",
+      account: this.address,
+      token,
+      amount: amount - refund,
+    });
+
+    const { timestamp } = await this.provider.getBlock("latest");
+    if (
+      auction.timeExtension > 0n &&
+      auction.endTime - BigInt(timestamp) < auction.timeExtension
+    ) {
+      events.push({
+        name: "AuctionExtended",
+        args: {
+          auctionId,
+          newEndTime: BigInt(timestamp) + auction.timeExtension,
+        },
+      });
+    }
+    events.push({
+      name: "BidCreated",
+      args: { auctionId, bidder, bidAmount: amount, affiliate },
+    });
+    return { events, balances };
+  }
+
+  // The payment moving to the escrow and the item to the winner
+  async endEffects(auctionId) {
+    const auction = await this.getAuction(auctionId);
+    const token = auction.auctionCurrency;
+    return {
+      events: [
+        {
+          name: "AuctionEnded",
+          args: {
+            auctionId,
+            winner: auction.bidder,
+            affiliate: auction.affiliate,
+            finalAmount: auction.paymentAmount,
+            affiliatePayout:
+              (auction.paymentAmount * auction.affiliateFee) / 10000n,
+          },
+        },
+      ],
+      balances: [
+        {
+          label: "auction house",
+          account: this.address,
+          token,
+          amount: -auction.paymentAmount,
+        },
+        {
+          label: "escrow",
+          account: auction.escrowAddress,
+          token,
+          amount: auction.paymentAmount,
+        },
+        {
+          label: "winner",
+          account: auction.bidder,
+          token: auction.tokenContract,
+          tokenId: auction.tokenId,
+          amount: 1n,
+        },
+      ],
+    };
+  }
+
+  parseLogs(receipt, name) {
+    return receipt.logs
+      .filter((log) => sameAddress(log.address, this.address))
+      .map((log) => this.contract.interface.parseLog(log))
+      .filter((event) => event && event.name === name);
+  }
+
+  createdAuction(receipt) {
+    const [event] = this.parseLogs(receipt, "AuctionCreated");
+    return {
+      auctionId: event.args.auctionId,
+      tokenContract: event.args.tokenContract,
+      tokenId: event.args.tokenId,
+      escrowAddress: event.args.escrowAddress,
+    };
+  }
+
+  // Arguments shared by createAuction and createAuctionWithNewNFT, from the
+  // start time on
+  async auctionArgs(method, options) {
+    requireOptions(method, options, ["reservePrice", "duration", "arbiter"]);
+    const {
+      reservePrice,
+      duration,
+      arbiter,
+      startDelay,
+      affiliateFee,
+      currency,
+      premiumBps,
+      minBidIncrementBps,
+      timeExtension,
+    } = { ...AUCTION_DEFAULTS, ...options };
+    const { isPremiumAuction = premiumBps > 0 } = options;
+
+    let { startTime } = options;
+    if (startTime === undefined) {
+      const { timestamp } = await this.provider.getBlock("latest");
+      startTime = timestamp + startDelay;
+    }
+    const escrowFactory =
+      options.escrowFactory || (await this.contract.escrowFactory());
+
+    return [
+      startTime,
+      reservePrice,
+      duration,
+      affiliateFee,
+      arbiter,
+      escrowFactory,
+      currency,
+      isPremiumAuction,
+      premiumBps,
+      minBidIncrementBps,
+      timeExtension,
+    ];
+  }
+}
+
+module.exports = {
+  AuctionHouseClient,
+};
@@ -0,0 +1,25 @@
+import type { BytesLike } from "ethers";
+
+export interface EncryptedMessage {
+  encryptedData: string;
+  ephemeralPublicKey: string;
+  iv: string;
+  verificationHash: string;
+}
+
+export type MessageInput = Partial<Record<keyof EncryptedMessage, BytesLike>>;
+
+export declare const EMPTY_MESSAGE: EncryptedMessage;
+export declare function isEmptyMessage(message: EncryptedMessage): boolean;
+export declare function toMessage(message?: MessageInput): EncryptedMessage;
+export declare function encodeContext(
+  affiliate?: string,
+  message?: MessageInput,
+): string;
+export declare function decodeContext(context: BytesLike): {
+  affiliate: string;
+  message: EncryptedMessage;
+};
+export declare function messageFromEvent(
+  args: EncryptedMessage,
+): EncryptedMessage;
@@ -0,0 +1,134 @@
+const {
+  AbiCoder,
+  concat,
+  dataLength,
+  dataSlice,
+  getAddress,
+  hexlify,
+  isHexString,
+  ZeroAddress,
+} = require("ethers");
+
+const MESSAGE_FIELDS = [
+  "encryptedData",
+  "ephemeralPublicKey",
+  "iv",
+  "verificationHash",
+];
+
+// Allowed lengths in bytes of the fixed-size fields: a compressed or
+// uncompressed secp256k1 key, a GCM or CBC iv, and a keccak256 hash
+const FIELD_SIZES = {
+  ephemeralPublicKey: [33, 65],
+  iv: [12, 16],
+  verificationHash: [32],
+};
+
+const EMPTY_MESSAGE = {
+  encryptedData: "0x",
+  ephemeralPublicKey: "0x",
+  iv: "0x",
+  verificationHash: "0x",
+};
+
+function toBytes(field, value) {
+  if (value instanceof Uint8Array) return hexlify(value);
+  if (!isHexString(value) || value.length % 2 !== 0) {
+    throw new Error(`${field} must be 0x-prefixed hex bytes, got ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+function isEmptyMessage(message) {
+  return MESSAGE_FIELDS.every((field) => message[field] === "0x");
+}
+
+/**
+ * Checks an EncryptedMessage and returns it with every field as lowercase
+ * hex. Missing fields are empty; a message is either empty or complete.
+ */
+function toMessage(message = {}) {
+  const result = {};
+  for (const field of MESSAGE_FIELDS) {
+    result[field] =
+      message[field] === undefined ? "0x" : toBytes(field, message[field]);
+  }
+  if (isEmptyMessage(result)) return result;
+
+  for (const field of MESSAGE_FIELDS) {
+    const length = dataLength(result[field]);
+    if (length === 0) {
+      throw new Error(`Encrypted message is missing ${field}`);
+    }
+    const sizes = FIELD_SIZES[field];
+    if (sizes && !sizes.includes(length)) {
+      throw new Error(
+        `${field} must be ${sizes.join(" or ")} bytes, got ${length}`,
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * The context of storefront orders (the extraData of their Seaport order):
+ * the affiliate as the first word, then the message fields ABI-encoded as
+ * four `bytes`, which is what generateOrder and ratifyOrder read.
+ */
+function encodeContext(affiliate = ZeroAddress, message = {}) {
+  const { encryptedData, ephemeralPublicKey, iv, verificationHash } =
+    toMessage(message);
+  const coder = AbiCoder.defaultAbiCoder();
+  return concat([
+    coder.encode(["address"], [getAddress(affiliate)]),
+    coder.encode(
+      ["bytes", "bytes", "bytes", "bytes"],
+      [encryptedData, ephemeralPublicKey, iv, verificationHash],
+    ),
+  ]);
+}
+
+/**
+ * Reverse of `encodeContext`: `{ affiliate, message }`. An empty context
+ * decodes to no affiliate and an empty message, as in _decodeContext.
+ */
+function decodeContext(context) {
+  if (dataLength(context) === 0) {
+    return { affiliate: ZeroAddress, message: { ...EMPTY_MESSAGE } };
+  }
+  if (dataLength(context) < 32) {
+    throw new Error("Context is shorter than the affiliate word");
+  }
+  const coder = AbiCoder.defaultAbiCoder();
+  const [affiliate] = coder.decode(["address"], dataSlice(context, 0, 32));
+  const fields = coder.decode(
+    ["bytes", "bytes", "bytes", "bytes"],
+    dataSlice(context, 32),
+  );
+  const message = {};
+  MESSAGE_FIELDS.forEach((field, index) => {
+    message[field] = fields[index];
+  });
+  return { affiliate, message };
+}
+
+/**
+ * The message carried by a decoded StorefrontOrderFulfilled, BidCreated or
+ * AuctionEncryptedMessage event.
+ */
+function messageFromEvent(args) {
+  const message = {};
+  for (const field of MESSAGE_FIELDS) {
+    message[field] = args[field];
+  }
+  return message;
+}
+
+module.exports = {
+  EMPTY_MESSAGE,
+  isEmptyMessage,
+  toMessage,
+  encodeContext,
+  decodeContext,
+  messageFromEvent,
+};
@@ -0,0 +1,24 @@
+import type { BytesLike } from "ethers";
+import type { EncryptedMessage } from "./context";
+
+export interface EncryptOptions {
+  ephemeralPrivateKey?: string;
+  iv?: BytesLike;
+  salt?: string;
+}
+
+export declare function generateKeyPair(): {
+  privateKey: string;
+  publicKey: string;
+};
+export declare function publicKeyOf(privateKey: string): string;
+export declare function verificationHash(plaintext: string): string;
+export declare function encryptMessage(
+  publicKey: string,
+  payload: unknown,
+  options?: EncryptOptions,
+): EncryptedMessage;
+export declare function decryptMessage<T = unknown>(
+  privateKey: string,
+  message: EncryptedMessage,
+): { payload: T; plaintext: string };
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const {
+  SigningKey,
+  dataSlice,
+  getBytes,
+  hexlify,
+  keccak256,
+  randomBytes,
+  toUtf8Bytes,
+} = require("ethers");
+const { toMessage } = require("./context");
+
+// ECIES over secp256k1: ECDH with a fresh ephemeral key, HKDF-SHA256 of the
+// shared x coordinate, then AES-256-GCM with the ephemeral public key as
+// additional data. encryptedData is the ciphertext followed by the GCM tag.
+const KDF_INFO = "EncryptedMessage v1";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FORMAT_VERSION = 1;
+
+/**
+ * A new seller keypair. The public key is uncompressed hex, as published
+ * with setEncryptionPublicKey.
+ */
+function generateKeyPair() {
+  const key = new SigningKey(hexlify(randomBytes(32)));
+  return { privateKey: key.privateKey, publicKey: key.publicKey };
+}
+
+/**
+ * The uncompressed public key of `privateKey`.
+ */
+function publicKeyOf(privateKey) {
+  return new SigningKey(privateKey).publicKey;
+}
+
+function messageKey(privateKey, publicKey) {
+  const shared = new SigningKey(privateKey).computeSharedSecret(publicKey);
+  return Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      getBytes(dataSlice(shared, 1, 33)),
+      Buffer.alloc(0),
+      KDF_INFO,
+      32,
+    ),
+  );
+}
+
+/**
+ * keccak256 of the plaintext. The plaintext carries a random salt, so the
+ * hash published on chain does not reveal guessable payloads, while anyone
+ * shown the plaintext (an arbiter, say) can check it against the chain.
+ */
+function verificationHash(plaintext) {
+  return keccak256(toUtf8Bytes(plaintext));
+}
+
+/**
+ * Encrypts `payload` (any JSON value, e.g. a shipping address) to the
+ * seller's `publicKey` and returns an EncryptedMessage for createBid or a
+ * storefront order.
+ *
+ * `ephemeralPrivateKey`, `iv` and `salt` default to random values and are
+ * only meant to be fixed for test vectors.
+ */
+function encryptMessage(publicKey, payload, options = {}) {
+  const ephemeralPrivateKey =
+    options.ephemeralPrivateKey || hexlify(randomBytes(32));
+  const iv = getBytes(options.iv || randomBytes(IV_LENGTH));
+  const salt = options.salt || hexlify(randomBytes(16));
+  const ephemeralPublicKey = publicKeyOf(ephemeralPrivateKey);
+
+  const plaintext = JSON.stringify({ v: FORMAT_VERSION, salt, payload });
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    messageKey(ephemeralPrivateKey, SigningKey.computePublicKey(publicKey)),
+    iv,
+  );
+  cipher.setAAD(getBytes(ephemeralPublicKey));
+  const encrypted = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  return toMessage({
+    encryptedData: hexlify(encrypted),
+    ephemeralPublicKey,
+    iv: hexlify(iv),
+    verificationHash: verificationHash(plaintext),
+  });
+}
+
+/**
+ * Opens an EncryptedMessage with the seller's `privateKey` and checks it
+ * against its verification hash. Returns `{ payload, plaintext }`;
+ * throws when the key is wrong, the data was tampered with or the hash does
+ * not match.
+ */
+function decryptMessage(privateKey, message) {
+  const {
+    encryptedData,
+    ephemeralPublicKey,
+    iv,
+    verificationHash: hash,
+  } = toMessage(message);
+  if (encryptedData === "0x") {
+    throw new Error("The message is empty");
+  }
+  const data = getBytes(encryptedData);
+  if (data.length <= TAG_LENGTH) {
+    throw new Error("encryptedData is too short to hold a GCM tag");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    messageKey(privateKey, ephemeralPublicKey),
+    getBytes(iv),
+  );
+  decipher.setAAD(getBytes(ephemeralPublicKey));
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([
+      decipher.update(data.subarray(0, data.length - TAG_LENGTH)),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    throw new Error("Cannot decrypt the message: wrong key or altered data");
+  }
+
+  if (verificationHash(plaintext) !== hash) {
+    throw new Error("The verification hash does not match the message");
+  }
+  const decoded = JSON.parse(plaintext);
+  if (decoded.v !== FORMAT_VERSION) {
+    throw new Error(`Unsupported message format ${decoded.v}`);
+  }
+  return { payload: decoded.payload, plaintext };
+}
+
+module.exports = {
+  generateKeyPair,
+  publicKeyOf,
+  verificationHash,
+  encryptMessage,
+  decryptMessage,
+};
@@ -0,0 +1,26 @@
+export interface DecodedRevert {
+  name: string;
+  args: Record<string, unknown>;
+  contract?: string;
+  signature: string;
+  message: string;
+  data: string;
+}
+
+export declare class ContractError extends Error {
+  constructor(decoded: DecodedRevert, options?: { cause?: unknown });
+  readonly errorName: string;
+  readonly args: Record<string, unknown>;
+  readonly contract?: string;
+  readonly data: string;
+}
+
+export declare function decodeRevertData(
+  data: string | undefined,
+  options?: { contract?: string },
+): DecodedRevert | undefined;
+export declare function revertData(error: unknown): string | undefined;
+export declare function decodeError<T>(
+  error: T,
+  options?: { contract?: string },
+): ContractError | T;
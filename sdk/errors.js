@@ -0,0 +1,345 @@
+const { AbiCoder, Interface, dataSlice, isHexString } = require("ethers");
+const artifacts = require("../abi");
+
+// Errors fulfillAdvancedOrder can revert with on Seaport itself. Seaport turns
+// a revert in the storefront's generateOrder or ratifyOrder into
+// InvalidContractOrder, dropping the storefront's own reason.
+const SEAPORT_ERRORS = [
+  "error InvalidContractOrder(bytes32 orderHash)",
+  "error InsufficientNativeTokensSupplied()",
+  "error InvalidMsgValue(uint256 value)",
+  "error ConsiderationNotMet(uint256 orderIndex, uint256 considerationIndex, uint256 shortfallAmount)",
+  "error InvalidTime(uint256 startTime, uint256 endTime)",
+  "error NoReentrantCalls()",
+  "error NoContract(address account)",
+  "error MissingItemAmount()",
+  "error OrderAlreadyFilled(bytes32 orderHash)",
+  "error OrderIsCancelled(bytes32 orderHash)",
+  "error NativeTokenTransferGenericFailure(address account, uint256 amount)",
+  "error TokenTransferGenericFailure(address token, address from, address to, uint256 identifier, uint256 amount)",
+  "error BadReturnValueFromERC20OnTransfer(address token, address from, address to, uint256 amount)",
+];
+
+const PANICS = {
+  0x01: "an assertion failed",
+  0x11: "an arithmetic operation overflowed",
+  0x12: "division by zero",
+  0x21: "an invalid enum value",
+  0x31: "pop from an empty array",
+  0x32: "an array index out of bounds",
+  0x41: "out of memory",
+  0x51: "a call to an uninitialized function",
+};
+
+/**
+ * Readable, actionable text for each custom error our contracts, their
+ * OpenZeppelin bases and Seaport can revert with, by error name. Errors
+ * with the same name in several contracts share an entry.
+ */
+const MESSAGES = {
+  // AuctionHouse
+  AuctionNotFound: () => "No auction with that id on this auction house",
+  AuctionHasntStarted: () =>
+    "The auction has not started yet; bid after its startTime",
+  AuctionExpired: () => "The auction has ended; it no longer takes bids",
+  AuctionHasntCompleted: () =>
+    "The auction is still running; end it after its endTime",
+  AuctionStillActive: () =>
+    "Too early: the winner's final message is accepted from startTime + endTime",
+  AuctionNotActive: () => "The auction is not active",
+  AuctionEndedOrCanceled: () => "The auction has already ended or was canceled",
+  AuctionAlreadyActive: () => "The auction is already active",
+  AuctionHasBid: () => "The auction already has a bid",
+  BidTooLow: () =>
+    "The bid is below the minimum bid; read getMinimumBid for the current one",
+  BidBelowReservePrice: () => "The bid is below the reserve price",
+  BidIncrementTooLow: () => "The bid does not raise the top bid enough",
+  BidsAlreadyPlaced: () => "The auction has bids and can no longer be canceled",
+  NotAuctionOwner: () => "Only the seller who created the auction can do this",
+  NotWinner: () => "Only the winning bidder can send the final message",
+  ReservePriceTooLow: () => "The reserve price must be at least 1 wei",
+  InvalidPremiumPercentage: () =>
+    "The premium cannot be more than 10000 basis points",
+  NFTNotHeldByContract: () =>
+    "The auction house does not hold the token; transfer it to the house first",
+  TokenInActiveAuction: () =>
+    "The token is in an active auction and cannot be rescued",
+  InsufficientTokenAmount: () =>
+    "The payment does not cover the bid: send the bid as value for ETH auctions, or approve the auction house for the bid amount",
+  TokenTransferFailed: () => "An ERC20 transfer failed",
+  InsufficientFunds: () => "Not enough funds",
+  OnlyOwnerCanRescue: () => "Only the owner can rescue funds or tokens",
+  CannotRescueToZeroAddress: () => "Rescues cannot go to the zero address",
+  CannotRescueWhileAuctionsActive: () =>
+    "Funds and tokens can only be rescued when no auction is active",
+
+  // AffiliateERC1155Storefront
+  NoTokensAvailable: ({ tokenId }) =>
+    `The storefront has no units of token ${tokenId} left`,
+  InsufficientTokenBalance: ({ tokenId }) =>
+    `The storefront holds no units of token ${tokenId}; mint or transfer some to it before listing`,
+  StorefrontNotReady: () =>
+    "The storefront is not taking orders; its owner has to call toggleReady",
+  AlreadyInitialized: () => "The contract is already initialized",
+  InvalidSettleDeadline: ({ newDeadline, minDeadline }) =>
+    `A settle deadline of ${newDeadline} seconds is below the minimum of ${minDeadline}`,
+  EmptySpentItems: () => "The order names no token to buy",
+  NotSeaport: () => "Only Seaport can call this",
+  InsufficientBalance: (args) =>
+    args.requested !== undefined
+      ? `Cannot withdraw ${args.requested}: the balance is ${args.available}`
+      : args.needed !== undefined
+        ? `Not enough balance: ${args.needed} needed, ${args.balance} held`
+        : "Not enough balance for the transfer",
+  TransferFailed: () => "An ETH transfer failed; the recipient rejected it",
+  InvalidAffiliateFee: () =>
+    "The affiliate fee cannot be more than 10000 basis points",
+  InvalidAffiliateAddress: () => "Invalid affiliate address",
+
+  // AffiliateEscrow and its factory
+  Unauthorized: () =>
+    "The sender does not hold the escrow role this needs (payer, payee, arbiter or storefront)",
+  InvalidState: () =>
+    "The escrow's state does not allow this (disputed, already settled, not disputed or already set up)",
+  InvalidAddress: () => "An address is missing or zero",
+  InvalidParameters: () =>
+    "The arguments do not match the escrow (proposed arbiter, escape address or affiliate share)",
+  FailedDeployment: () => "Creating the escrow clone failed",
+
+  // CurationStorefront
+  ListingNotFound: () => "No such listing",
+  InvalidStorefront: () => "The storefront address cannot be zero",
+  InvalidPaymentAddress: () => "The payment address cannot be zero",
+  NotTokenOwner: () => "Only the owner of the curation can do this",
+  NotCurator: () => "Only a curator of the curation can do this",
+  CurationNotFound: () => "No such curation",
+  BatchSizeInvalid: () => "The batch is empty or larger than the maximum",
+
+  // AuctionItemERC721
+  NotTokenOwnerOrApproved: () =>
+    "Only the token's owner or an approved address can do this",
+  TokenDoesNotExist: () => "The token does not exist",
+  InvalidTokenURI: () => "Invalid token URI",
+  InvalidContractURI: () => "Invalid contract URI",
+  InvalidTermsOfServiceURI: () => "Invalid terms of service URI",
+  InvalidRoyaltyBasisPoints: () => "Invalid royalty basis points",
+  InvalidRoyaltyRecipient: () => "Invalid royalty recipient",
+  InvalidMetadata: () => "Invalid metadata",
+  MintingDisabled: () => "Minting is disabled",
+
+  // EncryptionKeyRegistry
+  NotContractOwner: ({ target, caller }) =>
+    `${caller} does not own ${target}; only its owner can set its key`,
+
+  // OpenZeppelin
+  OwnableUnauthorizedAccount: ({ account }) =>
+    `${account} is not the owner; send from the owner (or queue it for the owning Safe)`,
+  OwnableInvalidOwner: ({ owner }) => `${owner} cannot be the owner`,
+  ReentrancyGuardReentrantCall: () => "Reentrant call",
+  SafeERC20FailedOperation: ({ token }) =>
+    `The transfer of ERC20 ${token} failed; check the balance`,
+  ERC721NonexistentToken: ({ tokenId }) => `Token ${tokenId} does not exist`,
+  ERC721IncorrectOwner: ({ sender, tokenId, owner }) =>
+    `Token ${tokenId} is owned by ${owner}, not ${sender}`,
+  ERC721InsufficientApproval: ({ operator, tokenId }) =>
+    `${operator} is not approved for token ${tokenId}`,
+  ERC721InvalidReceiver: ({ receiver }) =>
+    `${receiver} cannot receive ERC721 tokens`,
+  ERC721InvalidSender: ({ sender }) => `${sender} cannot send ERC721 tokens`,
+  ERC721InvalidOwner: ({ owner }) => `${owner} cannot own ERC721 tokens`,
+  ERC721InvalidApprover: ({ approver }) => `${approver} cannot approve`,
+  ERC721InvalidOperator: ({ operator }) => `${operator} cannot be an operator`,
+  ERC1155InsufficientBalance: ({ sender, balance, needed, tokenId }) =>
+    `${sender} holds ${balance} of token ${tokenId}, ${needed} needed`,
+  ERC1155MissingApprovalForAll: ({ operator, owner }) =>
+    `${owner} has not approved ${operator} for all tokens`,
+  ERC1155InvalidReceiver: ({ receiver }) =>
+    `${receiver} cannot receive ERC1155 tokens`,
+  ERC1155InvalidSender: ({ sender }) => `${sender} cannot send ERC1155 tokens`,
+  ERC1155InvalidApprover: ({ approver }) => `${approver} cannot approve`,
+  ERC1155InvalidOperator: ({ operator }) => `${operator} cannot be an operator`,
+  ERC1155InvalidArrayLength: ({ idsLength, valuesLength }) =>
+    `${idsLength} ids but ${valuesLength} amounts`,
+  InvalidInitialization: () => "The contract is already initialized",
+  NotInitializing: () => "Only callable while initializing",
+  UUPSUnsupportedProxiableUUID: () =>
+    "The new implementation is not UUPS compatible",
+  ERC1967NonPayable: () => "The upgrade call does not take ETH",
+  AddressEmptyCode: ({ target }) => `${target} has no code`,
+  FailedCall: () => "A low-level call failed",
+  UUPSUnauthorizedCallContext: () =>
+    "Upgrades go through the proxy, not the implementation",
+  ERC1967InvalidImplementation: ({ implementation }) =>
+    `${implementation} is not a valid implementation`,
+
+  // Seaport
+  InvalidContractOrder: () =>
+    "Seaport rejected the storefront's order: generateOrder or ratifyOrder reverted. Run previewOrder with the same arguments to see why",
+  InsufficientNativeTokensSupplied: () =>
+    "Not enough ETH sent for the order; send the price as value",
+  InvalidMsgValue: ({ value }) =>
+    `ETH sent (${value}) where the order does not take ETH`,
+  ConsiderationNotMet: ({ shortfallAmount }) =>
+    `The payment falls ${shortfallAmount} short of the price`,
+  InvalidTime: () => "The order is outside its start and end time",
+  NoReentrantCalls: () => "Seaport does not allow reentrant calls",
+  NoContract: ({ account }) => `${account} has no code`,
+  MissingItemAmount: () => "An order item has no amount",
+  OrderAlreadyFilled: () => "The order has already been filled",
+  OrderIsCancelled: () => "The order has been cancelled",
+  TokenTransferGenericFailure: ({ token }) =>
+    `A transfer of ${token} failed; check the balance and the approval for Seaport`,
+  BadReturnValueFromERC20OnTransfer: ({ token }) =>
+    `ERC20 ${token} refused the transfer; check the balance and the approval for Seaport`,
+  NativeTokenTransferGenericFailure: ({ account }) =>
+    `Sending ETH to ${account} failed`,
+};
+
+/**
+ * Readable, actionable text for the revert strings of our contracts and
+ * the mock Seaport.
+ */
+const REASONS = {
+  "Token already in auction":
+    "The token is already in an auction on this house",
+  "Start time must be in the future":
+    "The start time must be after the next block; leave a delay",
+  "No bids placed":
+    "The auction has no bids to settle; cancel it instead of ending it",
+  "Not authorized": "Only the owner can do this",
+  "Length mismatch": "The listing ids and states differ in length",
+  "New owner is the zero address": "The new owner cannot be the zero address",
+  "Token does not exist": "No token with that id has been minted",
+  "Insufficient native tokens supplied":
+    "Not enough ETH sent for the order; send the price as value",
+};
+
+// Error selectors of every contract, each with the contracts declaring it
+const fragments = new Map();
+
+function register(contract, abi) {
+  new Interface(abi).forEachError((fragment) => {
+    const { selector } = fragment;
+    if (!fragments.has(selector)) fragments.set(selector, []);
+    fragments.get(selector).push({ contract, fragment });
+  });
+}
+
+for (const [name, artifact] of Object.entries(artifacts)) {
+  if (artifact.abi) register(name, artifact.abi);
+}
+register("Seaport", SEAPORT_ERRORS);
+
+function format(value) {
+  if (Array.isArray(value)) return `[${value.map(format).join(", ")}]`;
+  return typeof value === "string" ? value : String(value);
+}
+
+/**
+ * A revert that came back from one of our contracts (or Seaport), decoded.
+ * `errorName` and `args` are the custom error ("Error" with `reason` for
+ * revert strings, "Panic" with `code`); the message says what went wrong
+ * and, where there is one, what to do about it.
+ */
+class ContractError extends Error {
+  constructor(decoded, options = {}) {
+    super(
+      `${decoded.message} (${decoded.contract ? `${decoded.contract}: ` : ""}${decoded.signature})`,
+      { cause: options.cause },
+    );
+    this.name = "ContractError";
+    this.errorName = decoded.name;
+    this.args = decoded.args;
+    this.contract = decoded.contract;
+    this.data = decoded.data;
+  }
+}
+
+/**
+ * Decodes revert `data`. `contract` (an artifact name) picks between errors
+ * several contracts declare under the same selector. Undefined for data
+ * that is empty or not ours.
+ */
+function decodeRevertData(data, options = {}) {
+  if (!isHexString(data) || data.length < 10) return undefined;
+  const selector = dataSlice(data, 0, 4);
+  const coder = AbiCoder.defaultAbiCoder();
+
+  if (selector === "0x08c379a0") {
+    const [reason] = coder.decode(["string"], dataSlice(data, 4));
+    return {
+      name: "Error",
+      args: { reason },
+      signature: `"${reason}"`,
+      message: REASONS[reason] || reason,
+      data,
+    };
+  }
+  if (selector === "0x4e487b71") {
+    const [code] = coder.decode(["uint256"], dataSlice(data, 4));
+    return {
+      name: "Panic",
+      args: { code },
+      signature: `Panic(0x${code.toString(16)})`,
+      message: `The contract panicked: ${PANICS[Number(code)] || "unknown panic code"}`,
+      data,
+    };
+  }
+
+  const candidates = fragments.get(selector);
+  if (!candidates) return undefined;
+  const { contract, fragment } =
+    candidates.find((candidate) => candidate.contract === options.contract) ||
+    candidates[0];
+  let values;
+  try {
+    values = coder.decode(fragment.inputs, dataSlice(data, 4));
+  } catch (error) {
+    return undefined;
+  }
+  const args = Object.fromEntries(
+    fragment.inputs.map((input, i) => [input.name || i, values[i]]),
+  );
+  const message = MESSAGES[fragment.name];
+  return {
+    name: fragment.name,
+    args,
+    contract: candidates.length === 1 ? contract : options.contract,
+    signature: `${fragment.name}(${values.map(format).join(", ")})`,
+    message: message ? message(args) : fragment.name,
+    data,
+  };
+}
+
+/**
+ * The revert data carried by an error from ethers, Hardhat or a JSON-RPC
+ * node, which nest it at different depths.
+ */
+function revertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return undefined;
+  if (isHexString(error.data) && error.data.length >= 10) return error.data;
+  for (const key of ["data", "error", "info", "cause", "revert"]) {
+    const data = revertData(error[key], depth + 1);
+    if (data) return data;
+  }
+  return undefined;
+}
+
+/**
+ * `error` as a ContractError when it carries revert data we can decode,
+ * otherwise unchanged. Use it to rethrow from any contract call:
+ *
+ *   try { ... } catch (error) { throw decodeError(error); }
+ */
+function decodeError(error, options = {}) {
+  if (error instanceof ContractError) return error;
+  const decoded = decodeRevertData(revertData(error), options);
+  return decoded ? new ContractError(decoded, { cause: error }) : error;
+}
+
+module.exports = {
+  ContractError,
+  decodeRevertData,
+  decodeError,
+  revertData,
+};
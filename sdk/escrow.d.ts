@@ -0,0 +1,101 @@
+import type {
+  ContractRunner,
+  ContractTransactionReceipt,
+  Overrides,
+} from "ethers";
+import type { Confirm } from "./preflight";
+
+export type EscrowStateName =
+  | "awaiting-payer"
+  | "funded"
+  | "settleable"
+  | "disputed"
+  | "settled"
+  | "refunded"
+  | "escaped"
+  | "empty";
+
+export interface EscrowState {
+  address: string;
+  state: EscrowStateName;
+  payer: string;
+  payee: string;
+  arbiter: string;
+  storefront: string;
+  affiliate: string;
+  affiliateShare: number;
+  escapeAddress: string;
+  proposedArbiter: string;
+  isDisputed: boolean;
+  isSettled: boolean;
+  settleTime: bigint;
+  token: string;
+  balance: bigint;
+  timestamp: number;
+}
+
+export interface SettlementSplit {
+  amount: bigint;
+  payee: string;
+  payeeAmount: bigint;
+  affiliate: string;
+  affiliateAmount: bigint;
+}
+
+export interface AmountOptions {
+  token?: string;
+  amount?: bigint;
+  overrides?: Overrides;
+}
+
+export declare function settlementSplit(
+  escrow: Pick<EscrowState, "payee" | "affiliate" | "affiliateShare">,
+  amount: bigint,
+): SettlementSplit;
+
+export declare class EscrowClient {
+  constructor(
+    address: string,
+    runner: ContractRunner,
+    options?: {
+      token?: string;
+      confirm?: Confirm;
+      log?: (line: string) => void;
+    },
+  );
+  readonly address: string;
+  readonly token: string;
+  balance(token?: string): Promise<bigint>;
+  load(options?: { token?: string; fromBlock?: number }): Promise<EscrowState>;
+  previewSettle(
+    options?: AmountOptions,
+  ): Promise<SettlementSplit & { token: string }>;
+  settle(
+    options?: AmountOptions,
+  ): Promise<SettlementSplit & { receipt: ContractTransactionReceipt }>;
+  refund(
+    options?: AmountOptions,
+  ): Promise<{ amount: bigint; receipt: ContractTransactionReceipt }>;
+  dispute(overrides?: Overrides): Promise<ContractTransactionReceipt>;
+  removeDispute(overrides?: Overrides): Promise<ContractTransactionReceipt>;
+  resolveDispute(
+    options: AmountOptions & { settle: boolean },
+  ): Promise<
+    | (SettlementSplit & { receipt: ContractTransactionReceipt })
+    | { amount: bigint; receipt: ContractTransactionReceipt }
+  >;
+  changeArbiter(
+    proposedArbiter: string,
+    overrides?: Overrides,
+  ): Promise<ContractTransactionReceipt>;
+  approveArbiter(overrides?: Overrides): Promise<ContractTransactionReceipt>;
+  setEscapeAddress(
+    escapeAddress: string,
+    overrides?: Overrides,
+  ): Promise<ContractTransactionReceipt>;
+  escape(options?: AmountOptions): Promise<{
+    amount: bigint;
+    to: string;
+    receipt: ContractTransactionReceipt;
+  }>;
+}
@@ -0,0 +1,478 @@
+const { Contract, ZeroAddress, isAddress } = require("ethers");
+const { abi } = require("../abi/AffiliateEscrow");
+const { sendChecked } = require("./preflight");
+
+const ERC20_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+
+// The last of these events tells how an emptied escrow was closed
+const OUTCOMES = {
+  Settled: "settled",
+  Refunded: "refunded",
+  Escaped: "escaped",
+};
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function tokenName(token) {
+  return token === ZeroAddress ? "ETH" : token;
+}
+
+/**
+ * Affiliate and payee split of `amount` as settle and resolveDispute pay it.
+ */
+function settlementSplit(escrow, amount) {
+  const affiliateAmount =
+    escrow.affiliate !== ZeroAddress && escrow.affiliateShare > 0
+      ? (amount * BigInt(escrow.affiliateShare)) / 10000n
+      : 0n;
+  return {
+    amount,
+    payee: escrow.payee,
+    payeeAmount: amount - affiliateAmount,
+    affiliate: escrow.affiliate,
+    affiliateAmount,
+  };
+}
+
+/**
+ * Client for one AffiliateEscrow, sending through the signer (or reading
+ * through the provider) it is created with. `token` is the payment token
+ * the escrow holds, native ETH by default.
+ *
+ * Actions check the signer's role and the escrow's state first and throw a
+ * readable reason instead of sending a transaction that would revert. They
+ * wait for the transaction and resolve to its receipt, along with the
+ * amounts paid out for the ones that move funds.
+ *
+ * Every write is then simulated on the pending block. With a `confirm`
+ * option, the plan with the expected events and balance changes is printed
+ * through `log` and given to `confirm`, and the transaction is only sent
+ * when it resolves to true.
+ */
+class EscrowClient {
+  constructor(address, runner, options = {}) {
+    this.address = address;
+    this.runner = runner;
+    this.token = options.token || ZeroAddress;
+    this.confirm = options.confirm;
+    this.log = options.log;
+    this.contract = new Contract(address, abi, runner);
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  async balance(token = this.token) {
+    if (token === ZeroAddress) {
+      return this.provider.getBalance(this.address);
+    }
+    return new Contract(token, ERC20_ABI, this.provider).balanceOf(
+      this.address,
+    );
+  }
+
+  /**
+   * The parties and flags of the escrow, its `balance` of `token` and its
+   * derived `state`:
+   *
+   * - "awaiting-payer": no order has paid into it yet
+   * - "funded": the payer can settle or dispute; the payee can settle from
+   *   `settleTime`
+   * - "settleable": the payee can settle now
+   * - "disputed": only the arbiter can release the funds
+   * - "settled", "refunded" or "escaped": emptied, as the last Settled,
+   *   Refunded or Escaped event from `fromBlock` on says
+   * - "empty": emptied without such an event in range
+   */
+  async load(options = {}) {
+    const { token = this.token, fromBlock = 0 } = options;
+    const fields = [
+      "payer",
+      "payee",
+      "arbiter",
+      "storefront",
+      "affiliate",
+      "affiliateShare",
+      "escapeAddress",
+      "proposedArbiter",
+      "isDisputed",
+      "isSettled",
+      "settleTime",
+    ];
+    const values = await Promise.all(
+      fields.map((field) => this.contract[field]()),
+    );
+    const escrow = Object.fromEntries(
+      fields.map((field, i) => [field, values[i]]),
+    );
+    escrow.affiliateShare = Number(escrow.affiliateShare);
+    const { timestamp } = await this.provider.getBlock("latest");
+    const balance = await this.balance(token);
+
+    let state;
+    if (escrow.payer === ZeroAddress) {
+      state = "awaiting-payer";
+    } else if (balance > 0n) {
+      if (escrow.isDisputed) {
+        state = "disputed";
+      } else if (escrow.isSettled || BigInt(timestamp) >= escrow.settleTime) {
+        state = "settleable";
+      } else {
+        state = "funded";
+      }
+    } else {
+      const events = await this.contract.queryFilter("*", fromBlock);
+      const closing = events
+        .filter((event) => event.fragment && OUTCOMES[event.fragment.name])
+        .pop();
+      state = closing ? OUTCOMES[closing.fragment.name] : "empty";
+    }
+
+    return {
+      address: this.address,
+      state,
+      ...escrow,
+      token,
+      balance,
+      timestamp,
+    };
+  }
+
+  /**
+   * What settling `amount` (default: the whole balance) pays the payee and
+   * the affiliate.
+   */
+  async previewSettle(options = {}) {
+    const escrow = await this.load(options);
+    const amount =
+      options.amount === undefined ? escrow.balance : options.amount;
+    return { token: escrow.token, ...settlementSplit(escrow, amount) };
+  }
+
+  /**
+   * Releases `amount` (default: the whole balance) to the payee and
+   * affiliate. The payer can settle any time; the payee from `settleTime`,
+   * or once the payer has settled. Not while disputed.
+   */
+  async settle(options = {}) {
+    const { overrides = {} } = options;
+    const escrow = await this.load(options);
+    const from = await this.requireRole(escrow, ["payer", "payee"], "settle");
+    if (escrow.isDisputed) {
+      throw new Error(
+        "The escrow is disputed; the arbiter releases it with resolveDispute",
+      );
+    }
+    if (
+      sameAddress(from, escrow.payee) &&
+      !sameAddress(from, escrow.payer) &&
+      !escrow.isSettled &&
+      BigInt(escrow.timestamp) < escrow.settleTime
+    ) {
+      throw new Error(
+        `The payee can settle from ${new Date(Number(escrow.settleTime) * 1000).toISOString()} (settleTime ${escrow.settleTime}) unless the payer settles first`,
+      );
+    }
+    const amount = this.amountOf(escrow, options.amount, "settle");
+
+    const split = settlementSplit(escrow, amount);
+    const receipt = await this.send(
+      "settle",
+      [escrow.token, amount],
+      overrides,
+      () => this.settleEffects(escrow, split),
+    );
+    return { ...split, receipt };
+  }
+
+  /**
+   * Returns `amount` (default: the whole balance) to the payer. Payee only.
+   */
+  async refund(options = {}) {
+    const { overrides = {} } = options;
+    const escrow = await this.load(options);
+    await this.requireRole(escrow, ["payee"], "refund");
+    const amount = this.amountOf(escrow, options.amount, "refund");
+
+    const receipt = await this.send(
+      "refund",
+      [escrow.token, amount],
+      overrides,
+      () => this.refundEffects(escrow, amount),
+    );
+    return { amount, receipt };
+  }
+
+  /**
+   * Freezes the escrow until the arbiter resolves it. Payer only, before
+   * settling.
+   */
+  async dispute(overrides = {}) {
+    const escrow = await this.load();
+    await this.requireRole(escrow, ["payer"], "dispute");
+    if (escrow.isSettled) {
+      throw new Error(
+        "The payer has settled; a settled escrow cannot be disputed",
+      );
+    }
+    return this.send("dispute", [], overrides, () => ({
+      events: [{ name: "Disputed", args: { disputeInitiator: escrow.payer } }],
+    }));
+  }
+
+  async removeDispute(overrides = {}) {
+    const escrow = await this.load();
+    await this.requireRole(escrow, ["payer"], "remove the dispute");
+    if (!escrow.isDisputed) {
+      throw new Error("The escrow is not disputed");
+    }
+    return this.send("removeDispute", [], overrides, () => ({
+      events: [
+        { name: "DisputeRemoved", args: { disputeRemover: escrow.payer } },
+      ],
+    }));
+  }
+
+  /**
+   * Releases `amount` (default: the whole balance) of a disputed escrow to
+   * the payee and affiliate with `settle: true`, or back to the payer.
+   * Arbiter only.
+   */
+  async resolveDispute(options) {
+    const { settle, overrides = {} } = options;
+    if (typeof settle !== "boolean") {
+      throw new Error("resolveDispute needs settle: true or false");
+    }
+    const escrow = await this.load(options);
+    await this.requireRole(escrow, ["arbiter"], "resolve the dispute");
+    if (!escrow.isDisputed) {
+      throw new Error("The escrow is not disputed");
+    }
+    const amount = this.amountOf(escrow, options.amount, "release");
+
+    const split = settlementSplit(escrow, amount);
+    const receipt = await this.send(
+      "resolveDispute",
+      [settle, escrow.token, amount],
+      overrides,
+      () => {
+        const { events, balances } = settle
+          ? this.settleEffects(escrow, split)
+          : this.refundEffects(escrow, amount);
+        events.push({
+          name: "DisputeResolved",
+          args: { resolver: escrow.arbiter, settled: settle },
+        });
+        return { events, balances };
+      },
+    );
+    return settle ? { ...split, receipt } : { amount, receipt };
+  }
+
+  /**
+   * Proposes a new arbiter, which the payer then approves. Payee only.
+   */
+  async changeArbiter(proposedArbiter, overrides = {}) {
+    const escrow = await this.load();
+    await this.requireRole(escrow, ["payee"], "propose an arbiter");
+    this.requireAddress(proposedArbiter, "proposed arbiter");
+    return this.send("changeArbiter", [proposedArbiter], overrides, () => ({
+      events: [
+        {
+          name: "ArbiterChangeProposed",
+          args: { oldArbiter: escrow.arbiter, proposedArbiter },
+        },
+      ],
+    }));
+  }
+
+  /**
+   * Approves the arbiter the payee proposed. Payer only.
+   */
+  async approveArbiter(overrides = {}) {
+    const escrow = await this.load();
+    await this.requireRole(escrow, ["payer"], "approve an arbiter");
+    if (escrow.proposedArbiter === ZeroAddress) {
+      throw new Error("No arbiter change has been proposed");
+    }
+    return this.send(
+      "approveArbiter",
+      [escrow.proposedArbiter],
+      overrides,
+      () => ({
+        events: [
+          {
+            name: "ArbiterChangeApproved",
+            args: {
+              oldArbiter: escrow.arbiter,
+              newArbiter: escrow.proposedArbiter,
+              approver: escrow.payer,
+            },
+          },
+        ],
+      }),
+    );
+  }
+
+  /**
+   * Sets where `escape` may send the funds. Arbiter only.
+   */
+  async setEscapeAddress(escapeAddress, overrides = {}) {
+    const escrow = await this.load();
+    await this.requireRole(escrow, ["arbiter"], "set the escape address");
+    this.requireAddress(escapeAddress, "escape address");
+    return this.send("setEscapeAddress", [escapeAddress], overrides, () => ({
+      events: [{ name: "EscapeAddressSet", args: { escapeAddress } }],
+    }));
+  }
+
+  /**
+   * Sends `amount` (default: the whole balance) to the escape address the
+   * arbiter set. Payer or payee.
+   */
+  async escape(options = {}) {
+    const { overrides = {} } = options;
+    const escrow = await this.load(options);
+    await this.requireRole(escrow, ["payer", "payee"], "escape");
+    if (escrow.escapeAddress === ZeroAddress) {
+      throw new Error("The arbiter has not set an escape address");
+    }
+    const amount = this.amountOf(escrow, options.amount, "escape");
+
+    const receipt = await this.send(
+      "escape",
+      [escrow.token, amount, escrow.escapeAddress],
+      overrides,
+      () => ({
+        events: [
+          {
+            name: "Escaped",
+            args: { to: escrow.escapeAddress, token: escrow.token, amount },
+          },
+        ],
+        balances: [
+          this.escrowChange(escrow, amount),
+          {
+            label: "escape address",
+            account: escrow.escapeAddress,
+            token: escrow.token,
+            amount,
+          },
+        ],
+      }),
+    );
+    return { amount, to: escrow.escapeAddress, receipt };
+  }
+
+  async send(method, args, overrides = {}, effects) {
+    return sendChecked(this.contract, method, args, {
+      overrides,
+      label: "AffiliateEscrow",
+      confirm: this.confirm,
+      log: this.log,
+      effects,
+    });
+  }
+
+  escrowChange(escrow, amount) {
+    return {
+      label: "escrow",
+      account: this.address,
+      token: escrow.token,
+      amount: -amount,
+    };
+  }
+
+  settleEffects(escrow, split) {
+    const balances = [
+      this.escrowChange(escrow, split.amount),
+      {
+        label: "payee",
+        account: split.payee,
+        token: escrow.token,
+        amount: split.payeeAmount,
+      },
+    ];
+    if (split.affiliateAmount > 0n) {
+      balances.push({
+        label: "affiliate",
+        account: split.affiliate,
+        token: escrow.token,
+        amount: split.affiliateAmount,
+      });
+    }
+    return {
+      events: [
+        {
+          name: "Settled",
+          args: {
+            to: split.payee,
+            affiliate:
+              split.affiliateAmount > 0n ? split.affiliate : ZeroAddress,
+            token: escrow.token,
+            amount: split.payeeAmount,
+            affiliateAmount: split.affiliateAmount,
+          },
+        },
+      ],
+      balances,
+    };
+  }
+
+  refundEffects(escrow, amount) {
+    return {
+      events: [
+        {
+          name: "Refunded",
+          args: { to: escrow.payer, token: escrow.token, amount },
+        },
+      ],
+      balances: [
+        this.escrowChange(escrow, amount),
+        { label: "payer", account: escrow.payer, token: escrow.token, amount },
+      ],
+    };
+  }
+
+  // The signer's address, if it holds one of `roles`
+  async requireRole(escrow, roles, action) {
+    const from = await this.runner.getAddress();
+    if (roles.some((role) => sameAddress(escrow[role], from))) {
+      return from;
+    }
+    if (roles.includes("payer") && escrow.payer === ZeroAddress) {
+      throw new Error(`Cannot ${action}: the escrow has no payer yet`);
+    }
+    throw new Error(
+      `Only the ${roles.join(" or ")} can ${action}; the signer ${from} is not`,
+    );
+  }
+
+  requireAddress(address, name) {
+    if (!isAddress(address) || address === ZeroAddress) {
+      throw new Error(`Invalid ${name} ${address}`);
+    }
+  }
+
+  amountOf(escrow, amount = escrow.balance, action) {
+    if (escrow.balance === 0n) {
+      throw new Error(
+        `Nothing to ${action}: the escrow holds no ${tokenName(escrow.token)}`,
+      );
+    }
+    if (amount > escrow.balance) {
+      throw new Error(
+        `Cannot ${action} ${amount}: the escrow holds ${escrow.balance} ${tokenName(escrow.token)}`,
+      );
+    }
+    return amount;
+  }
+}
+
+module.exports = {
+  EscrowClient,
+  settlementSplit,
+};
@@ -0,0 +1,73 @@
+import type { Provider } from "ethers";
+import type { EncryptedMessage } from "./context";
+
+export interface OpenedMessage {
+  status: "decrypted" | "empty" | "undecryptable";
+  payload?: unknown;
+  error?: string;
+}
+
+export interface KeyHistoryEntry {
+  publicKey?: string;
+  blockNumber?: number;
+  logIndex?: number;
+}
+
+export interface InboxOrder extends OpenedMessage {
+  source: "auction" | "storefront";
+  auctionId?: bigint;
+  tokenContract: string;
+  tokenId: bigint;
+  escrowAddress: string;
+  buyer: string;
+  amount: bigint;
+  currency: string;
+  affiliate?: string;
+  final?: boolean;
+  encryptionPublicKey?: string;
+  blockNumber: number;
+  transactionHash: string;
+}
+
+export interface Inbox {
+  kind: "auction" | "storefront";
+  address: string;
+  fromBlock: number;
+  toBlock: number;
+  orders: InboxOrder[];
+}
+
+export declare function contractKind(
+  provider: Provider,
+  address: string,
+): Promise<"auction" | "storefront">;
+export declare function keyHistory(
+  provider: Provider,
+  address: string,
+  options?: {
+    fromBlock?: number;
+    toBlock?: number;
+    step?: number;
+    registry?: string;
+  },
+): Promise<KeyHistoryEntry[]>;
+export declare function keyAt(
+  history: KeyHistoryEntry[],
+  event: { blockNumber: number; index: number },
+): KeyHistoryEntry;
+export declare function openMessage(
+  message: EncryptedMessage,
+  privateKeys: string[],
+  publicKey?: string,
+): OpenedMessage;
+export declare function readInbox(
+  provider: Provider,
+  address: string,
+  options?: {
+    privateKeys?: string[];
+    fromBlock?: number;
+    toBlock?: number;
+    step?: number;
+    keyRegistry?: string;
+  },
+): Promise<Inbox>;
@@ -0,0 +1,297 @@
+const { Contract, Interface, SigningKey, ZeroAddress } = require("ethers");
+const { abi: auctionHouseAbi } = require("../abi/AuctionHouse");
+const { abi: escrowAbi } = require("../abi/AffiliateEscrow");
+const { abi: storefrontAbi } = require("../abi/AffiliateERC1155Storefront");
+const { abi: registryAbi } = require("../abi/EncryptionKeyRegistry");
+const { isEmptyMessage, messageFromEvent, toMessage } = require("./context");
+const { decryptMessage, publicKeyOf } = require("./ecies");
+
+const LOG_STEP = 10000;
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Published keys are plain strings, compressed or not
+function matchesKey(privateKey, publicKey) {
+  try {
+    return (
+      SigningKey.computePublicKey(publicKeyOf(privateKey), true) ===
+      SigningKey.computePublicKey(publicKey, true)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+async function responds(provider, address, iface, method) {
+  try {
+    await provider.call({
+      to: address,
+      data: iface.encodeFunctionData(method),
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * "storefront" or "auction" for an AffiliateERC1155Storefront or an
+ * AuctionHouse at `address`.
+ */
+async function contractKind(provider, address) {
+  if (
+    await responds(provider, address, new Interface(storefrontAbi), "SEAPORT")
+  ) {
+    return "storefront";
+  }
+  if (
+    await responds(
+      provider,
+      address,
+      new Interface(auctionHouseAbi),
+      "auctionItemContract",
+    )
+  ) {
+    return "auction";
+  }
+  throw new Error(
+    `${address} is neither an AffiliateERC1155Storefront nor an AuctionHouse`,
+  );
+}
+
+// Logs in ranges of `step` blocks, which public RPCs require
+async function queryEvents(contract, filter, fromBlock, toBlock, step) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += step) {
+    const end = Math.min(start + step - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+/**
+ * The seller keys published for `address` with setEncryptionPublicKey,
+ * oldest first: on the AffiliateERC1155Storefront itself, or for an
+ * AuctionHouse in the EncryptionKeyRegistry at `registry`. The first entry
+ * is the key in effect at `fromBlock` and has no `blockNumber`; the others
+ * took effect at `blockNumber` and `logIndex`. `publicKey` is undefined
+ * while no key is set.
+ */
+async function keyHistory(provider, address, options = {}) {
+  const { fromBlock = 0, step = LOG_STEP, registry } = options;
+  const toBlock =
+    options.toBlock === undefined
+      ? await provider.getBlockNumber()
+      : options.toBlock;
+  const contract = registry
+    ? new Contract(registry, registryAbi, provider)
+    : new Contract(address, storefrontAbi, provider);
+  const args = registry ? [address] : [];
+  const events = await queryEvents(
+    contract,
+    contract.filters.EncryptionPublicKeySet(...args),
+    fromBlock,
+    toBlock,
+    step,
+  );
+
+  let initial;
+  if (events.length) {
+    initial = events[0].args.oldKey;
+  } else {
+    try {
+      initial = await contract.encryptionPublicKey(...args, {
+        blockTag: toBlock,
+      });
+    } catch (error) {
+      // No registry deployed at `toBlock`
+    }
+  }
+  return [
+    { publicKey: initial || undefined },
+    ...events.map((event) => ({
+      publicKey: event.args.newKey || undefined,
+      blockNumber: event.blockNumber,
+      logIndex: event.index,
+    })),
+  ];
+}
+
+/**
+ * The entry of `history` in effect when the log `event` was emitted.
+ */
+function keyAt(history, event) {
+  return history
+    .filter(
+      (entry) =>
+        entry.blockNumber === undefined ||
+        entry.blockNumber < event.blockNumber ||
+        (entry.blockNumber === event.blockNumber &&
+          entry.logIndex < event.index),
+    )
+    .pop();
+}
+
+/**
+ * Decrypts `message` with the first of `privateKeys` that opens it, trying
+ * the one matching `publicKey` (the key in effect when it was sent) first.
+ */
+function openMessage(message, privateKeys, publicKey) {
+  if (isEmptyMessage(toMessage(message))) {
+    return { status: "empty" };
+  }
+  const candidates = publicKey
+    ? [
+        ...privateKeys.filter((key) => matchesKey(key, publicKey)),
+        ...privateKeys.filter((key) => !matchesKey(key, publicKey)),
+      ]
+    : privateKeys;
+  let lastError;
+  for (const privateKey of candidates) {
+    try {
+      const { payload } = decryptMessage(privateKey, message);
+      return { status: "decrypted", payload };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  return {
+    status: "undecryptable",
+    error: lastError ? lastError.message : "No key to decrypt with",
+  };
+}
+
+function openOrder(event, history, privateKeys) {
+  const { publicKey } = keyAt(history, event);
+  return {
+    encryptionPublicKey: publicKey,
+    ...openMessage(messageFromEvent(event.args), privateKeys, publicKey),
+  };
+}
+
+async function auctionInbox(provider, address, range, privateKeys, history) {
+  const house = new Contract(address, auctionHouseAbi, provider);
+  const events = await queryEvents(
+    house,
+    house.filters.AuctionEncryptedMessage(),
+    ...range,
+  );
+  const byAuction = new Map();
+  for (const event of events) {
+    const id = event.args.auctionId;
+    if (!byAuction.has(id)) byAuction.set(id, []);
+    byAuction.get(id).push(event);
+  }
+
+  const orders = [];
+  for (const [auctionId, messages] of byAuction) {
+    const auction = await house.getAuctionData(auctionId);
+    // Only the current top bidder's messages matter; a final message sent
+    // after the auction replaces the one sent with the bid
+    const fromBidder = messages.filter((event) =>
+      sameAddress(event.args.bidder, auction.bidder),
+    );
+    if (!fromBidder.length) continue;
+    const event =
+      fromBidder.filter((item) => item.args.isFinal).pop() || fromBidder.pop();
+    orders.push({
+      source: "auction",
+      auctionId,
+      tokenContract: auction.tokenContract,
+      tokenId: auction.tokenId,
+      escrowAddress: auction.escrowAddress,
+      buyer: auction.bidder,
+      amount: auction.highestBid,
+      currency: auction.auctionCurrency,
+      final: event.args.isFinal,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      ...openOrder(event, history, privateKeys),
+    });
+  }
+  return orders;
+}
+
+async function storefrontInbox(provider, address, range, privateKeys, history) {
+  const storefront = new Contract(address, storefrontAbi, provider);
+  const tokenContract = await storefront.erc1155Token();
+  const events = await queryEvents(
+    storefront,
+    storefront.filters.StorefrontOrderFulfilled(),
+    ...range,
+  );
+
+  const orders = [];
+  for (const event of events) {
+    const escrow = new Contract(event.args.escrowContract, escrowAbi, provider);
+    orders.push({
+      source: "storefront",
+      tokenContract,
+      tokenId: event.args.tokenId,
+      escrowAddress: event.args.escrowContract,
+      buyer: await escrow.payer(),
+      amount: event.args.price,
+      currency: event.args.paymentToken,
+      affiliate:
+        event.args.affiliate === ZeroAddress ? undefined : event.args.affiliate,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      ...openOrder(event, history, privateKeys),
+    });
+  }
+  return orders;
+}
+
+/**
+ * The buyer messages sent to the AuctionHouse or AffiliateERC1155Storefront
+ * at `address`, one entry per order, decrypted with the first of
+ * `privateKeys` that opens them.
+ *
+ * Auctions give the latest message of their current top bidder, or the
+ * final one the winner sent with setWinningBidderEncryptedMessage.
+ * Storefront entries are the purchases in StorefrontOrderFulfilled, with the
+ * buyer read from their escrow. Each entry links the token, escrow, buyer
+ * and amount, and has `status` "decrypted" (with `payload`), "empty" or
+ * "undecryptable" (with `error`). `encryptionPublicKey` is the seller key in
+ * effect when the message was sent, whose private key is tried first, so
+ * messages sent before a key rotation still open with the older key. An
+ * auction house's keys are read from the EncryptionKeyRegistry at
+ * `keyRegistry`; without it they are not known.
+ */
+async function readInbox(provider, address, options = {}) {
+  const {
+    privateKeys = [],
+    fromBlock = 0,
+    step = LOG_STEP,
+    keyRegistry,
+  } = options;
+  const toBlock =
+    options.toBlock === undefined
+      ? await provider.getBlockNumber()
+      : options.toBlock;
+  const kind = await contractKind(provider, address);
+  const range = [fromBlock, toBlock, step];
+  const registry = kind === "auction" ? keyRegistry : undefined;
+  const history =
+    kind === "auction" && !registry
+      ? [{}]
+      : await keyHistory(provider, address, {
+          fromBlock,
+          toBlock,
+          step,
+          registry,
+        });
+  const read = kind === "auction" ? auctionInbox : storefrontInbox;
+  const orders = await read(provider, address, range, privateKeys, history);
+  return { kind, address, fromBlock, toBlock, orders };
+}
+
+module.exports = {
+  contractKind,
+  keyHistory,
+  keyAt,
+  openMessage,
+  readInbox,
+};
@@ -0,0 +1,8 @@
+export * from "./errors";
+export * from "./preflight";
+export * from "./context";
+export * from "./ecies";
+export * from "./inbox";
+export * from "./auction-house";
+export * from "./storefront";
+export * from "./escrow";
@@ -0,0 +1,10 @@
+module.exports = {
+  ...require("./errors"),
+  ...require("./preflight"),
+  ...require("./context"),
+  ...require("./ecies"),
+  ...require("./inbox"),
+  ...require("./auction-house"),
+  ...require("./storefront"),
+  ...require("./escrow"),
+};
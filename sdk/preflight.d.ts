@@ -0,0 +1,67 @@
+import type {
+  BaseContract,
+  ContractTransactionReceipt,
+  Overrides,
+  Provider,
+  TransactionRequest,
+} from "ethers";
+
+export interface PlannedEvent {
+  name: string;
+  args: Record<string, unknown>;
+}
+
+export interface BalanceChange {
+  account: string;
+  label?: string;
+  /** ZeroAddress (the default) for ETH */
+  token?: string;
+  /** Set for NFTs */
+  tokenId?: bigint;
+  amount: bigint;
+}
+
+export interface Simulation {
+  result: string;
+  gasLimit: bigint;
+  maxGasCost: bigint;
+}
+
+export interface Plan extends Simulation {
+  description?: string;
+  from: string;
+  to?: string;
+  value: bigint;
+  returns?: unknown[];
+  events: PlannedEvent[];
+  balances: BalanceChange[];
+}
+
+export type Confirm = (plan: Plan) => boolean | Promise<boolean>;
+
+export interface Effects {
+  events?: PlannedEvent[];
+  balances?: BalanceChange[];
+}
+
+export declare function simulate(
+  provider: Provider,
+  transaction: TransactionRequest,
+  options?: { contract?: string },
+): Promise<Simulation>;
+export declare function formatPlan(plan: Plan): string[];
+export declare function sendChecked(
+  contract: BaseContract,
+  method: string,
+  args: unknown[],
+  options?: {
+    overrides?: Overrides;
+    label?: string;
+    confirm?: Confirm;
+    /** Prints the plan before `confirm`; console.log by default */
+    log?: (line: string) => void;
+    effects?: () => Effects | Promise<Effects>;
+    /** Percent added to the estimated gas; 20 by default */
+    gasMargin?: number;
+  },
+): Promise<ContractTransactionReceipt>;
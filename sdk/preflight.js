@@ -0,0 +1,144 @@
+const { ZeroAddress, formatEther } = require("ethers");
+const { decodeError } = require("./errors");
+
+const GAS_MARGIN = 20; // percent added to the gas estimate, like lib/sender.js
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  if (value && typeof value === "object") return "{…}";
+  return String(value);
+}
+
+function formatChange({ token = ZeroAddress, tokenId, amount }) {
+  const sign = amount < 0n ? "-" : "+";
+  const size = amount < 0n ? -amount : amount;
+  if (tokenId !== undefined) {
+    return `${sign}${size} of token ${tokenId} of ${token}`;
+  }
+  return token === ZeroAddress
+    ? `${sign}${formatEther(size)} ETH`
+    : `${sign}${size} of ${token}`;
+}
+
+/**
+ * Runs `transaction` (with its `from`) as an eth_call on the pending block
+ * and estimates its gas, unless it sets a `gasLimit`. A revert is thrown as
+ * a ContractError, decoded for `contract` (an artifact name). Resolves to the
+ * call's return data (`result`), the `gasLimit` and the most that gas can
+ * cost at the current fees (`maxGasCost`).
+ */
+async function simulate(provider, transaction, options = {}) {
+  let result, gasLimit;
+  try {
+    result = await provider.call({ ...transaction, blockTag: "pending" });
+    gasLimit = transaction.gasLimit
+      ? BigInt(transaction.gasLimit)
+      : await provider.estimateGas(transaction);
+  } catch (error) {
+    throw decodeError(error, options);
+  }
+  const { maxFeePerGas, gasPrice } = await provider.getFeeData();
+  return {
+    result,
+    gasLimit,
+    maxGasCost: gasLimit * (maxFeePerGas || gasPrice || 0n),
+  };
+}
+
+/**
+ * A simulated transaction as lines to print: the call, its gas, what it
+ * returns and the `events` and `balances` changes it is expected to make.
+ */
+function formatPlan(plan) {
+  const lines = [];
+  if (plan.description) lines.push(plan.description);
+  lines.push(
+    `  simulated from ${plan.from}: gas ${plan.gasLimit}, at most ${formatEther(plan.maxGasCost)} ETH`,
+  );
+  if (plan.returns && plan.returns.length) {
+    lines.push(`  returns ${plan.returns.map(formatValue).join(", ")}`);
+  }
+  for (const { name, args = {} } of plan.events || []) {
+    const fields = Object.entries(args).map(
+      ([key, value]) => `${key}: ${formatValue(value)}`,
+    );
+    lines.push(`  emits ${name}(${fields.join(", ")})`);
+  }
+  for (const change of plan.balances || []) {
+    const who = change.label
+      ? `${change.label} ${change.account}`
+      : change.account;
+    lines.push(`  ${who}: ${formatChange(change)}`);
+  }
+  return lines;
+}
+
+/**
+ * Simulates `contract.method(...args)` from the contract's signer, prints
+ * the plan through `log` and lets `confirm` accept or refuse it, then sends
+ * it and waits for the receipt. `label` names the contract in the plan and
+ * picks its errors.
+ *
+ * `effects` resolves to the `events` and `balances` the call is expected
+ * to produce; it is only asked for when there is a `confirm`. Without one
+ * the call is sent once the simulation passes. The estimated gas is sent
+ * with `gasMargin` percent on top.
+ */
+async function sendChecked(contract, method, args, options = {}) {
+  const {
+    overrides = {},
+    label,
+    confirm,
+    effects,
+    gasMargin = GAS_MARGIN,
+    log = console.log,
+  } = options;
+  const transaction = await contract[method].populateTransaction(
+    ...args,
+    overrides,
+  );
+  const from = await contract.runner.getAddress();
+  const simulation = await simulate(
+    contract.runner.provider,
+    { ...transaction, from },
+    { contract: label },
+  );
+
+  if (confirm) {
+    const plan = {
+      description: `${label}.${method}(${args.map(formatValue).join(", ")})`,
+      from,
+      to: transaction.to,
+      value: transaction.value || 0n,
+      ...simulation,
+      returns: contract.interface
+        .decodeFunctionResult(method, simulation.result)
+        .toArray(),
+      events: [],
+      balances: [],
+      ...(effects ? await effects() : {}),
+    };
+    formatPlan(plan).forEach((line) => log(line));
+    if (!(await confirm(plan))) {
+      throw new Error(
+        `${plan.description} was not confirmed; nothing was sent`,
+      );
+    }
+  }
+
+  try {
+    const tx = await contract[method](...args, {
+      gasLimit: (simulation.gasLimit * BigInt(100 + gasMargin)) / 100n,
+      ...overrides,
+    });
+    return await tx.wait();
+  } catch (error) {
+    throw decodeError(error, { contract: label });
+  }
+}
+
+module.exports = {
+  formatPlan,
+  sendChecked,
+  simulate,
+};
@@ -0,0 +1,75 @@
+import type {
+  ContractRunner,
+  ContractTransactionReceipt,
+  Overrides,
+} from "ethers";
+import type { MessageInput } from "./context";
+import type { Confirm } from "./preflight";
+
+export declare const ItemType: {
+  readonly NATIVE: 0;
+  readonly ERC20: 1;
+  readonly ERC721: 2;
+  readonly ERC1155: 3;
+};
+
+export interface SpentItem {
+  itemType: bigint;
+  token: string;
+  identifier: bigint;
+  amount: bigint;
+}
+
+export interface ReceivedItem extends SpentItem {
+  recipient: string;
+}
+
+export interface OrderOptions {
+  affiliate?: string;
+  message?: MessageInput;
+  fulfiller?: string;
+}
+
+export interface StorefrontOrder {
+  advancedOrder: {
+    parameters: Record<string, unknown>;
+    numerator: number;
+    denominator: number;
+    signature: string;
+    extraData: string;
+  };
+  consideration: ReceivedItem[];
+  value: bigint;
+}
+
+export interface StorefrontPurchase {
+  escrowAddress: string;
+  tokenId: bigint;
+  paymentToken: string;
+  price: bigint;
+  affiliate: string;
+  affiliateShare: bigint;
+  receipt: ContractTransactionReceipt;
+}
+
+export declare class StorefrontClient {
+  constructor(
+    address: string,
+    runner: ContractRunner,
+    options?: { confirm?: Confirm; log?: (line: string) => void },
+  );
+  readonly address: string;
+  seaport(): Promise<string>;
+  preview(
+    tokenId: bigint | number,
+    options?: OrderOptions,
+  ): Promise<{ offer: SpentItem[]; consideration: ReceivedItem[] }>;
+  buildOrder(
+    tokenId: bigint | number,
+    options?: OrderOptions,
+  ): Promise<StorefrontOrder>;
+  buy(
+    tokenId: bigint | number,
+    options?: OrderOptions & { recipient?: string; overrides?: Overrides },
+  ): Promise<StorefrontPurchase>;
+}
@@ -0,0 +1,259 @@
+const { Contract, MaxUint256, ZeroAddress, ZeroHash } = require("ethers");
+const { abi } = require("../abi/AffiliateERC1155Storefront");
+const { encodeContext } = require("./context");
+const { decodeError } = require("./errors");
+const { sendChecked } = require("./preflight");
+
+const CONTRACT = "AffiliateERC1155Storefront";
+const ItemType = { NATIVE: 0, ERC20: 1, ERC721: 2, ERC1155: 3 };
+const CONTRACT_ORDER = 4;
+
+const OFFER_ITEM =
+  "(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount)";
+const CONSIDERATION_ITEM =
+  "(uint8 itemType, address token, uint256 identifierOrCriteria, uint256 startAmount, uint256 endAmount, address recipient)";
+const ORDER_PARAMETERS = `(address offerer, address zone, ${OFFER_ITEM}[] offer, ${CONSIDERATION_ITEM}[] consideration, uint8 orderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 conduitKey, uint256 totalOriginalConsiderationItems)`;
+const SEAPORT_ABI = [
+  `function fulfillAdvancedOrder((${ORDER_PARAMETERS} parameters, uint120 numerator, uint120 denominator, bytes signature, bytes extraData) advancedOrder, (uint256 orderIndex, uint8 side, uint256 index, uint256 identifier, bytes32[] criteriaProof)[] criteriaResolvers, bytes32 fulfillerConduitKey, address recipient) payable returns (bool fulfilled)`,
+];
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Client for one AffiliateERC1155Storefront. Purchases are Seaport contract
+ * orders against the Seaport the storefront was deployed with.
+ *
+ * Purchases are simulated on the pending block first. With a `confirm`
+ * option, the plan with the expected event and balance changes is printed
+ * through `log` and given to `confirm`, and the order is only sent when it
+ * resolves to true.
+ */
+class StorefrontClient {
+  constructor(address, runner, options = {}) {
+    this.address = address;
+    this.runner = runner;
+    this.confirm = options.confirm;
+    this.log = options.log;
+    this.contract = new Contract(address, abi, runner);
+  }
+
+  async seaport() {
+    if (!this.seaportAddress) {
+      this.seaportAddress = await this.contract.SEAPORT();
+    }
+    return this.seaportAddress;
+  }
+
+  /**
+   * What buying one `tokenId` gives and costs, from previewOrder:
+   * `{ offer, consideration }` as Seaport spent and received items.
+   */
+  async preview(tokenId, options = {}) {
+    const { affiliate = ZeroAddress, message } = options;
+    const fulfiller = options.fulfiller || (await this.runner.getAddress());
+    const token = await this.contract.erc1155Token();
+    let offer, consideration;
+    try {
+      [offer, consideration] = await this.contract.previewOrder(
+        await this.seaport(),
+        fulfiller,
+        [{ itemType: ItemType.ERC1155, token, identifier: tokenId, amount: 1 }],
+        [],
+        encodeContext(affiliate, message),
+      );
+    } catch (error) {
+      throw decodeError(error, { contract: CONTRACT });
+    }
+    return {
+      offer: offer.map((item) => item.toObject()),
+      consideration: consideration.map((item) => item.toObject()),
+    };
+  }
+
+  /**
+   * The AdvancedOrder for fulfillAdvancedOrder buying one `tokenId`, with the
+   * native value it needs. `affiliate` and the encrypted `message` go into
+   * the order's extraData.
+   */
+  async buildOrder(tokenId, options = {}) {
+    const { affiliate = ZeroAddress, message } = options;
+    const { offer, consideration } = await this.preview(tokenId, options);
+    const value = consideration
+      .filter((item) => Number(item.itemType) === ItemType.NATIVE)
+      .reduce((sum, item) => sum + item.amount, 0n);
+
+    const advancedOrder = {
+      parameters: {
+        offerer: this.address,
+        zone: ZeroAddress,
+        offer: offer.map((item) => ({
+          itemType: item.itemType,
+          token: item.token,
+          identifierOrCriteria: item.identifier,
+          startAmount: item.amount,
+          endAmount: item.amount,
+        })),
+        consideration: consideration.map((item) => ({
+          itemType: item.itemType,
+          token: item.token,
+          identifierOrCriteria: item.identifier,
+          startAmount: item.amount,
+          endAmount: item.amount,
+          recipient: item.recipient,
+        })),
+        orderType: CONTRACT_ORDER,
+        startTime: 0,
+        endTime: MaxUint256,
+        zoneHash: ZeroHash,
+        salt: 0,
+        conduitKey: ZeroHash,
+        totalOriginalConsiderationItems: consideration.length,
+      },
+      numerator: 1,
+      denominator: 1,
+      signature: "0x",
+      extraData: encodeContext(affiliate, message),
+    };
+    return { advancedOrder, consideration, value };
+  }
+
+  /**
+   * Buys one `tokenId` through Seaport, approving Seaport for ERC20 prices
+   * first. Resolves to the escrow holding the payment and the other fields
+   * of StorefrontOrderFulfilled, with the receipt.
+   *
+   * Reverts are thrown as ContractErrors. Seaport reports a storefront that
+   * refused the order as InvalidContractOrder; the order is then previewed
+   * again to throw the storefront's own reason, when it still refuses it.
+   */
+  async buy(tokenId, options = {}) {
+    const { recipient = ZeroAddress, overrides = {} } = options;
+    const seaport = await this.seaport();
+    const { advancedOrder, consideration, value } = await this.buildOrder(
+      tokenId,
+      options,
+    );
+    const { affiliate = ZeroAddress } = options;
+
+    const from = await this.runner.getAddress();
+    for (const item of consideration) {
+      if (Number(item.itemType) !== ItemType.ERC20) continue;
+      const currency = new Contract(item.token, ERC20_ABI, this.runner);
+      if ((await currency.allowance(from, seaport)) < item.amount) {
+        await sendChecked(currency, "approve", [seaport, item.amount], {
+          label: "ERC20",
+          confirm: this.confirm,
+          log: this.log,
+          effects: () => ({
+            events: [
+              {
+                name: "Approval",
+                args: { owner: from, spender: seaport, value: item.amount },
+              },
+            ],
+          }),
+        });
+      }
+    }
+
+    let receipt;
+    try {
+      receipt = await sendChecked(
+        new Contract(seaport, SEAPORT_ABI, this.runner),
+        "fulfillAdvancedOrder",
+        [advancedOrder, [], ZeroHash, recipient],
+        {
+          overrides: { value, ...overrides },
+          label: "Seaport",
+          confirm: this.confirm,
+          log: this.log,
+          effects: () =>
+            this.orderEffects(tokenId, advancedOrder, from, affiliate),
+        },
+      );
+    } catch (error) {
+      const decoded = decodeError(error, { contract: CONTRACT });
+      if (decoded.errorName === "InvalidContractOrder") {
+        await this.preview(tokenId, options);
+      }
+      throw decoded;
+    }
+    const event = receipt.logs
+      .filter((log) => sameAddress(log.address, this.address))
+      .map((log) => this.contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "StorefrontOrderFulfilled");
+    return {
+      escrowAddress: event.args.escrowContract,
+      tokenId: event.args.tokenId,
+      paymentToken: event.args.paymentToken,
+      price: event.args.price,
+      affiliate: event.args.affiliate,
+      affiliateShare: event.args.affiliateShare,
+      receipt,
+    };
+  }
+
+  // The buyer pays the consideration into the escrow and receives the offer
+  orderEffects(tokenId, advancedOrder, buyer, affiliate) {
+    const { offer, consideration } = advancedOrder.parameters;
+    const balances = [];
+    for (const item of consideration) {
+      const token =
+        Number(item.itemType) === ItemType.NATIVE ? ZeroAddress : item.token;
+      balances.push(
+        { label: "buyer", account: buyer, token, amount: -item.startAmount },
+        {
+          label: "escrow",
+          account: item.recipient,
+          token,
+          amount: item.startAmount,
+        },
+      );
+    }
+    for (const item of offer) {
+      balances.push(
+        {
+          label: "storefront",
+          account: this.address,
+          token: item.token,
+          tokenId: item.identifierOrCriteria,
+          amount: -item.startAmount,
+        },
+        {
+          label: "buyer",
+          account: buyer,
+          token: item.token,
+          tokenId: item.identifierOrCriteria,
+          amount: item.startAmount,
+        },
+      );
+    }
+    const [payment] = consideration;
+    return {
+      events: [
+        {
+          name: "StorefrontOrderFulfilled",
+          args: {
+            tokenId,
+            buyer,
+            price: payment ? payment.startAmount : 0n,
+            escrowContract: payment ? payment.recipient : ZeroAddress,
+            affiliate,
+          },
+        },
+      ],
+      balances,
+    };
+  }
+}
+
+module.exports = {
+  ItemType,
+  StorefrontClient,
+};
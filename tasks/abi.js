@@ -0,0 +1,99 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { checkAbis } = require("../lib/abi-diff");
+const { exportAbis } = require("../lib/abi-export");
+const { printTable } = require("../lib/table");
+
+task(
+  "export-abi",
+  "Exports ABIs, typings and address books for frontends and notebooks",
+)
+  .addFlag(
+    "check",
+    "Only check that the committed exports match the compiled contracts",
+  )
+  .setAction(async ({ check }, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const result = await exportAbis(hre, { check });
+    if (!check) {
+      console.log(
+        `Exported ${result.written.length} files${
+          result.removed.length > 0
+            ? `, removed ${result.removed.join(", ")}`
+            : ""
+        }`,
+      );
+      return;
+    }
+
+    const outdated = [...result.changed, ...result.stale];
+    if (outdated.length === 0) {
+      console.log("Exported ABIs are up to date");
+      return;
+    }
+    console.log("Exported ABIs differ from the compiled contracts:");
+    for (const file of outdated) {
+      console.log(`- ${file}`);
+    }
+    console.log("Run `npm run export-abi` and commit the result.");
+    process.exitCode = 1;
+  });
+
+task(
+  "diff-abi",
+  "Diffs the compiled ABIs against the ABIs in the network's deployment records",
+)
+  .addOptionalParam(
+    "contracts",
+    "Comma-separated record names to diff (default: every record)",
+  )
+  .addOptionalParam("report", "Writes the full report as JSON to this file")
+  .addFlag("all", "Also list additive changes")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const report = await checkAbis(hre, {
+      names:
+        taskArgs.contracts &&
+        taskArgs.contracts.split(",").map((s) => s.trim()),
+    });
+    if (taskArgs.report) {
+      fs.writeFileSync(taskArgs.report, `${JSON.stringify(report, null, 2)}\n`);
+    }
+
+    const rows = report.contracts.flatMap((contract) =>
+      contract.changes
+        ? contract.changes
+            .filter((item) => taskArgs.all || item.severity === "breaking")
+            .map((item) => ({ contract: contract.name, ...item }))
+        : [
+            {
+              contract: contract.name,
+              change: "skipped",
+              detail: contract.reason,
+            },
+          ],
+    );
+    if (rows.length > 0) {
+      printTable(rows, [
+        "contract",
+        "type",
+        "name",
+        "change",
+        "severity",
+        "detail",
+      ]);
+    }
+    const count = (status) =>
+      report.contracts.filter((contract) => contract.status === status).length;
+    console.log(
+      `\n${report.contracts.length} contracts: ${count("breaking")} breaking, ${count(
+        "additive",
+      )} additive, ${count("unchanged")} unchanged, ${count("skipped")} skipped`,
+    );
+
+    if (report.breaking > 0) {
+      process.exitCode = 1;
+    }
+  });
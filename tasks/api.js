@@ -0,0 +1,23 @@
+const { task } = require("hardhat/config");
+const { serveApi } = require("../lib/api");
+
+task(
+  "serve-api",
+  "Serves the event index of the network over REST and GraphQL until interrupted",
+)
+  .addOptionalParam(
+    "db",
+    "Database file (default: deployments/<chainId>/state/index.sqlite)",
+  )
+  .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+  .addOptionalParam("port", "Port to listen on", "4000")
+  .setAction(async (taskArgs, hre) => {
+    const { file, url, close } = await serveApi(hre, {
+      file: taskArgs.db,
+      host: taskArgs.host,
+      port: Number(taskArgs.port),
+    });
+    console.log(`Serving ${file} at ${url} (GraphQL at ${url}/graphql)`);
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    await close();
+  });
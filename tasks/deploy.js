@@ -0,0 +1,89 @@
+const { task } = require("hardhat/config");
+const { addressStatus, predictAddress } = require("../lib/create2");
+const {
+  loadManifest,
+  predictManifest,
+  runManifest,
+} = require("../lib/deploy-engine");
+const { create2Arguments } = require("../lib/metadata");
+const { confirmSends } = require("../lib/signers");
+const { printTable } = require("../lib/table");
+
+function create2Option({ create2, salt }) {
+  if (salt !== undefined && !create2) {
+    throw new Error("--salt only applies with --create2");
+  }
+  return create2 ? { salt } : undefined;
+}
+
+task("deploy", "Deploys a stack from a manifest, resuming previous runs")
+  .addPositionalParam(
+    "manifest",
+    "Manifest name from manifests/ or a path to a manifest file",
+  )
+  .addFlag("reset", "Ignore recorded progress and deploy every step again")
+  .addFlag("skipVerify", "Do not verify deployed contracts on the explorer")
+  .addFlag(
+    "create2",
+    "Deploy the steps marked create2 through the CREATE2 deployer",
+  )
+  .addOptionalParam("salt", "CREATE2 salt for steps without their own")
+  .addFlag("yes", "Send without asking after each simulation")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const options = {
+      reset: taskArgs.reset,
+      create2: create2Option(taskArgs),
+      confirm: confirmSends(taskArgs.yes),
+    };
+    if (taskArgs.skipVerify) {
+      options.verify = false;
+    }
+    await runManifest(hre, loadManifest(taskArgs.manifest), options);
+  });
+
+task(
+  "create2-addresses",
+  "Precomputes the CREATE2 addresses of a manifest and checks them on chain",
+)
+  .addOptionalPositionalParam(
+    "manifest",
+    "Manifest name from manifests/ or a path to a manifest file",
+  )
+  .addOptionalParam("salt", "CREATE2 salt for steps without their own")
+  .addOptionalParam(
+    "metadataOwner",
+    "Also precompute UmpMetadata as deployed by `wire-metadata --create2` for this owner",
+  )
+  .setAction(async ({ manifest, salt, metadataOwner }, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const rows = manifest
+      ? await predictManifest(hre, loadManifest(manifest), {
+          create2: { salt },
+        })
+      : [];
+    if (metadataOwner) {
+      const { address } = await predictAddress(
+        hre,
+        "UmpMetadata",
+        create2Arguments(metadataOwner),
+        { salt },
+      );
+      rows.push({
+        id: "UmpMetadata",
+        address,
+        status: await addressStatus(hre, "UmpMetadata", address),
+      });
+    }
+    printTable(
+      rows.map((row) => ({ ...row, address: row.address || row.reason })),
+      ["id", "address", "status"],
+    );
+
+    if (rows.some((row) => row.status === "conflict")) {
+      console.log("\nAddresses marked conflict hold other code; pick a salt");
+      process.exitCode = 1;
+    }
+  });
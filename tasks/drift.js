@@ -0,0 +1,49 @@
+const { task } = require("hardhat/config");
+const { checkDrift } = require("../lib/drift");
+const { getNetworkConfig } = require("../lib/networks");
+const { printTable } = require("../lib/table");
+const { recordExecutedUpgrades } = require("../lib/upgrade");
+
+task(
+  "check-drift",
+  "Compares the recorded deployments of the network with the chain",
+)
+  .addOptionalParam(
+    "contracts",
+    "Comma-separated record names to check (default: every record)",
+  )
+  .addOptionalParam(
+    "tokens",
+    "Comma-separated tokens UmpMetadata should support (default: the network's tokens)",
+  )
+  .addFlag("ignoreReady", "Do not check the ready flag of storefronts")
+  .addFlag("all", "Also list the checks that passed")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+    // Forks are compared with the live records, which they do not write
+    if (!getNetworkConfig(hre.network.name).forkOf) {
+      await recordExecutedUpgrades(hre);
+    }
+
+    const split = (value) => value && value.split(",").map((s) => s.trim());
+    const rows = await checkDrift(hre, {
+      names: split(taskArgs.contracts),
+      tokens: split(taskArgs.tokens),
+      ready: taskArgs.ignoreReady ? null : true,
+    });
+
+    const drift = rows.filter((row) => row.status === "drift");
+    printTable(
+      taskArgs.all ? rows : rows.filter((row) => row.status !== "ok"),
+      ["name", "address", "check", "status", "expected", "actual"],
+    );
+    console.log(
+      `\n${rows.length} checks, ${drift.length} drifted, ${
+        rows.filter((row) => row.status === "skipped").length
+      } skipped`,
+    );
+
+    if (drift.length > 0) {
+      process.exitCode = 1;
+    }
+  });
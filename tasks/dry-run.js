@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const { formatEther, formatUnits, parseUnits } = require("ethers");
+const { task } = require("hardhat/config");
+const { loadManifest, runManifest } = require("../lib/deploy-engine");
+const { dryRun } = require("../lib/dry-run");
+const { printTable } = require("../lib/table");
+
+function toJSON(value) {
+  return JSON.parse(
+    JSON.stringify(value, (_, item) =>
+      typeof item === "bigint" ? item.toString() : item,
+    ),
+  );
+}
+
+task(
+  "dry-run",
+  "Runs a manifest or script on an in-process fork and reports gas and cost without broadcasting",
+)
+  .addOptionalPositionalParam(
+    "manifest",
+    "Manifest name from manifests/ or a path to a manifest file",
+  )
+  .addOptionalParam(
+    "script",
+    "Script exporting async (hre, { signer, deploymentsDir, log }) to run instead of a manifest",
+  )
+  .addOptionalParam(
+    "fork",
+    "Registered network to fork (default: FORK_NETWORK)",
+    process.env.FORK_NETWORK,
+  )
+  .addOptionalParam("block", "Block number to fork at (default: latest)")
+  .addOptionalParam(
+    "from",
+    "Address to send from (default: the fork network's signer)",
+  )
+  .addOptionalParam(
+    "gasPrice",
+    "Gas price in gwei to price the run at (default: current fees)",
+  )
+  .addFlag("create2", "Deploy the steps marked create2 through CREATE2")
+  .addOptionalParam("salt", "CREATE2 salt for steps without their own")
+  .addOptionalParam("report", "Writes the full report as JSON to this file")
+  .setAction(async (taskArgs, hre) => {
+    if (Boolean(taskArgs.manifest) === Boolean(taskArgs.script)) {
+      throw new Error("Name either a manifest or a --script");
+    }
+    await hre.run("compile", { quiet: true });
+
+    const action = taskArgs.script
+      ? (context) => require(path.resolve(taskArgs.script))(hre, context)
+      : (context) =>
+          runManifest(hre, loadManifest(taskArgs.manifest), {
+            ...context,
+            verify: false,
+            create2: taskArgs.create2 ? { salt: taskArgs.salt } : undefined,
+          });
+
+    const report = await dryRun(hre, action, {
+      fork: taskArgs.fork,
+      blockNumber: taskArgs.block && Number(taskArgs.block),
+      from: taskArgs.from,
+      gasPrice: taskArgs.gasPrice && parseUnits(taskArgs.gasPrice, "gwei"),
+    });
+
+    console.log(
+      `\n=== Dry run on ${report.network} from block ${report.blockNumber} as ${report.from} ===`,
+    );
+    printTable(
+      report.transactions.map((tx, index) => ({
+        "#": index + 1,
+        transaction: tx.description,
+        gas: tx.gasUsed,
+        "cost (ETH)": formatEther(tx.cost),
+        address: tx.contract ? `${tx.contract} ${tx.address}` : tx.address,
+      })),
+      ["#", "transaction", "gas", "cost (ETH)", "address"],
+    );
+    const l1Fees = report.transactions.reduce((sum, tx) => sum + tx.l1Fee, 0n);
+    console.log(
+      `\n${report.transactions.length} transactions, ${report.totalGas} gas, ${formatEther(
+        report.totalCost,
+      )} ETH at ${formatUnits(report.gasPrice, "gwei")} gwei${
+        l1Fees > 0n ? ` (${formatEther(l1Fees)} ETH of it L1 data fees)` : ""
+      }`,
+    );
+    if (!report.sufficient) {
+      console.log(
+        `Warning: ${report.from} holds ${formatEther(report.balance)} ETH, less than the estimated cost`,
+      );
+    }
+    if (taskArgs.report) {
+      const { result, ...rest } = report;
+      fs.writeFileSync(
+        taskArgs.report,
+        `${JSON.stringify(toJSON(rest), null, 2)}\n`,
+      );
+    }
+  });
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { inboxCsv, sellerInbox, sellerKeys } = require("../lib/inbox");
+const { keyringFile, unlockKeyring } = require("../lib/seller-keys");
+const { printTable } = require("../lib/table");
+
+function toJSON(value) {
+  return JSON.parse(
+    JSON.stringify(value, (_, item) =>
+      typeof item === "bigint" ? item.toString() : item,
+    ),
+  );
+}
+
+task(
+  "inbox",
+  "Decrypts the buyer messages sent to an auction house or storefront",
+)
+  .addPositionalParam(
+    "target",
+    "Record name or address of the AuctionHouse or AffiliateERC1155Storefront",
+  )
+  .addOptionalParam(
+    "keyFile",
+    "File with one seller private key per line, in addition to SELLER_PRIVATE_KEY",
+  )
+  .addOptionalParam(
+    "keyring",
+    "Seller keyring to unlock (default: SELLER_KEYRING or ~/.auction-house/seller-keyring.json)",
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "Block to scan from (default: the recorded deployment block, else 0)",
+  )
+  .addOptionalParam("toBlock", "Block to scan to (default: latest)")
+  .addOptionalParam("format", "json or csv", "json")
+  .addOptionalParam("out", "File to write the inbox to instead of stdout")
+  .setAction(async (taskArgs, hre) => {
+    if (!["json", "csv"].includes(taskArgs.format)) {
+      throw new Error(`Unknown format ${taskArgs.format}; use json or csv`);
+    }
+    const privateKeys = sellerKeys({ keyFile: taskArgs.keyFile });
+    const keyring = await unlockKeyring({
+      file: taskArgs.keyring || keyringFile(),
+    });
+    privateKeys.push(...keyring.map((key) => key.privateKey));
+    if (!privateKeys.length) {
+      throw new Error(
+        "Set SELLER_PRIVATE_KEY, pass --key-file or run seller-key-generate",
+      );
+    }
+
+    const inbox = await sellerInbox(hre, taskArgs.target, {
+      privateKeys,
+      fromBlock: taskArgs.fromBlock && Number(taskArgs.fromBlock),
+      toBlock: taskArgs.toBlock && Number(taskArgs.toBlock),
+    });
+    const output =
+      taskArgs.format === "csv"
+        ? inboxCsv(inbox)
+        : `${JSON.stringify(toJSON(inbox), null, 2)}\n`;
+
+    if (!taskArgs.out) {
+      process.stdout.write(output);
+      return;
+    }
+    fs.writeFileSync(taskArgs.out, output);
+    printTable(
+      inbox.orders.map((order) => ({
+        order:
+          order.source === "auction"
+            ? `auction ${order.auctionId}`
+            : `token ${order.tokenId}`,
+        buyer: order.buyer,
+        escrow: order.escrowAddress,
+        status: order.status,
+      })),
+      ["order", "buyer", "escrow", "status"],
+    );
+    console.log(
+      `\n${inbox.orders.length} orders from block ${inbox.fromBlock} to ${inbox.toBlock} written to ${taskArgs.out}`,
+    );
+  });
@@ -0,0 +1,42 @@
+const { task } = require("hardhat/config");
+const { runIndexer } = require("../lib/indexer");
+
+task(
+  "index",
+  "Indexes the marketplace events of the network's recorded contracts into SQLite",
+)
+  .addOptionalParam(
+    "db",
+    "Database file (default: deployments/<chainId>/state/index.sqlite)",
+  )
+  .addOptionalParam(
+    "confirmations",
+    "Blocks below the head that may still be reorganised",
+    "12",
+  )
+  .addOptionalParam("batchSize", "Blocks per eth_getLogs request", "2000")
+  .addOptionalParam(
+    "fromBlock",
+    "Block to start newly followed contracts from (default: their deployment block)",
+  )
+  .addFlag("follow", "Keep polling for new blocks until interrupted")
+  .addOptionalParam("pollMs", "Milliseconds between polls", "2000")
+  .setAction(async (taskArgs, hre) => {
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    process.once("SIGINT", stop);
+    try {
+      const { file, blockNumber } = await runIndexer(hre, {
+        file: taskArgs.db,
+        confirmations: Number(taskArgs.confirmations),
+        batchSize: Number(taskArgs.batchSize),
+        fromBlock: taskArgs.fromBlock && Number(taskArgs.fromBlock),
+        follow: taskArgs.follow,
+        pollMs: Number(taskArgs.pollMs),
+        signal: controller.signal,
+      });
+      console.log(`Indexed up to block ${blockNumber} in ${file}`);
+    } finally {
+      process.removeListener("SIGINT", stop);
+    }
+  });
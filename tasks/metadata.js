@@ -0,0 +1,52 @@
+const { task } = require("hardhat/config");
+const { getDeployment } = require("../lib/deployments");
+const { wireMetadata } = require("../lib/metadata");
+const { getNetworkConfig } = require("../lib/networks");
+const { saveQueue } = require("../lib/safe");
+const { confirmSends } = require("../lib/signers");
+const { verifyContract } = require("../lib/verify");
+
+task(
+  "wire-metadata",
+  "Deploys or updates UmpMetadata from the deployment records of the network",
+)
+  .addOptionalParam(
+    "tokens",
+    "Comma-separated token symbols or addresses to support (default: the network's tokens)",
+  )
+  .addOptionalParam(
+    "safe",
+    "Safe that owns UmpMetadata; updates are written to a batch for it",
+  )
+  .addOptionalParam("batch", "Batch file to write or append to")
+  .addFlag("skipVerify", "Do not verify a newly deployed UmpMetadata")
+  .addFlag("create2", "Deploy a new UmpMetadata through the CREATE2 deployer")
+  .addOptionalParam("salt", "CREATE2 salt for a new UmpMetadata")
+  .addFlag("yes", "Send without asking after each simulation")
+  .setAction(async (taskArgs, hre) => {
+    const { tokens, safe, batch, skipVerify, create2, salt, yes } = taskArgs;
+    await hre.run("compile", { quiet: true });
+
+    const queue = [];
+    const result = await wireMetadata(hre, {
+      tokens: tokens && tokens.split(",").map((token) => token.trim()),
+      safe,
+      queue,
+      create2: create2 ? { salt } : undefined,
+      confirm: confirmSends(yes),
+    });
+    await saveQueue(hre, queue, {
+      safe,
+      name: "Wire UmpMetadata",
+      file: batch,
+    });
+
+    if (
+      result.deployed &&
+      !skipVerify &&
+      !getNetworkConfig(hre.network.name).local
+    ) {
+      const { constructorArguments } = getDeployment("UmpMetadata", hre);
+      await verifyContract(hre, result.address, constructorArguments);
+    }
+  });
@@ -0,0 +1,78 @@
+const { task, types } = require("hardhat/config");
+const { ownerCall, transferOwnership } = require("../lib/ownership");
+const { saveQueue } = require("../lib/safe");
+const { confirmSends } = require("../lib/signers");
+const { printTable } = require("../lib/table");
+
+task(
+  "owner-call",
+  "Calls an owner-only function, or adds it to a Safe batch with --safe",
+)
+  .addPositionalParam("target", "Record name or address of the contract")
+  .addPositionalParam("method", "Function to call, e.g. toggleReady")
+  .addOptionalParam("args", "JSON array of arguments", [], types.json)
+  .addOptionalParam("value", "Wei to send with the call", "0")
+  .addOptionalParam(
+    "contract",
+    "Contract whose ABI to use (default: the record's contract)",
+  )
+  .addOptionalParam("safe", "Safe that owns the contract")
+  .addOptionalParam("batch", "Batch file to write or append to")
+  .addFlag("yes", "Send without asking after the simulation")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const queue = [];
+    await ownerCall(hre, {
+      target: taskArgs.target,
+      method: taskArgs.method,
+      args: taskArgs.args,
+      value: BigInt(taskArgs.value),
+      contract: taskArgs.contract,
+      safe: taskArgs.safe,
+      queue,
+      confirm: confirmSends(taskArgs.yes),
+    });
+    await saveQueue(hre, queue, {
+      safe: taskArgs.safe,
+      name: `${taskArgs.target} ${taskArgs.method}`,
+      file: taskArgs.batch,
+    });
+  });
+
+task(
+  "transfer-ownership",
+  "Transfers ownership of the recorded contracts, typically to a Safe",
+)
+  .addPositionalParam("to", "New owner")
+  .addOptionalParam(
+    "contracts",
+    "Comma-separated record names (default: every Ownable record)",
+  )
+  .addOptionalParam(
+    "safe",
+    "Current owning Safe; its contracts are added to a batch",
+  )
+  .addOptionalParam("batch", "Batch file to write or append to")
+  .addFlag("yes", "Send without asking after each simulation")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const queue = [];
+    const rows = await transferOwnership(hre, {
+      to: taskArgs.to,
+      names:
+        taskArgs.contracts &&
+        taskArgs.contracts.split(",").map((name) => name.trim()),
+      safe: taskArgs.safe,
+      queue,
+      confirm: confirmSends(taskArgs.yes),
+    });
+    console.log();
+    printTable(rows, ["name", "address", "owner", "status"]);
+    await saveQueue(hre, queue, {
+      safe: taskArgs.safe,
+      name: "Transfer ownership",
+      file: taskArgs.batch,
+    });
+  });
@@ -0,0 +1,100 @@
+const { task } = require("hardhat/config");
+const { saveQueue } = require("../lib/safe");
+const {
+  addSellerKey,
+  keyringFile,
+  listSellerKeys,
+  publishSellerKey,
+} = require("../lib/seller-keys");
+const { confirmSends } = require("../lib/signers");
+const { printTable } = require("../lib/table");
+
+const KEYRING_HELP =
+  "Keyring file (default: SELLER_KEYRING or ~/.auction-house/seller-keyring.json)";
+
+async function publish(hre, taskArgs, publicKey) {
+  await hre.run("compile", { quiet: true });
+
+  const queue = [];
+  const result = await publishSellerKey(hre, {
+    target: taskArgs.target,
+    publicKey,
+    file: taskArgs.keyring,
+    safe: taskArgs.safe,
+    queue,
+    confirm: confirmSends(taskArgs.yes),
+  });
+  await saveQueue(hre, queue, {
+    safe: taskArgs.safe,
+    name: `${taskArgs.target} setEncryptionPublicKey`,
+    file: taskArgs.batch,
+  });
+  console.log(`${taskArgs.target}: ${result.status} ${result.publicKey}`);
+  if (result.previous && result.status !== "unchanged") {
+    console.log(
+      `Replaced ${result.previous}; keep its key for the messages sent to it`,
+    );
+  }
+}
+
+task("seller-keys", "Lists the seller message keys in the keyring")
+  .addOptionalPositionalParam(
+    "target",
+    "Record name or address of an AuctionHouse or AffiliateERC1155Storefront, to show which key it publishes",
+  )
+  .addOptionalParam("keyring", KEYRING_HELP)
+  .setAction(async (taskArgs, hre) => {
+    const file = taskArgs.keyring || keyringFile();
+    const rows = await listSellerKeys(hre, {
+      target: taskArgs.target,
+      file,
+    });
+    if (!rows.length) {
+      console.log(`No keys in ${file}; run seller-key-generate`);
+      return;
+    }
+    printTable(
+      rows,
+      taskArgs.target
+        ? ["publicKey", "createdAt", "status", "since"]
+        : ["publicKey", "createdAt"],
+    );
+  });
+
+task(
+  "seller-key-generate",
+  "Generates a seller message key into the encrypted keyring",
+)
+  .addOptionalParam("keyring", KEYRING_HELP)
+  .setAction(async (taskArgs) => {
+    const publicKey = await addSellerKey({ file: taskArgs.keyring });
+    console.log(publicKey);
+  });
+
+task(
+  "seller-key-publish",
+  "Sets a keyring key as the encryption key of an auction house or storefront",
+)
+  .addPositionalParam("target", "Record name or address of the contract")
+  .addOptionalParam("publicKey", "Key to publish (default: the newest)")
+  .addOptionalParam("keyring", KEYRING_HELP)
+  .addOptionalParam("safe", "Safe that owns the contract")
+  .addOptionalParam("batch", "Batch file to write or append to")
+  .addFlag("yes", "Send without asking after the simulation")
+  .setAction(async (taskArgs, hre) => {
+    await publish(hre, taskArgs, taskArgs.publicKey);
+  });
+
+task(
+  "seller-key-rotate",
+  "Generates a new seller key and publishes it, keeping the old ones",
+)
+  .addPositionalParam("target", "Record name or address of the contract")
+  .addOptionalParam("keyring", KEYRING_HELP)
+  .addOptionalParam("safe", "Safe that owns the contract")
+  .addOptionalParam("batch", "Batch file to write or append to")
+  .addFlag("yes", "Send without asking after the simulation")
+  .setAction(async (taskArgs, hre) => {
+    const publicKey = await addSellerKey({ file: taskArgs.keyring });
+    await publish(hre, taskArgs, publicKey);
+  });
@@ -0,0 +1,62 @@
+const { task, types } = require("hardhat/config");
+const { getNetworkConfig } = require("../lib/networks");
+const { saveQueue } = require("../lib/safe");
+const { confirmSends } = require("../lib/signers");
+const { upgradeProxy } = require("../lib/upgrade");
+const { verifyContract } = require("../lib/verify");
+
+task(
+  "upgrade",
+  "Upgrades a recorded UUPS proxy after checking storage layout compatibility",
+)
+  .addOptionalParam(
+    "proxy",
+    "Record name of the proxy",
+    "AffiliateVerifierProxy",
+  )
+  .addOptionalParam(
+    "contract",
+    "Contract to deploy as the new implementation",
+    "AffiliateVerifier",
+  )
+  .addOptionalParam(
+    "reference",
+    "Contract the current implementation was compiled from (default: its record)",
+  )
+  .addOptionalParam("call", "Function to call on the proxy during the upgrade")
+  .addOptionalParam(
+    "args",
+    "JSON array of arguments for --call",
+    [],
+    types.json,
+  )
+  .addOptionalParam(
+    "safe",
+    "Safe that owns the proxy; the upgrade call is written to a batch for it",
+  )
+  .addOptionalParam("batch", "Batch file to write or append to")
+  .addFlag("skipVerify", "Do not verify the new implementation")
+  .addFlag("yes", "Send without asking after the simulation")
+  .setAction(async (taskArgs, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const queue = [];
+    const result = await upgradeProxy(hre, {
+      proxy: taskArgs.proxy,
+      contract: taskArgs.contract,
+      reference: taskArgs.reference,
+      call: taskArgs.call && { method: taskArgs.call, args: taskArgs.args },
+      safe: taskArgs.safe,
+      queue,
+      confirm: confirmSends(taskArgs.yes),
+    });
+    await saveQueue(hre, queue, {
+      safe: taskArgs.safe,
+      name: `Upgrade ${taskArgs.proxy}`,
+      file: taskArgs.batch,
+    });
+
+    if (!taskArgs.skipVerify && !getNetworkConfig(hre.network.name).local) {
+      await verifyContract(hre, result.implementation, []);
+    }
+  });
@@ -0,0 +1,43 @@
+const { task, types } = require("hardhat/config");
+const { verifyRecords, printStatusTable } = require("../lib/verify");
+
+task(
+  "verify-deployments",
+  "Verifies the recorded deployments of the selected network on its explorer",
+)
+  .addOptionalParam(
+    "contracts",
+    "Comma-separated record names to verify (default: every record)",
+  )
+  .addFlag(
+    "clones",
+    "Also link escrow clones created by the recorded escrow factories",
+  )
+  .addOptionalParam(
+    "attempts",
+    "Attempts per contract while the explorer has not indexed it",
+    5,
+    types.int,
+  )
+  .addOptionalParam(
+    "delay",
+    "Seconds before the first retry, doubled on each attempt",
+    5,
+    types.int,
+  )
+  .setAction(async ({ contracts, clones, attempts, delay }, hre) => {
+    await hre.run("compile", { quiet: true });
+
+    const rows = await verifyRecords(hre, {
+      names: contracts && contracts.split(",").map((name) => name.trim()),
+      clones,
+      attempts,
+      delayMs: delay * 1000,
+    });
+    console.log();
+    printStatusTable(rows);
+
+    if (rows.some((row) => row.status === "failed")) {
+      process.exitCode = 1;
+    }
+  });
@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { checkAbis, diffAbis } = require("../lib/abi-diff");
+const { recordDeployment, recordPath } = require("../lib/deployments");
+
+const { ethers } = hre;
+
+describe("ABI diff", function () {
+  let abi;
+
+  before(async function () {
+    abi = (await hre.artifacts.readArtifact("AuctionHouse")).abi;
+  });
+
+  const copy = () => JSON.parse(JSON.stringify(abi));
+  const find = (list, type, name) =>
+    list.find((item) => item.type === type && item.name === name);
+  const summary = (changes) =>
+    changes.map((item) => [item.type, item.name, item.change, item.severity]);
+
+  it("Should report nothing for identical ABIs", function () {
+    expect(diffAbis(abi, copy())).to.be.empty;
+  });
+
+  it("Should classify removed members as breaking and new ones as additive", function () {
+    const deployed = copy();
+    deployed.push({
+      type: "function",
+      name: "legacyFee",
+      inputs: [],
+      outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+      stateMutability: "view",
+    });
+    const current = copy().filter(
+      (item) => !(item.type === "event" && item.name === "AuctionBid"),
+    );
+
+    expect(summary(diffAbis(deployed, current))).to.have.deep.members([
+      ["function", "legacyFee", "removed", "breaking"],
+      ["event", "AuctionBid", "removed", "breaking"],
+    ]);
+    expect(summary(diffAbis(current, deployed))).to.have.deep.members([
+      ["function", "legacyFee", "added", "additive"],
+      ["event", "AuctionBid", "added", "additive"],
+    ]);
+  });
+
+  it("Should detect renamed events and changed signatures", function () {
+    const current = copy();
+    find(current, "event", "BidCreated").name = "BidPlaced";
+    find(current, "event", "AuctionEncryptedMessage").inputs.pop();
+
+    const changes = diffAbis(abi, current);
+
+    expect(summary(changes)).to.have.deep.members([
+      ["event", "BidCreated", "renamed", "breaking"],
+      ["event", "AuctionEncryptedMessage", "changed", "breaking"],
+    ]);
+    expect(changes.find((item) => item.change === "renamed").detail).to.equal(
+      "renamed to BidPlaced",
+    );
+  });
+
+  it("Should detect changed indexed and renamed parameters", function () {
+    const current = copy();
+    find(current, "event", "BidCreated").inputs[2].indexed = false;
+    find(current, "function", "getMinimumBid").inputs[0].name = "id";
+
+    const changes = diffAbis(abi, current);
+
+    expect(
+      changes.map((item) => [item.name, item.change, item.detail]),
+    ).to.have.deep.members([
+      ["BidCreated", "changed", "indexed parameters"],
+      ["getMinimumBid", "changed", "parameter names"],
+    ]);
+    expect(changes.every((item) => item.severity === "breaking")).to.equal(
+      true,
+    );
+  });
+
+  it("Should only treat becoming payable as additive", function () {
+    const current = copy();
+    find(current, "function", "endAuction").stateMutability = "payable";
+    find(current, "function", "createBid").stateMutability = "nonpayable";
+
+    expect(
+      diffAbis(abi, current).map((item) => [
+        item.name,
+        item.detail,
+        item.severity,
+      ]),
+    ).to.have.deep.members([
+      ["endAuction", "nonpayable -> payable", "additive"],
+      ["createBid", "payable -> nonpayable", "breaking"],
+    ]);
+  });
+
+  it("Should detect struct layout changes", function () {
+    const deployed = copy();
+    const visit = (param) => {
+      if (param.internalType === "struct IAuctionHouse.Auction") {
+        param.components.pop();
+      }
+      (param.components || []).forEach(visit);
+    };
+    for (const item of deployed) {
+      [...(item.inputs || []), ...(item.outputs || [])].forEach(visit);
+    }
+
+    const changes = diffAbis(deployed, abi);
+    const struct = changes.find((item) => item.type === "struct");
+
+    expect(struct).to.include({
+      name: "IAuctionHouse.Auction",
+      change: "changed",
+      severity: "breaking",
+    });
+    expect(struct.after).to.include("uint256 paymentAmount");
+    expect(struct.before).to.not.include("paymentAmount");
+    // Functions returning the struct change with it
+    expect(
+      changes.some(
+        (item) => item.type === "function" && item.detail === "return types",
+      ),
+    ).to.equal(true);
+  });
+
+  describe("Deployment records", function () {
+    let deployer, tmpDir;
+
+    beforeEach(async function () {
+      [deployer] = await ethers.getSigners();
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "abi-diff-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    async function record(name) {
+      const contract = await ethers.deployContract(name);
+      await recordDeployment(
+        hre,
+        name,
+        { address: await contract.getAddress(), deployer: deployer.address },
+        { deploymentsDir: tmpDir },
+      );
+    }
+
+    function editRecord(name, edit) {
+      const file = recordPath(31337, name, tmpDir);
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      edit(data.deployments[data.deployments.length - 1]);
+      fs.writeFileSync(file, JSON.stringify(data));
+    }
+
+    it("Should diff every record against its artifact", async function () {
+      await record("AuctionItemERC721Factory");
+      await record("AffiliateEscrowFactory");
+      await record("ReceiptERC1155Factory");
+      editRecord("AuctionItemERC721Factory", (entry) => {
+        entry.abi = entry.abi.filter((item) => item.type !== "event");
+      });
+      editRecord("AffiliateEscrowFactory", (entry) => {
+        entry.abi.push({
+          type: "function",
+          name: "retired",
+          inputs: [],
+          outputs: [],
+          stateMutability: "nonpayable",
+        });
+      });
+      editRecord("ReceiptERC1155Factory", (entry) => {
+        entry.contractName = "ReceiptERC1155FactoryV0";
+      });
+
+      const report = await checkAbis(hre, { deploymentsDir: tmpDir });
+
+      expect(report.chainId).to.equal(31337);
+      expect(report.breaking).to.equal(1);
+      expect(
+        report.contracts.map((entry) => [entry.name, entry.status]),
+      ).to.deep.equal([
+        ["AffiliateEscrowFactory", "breaking"],
+        ["AuctionItemERC721Factory", "additive"],
+        ["ReceiptERC1155Factory", "skipped"],
+      ]);
+      expect(report.contracts[0].changes[0]).to.include({
+        name: "retired",
+        change: "removed",
+      });
+    });
+
+    it("Should only diff the named records", async function () {
+      await record("AuctionItemERC721Factory");
+
+      const report = await checkAbis(hre, {
+        names: ["AuctionItemERC721Factory"],
+        deploymentsDir: tmpDir,
+      });
+
+      expect(report.contracts).to.have.length(1);
+      expect(report.contracts[0]).to.include({ status: "unchanged" });
+      await expect(
+        checkAbis(hre, { names: ["Missing"], deploymentsDir: tmpDir }),
+      ).to.be.rejectedWith("No deployment of Missing recorded on hardhat");
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEPLOYMENTS_DIR } = require("../lib/deployments");
+const { exportAbis, publicContracts } = require("../lib/abi-export");
+
+describe("ABI export", function () {
+  let tmpDir, options;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "abi-export-"));
+    const deploymentsDir = path.join(tmpDir, "deployments");
+    fs.cpSync(
+      path.join(DEPLOYMENTS_DIR, "8453"),
+      path.join(deploymentsDir, "8453"),
+      { recursive: true },
+    );
+    options = { root: tmpDir, deploymentsDir };
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const read = (file) =>
+    JSON.parse(fs.readFileSync(path.join(tmpDir, file), "utf8"));
+
+  it("Should match the committed ABIs", async function () {
+    const { changed, stale } = await exportAbis(hre, { check: true });
+
+    expect(changed, "run `npm run export-abi`").to.be.empty;
+    expect(stale, "run `npm run export-abi`").to.be.empty;
+  });
+
+  it("Should leave out mocks and interfaces", async function () {
+    const names = (await publicContracts(hre)).map(({ name }) => name);
+
+    expect(names).to.include("AuctionHouse");
+    expect(names).to.include("UmpMetadata");
+    expect(names).to.not.include("MockERC20");
+    expect(names.some((name) => /^I[A-Z]/.test(name))).to.equal(false);
+  });
+
+  it("Should export ABIs with events and errors, typings and address books", async function () {
+    await exportAbis(hre, options);
+
+    const abi = read("abi/AuctionHouse.json");
+    expect(abi.some((item) => item.type === "event")).to.equal(true);
+    expect(abi.some((item) => item.type === "error")).to.equal(true);
+
+    const typings = fs.readFileSync(
+      path.join(tmpDir, "abi/AuctionHouse.d.ts"),
+      "utf8",
+    );
+    expect(typings).to.include(
+      'export declare const contractName: "AuctionHouse"',
+    );
+    expect(typings).to.include('readonly name: "createAuction"');
+
+    const book = read("abi/addresses/basemainnet.json");
+    expect(book.chainId).to.equal(8453);
+    expect(book.contracts.AuctionHouse).to.match(/^0x[0-9a-fA-F]{40}$/);
+
+    const exported = require(path.join(tmpDir, "abi"));
+    expect(exported.AuctionHouse.abi).to.deep.equal(abi);
+    expect(exported.addresses.basemainnet).to.deep.equal(book);
+  });
+
+  it("Should report changed and stale files in check mode", async function () {
+    await exportAbis(hre, options);
+    expect(await exportAbis(hre, { ...options, check: true })).to.deep.equal({
+      changed: [],
+      stale: [],
+    });
+
+    fs.writeFileSync(path.join(tmpDir, "abi/UmpMetadata.json"), "[]\n");
+    fs.writeFileSync(path.join(tmpDir, "abi/Removed.json"), "[]\n");
+    fs.unlinkSync(path.join(tmpDir, "abi/index.d.ts"));
+
+    const { changed, stale } = await exportAbis(hre, {
+      ...options,
+      check: true,
+    });
+    expect(changed).to.have.members(["abi/UmpMetadata.json", "abi/index.d.ts"]);
+    expect(stale).to.deep.equal(["abi/Removed.json"]);
+
+    const { removed } = await exportAbis(hre, options);
+    expect(removed).to.deep.equal(["abi/Removed.json"]);
+    expect(fs.existsSync(path.join(tmpDir, "abi/Removed.json"))).to.equal(
+      false,
+    );
+  });
+
+  it("Should refresh the notebook ABI copies that exist", async function () {
+    const notebook = path.join(tmpDir, "affiliate storefront test notebook");
+    fs.mkdirSync(notebook);
+    fs.writeFileSync(path.join(notebook, "AuctionHouse_ABI.json"), "[]\n");
+
+    const { written } = await exportAbis(hre, options);
+
+    expect(
+      read("affiliate storefront test notebook/AuctionHouse_ABI.json"),
+    ).to.deep.equal(read("abi/AuctionHouse.json"));
+    expect(written).to.not.include(
+      "affiliate storefront test notebook/UmpMetadata_ABI.json",
+    );
+  });
+});
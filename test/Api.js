@@ -0,0 +1,547 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { recordDeployment } = require("../lib/deployments");
+const { openIndex, runIndexer } = require("../lib/indexer");
+const { serveApi } = require("../lib/api");
+const {
+  AuctionHouseClient,
+  EscrowClient,
+  StorefrontClient,
+} = require("../sdk");
+
+const { ethers } = hre;
+
+async function record(name, contract, deploymentsDir) {
+  const { blockNumber } = await contract.deploymentTransaction().wait();
+  await recordDeployment(
+    hre,
+    name,
+    { address: await contract.getAddress(), blockNumber },
+    { deploymentsDir },
+  );
+}
+
+describe("Api", function () {
+  let owner, bidder1, bidder2, arbiter, affiliate;
+  let tmpDir, api, house, storefront, erc1155, curator;
+  let ended, open, endedEvent, order, settlement, partial;
+
+  before(async function () {
+    // node:sqlite ships with Node 22 (see engines in package.json)
+    try {
+      require("node:sqlite");
+    } catch (error) {
+      this.skip();
+    }
+
+    [owner, bidder1, bidder2, arbiter, affiliate] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-"));
+
+    const houseFactory = await ethers.deployContract("AuctionHouseFactory");
+    const itemFactory = await ethers.deployContract("AuctionItemERC721Factory");
+    const escrowFactory = await ethers.deployContract("AffiliateEscrowFactory");
+    const created = await (
+      await houseFactory.createAuctionHouse(
+        "House",
+        "",
+        "",
+        "",
+        "ITEM",
+        86400,
+        await itemFactory.getAddress(),
+        await escrowFactory.getAddress(),
+      )
+    ).wait();
+    const [houseCreated] = created.logs
+      .map((log) => houseFactory.interface.parseLog(log))
+      .filter((log) => log && log.name === "AuctionHouseCreated");
+    house = houseCreated.args.auctionHouse;
+    const seller = new AuctionHouseClient(house, owner);
+    const auction = {
+      metadata: { name: "Item" },
+      reservePrice: 1000n,
+      duration: 3600,
+      arbiter: arbiter.address,
+      affiliateFee: 1000,
+      premiumBps: 1000,
+    };
+    ({ auctionId: ended } = await seller.createAuctionWithNewNFT(auction));
+    await time.increase(120);
+    await new AuctionHouseClient(house, bidder1).bid({ auctionId: ended });
+    await new AuctionHouseClient(house, bidder2).bid({
+      auctionId: ended,
+      affiliate: affiliate.address,
+    });
+    await time.increase(3600);
+    const receipt = await seller.end(ended);
+    const [auctionEnded] = receipt.logs
+      .map((log) => seller.contract.interface.parseLog(log))
+      .filter((log) => log && log.name === "AuctionEnded");
+    endedEvent = auctionEnded.args;
+    // A partial settle leaves the rest in the escrow, still owed in part
+    // to the affiliate
+    const { escrowAddress } = await seller.getAuction(ended);
+    partial = await new EscrowClient(escrowAddress, bidder2).settle({
+      amount: endedEvent.finalAmount / 4n,
+    });
+    ({ auctionId: open } = await seller.createAuctionWithNewNFT(auction));
+
+    const seaport = await ethers.deployContract("MockSeaport");
+    const verifier = await ethers.deployContract("MockAffiliateVerifier");
+    erc1155 = await ethers.deployContract("MockERC1155");
+    const storefrontFactory = await ethers.deployContract(
+      "AffiliateERC1155StorefrontFactory",
+      [await seaport.getAddress(), 60],
+    );
+    const storefrontCreated = await (
+      await storefrontFactory.createStorefront(
+        arbiter.address,
+        await erc1155.getAddress(),
+        await escrowFactory.getAddress(),
+        await verifier.getAddress(),
+        60,
+      )
+    ).wait();
+    const [storefrontEvent] = storefrontCreated.logs
+      .map((log) => storefrontFactory.interface.parseLog(log))
+      .filter((log) => log && log.name === "StorefrontCreated");
+    storefront = storefrontEvent.args.storefront;
+    const store = await ethers.getContractAt(
+      "AffiliateERC1155Storefront",
+      storefront,
+    );
+    await store.toggleReady();
+    await erc1155.mint(storefront, 1, 5, "0x");
+    await store.listToken(1, 1000n, ethers.ZeroAddress, 500);
+    order = await new StorefrontClient(storefront, bidder1).buy(1, {
+      affiliate: affiliate.address,
+    });
+    settlement = await new EscrowClient(order.escrowAddress, bidder1).settle();
+
+    curator = await ethers.deployContract("CurationStorefront");
+    await curator.createCuration("Picks", "The best", owner.address, "");
+    await curator.curateListing(1, storefront, 1);
+
+    await record("AuctionHouseFactory", houseFactory, tmpDir);
+    await record(
+      "AffiliateERC1155StorefrontFactory",
+      storefrontFactory,
+      tmpDir,
+    );
+    await record("CurationStorefront", curator, tmpDir);
+    await runIndexer(hre, { deploymentsDir: tmpDir, log: () => {} });
+    api = await serveApi(hre, { deploymentsDir: tmpDir, port: 0 });
+  });
+
+  after(async function () {
+    if (api) await api.close();
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function get(route) {
+    const response = await fetch(`${api.url}${route}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function graphql(query, variables) {
+    const response = await fetch(`${api.url}/graphql`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ query, variables }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("Should list auctions newest first with filters and pages", async function () {
+    const { body: all } = await get("/auctions");
+    expect(all.map((auction) => auction.auctionId)).to.deep.equal([
+      open.toString(),
+      ended.toString(),
+    ]);
+    expect(all[1]).to.include({
+      auctionHouse: house,
+      seller: owner.address,
+      currency: ethers.ZeroAddress,
+      affiliateFee: 1000,
+      premium: true,
+      premiumBps: 1000,
+      status: "ended",
+      bidCount: 2,
+      highestBidder: bidder2.address,
+      escrowState: "funded",
+    });
+
+    const { body: page } = await get(
+      `/auctions?house=${house.toLowerCase()}&status=open&first=1`,
+    );
+    expect(page.map((auction) => auction.auctionId)).to.deep.equal([
+      open.toString(),
+    ]);
+    expect((await get("/auctions?skip=1")).body).to.have.length(1);
+    expect(await get("/auctions?status=closed")).to.deep.equal({
+      status: 400,
+      body: { error: "status must be one of open, ended, cancelled" },
+    });
+    expect(await get("/auctions?first=0")).to.deep.equal({
+      status: 400,
+      body: { error: "first must be a whole number from 1 to 1000" },
+    });
+  });
+
+  it("Should serve one auction and its bids with the premiums paid", async function () {
+    const { body: auction } = await get(`/auctions/${house}/${ended}`);
+    const { body: bids } = await get(`/auctions/${house}/${ended}/bids`);
+    expect(auction).to.include({
+      auctionId: ended.toString(),
+      highestBid: bids[1].amount,
+    });
+    expect(bids.map((bid) => bid.bidder)).to.deep.equal([
+      bidder1.address,
+      bidder2.address,
+    ]);
+    expect(bids[0].premium).to.equal(null);
+    expect(bids[1]).to.include({ affiliate: affiliate.address });
+    expect(bids[1].premium).to.include({
+      outbidBidder: bidder1.address,
+      outbidAmount: "1000",
+    });
+    expect(BigInt(bids[1].premium.amount)).to.be.above(0n);
+
+    expect(await get(`/auctions/${house}/99`)).to.deep.equal({
+      status: 404,
+      body: { error: `No auction 99 on ${house}` },
+    });
+  });
+
+  it("Should serve listings with stock, orders and curations", async function () {
+    const listing = {
+      storefront,
+      tokenId: "1",
+      price: "1000",
+      paymentToken: ethers.ZeroAddress,
+      affiliateFee: 500,
+      erc1155Token: await erc1155.getAddress(),
+      stock: "4",
+    };
+    expect((await get("/listings")).body).to.deep.equal([listing]);
+    expect((await get("/listings?tokenId=2")).body).to.deep.equal([]);
+
+    const { body: orders } = await get(`/orders?buyer=${bidder1.address}`);
+    expect(orders).to.have.length(1);
+    expect(orders[0]).to.include({
+      storefront,
+      buyer: bidder1.address,
+      affiliate: affiliate.address,
+      affiliateShare: Number(order.affiliateShare),
+      escrow: order.escrowAddress,
+      escrowState: "settled",
+    });
+    expect((await get("/orders?escrowState=funded")).body).to.deep.equal([]);
+
+    const { body: curations } = await get("/curations");
+    expect(curations).to.deep.equal([
+      {
+        contract: await curator.getAddress(),
+        curationId: "1",
+        name: "Picks",
+        description: "The best",
+        paymentAddress: owner.address,
+        tokenURI: null,
+        curators: [owner.address],
+        listings: [
+          { listingId: "1", storefront, tokenId: "1", active: true, listing },
+        ],
+      },
+    ]);
+  });
+
+  it("Should total what affiliates earned and are owed", async function () {
+    const { body } = await get(
+      `/affiliate-earnings?affiliate=${affiliate.address}`,
+    );
+
+    expect(body).to.deep.equal([
+      {
+        affiliate: affiliate.address,
+        token: ethers.ZeroAddress,
+        earned: (
+          settlement.affiliateAmount + partial.affiliateAmount
+        ).toString(),
+        pending: (
+          ((endedEvent.finalAmount - endedEvent.finalAmount / 4n) * 1000n) /
+          10000n
+        ).toString(),
+        settlements: 2,
+      },
+    ]);
+    expect((await get(`/affiliate-earnings?affiliate=${owner.address}`)).body)
+      .to.be.empty;
+  });
+
+  it("Should answer GraphQL queries with nested bids", async function () {
+    const { status, body } = await graphql(
+      `
+        query ($status: AuctionStatus) {
+          status {
+            blockNumber
+          }
+          auctions(status: $status) {
+            auctionId
+            bids(first: 1) {
+              bidder
+              premium {
+                amount
+              }
+            }
+          }
+        }
+      `,
+      { status: "ended" },
+    );
+
+    expect(status).to.equal(200);
+    expect(body.data.status.blockNumber).to.equal(
+      await ethers.provider.getBlockNumber(),
+    );
+    expect(body.data.auctions).to.deep.equal([
+      {
+        auctionId: ended.toString(),
+        bids: [{ bidder: bidder1.address, premium: null }],
+      },
+    ]);
+
+    // A resolver error nulls its field, and the non-null list up to `data`
+    const invalid = await graphql('{ auctions(seller: "0x12") { auctionId } }');
+    expect(invalid).to.deep.equal({
+      status: 200,
+      body: {
+        errors: [
+          {
+            message: "seller is not an address",
+            locations: [{ line: 1, column: 3 }],
+            path: ["auctions"],
+          },
+        ],
+        data: null,
+      },
+    });
+    const partial = await graphql(
+      '{ status { chainId } auction(house: "0x12", auctionId: "1") { auctionId } }',
+    );
+    expect(partial.status).to.equal(200);
+    expect(partial.body.data).to.deep.equal({
+      status: { chainId: 31337 },
+      auction: null,
+    });
+    expect(partial.body.errors[0]).to.include({
+      message: "house is not an address",
+    });
+    const unknown = await graphql("{ auctions { bidders } }");
+    expect(unknown.status).to.equal(400);
+    expect(unknown.body.errors[0].message).to.equal(
+      'Cannot query field "bidders" on type "Auction". Did you mean "bids"?',
+    );
+
+    const schema = await fetch(`${api.url}/graphql/schema`);
+    expect(schema.headers.get("content-type")).to.equal("text/plain");
+    expect(await schema.text()).to.include("enum AuctionStatus {");
+  });
+
+  it("Should reject GraphQL bodies that are too large or not JSON", async function () {
+    expect(
+      await graphql("{ status { blockNumber } }", {
+        pad: "x".repeat(1024 * 1024),
+      }),
+    ).to.deep.equal({
+      status: 413,
+      body: { error: "The body must be at most 1048576 bytes" },
+    });
+    const malformed = await fetch(`${api.url}/graphql`, {
+      method: "POST",
+      body: "{",
+    });
+    expect(malformed.status).to.equal(400);
+    expect(await malformed.json()).to.deep.equal({
+      error: "The body must be JSON: { query, variables }",
+    });
+  });
+});
+
+describe("Api paging", function () {
+  const STOREFRONTS = [3, 1, 2].map((i) =>
+    ethers.getAddress(`0x${"ab".repeat(19)}0${i}`),
+  );
+  const TOKEN = ethers.getAddress(`0x${"cd".repeat(20)}`);
+  const CURATOR = ethers.getAddress(`0x${"ef".repeat(20)}`);
+  const AFFILIATES = Array.from({ length: 40 }, (_, i) =>
+    ethers.getAddress(`0x${(i + 1).toString(16).padStart(40, "0")}`),
+  );
+  const TOKEN_IDS = Array.from({ length: 120 }, (_, i) => String(i + 1));
+  let tmpDir, api;
+
+  before(async function () {
+    try {
+      require("node:sqlite");
+    } catch (error) {
+      this.skip();
+    }
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-paging-"));
+    const file = path.join(tmpDir, "index.sqlite");
+    const { chainId } = await ethers.provider.getNetwork();
+    const db = openIndex(file, chainId);
+    const insert = db.prepare(
+      `INSERT INTO events (block_number, block_hash, timestamp,
+         transaction_hash, log_index, address, kind, name, args)
+       VALUES (?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+    );
+    let block = 0;
+    const emit = (address, kind, name, args) => {
+      block++;
+      const hash = ethers.zeroPadValue(ethers.toBeHex(block), 32);
+      insert.run(
+        block,
+        hash,
+        hash,
+        0,
+        address,
+        kind,
+        name,
+        JSON.stringify(args),
+      );
+    };
+
+    db.prepare(
+      "INSERT INTO contracts (address, kind, created_block) VALUES (?, 'ERC1155', 0)",
+    ).run(TOKEN);
+    for (const storefront of STOREFRONTS) {
+      emit(
+        STOREFRONTS[0],
+        "AffiliateERC1155StorefrontFactory",
+        "StorefrontCreated",
+        { storefront, erc1155Token: TOKEN },
+      );
+      for (const tokenId of TOKEN_IDS) {
+        emit(storefront, "AffiliateERC1155Storefront", "ListingAdded", {
+          tokenId,
+          price: "1000",
+          paymentToken: ethers.ZeroAddress,
+          affiliateFee: "500",
+        });
+      }
+      for (const tokenId of TOKEN_IDS.filter((id) => id % 7 === 0)) {
+        emit(storefront, "AffiliateERC1155Storefront", "ListingUpdated", {
+          tokenId,
+          newPrice: "2000",
+          newPaymentToken: ethers.ZeroAddress,
+          newAffiliateFee: "100",
+        });
+      }
+      for (const tokenId of TOKEN_IDS.filter((id) => id % 10 === 0)) {
+        emit(storefront, "AffiliateERC1155Storefront", "ListingRemoved", {
+          tokenId,
+        });
+      }
+      emit(TOKEN, "ERC1155", "TransferBatch", {
+        from: ethers.ZeroAddress,
+        to: storefront,
+        ids: TOKEN_IDS,
+        values: TOKEN_IDS,
+      });
+      emit(TOKEN, "ERC1155", "TransferSingle", {
+        from: storefront,
+        to: ethers.ZeroAddress,
+        id: "3",
+        value: "1",
+      });
+    }
+    for (let curationId = 1; curationId <= 25; curationId++) {
+      emit(CURATOR, "CurationStorefront", "CurationCreated", {
+        curationId: String(curationId),
+        name: `Curation ${curationId}`,
+        description: "",
+        paymentAddress: CURATOR,
+      });
+    }
+    // Sums past what a 64-bit integer holds
+    for (const affiliate of AFFILIATES) {
+      for (let i = 0; i < 2; i++) {
+        emit(affiliate, "AffiliateEscrow", "Settled", {
+          affiliate,
+          token: ethers.ZeroAddress,
+          affiliateAmount: (10n ** 19n).toString(),
+        });
+      }
+    }
+    db.close();
+    api = await serveApi(hre, { file, port: 0 });
+  });
+
+  after(async function () {
+    if (api) await api.close();
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function pages(route, first) {
+    const items = [];
+    for (let skip = 0; ; skip += first) {
+      const response = await fetch(
+        `${api.url}${route}${route.includes("?") ? "&" : "?"}first=${first}&skip=${skip}`,
+      );
+      const page = await response.json();
+      expect(page.length).to.be.at.most(first);
+      items.push(...page);
+      if (page.length < first) return items;
+    }
+  }
+
+  it("Should page listings in storefront and token order with their stock", async function () {
+    const listings = await pages("/listings", 50);
+
+    const expected = [...STOREFRONTS]
+      .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+      .flatMap((storefront) =>
+        TOKEN_IDS.filter((id) => id % 10 !== 0).map((tokenId) => ({
+          storefront,
+          tokenId,
+          price: tokenId % 7 === 0 ? "2000" : "1000",
+          paymentToken: ethers.ZeroAddress,
+          affiliateFee: tokenId % 7 === 0 ? 100 : 500,
+          erc1155Token: TOKEN,
+          stock: tokenId === "3" ? "2" : tokenId,
+        })),
+      );
+    expect(listings).to.have.length(324);
+    expect(listings).to.deep.equal(expected);
+    expect(
+      (await pages(`/listings?storefront=${STOREFRONTS[1]}&tokenId=21`, 10))
+        .length,
+    ).to.equal(1);
+  });
+
+  it("Should page curations by their numeric id", async function () {
+    const curations = await pages("/curations", 10);
+
+    expect(curations.map((curation) => curation.curationId)).to.deep.equal(
+      Array.from({ length: 25 }, (_, i) => String(i + 1)),
+    );
+  });
+
+  it("Should page and total affiliate earnings past 64-bit integers", async function () {
+    const earnings = await pages("/affiliate-earnings", 15);
+
+    expect(earnings).to.deep.equal(
+      AFFILIATES.map((affiliate) => ({
+        affiliate,
+        token: ethers.ZeroAddress,
+        earned: (2n * 10n ** 19n).toString(),
+        pending: "0",
+        settlements: 2,
+      })),
+    );
+  });
+});
@@ -1,10 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { AbiCoder } = require("ethers");
 require("@nomicfoundation/hardhat-chai-matchers");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
-const abiCoder = new AbiCoder();
 const EXAMPLE_MESSAGE = {
   encryptedData: "0x42040e12f7539ea8779f6ddf7a3dccd88c253d5dd87d5e5a624d170811a5fdaddd87a6efba872d8cfb335a2d77ef23c1dc3602e89c9eb5752a10101298671c47912f04a1f31d393bbf2890f23f3368e99fcd9b7b6dd60f1cd44f29e1dc47059ca6842290701d53f958ebbb1018e6790d1974aa76e2d4ef5c6aacf8d4c9a3e1e11164946369903b7fd0a7806aaea2ebaa",
   ephemeralPublicKey: "0x0447a63f06b2593890f9269cec414678f24d0da58127821800b715cd211b026c25d2c7f99bf3ff595730181a10fac12a5bad366aeb44fb5b59f51b62022fcd701f",
@@ -12,24 +10,6 @@ const EXAMPLE_MESSAGE = {
   verificationHash: "0x803d7d2d2bf6f058ff2d0f43ee4e8cf872f6a8c8b5cc21daa721ba9f44b3aa76",
 };
 
-function encodeContextWithAffiliateAndMessage(affiliate, message) {
-  const affiliateEncoded = abiCoder.encode(["address"], [affiliate]);
-  const messageEncoded = abiCoder.encode(
-    [
-      "tuple(bytes encryptedData, bytes ephemeralPublicKey, bytes iv, bytes verificationHash)",
-    ],
-    [
-      {
-        encryptedData: ethers.toUtf8Bytes(message.encryptedData),
-        ephemeralPublicKey: message.ephemeralPublicKey,
-        iv: ethers.toUtf8Bytes(message.iv),
-        verificationHash: message.verificationHash,
-      },
-    ],
-  );
-  return ethers.concat([affiliateEncoded, messageEncoded]);
-}
-
 describe("AuctionHouse", function () {
   let AuctionHouse, AuctionItemERC721Factory, AuctionItemERC721, AffiliateEscrowFactory;
   let auctionHouse, auctionItemFactory, auctionItemContract, escrowFactory;
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { AuctionHouseClient } = require("../sdk");
+
+describe("AuctionHouseClient", function () {
+  let owner, bidder1, bidder2, arbiter;
+  let auctionHouse, seller, house;
+
+  const metadata = { name: "Test NFT", image: "https://example.com/nft.png" };
+  const reservePrice = ethers.parseEther("1");
+
+  beforeEach(async function () {
+    [owner, bidder1, bidder2, arbiter] = await ethers.getSigners();
+    const itemFactory = await ethers.deployContract("AuctionItemERC721Factory");
+    const escrowFactory = await ethers.deployContract("AffiliateEscrowFactory");
+    auctionHouse = await ethers.deployContract("AuctionHouse", [
+      "Test Auction House",
+      "https://example.com/image.png",
+      "A test auction house for NFTs",
+      "https://example.com/contract-metadata",
+      "AITM",
+      86400,
+      await itemFactory.getAddress(),
+      await escrowFactory.getAddress(),
+    ]);
+    house = await auctionHouse.getAddress();
+    seller = new AuctionHouseClient(house, owner);
+  });
+
+  async function startedAuction(options = {}) {
+    const created = await seller.createAuctionWithNewNFT({
+      metadata,
+      reservePrice,
+      duration: 3600,
+      arbiter: arbiter.address,
+      ...options,
+    });
+    await time.increase(120);
+    return created;
+  }
+
+  it("Should create an auction with a new NFT from named options", async function () {
+    const { auctionId, tokenId, escrowAddress } =
+      await seller.createAuctionWithNewNFT({
+        metadata,
+        reservePrice,
+        duration: 3600,
+        arbiter: arbiter.address,
+        premiumBps: 500,
+      });
+
+    const auction = await seller.getAuction(auctionId);
+    expect(auction.tokenContract).to.equal(
+      await auctionHouse.auctionItemContract(),
+    );
+    expect(auction.tokenId).to.equal(tokenId);
+    expect(auction.escrowAddress).to.equal(escrowAddress);
+    expect(auction.reservePrice).to.equal(reservePrice);
+    expect(auction.endTime - auction.startTime).to.equal(3600n);
+    expect(auction.startTime).to.be.greaterThan(BigInt(await time.latest()));
+    expect(auction.auctionCurrency).to.equal(ethers.ZeroAddress);
+    expect(auction.isPremiumAuction).to.equal(true);
+    expect(auction.premiumBps).to.equal(500n);
+    expect(auction.minBidIncrementBps).to.equal(1000n);
+  });
+
+  it("Should move a token held by the signer into the house before auctioning it", async function () {
+    const nft = await ethers.deployContract("MockERC721", ["Mock", "MOCK"]);
+    await nft.mint(owner.address, 7);
+
+    const { auctionId } = await seller.createAuction({
+      tokenContract: await nft.getAddress(),
+      tokenId: 7,
+      reservePrice,
+      duration: 3600,
+      arbiter: arbiter.address,
+    });
+
+    expect(await nft.ownerOf(7)).to.equal(house);
+    expect((await seller.getAuction(auctionId)).tokenId).to.equal(7n);
+  });
+
+  it("Should list missing options", async function () {
+    await expect(
+      seller.createAuctionWithNewNFT({ metadata, arbiter: arbiter.address }),
+    ).to.be.rejectedWith(
+      "createAuctionWithNewNFT needs reservePrice, duration",
+    );
+  });
+
+  it("Should bid the minimum with ETH and refuse bids below it", async function () {
+    const { auctionId, tokenId } = await startedAuction();
+    const buyer1 = new AuctionHouseClient(house, bidder1);
+    const buyer2 = new AuctionHouseClient(house, bidder2);
+
+    const first = await buyer1.bid({ auctionId });
+    expect(first.amount).to.equal(reservePrice);
+
+    const minimum = await buyer2.getMinimumBid(auctionId);
+    await expect(
+      buyer2.bid({ auctionId, amount: minimum - 1n }),
+    ).to.be.rejectedWith("is below the minimum bid");
+    const before = await ethers.provider.getBalance(bidder2.address);
+    const { receipt } = await buyer2.bid({ auctionId });
+    expect(await ethers.provider.getBalance(bidder2.address)).to.equal(
+      before - minimum - receipt.fee,
+    );
+
+    await time.increase(3600);
+    await seller.end(auctionId);
+    const item = await ethers.getContractAt(
+      "AuctionItemERC721",
+      await auctionHouse.auctionItemContract(),
+    );
+    expect(await item.ownerOf(tokenId)).to.equal(bidder2.address);
+  });
+
+  it("Should approve the auction currency before bidding", async function () {
+    const token = await ethers.deployContract("MockERC20", ["Mock", "MOCK"]);
+    await token.mint(bidder1.address, reservePrice);
+    const { auctionId } = await startedAuction({
+      currency: await token.getAddress(),
+    });
+
+    await new AuctionHouseClient(house, bidder1).bid({ auctionId });
+
+    expect(await token.balanceOf(house)).to.equal(reservePrice);
+    const auction = await seller.getAuction(auctionId);
+    expect(auction.bidder).to.equal(bidder1.address);
+    expect(auction.highestBid).to.equal(reservePrice);
+  });
+
+  it("Should cancel auctions and end expired ones in a batch", async function () {
+    const cancelled = await startedAuction();
+    const sold = await startedAuction();
+    const unsold = await startedAuction();
+    await seller.cancel(cancelled.auctionId);
+    await new AuctionHouseClient(house, bidder1).bid({
+      auctionId: sold.auctionId,
+    });
+    await time.increase(3600);
+
+    const { ended } = await seller.batchEndExpired([
+      cancelled.auctionId,
+      sold.auctionId,
+      unsold.auctionId,
+    ]);
+
+    expect(ended).to.deep.equal([sold.auctionId]);
+    expect((await seller.getAuction(cancelled.auctionId)).endTime).to.equal(0n);
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  AuctionHouseClient,
+  EMPTY_MESSAGE,
+  StorefrontClient,
+  decodeContext,
+  encodeContext,
+  messageFromEvent,
+  toMessage,
+} = require("../sdk");
+
+const EXAMPLE_MESSAGE = {
+  encryptedData:
+    "0x42040e12f7539ea8779f6ddf7a3dccd88c253d5dd87d5e5a624d170811a5fdaddd87a6efba872d8cfb335a2d77ef23c1dc3602e89c9eb5752a10101298671c47912f04a1f31d393bbf2890f23f3368e99fcd9b7b6dd60f1cd44f29e1dc47059ca6842290701d53f958ebbb1018e6790d1974aa76e2d4ef5c6aacf8d4c9a3e1e11164946369903b7fd0a7806aaea2ebaa",
+  ephemeralPublicKey:
+    "0x0447a63f06b2593890f9269cec414678f24d0da58127821800b715cd211b026c25d2c7f99bf3ff595730181a10fac12a5bad366aeb44fb5b59f51b62022fcd701f",
+  iv: "0xad40e6c0dae874564d01cb17",
+  verificationHash:
+    "0x803d7d2d2bf6f058ff2d0f43ee4e8cf872f6a8c8b5cc21daa721ba9f44b3aa76",
+};
+
+function eventArgs(receipt, contract, name) {
+  return receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === name).args;
+}
+
+describe("Context codec", function () {
+  it("Should round-trip the affiliate and the message", function () {
+    const affiliate = ethers.Wallet.createRandom().address;
+
+    const decoded = decodeContext(encodeContext(affiliate, EXAMPLE_MESSAGE));
+
+    expect(decoded.affiliate).to.equal(affiliate);
+    expect(decoded.message).to.deep.equal(EXAMPLE_MESSAGE);
+  });
+
+  it("Should encode the empty message as four empty fields", function () {
+    const context = encodeContext();
+
+    // Affiliate word, four offsets and four zero lengths
+    expect(ethers.dataLength(context)).to.equal(32 * 9);
+    expect(decodeContext(context)).to.deep.equal({
+      affiliate: ethers.ZeroAddress,
+      message: EMPTY_MESSAGE,
+    });
+    expect(decodeContext("0x").message).to.deep.equal(EMPTY_MESSAGE);
+  });
+
+  it("Should reject fields that are not hex bytes", function () {
+    expect(() =>
+      encodeContext(ethers.ZeroAddress, {
+        ...EXAMPLE_MESSAGE,
+        iv: "ad40e6c0dae874564d01cb17",
+      }),
+    ).to.throw("iv must be 0x-prefixed hex bytes");
+  });
+
+  it("Should check the sizes of the fixed-size fields", function () {
+    expect(() =>
+      toMessage({ ...EXAMPLE_MESSAGE, verificationHash: "0x803d7d2d" }),
+    ).to.throw("verificationHash must be 32 bytes, got 4");
+    expect(() =>
+      toMessage({ ...EXAMPLE_MESSAGE, ephemeralPublicKey: "0x0447a63f" }),
+    ).to.throw("ephemeralPublicKey must be 33 or 65 bytes, got 4");
+  });
+
+  it("Should refuse a partial message", function () {
+    expect(() =>
+      toMessage({ encryptedData: EXAMPLE_MESSAGE.encryptedData }),
+    ).to.throw("Encrypted message is missing ephemeralPublicKey");
+  });
+
+  describe("On chain", function () {
+    let owner, arbiter, buyer, affiliate;
+
+    beforeEach(async function () {
+      [owner, arbiter, buyer, affiliate] = await ethers.getSigners();
+    });
+
+    async function deployStorefront() {
+      const seaport = await ethers.deployContract("MockSeaport");
+      const erc1155 = await ethers.deployContract("MockERC1155");
+      const verifier = await ethers.deployContract("MockAffiliateVerifier");
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      const storefront = await ethers.deployContract(
+        "AffiliateERC1155Storefront",
+        [
+          await seaport.getAddress(),
+          arbiter.address,
+          await escrowFactory.getAddress(),
+          await erc1155.getAddress(),
+          await verifier.getAddress(),
+          60,
+          60,
+        ],
+      );
+      await storefront.initialize();
+      await storefront.toggleReady();
+      await erc1155.mint(await storefront.getAddress(), 1, 10, "0x");
+      await storefront.listToken(1, 1000, ethers.ZeroAddress, 500);
+      return storefront;
+    }
+
+    it("Should decode what StorefrontOrderFulfilled emits", async function () {
+      const storefront = await deployStorefront();
+      const client = new StorefrontClient(await storefront.getAddress(), buyer);
+
+      const { receipt } = await client.buy(1, {
+        affiliate: affiliate.address,
+        message: EXAMPLE_MESSAGE,
+      });
+      const args = eventArgs(receipt, storefront, "StorefrontOrderFulfilled");
+
+      expect(args.affiliate).to.equal(affiliate.address);
+      expect(messageFromEvent(args)).to.deep.equal(EXAMPLE_MESSAGE);
+    });
+
+    it("Should pass an empty message through the storefront", async function () {
+      const storefront = await deployStorefront();
+      const client = new StorefrontClient(await storefront.getAddress(), buyer);
+
+      const { receipt } = await client.buy(1);
+      const args = eventArgs(receipt, storefront, "StorefrontOrderFulfilled");
+
+      expect(args.affiliate).to.equal(ethers.ZeroAddress);
+      expect(messageFromEvent(args)).to.deep.equal(EMPTY_MESSAGE);
+    });
+
+    it("Should decode what AuctionEncryptedMessage emits", async function () {
+      const itemFactory = await ethers.deployContract(
+        "AuctionItemERC721Factory",
+      );
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      const auctionHouse = await ethers.deployContract("AuctionHouse", [
+        "House",
+        "",
+        "",
+        "",
+        "ITEM",
+        86400,
+        await itemFactory.getAddress(),
+        await escrowFactory.getAddress(),
+      ]);
+      const house = await auctionHouse.getAddress();
+      const { auctionId } = await new AuctionHouseClient(
+        house,
+        owner,
+      ).createAuctionWithNewNFT({
+        metadata: { name: "Item" },
+        reservePrice: 1000n,
+        duration: 3600,
+        arbiter: arbiter.address,
+      });
+      await time.increase(120);
+
+      const { receipt } = await new AuctionHouseClient(house, buyer).bid({
+        auctionId,
+        message: EXAMPLE_MESSAGE,
+      });
+      const args = eventArgs(receipt, auctionHouse, "AuctionEncryptedMessage");
+
+      expect(messageFromEvent(args)).to.deep.equal(EXAMPLE_MESSAGE);
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  CREATE2_DEPLOYER,
+  addressStatus,
+  deployDeterministic,
+  predictAddress,
+  toSalt,
+} = require("../lib/create2");
+const {
+  loadManifest,
+  predictManifest,
+  runManifest,
+  validateManifest,
+} = require("../lib/deploy-engine");
+const { getDeployment } = require("../lib/deployments");
+const { create2Arguments, wireMetadata } = require("../lib/metadata");
+
+const { ethers } = hre;
+
+describe("CREATE2 deployments", function () {
+  let deployer, other, tmpDir, options, salt;
+
+  beforeEach(async function () {
+    [deployer, other] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "create2-"));
+    options = { verify: false, deploymentsDir: tmpDir, log: () => {} };
+    // The chain is shared by every test file, so each test gets its own salt
+    salt = ethers.hexlify(ethers.randomBytes(32));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should turn any salt into bytes32", function () {
+    expect(toSalt()).to.equal(ethers.ZeroHash);
+    expect(toSalt(salt)).to.equal(salt);
+    expect(toSalt("ump-v1")).to.equal(ethers.id("ump-v1"));
+  });
+
+  it("Should deploy at the precomputed address whoever sends it", async function () {
+    const { address } = await predictAddress(hre, "AuctionHouseFactory", [], {
+      salt,
+    });
+    expect(await addressStatus(hre, "AuctionHouseFactory", address)).to.equal(
+      "free",
+    );
+
+    const result = await deployDeterministic(hre, "AuctionHouseFactory", [], {
+      salt,
+      signer: other,
+      log: () => {},
+    });
+
+    expect(result.address).to.equal(address);
+    expect(result.existing).to.equal(false);
+    expect(result.receipt.to).to.equal(CREATE2_DEPLOYER);
+    expect(await addressStatus(hre, "AuctionHouseFactory", address)).to.equal(
+      "deployed",
+    );
+  });
+
+  it("Should reuse a deployment that is already at the address", async function () {
+    await deployDeterministic(hre, "AuctionHouseFactory", [], {
+      salt,
+      log: () => {},
+    });
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    const again = await deployDeterministic(hre, "AuctionHouseFactory", [], {
+      salt,
+      log: () => {},
+    });
+
+    expect(again.existing).to.equal(true);
+    expect(again.receipt).to.equal(undefined);
+    expect(
+      await ethers.provider.getTransactionCount(deployer.address),
+    ).to.equal(nonce);
+  });
+
+  it("Should refuse an address holding other code", async function () {
+    const { address } = await predictAddress(hre, "AuctionHouseFactory", [], {
+      salt,
+    });
+    const { deployedBytecode } =
+      await hre.artifacts.readArtifact("CurationStorefront");
+    await ethers.provider.send("hardhat_setCode", [address, deployedBytecode]);
+
+    expect(await addressStatus(hre, "AuctionHouseFactory", address)).to.equal(
+      "conflict",
+    );
+    await expect(
+      deployDeterministic(hre, "AuctionHouseFactory", [], {
+        salt,
+        log: () => {},
+      }),
+    ).to.be.rejectedWith("already holds code that is not AuctionHouseFactory");
+  });
+
+  it("Should warn when the CREATE2 deployer becomes the owner", async function () {
+    const lines = [];
+    await deployDeterministic(hre, "ReceiptERC1155Factory", [], {
+      salt,
+      log: (line) => lines.push(line),
+    });
+
+    expect(lines.join("\n")).to.include("owned by the CREATE2 deployer");
+  });
+
+  it("Should deploy the steps marked create2 at their predicted addresses", async function () {
+    const manifest = loadManifest("affiliate-storefront");
+    const predicted = await predictManifest(hre, manifest, {
+      create2: { salt },
+    });
+    expect(predicted.map((row) => [row.id, row.status])).to.deep.equal([
+      ["AffiliateEscrowFactory", "free"],
+      ["ReceiptERC1155Factory", "free"],
+      ["AffiliateERC1155StorefrontFactory", "free"],
+    ]);
+
+    const { steps } = await runManifest(hre, manifest, {
+      ...options,
+      create2: { salt },
+    });
+
+    for (const row of predicted) {
+      expect(steps[row.id].address).to.equal(row.address);
+      expect(steps[row.id].create2).to.deep.equal({
+        deployer: CREATE2_DEPLOYER,
+        salt,
+      });
+    }
+    expect(
+      getDeployment("AffiliateEscrowFactory", hre, tmpDir).create2,
+    ).to.deep.equal({ deployer: CREATE2_DEPLOYER, salt });
+    // Steps that are not marked keep using CREATE
+    expect(steps.AffiliateVerifier.create2).to.equal(undefined);
+    expect(
+      (await predictManifest(hre, manifest, { create2: { salt } })).map(
+        (row) => row.status,
+      ),
+    ).to.deep.equal(["deployed", "deployed", "deployed"]);
+  });
+
+  it("Should use a step's own salt over the salt of the run", async function () {
+    const manifest = {
+      name: "create2-salts",
+      steps: [
+        { id: "Houses", contract: "AuctionHouseFactory", create2: true },
+        {
+          id: "Items",
+          contract: "AuctionItemERC721Factory",
+          create2: { salt: "items" },
+        },
+      ],
+    };
+
+    const rows = await predictManifest(hre, manifest, { create2: { salt } });
+
+    expect(rows.map((row) => row.salt)).to.deep.equal([
+      salt,
+      ethers.id("items"),
+    ]);
+  });
+
+  it("Should report steps depending on CREATE steps as unresolved", async function () {
+    const manifest = {
+      name: "create2-unresolved",
+      steps: [
+        { id: "Verifier", contract: "AffiliateVerifier" },
+        {
+          id: "Factory",
+          contract: "AffiliateERC1155StorefrontFactory",
+          create2: true,
+          args: ["{{Verifier}}", 60],
+        },
+      ],
+    };
+
+    const [row] = await predictManifest(hre, manifest, { create2: { salt } });
+
+    expect(row.status).to.equal("unresolved");
+    expect(row.reason).to.include("before step Verifier ran");
+  });
+
+  it("Should only allow create2 on deploy steps", function () {
+    expect(() =>
+      validateManifest({
+        name: "create2-call",
+        steps: [
+          {
+            id: "Storefront",
+            contract: "AffiliateERC1155Storefront",
+            create2: true,
+            call: { target: "Factory", method: "createStorefront" },
+          },
+        ],
+      }),
+    ).to.throw("Step Storefront uses CREATE2 but deploys nothing");
+  });
+
+  it("Should deploy UmpMetadata with only its owner and wire it afterwards", async function () {
+    await runManifest(hre, loadManifest("curation"), options);
+    const { address: expected } = await predictAddress(
+      hre,
+      "UmpMetadata",
+      create2Arguments(deployer.address),
+      { salt },
+    );
+
+    const result = await wireMetadata(hre, {
+      create2: { salt },
+      tokens: [],
+      deploymentsDir: tmpDir,
+      log: () => {},
+    });
+
+    expect(result.address).to.equal(expected);
+    expect(result.deployed).to.equal(true);
+    expect(result.actions.map((action) => action.method)).to.deep.equal([
+      "setCurationStorefronts",
+    ]);
+    const metadata = await ethers.getContractAt("UmpMetadata", expected);
+    expect(await metadata.owner()).to.equal(deployer.address);
+    expect(await metadata.curationStorefronts()).to.equal(
+      getDeployment("CurationStorefront", hre, tmpDir).address,
+    );
+  });
+});
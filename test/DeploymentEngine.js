@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadManifest,
+  resolveValue,
+  runManifest,
+} = require("../lib/deploy-engine");
+const { getAddress } = require("../lib/deployments");
+
+const { ethers } = hre;
+
+describe("Deployment engine", function () {
+  let deployer, tmpDir, options;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-engine-"));
+    options = {
+      verify: false,
+      deploymentsDir: tmpDir,
+      log: () => {},
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("References", function () {
+    const context = {
+      deployer: "0x0000000000000000000000000000000000000001",
+      vars: { fee: 100, uri: { json: { fee_recipient: "{{deployer}}" } } },
+      steps: {
+        Factory: {
+          address: "0x0000000000000000000000000000000000000002",
+          txHash: "0xabc",
+        },
+      },
+    };
+
+    it("Should keep the type of a single reference", function () {
+      expect(resolveValue("{{fee}}", context)).to.equal(100);
+      expect(resolveValue("{{Factory}}", context)).to.equal(
+        context.steps.Factory.address,
+      );
+      expect(resolveValue("{{Factory.txHash}}", context)).to.equal("0xabc");
+    });
+
+    it("Should interpolate references inside strings and JSON values", function () {
+      expect(resolveValue("fee={{fee}}", context)).to.equal("fee=100");
+      expect(JSON.parse(resolveValue("{{uri}}", context))).to.deep.equal({
+        fee_recipient: context.deployer,
+      });
+    });
+
+    it("Should reject unknown references", function () {
+      expect(() => resolveValue("{{missing}}", context)).to.throw(
+        "Unknown reference",
+      );
+    });
+  });
+
+  describe("Affiliate storefront manifest", function () {
+    it("Should deploy the full stack and record every step", async function () {
+      const manifest = loadManifest("affiliate-storefront");
+      const state = await runManifest(hre, manifest, options);
+
+      const storefront = await ethers.getContractAt(
+        "AffiliateERC1155Storefront",
+        state.steps.AffiliateERC1155Storefront.address,
+      );
+      expect(await storefront.owner()).to.equal(deployer.address);
+      expect(await storefront.erc1155Token()).to.equal(
+        state.steps.ReceiptERC1155.address,
+      );
+      expect(await storefront.affiliateVerifier()).to.equal(
+        state.steps.AffiliateVerifierProxy.address,
+      );
+      expect(await storefront.escrowFactory()).to.equal(
+        state.steps.AffiliateEscrowFactory.address,
+      );
+
+      const escrowFactory = await ethers.getContractAt(
+        "AffiliateEscrowFactory",
+        state.steps.AffiliateEscrowFactory.address,
+      );
+      expect(await escrowFactory.escrowImplementation()).to.equal(
+        state.steps.AffiliateEscrow.address,
+      );
+
+      const verifier = await ethers.getContractAt(
+        "AffiliateVerifier",
+        state.steps.AffiliateVerifierProxy.address,
+      );
+      expect(await verifier.owner()).to.equal(deployer.address);
+
+      const receiptArgs = state.steps.ReceiptERC1155.constructorArguments;
+      expect(JSON.parse(receiptArgs[0]).fee_recipient).to.equal(
+        deployer.address,
+      );
+      expect(
+        getAddress("AffiliateERC1155Storefront", hre, options.deploymentsDir),
+      ).to.equal(state.steps.AffiliateERC1155Storefront.address);
+    });
+
+    it("Should skip completed steps on a second run", async function () {
+      const manifest = loadManifest("affiliate-storefront");
+      const first = await runManifest(hre, manifest, options);
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+      const second = await runManifest(hre, manifest, options);
+
+      expect(
+        await ethers.provider.getTransactionCount(deployer.address),
+      ).to.equal(nonce);
+      expect(second.steps.AffiliateERC1155Storefront.address).to.equal(
+        first.steps.AffiliateERC1155Storefront.address,
+      );
+    });
+
+    it("Should resume after a failing step", async function () {
+      const manifest = loadManifest("affiliate-storefront");
+      const broken = {
+        ...manifest,
+        vars: { ...manifest.vars, initialSettleDeadline: 60 },
+      };
+
+      await expect(runManifest(hre, broken, options)).to.be.reverted;
+
+      const stateFile = path.join(
+        options.deploymentsDir,
+        "31337",
+        "state",
+        "affiliate-storefront.json",
+      );
+      const partial = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      expect(partial.steps.AffiliateERC1155StorefrontFactory.status).to.equal(
+        "done",
+      );
+      expect(partial.steps.AffiliateERC1155Storefront).to.be.undefined;
+
+      const resumed = await runManifest(hre, manifest, options);
+      expect(resumed.steps.ReceiptERC1155.address).to.equal(
+        partial.steps.ReceiptERC1155.address,
+      );
+      expect(resumed.steps.AffiliateERC1155Storefront.status).to.equal("done");
+    });
+
+    it("Should redeploy everything with reset", async function () {
+      const manifest = loadManifest("affiliate-storefront");
+      const first = await runManifest(hre, manifest, options);
+      const second = await runManifest(hre, manifest, {
+        ...options,
+        reset: true,
+      });
+
+      expect(second.steps.AffiliateEscrowFactory.address).to.not.equal(
+        first.steps.AffiliateEscrowFactory.address,
+      );
+    });
+  });
+
+  describe("Auction manifest", function () {
+    it("Should refuse to run without a recorded AffiliateEscrowFactory", async function () {
+      await expect(
+        runManifest(hre, loadManifest("auction"), options),
+      ).to.be.rejectedWith(
+        "No deployment of AffiliateEscrowFactory recorded for network hardhat",
+      );
+    });
+
+    it("Should create an auction house and an NFT contract it owns", async function () {
+      const storefront = await runManifest(
+        hre,
+        loadManifest("affiliate-storefront"),
+        options,
+      );
+      const state = await runManifest(hre, loadManifest("auction"), options);
+
+      expect(state.steps.AffiliateEscrowFactory.address).to.equal(
+        storefront.steps.AffiliateEscrowFactory.address,
+      );
+
+      const auctionHouse = await ethers.getContractAt(
+        "AuctionHouse",
+        state.steps.AuctionHouse.address,
+      );
+      expect(await auctionHouse.owner()).to.equal(deployer.address);
+      expect(await auctionHouse.houseName()).to.equal("Main Auction House");
+
+      const nft = await ethers.getContractAt(
+        "AuctionItemERC721",
+        state.steps.AuctionItemERC721.address,
+      );
+      expect(await nft.symbol()).to.equal("AITM");
+      expect(await nft.owner()).to.equal(state.steps.AuctionHouse.address);
+    });
+
+    it("Should follow the current record of an existing contract", async function () {
+      await runManifest(hre, loadManifest("affiliate-storefront"), options);
+      await runManifest(hre, loadManifest("auction"), options);
+      const storefront = await runManifest(
+        hre,
+        loadManifest("affiliate-storefront"),
+        { ...options, reset: true },
+      );
+
+      const state = await runManifest(hre, loadManifest("auction"), options);
+
+      expect(state.steps.AffiliateEscrowFactory.address).to.equal(
+        storefront.steps.AffiliateEscrowFactory.address,
+      );
+    });
+
+    it("Should reject an existing address without code", async function () {
+      const manifest = {
+        name: "existing",
+        steps: [
+          {
+            id: "Missing",
+            contract: "AffiliateEscrowFactory",
+            address: "0x000000000000000000000000000000000000dEaD",
+          },
+        ],
+      };
+
+      await expect(runManifest(hre, manifest, options)).to.be.rejectedWith(
+        "Step Missing: no code at 0x000000000000000000000000000000000000dEaD on hardhat",
+      );
+    });
+  });
+});
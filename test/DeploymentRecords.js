@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  recordDeployment,
+  getAddress,
+  getDeployment,
+  getDeploymentHistory,
+  listDeployments,
+  migrateLegacyRecords,
+} = require("../lib/deployments");
+
+const { ethers } = hre;
+
+describe("Deployment records", function () {
+  let deployer, tmpDir;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-records-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployAndRecord() {
+    const factory = await ethers.deployContract("AuctionItemERC721Factory");
+    const receipt = await factory.deploymentTransaction().wait();
+    await recordDeployment(
+      hre,
+      "AuctionItemERC721Factory",
+      {
+        address: await factory.getAddress(),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployer: deployer.address,
+      },
+      { deploymentsDir: tmpDir },
+    );
+    return factory.getAddress();
+  }
+
+  it("Should store records under the chain id", async function () {
+    const address = await deployAndRecord();
+    const file = path.join(tmpDir, "31337", "AuctionItemERC721Factory.json");
+    expect(fs.existsSync(file)).to.be.true;
+
+    const deployment = getDeployment("AuctionItemERC721Factory", 31337, tmpDir);
+    expect(deployment.address).to.equal(address);
+    expect(deployment.deployer).to.equal(deployer.address);
+    expect(deployment.compiler.version).to.match(/^0\.8\.27/);
+    expect(deployment.compiler.viaIR).to.be.true;
+    expect(deployment.abi).to.be.an("array").that.is.not.empty;
+  });
+
+  it("Should refuse to record a local node that reports a live chain id", async function () {
+    // The custom network stands in for a live chain sharing the node's id
+    const previous = process.env.CUSTOM_CHAIN_ID;
+    process.env.CUSTOM_CHAIN_ID = "31337";
+    try {
+      await expect(deployAndRecord()).to.be.rejectedWith(
+        "hardhat reports chain 31337, which is custom; a local fork is not recorded into the custom records",
+      );
+    } finally {
+      if (previous === undefined) delete process.env.CUSTOM_CHAIN_ID;
+      else process.env.CUSTOM_CHAIN_ID = previous;
+    }
+    expect(fs.existsSync(path.join(tmpDir, "31337"))).to.be.false;
+  });
+
+  it("Should keep previous deployments as history", async function () {
+    const first = await deployAndRecord();
+    const second = await deployAndRecord();
+
+    const history = getDeploymentHistory(
+      "AuctionItemERC721Factory",
+      31337,
+      tmpDir,
+    );
+    expect(history.map((entry) => entry.address)).to.deep.equal([
+      first,
+      second,
+    ]);
+    expect(getAddress("AuctionItemERC721Factory", "hardhat", tmpDir)).to.equal(
+      second,
+    );
+  });
+
+  it("Should look records up by network name or runtime environment", async function () {
+    const address = await deployAndRecord();
+    expect(getAddress("AuctionItemERC721Factory", hre, tmpDir)).to.equal(
+      address,
+    );
+    expect(listDeployments("hardhat", tmpDir)).to.have.keys(
+      "AuctionItemERC721Factory",
+    );
+    expect(() => getAddress("AuctionHouse", hre, tmpDir)).to.throw(
+      "No deployment of AuctionHouse",
+    );
+  });
+
+  it("Should migrate flat legacy records into the chain directory", function () {
+    const legacy = {
+      contractName: "CurationStorefront",
+      address: "0xdFCA83ff7544Acb88B5D04A9101d58780243E0cb",
+      constructorArguments: [],
+      deploymentTime: "2025-03-21T21:30:27.029Z",
+      network: "basemainnet",
+      chainId: 8453,
+      abi: [],
+    };
+    fs.writeFileSync(
+      path.join(tmpDir, "CurationStorefront-deployment.json"),
+      JSON.stringify(legacy),
+    );
+
+    expect(migrateLegacyRecords(tmpDir)).to.deep.equal(["CurationStorefront"]);
+    expect(getAddress("CurationStorefront", "basemainnet", tmpDir)).to.equal(
+      legacy.address,
+    );
+    expect(
+      fs.existsSync(path.join(tmpDir, "CurationStorefront-deployment.json")),
+    ).to.be.false;
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadManifest, runManifest } = require("../lib/deploy-engine");
+const { recordDeployment } = require("../lib/deployments");
+const { checkDrift } = require("../lib/drift");
+const { wireMetadata } = require("../lib/metadata");
+
+const { ethers } = hre;
+
+describe("Deployment drift", function () {
+  let deployer, other, tmpDir, options, stack, storefront, metadata;
+
+  beforeEach(async function () {
+    [deployer, other] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "drift-"));
+    const engineOptions = {
+      verify: false,
+      deploymentsDir: tmpDir,
+      log: () => {},
+    };
+    stack = (
+      await runManifest(
+        hre,
+        loadManifest("affiliate-storefront"),
+        engineOptions,
+      )
+    ).steps;
+    await runManifest(hre, loadManifest("curation"), engineOptions);
+
+    const token = await ethers.deployContract("MockERC20", [
+      "MockToken",
+      "MTK",
+    ]);
+    options = { tokens: [await token.getAddress()], deploymentsDir: tmpDir };
+    const { address } = await wireMetadata(hre, { ...options, log: () => {} });
+    metadata = await ethers.getContractAt("UmpMetadata", address);
+
+    storefront = await ethers.getContractAt(
+      "AffiliateERC1155Storefront",
+      stack.AffiliateERC1155Storefront.address,
+    );
+    await storefront.toggleReady();
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const drifted = (rows) =>
+    rows
+      .filter((row) => row.status === "drift")
+      .map((row) => [row.name, row.check]);
+
+  it("Should report no drift for a freshly deployed stack", async function () {
+    const rows = await checkDrift(hre, options);
+
+    expect(drifted(rows)).to.be.empty;
+    const checks = rows.map((row) => `${row.name} ${row.check}`);
+    expect(checks).to.include.members([
+      "AffiliateERC1155Storefront bytecode",
+      "AffiliateERC1155Storefront VERSION",
+      "AffiliateERC1155Storefront owner",
+      "AffiliateERC1155Storefront ready",
+      "AffiliateVerifierProxy implementation",
+      "CurationStorefront VERSION",
+      "UmpMetadata affiliateVerifier",
+      "UmpMetadata storefront allowlist",
+      "UmpMetadata supported token",
+    ]);
+  });
+
+  it("Should report owners, ready flags, proxy slots and metadata that changed", async function () {
+    await storefront.transferOwnership(other.address);
+    await storefront.connect(other).toggleReady();
+    const implementation = await ethers.deployContract("AffiliateVerifier");
+    const verifier = await ethers.getContractAt(
+      "AffiliateVerifier",
+      stack.AffiliateVerifierProxy.address,
+    );
+    await verifier.upgradeToAndCall(await implementation.getAddress(), "0x");
+    await metadata.setAffiliateVerifier(other.address);
+
+    const rows = await checkDrift(hre, options);
+
+    expect(drifted(rows)).to.have.deep.members([
+      ["AffiliateERC1155Storefront", "owner"],
+      ["AffiliateERC1155Storefront", "ready"],
+      ["AffiliateVerifierProxy", "implementation"],
+      ["UmpMetadata", "affiliateVerifier"],
+    ]);
+  });
+
+  it("Should skip the implementation of a proxy recorded without arguments", async function () {
+    // As imported from an old deploy summary
+    const file = path.join(tmpDir, "31337", "AffiliateVerifierProxy.json");
+    const record = JSON.parse(fs.readFileSync(file, "utf8"));
+    const [entry] = record.deployments.slice(-1);
+    delete entry.constructorArguments;
+    fs.writeFileSync(file, JSON.stringify(record));
+
+    const rows = await checkDrift(hre, {
+      ...options,
+      names: ["AffiliateVerifierProxy"],
+    });
+
+    expect(rows.find((row) => row.check === "implementation")).to.include({
+      status: "skipped",
+      actual: "no constructor arguments recorded",
+    });
+  });
+
+  it("Should report runtime code that does not match the artifact", async function () {
+    await recordDeployment(
+      hre,
+      "CurationStorefront",
+      {
+        address: stack.ReceiptERC1155Factory.address,
+        deployer: deployer.address,
+      },
+      { deploymentsDir: tmpDir },
+    );
+
+    const rows = await checkDrift(hre, {
+      ...options,
+      names: ["CurationStorefront"],
+    });
+
+    expect(rows.find((row) => row.check === "bytecode")).to.include({
+      status: "drift",
+      actual: "different runtime code",
+    });
+  });
+});
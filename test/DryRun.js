@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadManifest, runManifest } = require("../lib/deploy-engine");
+const { dryRun } = require("../lib/dry-run");
+
+const { ethers } = hre;
+
+describe("Dry runs", function () {
+  let tmpDir, options;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dry-run-test-"));
+    options = {
+      gasPrice: ethers.parseUnits("0.05", "gwei"),
+      deploymentsDir: tmpDir,
+      log: () => {},
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const deploy = (name) => (context) =>
+    runManifest(hre, loadManifest(name), { ...context, verify: false });
+
+  it("Should report every transaction of a manifest with its gas and cost", async function () {
+    const from = ethers.Wallet.createRandom().address;
+
+    const report = await dryRun(hre, deploy("affiliate-storefront"), {
+      ...options,
+      from,
+    });
+
+    expect(report.from).to.equal(from);
+    expect(report.balance).to.equal(0n);
+    expect(report.sufficient).to.equal(false);
+    expect(report.transactions.map((tx) => tx.description)).to.deep.equal([
+      "deploy",
+      "deploy",
+      "deploy",
+      "deploy",
+      "ReceiptERC1155Factory.createReceiptERC1155",
+      "deploy",
+      "AffiliateERC1155StorefrontFactory.createStorefront",
+    ]);
+    expect(
+      report.transactions.map((tx) => tx.contract).filter(Boolean),
+    ).to.include.members(["ReceiptERC1155", "AffiliateERC1155Storefront"]);
+    for (const tx of report.transactions) {
+      expect(tx.from).to.equal(from);
+      expect(tx.cost).to.equal(tx.gasUsed * options.gasPrice + tx.l1Fee);
+    }
+    expect(report.totalGas).to.equal(
+      report.transactions.reduce((sum, tx) => sum + tx.gasUsed, 0n),
+    );
+    expect(report.result.steps.AffiliateERC1155Storefront.address).to.equal(
+      report.transactions[6].address,
+    );
+    // Nothing is recorded outside the scratch copy
+    expect(fs.readdirSync(tmpDir)).to.be.empty;
+  });
+
+  it("Should resume from the recorded state like a real run", async function () {
+    await runManifest(hre, loadManifest("curation"), {
+      verify: false,
+      deploymentsDir: tmpDir,
+      log: () => {},
+    });
+    const recorded = fs.readdirSync(path.join(tmpDir, "31337"));
+
+    const report = await dryRun(hre, deploy("curation"), options);
+
+    expect(report.transactions).to.be.empty;
+    expect(report.totalCost).to.equal(0n);
+    expect(fs.readdirSync(path.join(tmpDir, "31337"))).to.deep.equal(recorded);
+  });
+
+  it("Should price the run at the current fees by default", async function () {
+    const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+
+    const report = await dryRun(hre, deploy("curation"), {
+      deploymentsDir: tmpDir,
+      log: () => {},
+    });
+
+    expect(report.gasPrice > baseFeePerGas).to.equal(true);
+    expect(report.transactions).to.have.length(1);
+    expect(report.totalCost).to.equal(
+      report.transactions[0].gasUsed * report.gasPrice,
+    );
+  });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  StorefrontClient,
+  decryptMessage,
+  encryptMessage,
+  generateKeyPair,
+  messageFromEvent,
+  publicKeyOf,
+  toMessage,
+  verificationHash,
+} = require("../sdk");
+
+const SHIPPING_ADDRESS = {
+  name: "Ada Lovelace",
+  street: "12 St James Square",
+  city: "London",
+  postcode: "SW1Y 4JH",
+  country: "GB",
+};
+
+// Fixed inputs and the message they must produce, in the EXAMPLE_MESSAGE
+// format of the contract tests
+const VECTOR = {
+  sellerPrivateKey: `0x${"5e".repeat(32)}`,
+  ephemeralPrivateKey: `0x${"e7".repeat(32)}`,
+  iv: "0xad40e6c0dae874564d01cb17",
+  salt: "0x0123456789abcdef0123456789abcdef",
+  message: {
+    encryptedData:
+      "0xda868cdce836bae74ebb28920c0577afb91d60a8d025a88997230a6d67bd0de03f15def76a8c36cc103fe03f7b0c53bda1e8571d5bab9e14add9edd3895db259447af0b3bd578cd6ee7f5d7c242b06a77fa63a3ce58458ecee54e0e4c59092f52b2a148b08db41fc9de94701501a926fd1bc2e777ff9a5ef4a6a79dca4aae5822c50eef51956bf1ca7cc6afdee451a05ab982db825de21e840cbc454de1585aad0a7ed4d9a1896e4e84e8aa92572b6cd48a2a9e3709d113b",
+    ephemeralPublicKey:
+      "0x04237d4293b7bacfbf580ea0beddc988668d6f5bfec8467bb21f272d2a569befd0c9c23acbe114320734bc9d92e0875a0fe72247f4ca2653ded1dfe3130e3dc51c",
+    iv: "0xad40e6c0dae874564d01cb17",
+    verificationHash:
+      "0xa519d38fc95aa727ac364639542f7e85446144e9eae9127edacccb201522cca1",
+  },
+};
+
+describe("ECIES messages", function () {
+  it("Should match the test vector", function () {
+    const message = encryptMessage(
+      publicKeyOf(VECTOR.sellerPrivateKey),
+      SHIPPING_ADDRESS,
+      VECTOR,
+    );
+
+    expect(message).to.deep.equal(VECTOR.message);
+    expect(
+      decryptMessage(VECTOR.sellerPrivateKey, VECTOR.message).payload,
+    ).to.deep.equal(SHIPPING_ADDRESS);
+  });
+
+  it("Should produce messages in the EXAMPLE_MESSAGE format", function () {
+    const { publicKey } = generateKeyPair();
+
+    const message = encryptMessage(publicKey, SHIPPING_ADDRESS);
+
+    expect(toMessage(message)).to.deep.equal(message);
+    expect(ethers.dataLength(message.ephemeralPublicKey)).to.equal(65);
+    expect(message.ephemeralPublicKey.startsWith("0x04")).to.equal(true);
+    expect(ethers.dataLength(message.iv)).to.equal(12);
+    expect(ethers.dataLength(message.verificationHash)).to.equal(32);
+  });
+
+  it("Should use a fresh ephemeral key, iv and salt for every message", function () {
+    const { publicKey } = generateKeyPair();
+
+    const first = encryptMessage(publicKey, SHIPPING_ADDRESS);
+    const second = encryptMessage(publicKey, SHIPPING_ADDRESS);
+
+    expect(second.ephemeralPublicKey).to.not.equal(first.ephemeralPublicKey);
+    expect(second.iv).to.not.equal(first.iv);
+    expect(second.verificationHash).to.not.equal(first.verificationHash);
+  });
+
+  it("Should accept compressed seller keys", function () {
+    const { privateKey } = generateKeyPair();
+    const compressed = ethers.SigningKey.computePublicKey(
+      publicKeyOf(privateKey),
+      true,
+    );
+
+    const message = encryptMessage(compressed, "Leave at the door");
+
+    expect(decryptMessage(privateKey, message).payload).to.equal(
+      "Leave at the door",
+    );
+  });
+
+  it("Should refuse the wrong key and altered messages", function () {
+    const seller = generateKeyPair();
+    const message = encryptMessage(seller.publicKey, SHIPPING_ADDRESS);
+
+    expect(() =>
+      decryptMessage(generateKeyPair().privateKey, message),
+    ).to.throw("wrong key or altered data");
+    const altered = ethers.getBytes(message.encryptedData);
+    altered[0] ^= 1;
+    expect(() =>
+      decryptMessage(seller.privateKey, {
+        ...message,
+        encryptedData: ethers.hexlify(altered),
+      }),
+    ).to.throw("wrong key or altered data");
+    expect(() =>
+      decryptMessage(seller.privateKey, {
+        ...message,
+        verificationHash: ethers.ZeroHash,
+      }),
+    ).to.throw("verification hash does not match");
+  });
+
+  it("Should let anyone shown the plaintext check it against the hash", function () {
+    const seller = generateKeyPair();
+    const message = encryptMessage(seller.publicKey, SHIPPING_ADDRESS);
+
+    const { plaintext } = decryptMessage(seller.privateKey, message);
+
+    expect(verificationHash(plaintext)).to.equal(message.verificationHash);
+  });
+
+  it("Should reach the seller through a storefront order", async function () {
+    const [owner, arbiter, buyer] = await ethers.getSigners();
+    const seaport = await ethers.deployContract("MockSeaport");
+    const erc1155 = await ethers.deployContract("MockERC1155");
+    const verifier = await ethers.deployContract("MockAffiliateVerifier");
+    const escrowFactory = await ethers.deployContract("AffiliateEscrowFactory");
+    const storefront = await ethers.deployContract(
+      "AffiliateERC1155Storefront",
+      [
+        await seaport.getAddress(),
+        arbiter.address,
+        await escrowFactory.getAddress(),
+        await erc1155.getAddress(),
+        await verifier.getAddress(),
+        60,
+        60,
+      ],
+    );
+    await storefront.initialize();
+    await storefront.toggleReady();
+    await erc1155.mint(await storefront.getAddress(), 1, 1, "0x");
+    await storefront.listToken(1, 1000, ethers.ZeroAddress, 0);
+    const seller = generateKeyPair();
+    await storefront.connect(owner).setEncryptionPublicKey(seller.publicKey);
+
+    const message = encryptMessage(
+      await storefront.encryptionPublicKey(),
+      SHIPPING_ADDRESS,
+    );
+    const { receipt } = await new StorefrontClient(
+      await storefront.getAddress(),
+      buyer,
+    ).buy(1, { message });
+    const event = receipt.logs
+      .map((log) => storefront.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "StorefrontOrderFulfilled");
+
+    expect(
+      decryptMessage(seller.privateKey, messageFromEvent(event.args)).payload,
+    ).to.deep.equal(SHIPPING_ADDRESS);
+  });
+});
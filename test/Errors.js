@@ -0,0 +1,287 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const artifacts = require("../abi");
+const { sendTransaction } = require("../lib/sender");
+const {
+  AuctionHouseClient,
+  ContractError,
+  StorefrontClient,
+  decodeError,
+  decodeRevertData,
+} = require("../sdk");
+
+const { ethers } = hre;
+
+// Placeholder arguments for encoding any error
+function defaultValue(param) {
+  if (param.baseType === "array") return [];
+  if (param.baseType === "tuple") return param.components.map(defaultValue);
+  if (param.type === "address") return ethers.ZeroAddress;
+  if (param.type === "bool") return false;
+  if (param.type === "string") return "";
+  if (param.type === "bytes") return "0x";
+  if (param.type.startsWith("bytes")) return ethers.zeroPadBytes("0x", 32);
+  return 0n;
+}
+
+function encodeError(signature, args) {
+  return new ethers.Interface([signature]).encodeErrorResult(
+    signature.slice(6, signature.indexOf("(")),
+    args,
+  );
+}
+
+describe("Errors", function () {
+  describe("Decoding", function () {
+    it("Should give every error of every contract its own message", function () {
+      for (const [contract, artifact] of Object.entries(artifacts)) {
+        if (!artifact.abi) continue;
+        new ethers.Interface(artifact.abi).forEachError((fragment) => {
+          const data = new ethers.Interface([fragment]).encodeErrorResult(
+            fragment,
+            fragment.inputs.map(defaultValue),
+          );
+          const decoded = decodeRevertData(data, { contract });
+          expect(decoded, `${contract}.${fragment.name}`).to.include({
+            name: fragment.name,
+          });
+          expect(decoded.message, `${contract}.${fragment.name}`).not.to.equal(
+            fragment.name,
+          );
+        });
+      }
+    });
+
+    it("Should give every revert string of the contracts its own message", function () {
+      const dir = path.join(__dirname, "..", "contracts");
+      const reasons = fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith(".sol"))
+        .flatMap((file) => [
+          ...fs
+            .readFileSync(path.join(dir, file), "utf8")
+            .matchAll(/(?:require\([^;]*?|revert\()\s*"([^"]+)"\s*\)/g),
+        ])
+        .map((match) => match[1]);
+      expect(reasons).not.to.be.empty;
+
+      for (const reason of reasons) {
+        const data = new ethers.Interface([
+          "error Error(string)",
+        ]).encodeErrorResult("Error", [reason]);
+        expect(decodeRevertData(data).message, reason).not.to.equal(reason);
+      }
+    });
+
+    it("Should decode arguments, panics and Seaport errors", function () {
+      const decoded = decodeRevertData(
+        encodeError(
+          "error InvalidSettleDeadline(uint256 newDeadline, uint256 minDeadline)",
+          [60n, 3600n],
+        ),
+      );
+      expect(decoded).to.deep.include({
+        name: "InvalidSettleDeadline",
+        contract: "AffiliateERC1155Storefront",
+        signature: "InvalidSettleDeadline(60, 3600)",
+        message: "A settle deadline of 60 seconds is below the minimum of 3600",
+      });
+      expect(decoded.args).to.deep.equal({
+        newDeadline: 60n,
+        minDeadline: 3600n,
+      });
+
+      expect(
+        decodeRevertData(encodeError("error Panic(uint256)", [0x11])).message,
+      ).to.equal("The contract panicked: an arithmetic operation overflowed");
+      expect(
+        decodeRevertData(
+          encodeError("error InvalidContractOrder(bytes32 orderHash)", [
+            ethers.ZeroHash,
+          ]),
+        ).message,
+      ).to.include("Run previewOrder with the same arguments");
+      expect(decodeRevertData(encodeError("error Unknown()", []))).to.equal(
+        undefined,
+      );
+      expect(decodeRevertData("0x")).to.equal(undefined);
+    });
+
+    it("Should find revert data nested in provider errors", function () {
+      const data = encodeError("error NotSeaport()", []);
+      const original = new Error("execution reverted");
+      original.info = { error: { code: 3, data } };
+
+      const decoded = decodeError(original);
+
+      expect(decoded).to.be.instanceOf(ContractError);
+      expect(decoded.message).to.equal(
+        "Only Seaport can call this (AffiliateERC1155Storefront: NotSeaport())",
+      );
+      expect(decoded.cause).to.equal(original);
+      expect(decodeError(decoded)).to.equal(decoded);
+
+      const other = new Error("network down");
+      expect(decodeError(other)).to.equal(other);
+    });
+  });
+
+  describe("Clients", function () {
+    let owner, bidder, arbiter, other;
+
+    beforeEach(async function () {
+      [owner, bidder, arbiter, other] = await ethers.getSigners();
+    });
+
+    describe("AuctionHouseClient", function () {
+      let house, seller;
+
+      beforeEach(async function () {
+        const itemFactory = await ethers.deployContract(
+          "AuctionItemERC721Factory",
+        );
+        const escrowFactory = await ethers.deployContract(
+          "AffiliateEscrowFactory",
+        );
+        house = await ethers.deployContract("AuctionHouse", [
+          "House",
+          "",
+          "",
+          "",
+          "ITEM",
+          86400,
+          await itemFactory.getAddress(),
+          await escrowFactory.getAddress(),
+        ]);
+        seller = new AuctionHouseClient(await house.getAddress(), owner);
+      });
+
+      async function createAuction() {
+        const { auctionId } = await seller.createAuctionWithNewNFT({
+          metadata: { name: "Item" },
+          reservePrice: 1000n,
+          duration: 3600,
+          arbiter: arbiter.address,
+        });
+        return auctionId;
+      }
+
+      it("Should throw contract errors from reads and writes", async function () {
+        await expect(seller.end(99)).to.be.rejectedWith(
+          ContractError,
+          "No auction with that id on this auction house (AuctionHouse: AuctionNotFound())",
+        );
+        await expect(seller.getMinimumBid(99)).to.be.rejectedWith(
+          "No auction with that id",
+        );
+      });
+
+      it("Should say why batch ending skipped an auction", async function () {
+        const unsold = await createAuction();
+        await time.increase(3600 + 120);
+        const bidOn = await createAuction();
+        await time.increase(120);
+        await new AuctionHouseClient(await house.getAddress(), bidder).bid({
+          auctionId: bidOn,
+        });
+
+        const { ended, skipped } = await seller.batchEndExpired([
+          unsold,
+          bidOn,
+          99n,
+        ]);
+
+        expect(ended).to.deep.equal([]);
+        expect(skipped).to.deep.equal([
+          {
+            auctionId: unsold,
+            reason:
+              'The auction has no bids to settle; cancel it instead of ending it ("No bids placed")',
+          },
+          {
+            auctionId: bidOn,
+            reason:
+              "The auction is still running; end it after its endTime (AuctionHouse: AuctionHasntCompleted())",
+          },
+          {
+            auctionId: 99n,
+            reason:
+              "No auction with that id on this auction house (AuctionHouse: AuctionNotFound())",
+          },
+        ]);
+      });
+    });
+
+    describe("StorefrontClient", function () {
+      it("Should report a sold-out token", async function () {
+        const seaport = await ethers.deployContract("MockSeaport");
+        const erc1155 = await ethers.deployContract("MockERC1155");
+        const verifier = await ethers.deployContract("MockAffiliateVerifier");
+        const escrowFactory = await ethers.deployContract(
+          "AffiliateEscrowFactory",
+        );
+        const storefront = await ethers.deployContract(
+          "AffiliateERC1155Storefront",
+          [
+            await seaport.getAddress(),
+            arbiter.address,
+            await escrowFactory.getAddress(),
+            await erc1155.getAddress(),
+            await verifier.getAddress(),
+            60,
+            60,
+          ],
+        );
+        const address = await storefront.getAddress();
+        await storefront.initialize();
+        await storefront.toggleReady();
+        await erc1155.mint(address, 1, 1, "0x");
+        await storefront.listToken(1, 1000n, ethers.ZeroAddress, 0);
+
+        const client = new StorefrontClient(address, bidder);
+        await client.buy(1);
+
+        await expect(client.buy(1)).to.be.rejectedWith(
+          ContractError,
+          "The storefront has no units of token 1 left (AffiliateERC1155Storefront: NoTokensAvailable(1))",
+        );
+      });
+    });
+
+    describe("Sender", function () {
+      it("Should throw the decoded reason of a send that would revert", async function () {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "errors-"));
+        try {
+          const storefront = await ethers.deployContract(
+            "AffiliateERC1155Storefront",
+            [
+              owner.address,
+              arbiter.address,
+              owner.address,
+              owner.address,
+              owner.address,
+              60,
+              60,
+            ],
+          );
+          const request = await storefront.toggleReady.populateTransaction();
+
+          await expect(
+            sendTransaction(hre, other, request, {
+              deploymentsDir: tmpDir,
+              log: () => {},
+            }),
+          ).to.be.rejectedWith(
+            `${other.address} is not the owner; send from the owner (or queue it for the owning Safe)`,
+          );
+        } finally {
+          fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EscrowClient } = require("../sdk");
+
+describe("EscrowClient", function () {
+  const price = ethers.parseEther("1");
+  const deadline = 3600;
+  let payee, payer, arbiter, storefront, affiliate, other, escrow, address;
+
+  // An escrow as a storefront order leaves it: payer and affiliate set,
+  // then funded
+  async function createEscrow() {
+    const factory = await ethers.deployContract("AffiliateEscrowFactory");
+    const receipt = await (
+      await factory.createEscrow(
+        payee.address,
+        storefront.address,
+        arbiter.address,
+      )
+    ).wait();
+    const [event] = receipt.logs
+      .map((log) => factory.interface.parseLog(log))
+      .filter((log) => log && log.name === "AffiliateEscrowCreated");
+    return ethers.getContractAt(
+      "AffiliateEscrow",
+      event.args.escrowAddress,
+      storefront,
+    );
+  }
+
+  async function fund(affiliateShare = 1000) {
+    await escrow.setPayer(payer.address, deadline);
+    await escrow.setAffiliate(affiliate.address, affiliateShare);
+    await storefront.sendTransaction({ to: address, value: price });
+  }
+
+  const as = (signer) => new EscrowClient(address, signer);
+
+  beforeEach(async function () {
+    [payee, payer, arbiter, storefront, affiliate, other] =
+      await ethers.getSigners();
+    escrow = await createEscrow();
+    address = await escrow.getAddress();
+  });
+
+  it("Should report the state through the escrow's life", async function () {
+    expect((await as(other).load()).state).to.equal("awaiting-payer");
+
+    await fund();
+    const funded = await as(other).load();
+    expect(funded).to.deep.include({
+      state: "funded",
+      payer: payer.address,
+      payee: payee.address,
+      affiliate: affiliate.address,
+      affiliateShare: 1000,
+      balance: price,
+    });
+
+    await time.increaseTo(funded.settleTime);
+    expect((await as(other).load()).state).to.equal("settleable");
+
+    await as(payee).settle();
+    expect(await as(other).load()).to.deep.include({
+      state: "settled",
+      balance: 0n,
+    });
+  });
+
+  it("Should preview and pay the affiliate split", async function () {
+    await fund(250);
+
+    const preview = await as(other).previewSettle();
+    expect(preview).to.deep.equal({
+      token: ethers.ZeroAddress,
+      amount: price,
+      payee: payee.address,
+      payeeAmount: ethers.parseEther("0.975"),
+      affiliate: affiliate.address,
+      affiliateAmount: ethers.parseEther("0.025"),
+    });
+
+    const before = await Promise.all(
+      [payee, affiliate].map((signer) => ethers.provider.getBalance(signer)),
+    );
+    await as(payer).settle();
+    expect(await ethers.provider.getBalance(payee)).to.equal(
+      before[0] + preview.payeeAmount,
+    );
+    expect(await ethers.provider.getBalance(affiliate)).to.equal(
+      before[1] + preview.affiliateAmount,
+    );
+  });
+
+  it("Should refuse actions the signer's role or the state forbids", async function () {
+    await expect(as(payer).dispute()).to.be.rejectedWith(
+      "Cannot dispute: the escrow has no payer yet",
+    );
+    await fund();
+
+    await expect(as(other).settle()).to.be.rejectedWith(
+      `Only the payer or payee can settle; the signer ${other.address} is not`,
+    );
+    await expect(as(payee).settle()).to.be.rejectedWith(
+      "The payee can settle from",
+    );
+    await expect(as(payer).settle({ amount: price + 1n })).to.be.rejectedWith(
+      `Cannot settle ${price + 1n}: the escrow holds ${price} ETH`,
+    );
+    await expect(as(payer).refund()).to.be.rejectedWith(
+      "Only the payee can refund",
+    );
+    await expect(as(payer).removeDispute()).to.be.rejectedWith(
+      "The escrow is not disputed",
+    );
+    await expect(as(payer).escape()).to.be.rejectedWith(
+      "The arbiter has not set an escape address",
+    );
+    await expect(as(payer).approveArbiter()).to.be.rejectedWith(
+      "No arbiter change has been proposed",
+    );
+  });
+
+  it("Should let the arbiter resolve disputes", async function () {
+    await fund();
+    await as(payer).dispute();
+    expect((await as(other).load()).state).to.equal("disputed");
+    await expect(as(payer).settle()).to.be.rejectedWith(
+      "The escrow is disputed",
+    );
+    await expect(
+      as(payee).resolveDispute({ settle: false }),
+    ).to.be.rejectedWith("Only the arbiter can resolve the dispute");
+
+    const before = await ethers.provider.getBalance(payer);
+    await as(arbiter).resolveDispute({ settle: false });
+    expect(await ethers.provider.getBalance(payer)).to.equal(before + price);
+    expect((await as(other).load()).state).to.equal("refunded");
+  });
+
+  it("Should refund, change arbiters and escape", async function () {
+    await fund();
+    const { amount } = await as(payee).refund({ amount: price / 4n });
+    expect(amount).to.equal(price / 4n);
+
+    await as(payee).changeArbiter(other.address);
+    await as(payer).approveArbiter();
+    expect((await as(other).load()).arbiter).to.equal(other.address);
+
+    await as(other).setEscapeAddress(affiliate.address);
+    const escaped = await as(payer).escape();
+    expect(escaped).to.deep.include({
+      amount: (price * 3n) / 4n,
+      to: affiliate.address,
+    });
+    expect((await as(other).load()).state).to.equal("escaped");
+  });
+
+  it("Should read ERC20 balances", async function () {
+    const token = await ethers.deployContract("MockERC20", ["Token", "TKN"]);
+    const tokenAddress = await token.getAddress();
+    await escrow.setPayer(payer.address, deadline);
+    await token.mint(address, 500n);
+
+    const client = new EscrowClient(address, payer, { token: tokenAddress });
+    expect((await client.load()).balance).to.equal(500n);
+
+    const { payeeAmount } = await client.settle();
+    expect(payeeAmount).to.equal(500n);
+    expect(await token.balanceOf(payee.address)).to.equal(500n);
+  });
+});
@@ -0,0 +1,243 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  takeSnapshot,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { inboxCsv, sellerKeys } = require("../lib/inbox");
+const {
+  AuctionHouseClient,
+  StorefrontClient,
+  encryptMessage,
+  generateKeyPair,
+  readInbox,
+} = require("../sdk");
+
+const { ethers } = hre;
+
+describe("Seller inbox", function () {
+  let owner, arbiter, bidder1, bidder2, seller;
+
+  beforeEach(async function () {
+    [owner, arbiter, bidder1, bidder2] = await ethers.getSigners();
+    seller = generateKeyPair();
+  });
+
+  describe("Auction houses", function () {
+    let auctionHouse, house, auctionId;
+
+    beforeEach(async function () {
+      const itemFactory = await ethers.deployContract(
+        "AuctionItemERC721Factory",
+      );
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      auctionHouse = await ethers.deployContract("AuctionHouse", [
+        "House",
+        "",
+        "",
+        "",
+        "ITEM",
+        86400,
+        await itemFactory.getAddress(),
+        await escrowFactory.getAddress(),
+      ]);
+      house = await auctionHouse.getAddress();
+      ({ auctionId } = await new AuctionHouseClient(
+        house,
+        owner,
+      ).createAuctionWithNewNFT({
+        metadata: { name: "Item" },
+        reservePrice: 1000n,
+        duration: 3600,
+        arbiter: arbiter.address,
+      }));
+      await time.increase(120);
+    });
+
+    it("Should decrypt the message of the top bidder only", async function () {
+      await new AuctionHouseClient(house, bidder1).bid({
+        auctionId,
+        message: encryptMessage(seller.publicKey, { name: "Outbid" }),
+      });
+      await new AuctionHouseClient(house, bidder2).bid({
+        auctionId,
+        message: encryptMessage(seller.publicKey, { name: "Winner" }),
+      });
+
+      const inbox = await readInbox(ethers.provider, house, {
+        privateKeys: [seller.privateKey],
+      });
+
+      expect(inbox.kind).to.equal("auction");
+      expect(inbox.orders).to.have.length(1);
+      const [order] = inbox.orders;
+      expect(order.auctionId).to.equal(auctionId);
+      expect(order.buyer).to.equal(bidder2.address);
+      expect(order.escrowAddress).to.equal(
+        (await auctionHouse.getAuctionData(auctionId)).escrowAddress,
+      );
+      expect(order.final).to.equal(false);
+      expect(order.status).to.equal("decrypted");
+      expect(order.payload).to.deep.equal({ name: "Winner" });
+    });
+
+    it("Should prefer the final message of the winner", async function () {
+      await new AuctionHouseClient(house, bidder1).bid({
+        auctionId,
+        message: encryptMessage(seller.publicKey, { name: "With the bid" }),
+      });
+      const { startTime, endTime } =
+        await auctionHouse.getAuctionData(auctionId);
+      // setWinningBidderEncryptedMessage waits for startTime + endTime, far
+      // ahead, so the chain is put back afterwards for the other tests
+      const snapshot = await takeSnapshot();
+      try {
+        await time.increaseTo(startTime + endTime);
+        await auctionHouse
+          .connect(bidder1)
+          .setWinningBidderEncryptedMessage(
+            auctionId,
+            encryptMessage(seller.publicKey, { name: "Final" }),
+          );
+
+        const { orders } = await readInbox(ethers.provider, house, {
+          privateKeys: [seller.privateKey],
+        });
+
+        expect(orders[0].final).to.equal(true);
+        expect(orders[0].payload).to.deep.equal({ name: "Final" });
+      } finally {
+        await snapshot.restore();
+      }
+    });
+
+    it("Should report messages no key opens", async function () {
+      await new AuctionHouseClient(house, bidder1).bid({
+        auctionId,
+        message: encryptMessage(generateKeyPair().publicKey, { name: "?" }),
+      });
+
+      const { orders } = await readInbox(ethers.provider, house, {
+        privateKeys: [seller.privateKey],
+      });
+
+      expect(orders[0].status).to.equal("undecryptable");
+      expect(orders[0].error).to.include("wrong key");
+      expect(orders[0].payload).to.equal(undefined);
+    });
+  });
+
+  describe("Storefronts", function () {
+    let storefront, address, erc1155;
+
+    beforeEach(async function () {
+      const seaport = await ethers.deployContract("MockSeaport");
+      erc1155 = await ethers.deployContract("MockERC1155");
+      const verifier = await ethers.deployContract("MockAffiliateVerifier");
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      storefront = await ethers.deployContract("AffiliateERC1155Storefront", [
+        await seaport.getAddress(),
+        arbiter.address,
+        await escrowFactory.getAddress(),
+        await erc1155.getAddress(),
+        await verifier.getAddress(),
+        60,
+        60,
+      ]);
+      address = await storefront.getAddress();
+      await storefront.initialize();
+      await storefront.toggleReady();
+      await erc1155.mint(address, 1, 10, "0x");
+      await storefront.listToken(1, 1000, ethers.ZeroAddress, 0);
+    });
+
+    it("Should list every purchase with its escrow and buyer", async function () {
+      const shipping = { name: "Ada Lovelace", street: "12 St James Square" };
+      const first = await new StorefrontClient(address, bidder1).buy(1, {
+        message: encryptMessage(seller.publicKey, shipping),
+      });
+      const second = await new StorefrontClient(address, bidder2).buy(1);
+
+      const inbox = await readInbox(ethers.provider, address, {
+        privateKeys: [generateKeyPair().privateKey, seller.privateKey],
+      });
+
+      expect(inbox.kind).to.equal("storefront");
+      expect(
+        inbox.orders.map((order) => ({
+          buyer: order.buyer,
+          escrow: order.escrowAddress,
+          status: order.status,
+          payload: order.payload,
+        })),
+      ).to.deep.equal([
+        {
+          buyer: bidder1.address,
+          escrow: first.escrowAddress,
+          status: "decrypted",
+          payload: shipping,
+        },
+        {
+          buyer: bidder2.address,
+          escrow: second.escrowAddress,
+          status: "empty",
+          payload: undefined,
+        },
+      ]);
+      expect(inbox.orders[0].tokenContract).to.equal(
+        await erc1155.getAddress(),
+      );
+      expect(inbox.orders[0].amount).to.equal(1000n);
+    });
+
+    it("Should write the fields of the payload as CSV columns", async function () {
+      await new StorefrontClient(address, bidder1).buy(1, {
+        message: encryptMessage(seller.publicKey, {
+          name: "Ada Lovelace",
+          street: "12 St James Square, London",
+        }),
+      });
+      const inbox = await readInbox(ethers.provider, address, {
+        privateKeys: [seller.privateKey],
+      });
+
+      const [header, line] = inboxCsv(inbox).trim().split("\n");
+
+      expect(header.split(",").slice(-2)).to.deep.equal(["name", "street"]);
+      expect(line).to.include(bidder1.address);
+      expect(
+        line.endsWith(',Ada Lovelace,"12 St James Square, London"'),
+      ).to.equal(true);
+    });
+  });
+
+  it("Should refuse contracts that are neither", async function () {
+    const token = await ethers.deployContract("MockERC1155");
+
+    await expect(
+      readInbox(ethers.provider, await token.getAddress()),
+    ).to.be.rejectedWith("neither an AffiliateERC1155Storefront nor");
+  });
+
+  it("Should read seller keys from the environment and a key file", function () {
+    const file = path.join(os.tmpdir(), `seller-keys-${Date.now()}.txt`);
+    fs.writeFileSync(file, "0xccc\n\n0xddd\n");
+    try {
+      expect(
+        sellerKeys({
+          keyFile: file,
+          env: { SELLER_PRIVATE_KEY: "0xaaa, 0xbbb" },
+        }),
+      ).to.deep.equal(["0xaaa", "0xbbb", "0xccc", "0xddd"]);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+});
@@ -0,0 +1,480 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { recordDeployment } = require("../lib/deployments");
+const {
+  openIndex,
+  runIndexer,
+  seedIndex,
+  syncIndex,
+} = require("../lib/indexer");
+const { AuctionHouseClient, StorefrontClient } = require("../sdk");
+
+const { ethers } = hre;
+
+describe("Indexer", function () {
+  let owner, bidder1, bidder2, arbiter;
+  let tmpDir, file, db, chainId;
+
+  before(function () {
+    // node:sqlite ships with Node 22 (see engines in package.json)
+    try {
+      require("node:sqlite");
+    } catch (error) {
+      this.skip();
+    }
+  });
+
+  beforeEach(async function () {
+    [owner, bidder1, bidder2, arbiter] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    file = path.join(tmpDir, "index.sqlite");
+    ({ chainId } = await ethers.provider.getNetwork());
+    db = openIndex(file, chainId);
+  });
+
+  afterEach(function () {
+    if (db && db.isOpen) db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployFactory(contractName) {
+    const factory = await ethers.deployContract(contractName);
+    const receipt = await factory.deploymentTransaction().wait();
+    return { factory, blockNumber: receipt.blockNumber };
+  }
+
+  async function createHouse() {
+    const { factory, blockNumber } = await deployFactory("AuctionHouseFactory");
+    const itemFactory = await ethers.deployContract("AuctionItemERC721Factory");
+    const escrowFactory = await ethers.deployContract("AffiliateEscrowFactory");
+    const receipt = await (
+      await factory.createAuctionHouse(
+        "House",
+        "",
+        "",
+        "",
+        "ITEM",
+        86400,
+        await itemFactory.getAddress(),
+        await escrowFactory.getAddress(),
+      )
+    ).wait();
+    const [event] = receipt.logs
+      .map((log) => factory.interface.parseLog(log))
+      .filter((log) => log && log.name === "AuctionHouseCreated");
+    const house = event.args.auctionHouse;
+    return { factory, blockNumber, house };
+  }
+
+  async function createAuction(house) {
+    const { auctionId } = await new AuctionHouseClient(
+      house,
+      owner,
+    ).createAuctionWithNewNFT({
+      metadata: { name: "Item" },
+      reservePrice: 1000n,
+      duration: 3600,
+      arbiter: arbiter.address,
+      premiumBps: 1000,
+    });
+    await time.increase(120);
+    return auctionId;
+  }
+
+  it("Should follow auction houses created by the factory and their escrows", async function () {
+    const { factory, blockNumber, house } = await createHouse();
+    const auctionId = await createAuction(house);
+    await new AuctionHouseClient(house, bidder1).bid({ auctionId });
+    const { amount } = await new AuctionHouseClient(house, bidder2).bid({
+      auctionId,
+    });
+
+    seedIndex(db, [
+      {
+        address: await factory.getAddress(),
+        kind: "AuctionHouseFactory",
+        blockNumber,
+      },
+    ]);
+    const { blockNumber: indexed } = await syncIndex(ethers.provider, db, {
+      confirmations: 2,
+    });
+
+    expect(indexed).to.equal(await ethers.provider.getBlockNumber());
+    const kinds = db
+      .prepare("SELECT kind, parent FROM contracts ORDER BY created_block")
+      .all()
+      .map(({ kind, parent }) => [kind, parent]);
+    expect(kinds).to.deep.equal([
+      ["AuctionHouseFactory", null],
+      ["AuctionHouse", await factory.getAddress()],
+      ["AffiliateEscrow", house],
+    ]);
+
+    const [auction] = db.prepare("SELECT * FROM auctions").all();
+    expect(auction).to.include({
+      auction_house: house,
+      auction_id: auctionId.toString(),
+      seller: owner.address,
+      reserve_price: "1000",
+      bids: 2,
+      highest_bid: amount.toString(),
+      highest_bidder: bidder2.address,
+      status: "open",
+    });
+    const names = db
+      .prepare("SELECT name FROM events WHERE address = ? ORDER BY id")
+      .all(house)
+      .map((row) => row.name);
+    expect(names).to.include.members([
+      "AuctionCreated",
+      "PremiumPaid",
+      "BidCreated",
+    ]);
+
+    await time.increase(3600);
+    await new AuctionHouseClient(house, owner).end(auctionId);
+    await syncIndex(ethers.provider, db, { confirmations: 2 });
+
+    expect(db.prepare("SELECT status FROM auctions").get().status).to.equal(
+      "ended",
+    );
+  });
+
+  it("Should keep a partly settled escrow funded until nothing is left", async function () {
+    const { factory, blockNumber, house } = await createHouse();
+    const auctionId = await createAuction(house);
+    await new AuctionHouseClient(house, bidder1).bid({ auctionId });
+    await time.increase(3600);
+    await new AuctionHouseClient(house, owner).end(auctionId);
+    seedIndex(db, [
+      {
+        address: await factory.getAddress(),
+        kind: "AuctionHouseFactory",
+        blockNumber,
+      },
+    ]);
+    await syncIndex(ethers.provider, db);
+    const { escrow } = db.prepare("SELECT escrow FROM auctions").get();
+    expect(db.prepare("SELECT * FROM escrows").get()).to.include({
+      deposited: "1000",
+      remaining: "1000",
+      state: "funded",
+    });
+
+    const contract = await ethers.getContractAt(
+      "AffiliateEscrow",
+      escrow,
+      bidder1,
+    );
+    await contract.settle(ethers.ZeroAddress, 400n);
+    await syncIndex(ethers.provider, db);
+    expect(db.prepare("SELECT * FROM escrows").get()).to.include({
+      last_event: "Settled",
+      remaining: "600",
+      state: "funded",
+    });
+    expect(db.prepare("SELECT escrow_state FROM auctions").get()).to.deep.equal(
+      { escrow_state: "funded" },
+    );
+
+    await contract.settle(ethers.ZeroAddress, 600n);
+    await syncIndex(ethers.provider, db);
+    expect(db.prepare("SELECT * FROM escrows").get()).to.include({
+      remaining: "0",
+      state: "settled",
+    });
+  });
+
+  it("Should resume from the checkpoint saved in the file", async function () {
+    const { factory, blockNumber, house } = await createHouse();
+    seedIndex(db, [
+      {
+        address: await factory.getAddress(),
+        kind: "AuctionHouseFactory",
+        blockNumber,
+      },
+    ]);
+    await syncIndex(ethers.provider, db);
+    db.close();
+
+    const auctionId = await createAuction(house);
+    await new AuctionHouseClient(house, bidder1).bid({ auctionId });
+
+    db = openIndex(file, chainId);
+    const before = db.prepare("SELECT block_number FROM checkpoint").get();
+    const { events } = await syncIndex(ethers.provider, db);
+
+    expect(before.block_number).to.be.below(
+      await ethers.provider.getBlockNumber(),
+    );
+    expect(events).to.be.at.least(2);
+    expect(db.prepare("SELECT bids FROM auctions").get().bids).to.equal(1);
+    expect(() => openIndex(file, 1)).to.throw(
+      `indexes chain ${chainId}, not 1`,
+    );
+  });
+
+  it("Should roll back blocks that were reorganised", async function () {
+    const { factory, blockNumber, house } = await createHouse();
+    const auctionId = await createAuction(house);
+    seedIndex(db, [
+      {
+        address: await factory.getAddress(),
+        kind: "AuctionHouseFactory",
+        blockNumber,
+      },
+    ]);
+    await syncIndex(ethers.provider, db, { confirmations: 5 });
+
+    const snapshot = await ethers.provider.send("evm_snapshot");
+    await new AuctionHouseClient(house, bidder1).bid({ auctionId });
+    await syncIndex(ethers.provider, db, { confirmations: 5 });
+    expect(db.prepare("SELECT bids FROM auctions").get().bids).to.equal(1);
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await new AuctionHouseClient(house, bidder2).bid({ auctionId });
+    const lines = [];
+    const { rolledBack } = await syncIndex(ethers.provider, db, {
+      confirmations: 5,
+      log: (line) => lines.push(line),
+    });
+
+    expect(rolledBack).to.equal(true);
+    expect(lines[0]).to.match(/^Reorg: rolled back to block \d+$/);
+    expect(db.prepare("SELECT * FROM auctions").get()).to.include({
+      bids: 1,
+      highest_bidder: bidder2.address,
+    });
+  });
+
+  it("Should refuse to sync past a reorg deeper than the kept blocks", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot");
+    const { factory, blockNumber } = await createHouse();
+    seedIndex(db, [
+      {
+        address: await factory.getAddress(),
+        kind: "AuctionHouseFactory",
+        blockNumber,
+      },
+    ]);
+    await syncIndex(ethers.provider, db, { confirmations: 0 });
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("hardhat_mine", ["0x10"]);
+
+    await expect(
+      syncIndex(ethers.provider, db, { confirmations: 0 }),
+    ).to.be.rejectedWith("reorganised below the 0 confirmations kept");
+  });
+
+  it("Should backfill a contract added below the checkpoint", async function () {
+    const { factory, blockNumber, house } = await createHouse();
+    await createAuction(house);
+    const receipts = await deployFactory("ReceiptERC1155Factory");
+    await receipts.factory.createReceiptERC1155("ipfs://contract");
+
+    seedIndex(db, [
+      {
+        address: await factory.getAddress(),
+        kind: "AuctionHouseFactory",
+        blockNumber,
+      },
+    ]);
+    await syncIndex(ethers.provider, db);
+    seedIndex(db, [
+      {
+        address: await receipts.factory.getAddress(),
+        kind: "ReceiptERC1155Factory",
+        blockNumber: receipts.blockNumber,
+      },
+    ]);
+    await syncIndex(ethers.provider, db);
+
+    expect(
+      db
+        .prepare("SELECT name FROM events WHERE kind = 'ReceiptERC1155Factory'")
+        .all()
+        .map((row) => row.name),
+    ).to.include("ReceiptERC1155Created");
+    expect(
+      db
+        .prepare("SELECT parent FROM contracts WHERE kind = 'ReceiptERC1155'")
+        .get().parent,
+    ).to.equal(await receipts.factory.getAddress());
+    expect(
+      db
+        .prepare("SELECT count(*) AS count FROM contracts WHERE backfill = 1")
+        .get().count,
+    ).to.equal(0);
+    expect(
+      db
+        .prepare("SELECT count(*) AS count FROM events WHERE name = ?")
+        .get("AuctionCreated").count,
+    ).to.equal(1);
+  });
+
+  it("Should stop a backfill whose blocks change during the sync", async function () {
+    const { factory, blockNumber } = await createHouse();
+    const receipts = await deployFactory("ReceiptERC1155Factory");
+    const { blockNumber: created } = await (
+      await receipts.factory.createReceiptERC1155("ipfs://contract")
+    ).wait();
+    await ethers.provider.send("evm_mine");
+
+    seedIndex(db, [
+      {
+        address: await factory.getAddress(),
+        kind: "AuctionHouseFactory",
+        blockNumber,
+      },
+    ]);
+    const { blockNumber: checkpoint } = await syncIndex(ethers.provider, db, {
+      confirmations: 0,
+    });
+    seedIndex(db, [
+      {
+        address: await receipts.factory.getAddress(),
+        kind: "ReceiptERC1155Factory",
+        blockNumber: receipts.blockNumber,
+      },
+    ]);
+    // The block with the receipt's creation is replaced while it is read
+    const provider = Object.create(ethers.provider);
+    provider.getBlock = async (number) => {
+      const block = await ethers.provider.getBlock(number);
+      return number === created
+        ? { hash: ethers.ZeroHash, timestamp: block.timestamp }
+        : block;
+    };
+
+    const result = await syncIndex(provider, db, { confirmations: 0 });
+
+    expect(result).to.deep.equal({
+      blockNumber: checkpoint,
+      events: 0,
+      rolledBack: false,
+    });
+    expect(
+      db
+        .prepare("SELECT count(*) AS count FROM contracts WHERE backfill = 1")
+        .get().count,
+    ).to.equal(1);
+  });
+
+  it("Should index storefront orders and their escrows from the records", async function () {
+    const seaport = await ethers.deployContract("MockSeaport");
+    const erc1155 = await ethers.deployContract("MockERC1155");
+    const verifier = await ethers.deployContract("MockAffiliateVerifier");
+    const escrowFactory = await ethers.deployContract("AffiliateEscrowFactory");
+    const storefrontFactory = await ethers.deployContract(
+      "AffiliateERC1155StorefrontFactory",
+      [await seaport.getAddress(), 60],
+    );
+    const receipt = await (
+      await storefrontFactory.createStorefront(
+        arbiter.address,
+        await erc1155.getAddress(),
+        await escrowFactory.getAddress(),
+        await verifier.getAddress(),
+        60,
+      )
+    ).wait();
+    const [event] = receipt.logs
+      .map((log) => storefrontFactory.interface.parseLog(log))
+      .filter((log) => log && log.name === "StorefrontCreated");
+    const address = event.args.storefront;
+    const storefront = await ethers.getContractAt(
+      "AffiliateERC1155Storefront",
+      address,
+    );
+    await storefront.toggleReady();
+    await erc1155.mint(address, 1, 5, "0x");
+    await storefront.listToken(1, 1000n, ethers.ZeroAddress, 0);
+    const { escrowAddress } = await new StorefrontClient(address, bidder1).buy(
+      1,
+    );
+    await recordDeployment(
+      hre,
+      "AffiliateERC1155StorefrontFactory",
+      {
+        address: await storefrontFactory.getAddress(),
+        blockNumber: (await storefrontFactory.deploymentTransaction().wait())
+          .blockNumber,
+      },
+      { deploymentsDir: tmpDir },
+    );
+    db.close();
+
+    const lines = [];
+    const result = await runIndexer(hre, {
+      deploymentsDir: tmpDir,
+      log: (line) => lines.push(line),
+    });
+
+    expect(result.file).to.equal(
+      path.join(tmpDir, String(chainId), "state", "index.sqlite"),
+    );
+    expect(lines).to.include(`Following AffiliateEscrow ${escrowAddress}`);
+    db = openIndex(result.file, chainId);
+    expect(db.prepare("SELECT * FROM orders").get()).to.include({
+      storefront: address,
+      buyer: bidder1.address,
+      price: "1000",
+      escrow: escrowAddress,
+    });
+    expect(db.prepare("SELECT * FROM escrows").get()).to.include({
+      escrow: escrowAddress,
+      parent: await escrowFactory.getAddress(),
+    });
+  });
+
+  it("Should start records without a block from their creation transaction", async function () {
+    const { factory, blockNumber } = await deployFactory("AuctionHouseFactory");
+    await recordDeployment(
+      hre,
+      "AuctionHouseFactory",
+      {
+        address: await factory.getAddress(),
+        txHash: factory.deploymentTransaction().hash,
+      },
+      { deploymentsDir: tmpDir },
+    );
+    const legacy = await ethers.deployContract("ReceiptERC1155Factory");
+    await recordDeployment(
+      hre,
+      "ReceiptERC1155Factory",
+      { address: await legacy.getAddress() },
+      { deploymentsDir: tmpDir },
+    );
+    db.close();
+    const options = { deploymentsDir: tmpDir, file, log: () => {} };
+
+    await expect(runIndexer(hre, options)).to.be.rejectedWith(
+      "The record of ReceiptERC1155Factory has no deployment block or transaction; pass --from-block to choose where to start",
+    );
+    await runIndexer(hre, { ...options, fromBlock: blockNumber });
+    db = openIndex(file, chainId);
+    expect(
+      db.prepare("SELECT kind, created_block FROM contracts").all(),
+    ).to.deep.equal([
+      { kind: "AuctionHouseFactory", created_block: blockNumber },
+      { kind: "ReceiptERC1155Factory", created_block: blockNumber },
+    ]);
+    db.close();
+
+    fs.rmSync(file);
+    fs.rmSync(path.join(tmpDir, String(chainId), "ReceiptERC1155Factory.json"));
+    await runIndexer(hre, options);
+    db = openIndex(file, chainId);
+    expect(
+      db.prepare("SELECT kind, created_block FROM contracts").get(),
+    ).to.deep.equal({
+      kind: "AuctionHouseFactory",
+      created_block: blockNumber,
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadManifest, runManifest } = require("../lib/deploy-engine");
+const { getAddress, getDeploymentHistory } = require("../lib/deployments");
+const { wireMetadata } = require("../lib/metadata");
+
+const { ethers } = hre;
+
+describe("UmpMetadata wiring", function () {
+  let deployer, other, tmpDir, options, stack, token;
+
+  beforeEach(async function () {
+    [deployer, other] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+    const engineOptions = {
+      verify: false,
+      deploymentsDir: tmpDir,
+      log: () => {},
+    };
+    stack = (
+      await runManifest(
+        hre,
+        loadManifest("affiliate-storefront"),
+        engineOptions,
+      )
+    ).steps;
+    await runManifest(hre, loadManifest("curation"), engineOptions);
+
+    token = await ethers.deployContract("MockERC20", ["MockToken", "MTK"]);
+    options = {
+      tokens: [await token.getAddress()],
+      deploymentsDir: tmpDir,
+      log: () => {},
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should deploy UmpMetadata and register the recorded stack", async function () {
+    const result = await wireMetadata(hre, options);
+    expect(result.deployed).to.be.true;
+
+    const metadata = await ethers.getContractAt("UmpMetadata", result.address);
+    expect(await metadata.owner()).to.equal(deployer.address);
+    expect(await metadata.affiliateEscrowFactory()).to.equal(
+      stack.AffiliateEscrowFactory.address,
+    );
+    expect(await metadata.affiliateStorefrontFactory()).to.equal(
+      stack.AffiliateERC1155StorefrontFactory.address,
+    );
+    expect(await metadata.receiptERC1155Factory()).to.equal(
+      stack.ReceiptERC1155Factory.address,
+    );
+    expect(await metadata.affiliateVerifier()).to.equal(
+      stack.AffiliateVerifierProxy.address,
+    );
+    expect(await metadata.curationStorefronts()).to.equal(
+      getAddress("CurationStorefront", hre, tmpDir),
+    );
+    expect(await metadata.getAllAllowlistedStorefronts()).to.deep.equal([
+      stack.AffiliateERC1155Storefront.address,
+    ]);
+    expect(await metadata.getAllSupportedERC20Tokens()).to.deep.equal([
+      await token.getAddress(),
+    ]);
+    expect(getAddress("UmpMetadata", hre, tmpDir)).to.equal(result.address);
+  });
+
+  it("Should allowlist every storefront the recorded factory created", async function () {
+    const factory = await ethers.getContractAt(
+      "AffiliateERC1155StorefrontFactory",
+      stack.AffiliateERC1155StorefrontFactory.address,
+    );
+    const created = await factory.createStorefront.staticCall(
+      deployer.address,
+      stack.ReceiptERC1155.address,
+      stack.AffiliateEscrowFactory.address,
+      stack.AffiliateVerifierProxy.address,
+      604800,
+    );
+    await factory.createStorefront(
+      deployer.address,
+      stack.ReceiptERC1155.address,
+      stack.AffiliateEscrowFactory.address,
+      stack.AffiliateVerifierProxy.address,
+      604800,
+    );
+
+    const { address } = await wireMetadata(hre, options);
+
+    const metadata = await ethers.getContractAt("UmpMetadata", address);
+    expect(await metadata.getAllAllowlistedStorefronts()).to.deep.equal([
+      stack.AffiliateERC1155Storefront.address,
+      created,
+    ]);
+  });
+
+  it("Should not send transactions when nothing changed", async function () {
+    await wireMetadata(hre, options);
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    const result = await wireMetadata(hre, options);
+
+    expect(result.deployed).to.be.false;
+    expect(result.actions).to.be.empty;
+    expect(
+      await ethers.provider.getTransactionCount(deployer.address),
+    ).to.equal(nonce);
+    expect(getDeploymentHistory("UmpMetadata", hre, tmpDir)).to.have.lengthOf(
+      1,
+    );
+  });
+
+  it("Should only update the values that differ", async function () {
+    const { address } = await wireMetadata(hre, options);
+    const metadata = await ethers.getContractAt("UmpMetadata", address);
+    await metadata.setAffiliateVerifier(other.address);
+    await metadata.addStorefrontToAllowlist(other.address);
+
+    const result = await wireMetadata(hre, options);
+
+    expect(result.actions.map((action) => action.method)).to.deep.equal([
+      "setAffiliateVerifier",
+    ]);
+    expect(await metadata.affiliateVerifier()).to.equal(
+      stack.AffiliateVerifierProxy.address,
+    );
+    expect(await metadata.isStorefrontAllowlisted(other.address)).to.be.true;
+  });
+
+  it("Should refuse to update metadata owned by someone else", async function () {
+    const { address } = await wireMetadata(hre, options);
+    const metadata = await ethers.getContractAt("UmpMetadata", address);
+    await metadata.changeOwnership(other.address);
+
+    await expect(wireMetadata(hre, options)).to.be.rejectedWith(
+      `UmpMetadata is owned by ${other.address}`,
+    );
+  });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  getNetworkConfig,
+  getNetworkConstants,
+  getTokenAddress,
+  hardhatNetworks,
+  etherscanConfig,
+} = require("../lib/networks");
+
+describe("Network registry", function () {
+  it("Should expose Base constants", function () {
+    const base = getNetworkConfig("basemainnet", {});
+    expect(base.chainId).to.equal(8453);
+    expect(base.rpcUrl).to.equal("https://mainnet.base.org");
+    expect(base.seaport).to.equal("0x0000000000000068F116a894984e2DB1123eB395");
+    expect(base.explorer.browserURL).to.equal("https://basescan.org");
+    expect(getTokenAddress("basemainnet", "usdc", {})).to.equal(
+      "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+    );
+  });
+
+  it("Should read constants for the running network", function () {
+    const constants = getNetworkConstants(hre);
+    expect(constants.minSettleTime).to.equal(7 * 24 * 60 * 60);
+    expect(constants.tokens).to.deep.equal({});
+  });
+
+  it("Should give forked local networks the constants of the forked chain", function () {
+    const env = { FORK_NETWORK: "basesepolia" };
+    const local = getNetworkConfig("localhost", env);
+    expect(local.forkOf).to.equal("basesepolia");
+    expect(local.settlementDeadline).to.equal(2 * 24 * 60 * 60);
+    expect(local.tokens.USDC).to.equal(
+      "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    );
+    expect(hardhatNetworks(env).hardhat.forking.url).to.equal(
+      "https://sepolia.base.org",
+    );
+  });
+
+  it("Should only configure the custom network when it has an RPC URL", function () {
+    expect(hardhatNetworks({})).to.not.have.property("custom");
+
+    const env = {
+      CUSTOM_RPC_URL: "http://rpc.example",
+      CUSTOM_CHAIN_ID: "10",
+      CUSTOM_EXPLORER_API_URL: "http://explorer.example/api",
+      CUSTOM_EXPLORER_URL: "http://explorer.example",
+      CUSTOM_EXPLORER_API_KEY: "key",
+    };
+    expect(hardhatNetworks(env).custom).to.deep.equal({
+      url: "http://rpc.example",
+      chainId: 10,
+      accounts: [],
+    });
+    const etherscan = etherscanConfig(env);
+    expect(etherscan.apiKey.custom).to.equal("key");
+    expect(etherscan.customChains.map((chain) => chain.chainId)).to.include(10);
+  });
+
+  it("Should reject unknown networks", function () {
+    expect(() => getNetworkConfig("mainnet")).to.throw("Unknown network");
+  });
+});
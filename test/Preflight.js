@@ -0,0 +1,363 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { sendTransaction } = require("../lib/sender");
+const {
+  AuctionHouseClient,
+  ContractError,
+  EscrowClient,
+  StorefrontClient,
+  formatPlan,
+} = require("../sdk");
+
+const { ethers } = hre;
+
+describe("Preflight", function () {
+  let owner, bidder1, bidder2, arbiter, other;
+  let plans, printed;
+
+  // Records every plan and accepts it
+  const accept = async (plan) => {
+    plans.push(plan);
+    return true;
+  };
+  const refuse = async (plan) => {
+    plans.push(plan);
+    return false;
+  };
+  const log = (line) => printed.push(line);
+
+  beforeEach(async function () {
+    [owner, bidder1, bidder2, arbiter, other] = await ethers.getSigners();
+    plans = [];
+    printed = [];
+  });
+
+  describe("AuctionHouseClient", function () {
+    let house, auctionId;
+    const reservePrice = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      const itemFactory = await ethers.deployContract(
+        "AuctionItemERC721Factory",
+      );
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      const auctionHouse = await ethers.deployContract("AuctionHouse", [
+        "House",
+        "",
+        "",
+        "",
+        "ITEM",
+        86400,
+        await itemFactory.getAddress(),
+        await escrowFactory.getAddress(),
+      ]);
+      house = await auctionHouse.getAddress();
+      ({ auctionId } = await new AuctionHouseClient(
+        house,
+        owner,
+      ).createAuctionWithNewNFT({
+        metadata: { name: "Item" },
+        reservePrice,
+        duration: 3600,
+        arbiter: arbiter.address,
+        premiumBps: 1000,
+      }));
+      await time.increase(120);
+    });
+
+    it("Should show who is refunded and the premium before outbidding", async function () {
+      await new AuctionHouseClient(house, bidder1).bid({ auctionId });
+      const before = await ethers.provider.getBalance(bidder1);
+
+      const { amount } = await new AuctionHouseClient(house, bidder2, {
+        confirm: accept,
+        log,
+      }).bid({ auctionId });
+
+      // 10% increment, 10% of it as premium
+      const premium = ethers.parseEther("0.01");
+      const [plan] = plans;
+      expect(plan.description).to.match(/^AuctionHouse\.createBid\(/);
+      expect(plan.from).to.equal(bidder2.address);
+      expect(plan.value).to.equal(amount);
+      expect(plan.gasLimit > 0n).to.equal(true);
+      expect(plan.events.map((event) => event.name)).to.deep.equal([
+        "PremiumPaid",
+        "BidCreated",
+      ]);
+      expect(plan.events[0].args).to.deep.include({
+        outbidUser: bidder1.address,
+        originalBid: reservePrice,
+        premiumAmount: premium,
+      });
+      expect(plan.balances).to.deep.equal([
+        {
+          label: "bidder",
+          account: bidder2.address,
+          token: ethers.ZeroAddress,
+          amount: -amount,
+        },
+        {
+          label: "outbid bidder (bid + premium)",
+          account: bidder1.address,
+          token: ethers.ZeroAddress,
+          amount: reservePrice + premium,
+        },
+        {
+          label: "auction house",
+          account: house,
+          token: ethers.ZeroAddress,
+          amount: amount - reservePrice - premium,
+        },
+      ]);
+      const { gasLimit } = await ethers.provider.getTransaction(
+        (await ethers.provider.getBlock("latest")).transactions[0],
+      );
+      expect(gasLimit).to.equal((plan.gasLimit * 120n) / 100n);
+      expect(await ethers.provider.getBalance(bidder1)).to.equal(
+        before + reservePrice + premium,
+      );
+      expect(formatPlan(plan)).to.include(
+        `  outbid bidder (bid + premium) ${bidder1.address}: +1.01 ETH`,
+      );
+    });
+
+    it("Should send nothing when the plan is refused", async function () {
+      const nonce = await ethers.provider.getTransactionCount(bidder1);
+
+      await expect(
+        new AuctionHouseClient(house, bidder1, { confirm: refuse, log }).bid({
+          auctionId,
+        }),
+      ).to.be.rejectedWith("was not confirmed; nothing was sent");
+
+      expect(plans).to.have.lengthOf(1);
+      expect(printed).to.deep.equal(formatPlan(plans[0]));
+      expect(printed[0]).to.match(/^AuctionHouse\.createBid\(/);
+      expect(printed).to.include(
+        `  bidder ${bidder1.address}: -${ethers.formatEther(reservePrice)} ETH`,
+      );
+      expect(await ethers.provider.getTransactionCount(bidder1)).to.equal(
+        nonce,
+      );
+    });
+
+    it("Should report a simulated revert without asking", async function () {
+      await expect(
+        new AuctionHouseClient(house, owner, { confirm: accept, log }).end(
+          auctionId,
+        ),
+      ).to.be.rejectedWith(
+        ContractError,
+        "The auction is still running; end it after its endTime",
+      );
+      expect(plans).to.deep.equal([]);
+    });
+
+    it("Should show where ending sends the payment and the item", async function () {
+      await new AuctionHouseClient(house, bidder1).bid({ auctionId });
+      await time.increase(3600);
+      const auction = await new AuctionHouseClient(house, other).getAuction(
+        auctionId,
+      );
+
+      await new AuctionHouseClient(house, other, { confirm: accept, log }).end(
+        auctionId,
+      );
+
+      expect(plans[0].events[0]).to.deep.equal({
+        name: "AuctionEnded",
+        args: {
+          auctionId,
+          winner: bidder1.address,
+          affiliate: ethers.ZeroAddress,
+          finalAmount: reservePrice,
+          affiliatePayout: 0n,
+        },
+      });
+      expect(plans[0].balances.map((change) => change.label)).to.deep.equal([
+        "auction house",
+        "escrow",
+        "winner",
+      ]);
+      expect(await ethers.provider.getBalance(auction.escrowAddress)).to.equal(
+        reservePrice,
+      );
+    });
+  });
+
+  describe("EscrowClient", function () {
+    it("Should show the payee and affiliate split of a settlement", async function () {
+      const factory = await ethers.deployContract("AffiliateEscrowFactory");
+      const receipt = await (
+        await factory.createEscrow(
+          owner.address,
+          other.address,
+          arbiter.address,
+        )
+      ).wait();
+      const [event] = receipt.logs
+        .map((log) => factory.interface.parseLog(log))
+        .filter((log) => log && log.name === "AffiliateEscrowCreated");
+      const address = event.args.escrowAddress;
+      const escrow = await ethers.getContractAt(
+        "AffiliateEscrow",
+        address,
+        other,
+      );
+      await escrow.setPayer(bidder1.address, 3600);
+      await escrow.setAffiliate(bidder2.address, 1000);
+      await other.sendTransaction({ to: address, value: 1000n });
+
+      await new EscrowClient(address, bidder1, {
+        confirm: accept,
+        log,
+      }).settle();
+
+      expect(plans[0].events).to.deep.equal([
+        {
+          name: "Settled",
+          args: {
+            to: owner.address,
+            affiliate: bidder2.address,
+            token: ethers.ZeroAddress,
+            amount: 900n,
+            affiliateAmount: 100n,
+          },
+        },
+      ]);
+      expect(
+        plans[0].balances.map(({ label, amount }) => [label, amount]),
+      ).to.deep.equal([
+        ["escrow", -1000n],
+        ["payee", 900n],
+        ["affiliate", 100n],
+      ]);
+    });
+  });
+
+  describe("StorefrontClient", function () {
+    it("Should show the payment into the escrow and the token bought", async function () {
+      const seaport = await ethers.deployContract("MockSeaport");
+      const erc1155 = await ethers.deployContract("MockERC1155");
+      const verifier = await ethers.deployContract("MockAffiliateVerifier");
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      const storefront = await ethers.deployContract(
+        "AffiliateERC1155Storefront",
+        [
+          await seaport.getAddress(),
+          arbiter.address,
+          await escrowFactory.getAddress(),
+          await erc1155.getAddress(),
+          await verifier.getAddress(),
+          60,
+          60,
+        ],
+      );
+      const address = await storefront.getAddress();
+      await storefront.initialize();
+      await storefront.toggleReady();
+      await erc1155.mint(address, 1, 5, "0x");
+      await storefront.listToken(1, 1000n, ethers.ZeroAddress, 0);
+
+      const { escrowAddress } = await new StorefrontClient(address, bidder1, {
+        confirm: accept,
+        log,
+      }).buy(1);
+
+      const [plan] = plans;
+      expect(plan.description).to.match(/^Seaport\.fulfillAdvancedOrder\(/);
+      expect(plan.value).to.equal(1000n);
+      expect(plan.events[0]).to.deep.include({
+        name: "StorefrontOrderFulfilled",
+      });
+      expect(plan.events[0].args).to.deep.include({
+        buyer: bidder1.address,
+        price: 1000n,
+        escrowContract: escrowAddress,
+      });
+      expect(
+        plan.balances.map(({ label, amount }) => [label, amount]),
+      ).to.deep.equal([
+        ["buyer", -1000n],
+        ["escrow", 1000n],
+        ["storefront", -1n],
+        ["buyer", 1n],
+      ]);
+    });
+  });
+
+  describe("sendTransaction", function () {
+    let tmpDir, lines, options;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "preflight-"));
+      lines = [];
+      options = {
+        deploymentsDir: tmpDir,
+        log: (line) => lines.push(line),
+      };
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should log the simulated plan and send only once confirmed", async function () {
+      const request = { to: other.address, value: 5n };
+      const nonce = await ethers.provider.getTransactionCount(owner);
+
+      await expect(
+        sendTransaction(hre, owner, request, {
+          ...options,
+          description: "Pay other",
+          confirm: refuse,
+        }),
+      ).to.be.rejectedWith("Not confirmed; nothing was sent");
+      expect(await ethers.provider.getTransactionCount(owner)).to.equal(nonce);
+      expect(lines[0]).to.equal("Pay other");
+      expect(lines[1]).to.match(
+        new RegExp(`^  simulated from ${owner.address}: gas \\d+, at most`),
+      );
+      expect(plans[0].balances).to.deep.equal([
+        { label: "sender", account: owner.address, amount: -5n },
+        { label: "recipient", account: other.address, amount: 5n },
+      ]);
+
+      const receipt = await sendTransaction(hre, owner, request, {
+        ...options,
+        confirm: accept,
+      });
+      expect(receipt.status).to.equal(1);
+    });
+
+    it("Should stop at a revert found by the simulation", async function () {
+      const storefront = await ethers.deployContract(
+        "AffiliateERC1155Storefront",
+        [
+          owner.address,
+          arbiter.address,
+          owner.address,
+          owner.address,
+          owner.address,
+          60,
+          60,
+        ],
+      );
+      const request = await storefront.toggleReady.populateTransaction();
+
+      await expect(
+        sendTransaction(hre, other, request, { ...options, confirm: accept }),
+      ).to.be.rejectedWith(ContractError, "is not the owner");
+      expect(plans).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadManifest, runManifest } = require("../lib/deploy-engine");
+const { getDeploymentHistory } = require("../lib/deployments");
+const { checkDrift } = require("../lib/drift");
+const { wireMetadata } = require("../lib/metadata");
+const { ownerCall, transferOwnership } = require("../lib/ownership");
+const {
+  calculateChecksum,
+  safeTransaction,
+  saveQueue,
+} = require("../lib/safe");
+
+const { ethers } = hre;
+
+describe("Safe batches and ownership", function () {
+  let deployer, safe, other, tmpDir, options, stack, storefront;
+
+  // Executes queued transactions the way the Safe would, from its address.
+  async function execute(queue, from = safe) {
+    for (const { transaction } of queue) {
+      await from.sendTransaction({
+        to: transaction.to,
+        data: transaction.data,
+        value: transaction.value,
+      });
+    }
+  }
+
+  // Runs `action` with a signer that cannot be loaded, so it must not need one
+  async function withoutSigner(action) {
+    process.env.HARDHAT_SIGNER = `keystore:${path.join(tmpDir, "missing.json")}`;
+    try {
+      return await action();
+    } finally {
+      delete process.env.HARDHAT_SIGNER;
+    }
+  }
+
+  beforeEach(async function () {
+    [deployer, safe, other] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-"));
+    const engineOptions = {
+      verify: false,
+      deploymentsDir: tmpDir,
+      log: () => {},
+    };
+    stack = (
+      await runManifest(
+        hre,
+        loadManifest("affiliate-storefront"),
+        engineOptions,
+      )
+    ).steps;
+    await runManifest(hre, loadManifest("curation"), engineOptions);
+    options = { deploymentsDir: tmpDir, log: () => {} };
+    storefront = await ethers.getContractAt(
+      "AffiliateERC1155Storefront",
+      stack.AffiliateERC1155Storefront.address,
+    );
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should encode calls with their decoded method and inputs", async function () {
+    const transaction = await safeTransaction(storefront, "listToken", [
+      1n,
+      10n ** 18n,
+      ethers.ZeroAddress,
+      500,
+    ]);
+
+    expect(transaction).to.deep.include({
+      to: stack.AffiliateERC1155Storefront.address,
+      value: "0",
+      contractInputsValues: {
+        tokenId: "1",
+        price: "1000000000000000000",
+        paymentToken: ethers.ZeroAddress,
+        affiliateFee: "500",
+      },
+    });
+    expect(transaction.contractMethod.name).to.equal("listToken");
+    expect(
+      transaction.contractMethod.inputs.map((input) => input.type),
+    ).to.deep.equal(["uint256", "uint256", "address", "uint16"]);
+    expect(
+      storefront.interface.decodeFunctionData("listToken", transaction.data),
+    ).to.deep.equal([1n, 10n ** 18n, ethers.ZeroAddress, 500n]);
+  });
+
+  it("Should write and append to Transaction Builder batches", async function () {
+    const file = path.join(tmpDir, "batch.json");
+    const queue = [];
+    await ownerCall(hre, {
+      ...options,
+      target: "AffiliateERC1155Storefront",
+      method: "toggleReady",
+      queue,
+      safe: deployer.address,
+    });
+    await saveQueue(hre, queue, {
+      ...options,
+      safe: deployer.address,
+      name: "First",
+      file,
+    });
+    await saveQueue(hre, queue, {
+      ...options,
+      safe: deployer.address,
+      name: "Second",
+      file,
+    });
+
+    const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(batch).to.include({ version: "1.0", chainId: "31337" });
+    expect(batch.meta).to.include({
+      name: "First",
+      createdFromSafeAddress: deployer.address,
+      description:
+        "AffiliateERC1155Storefront.toggleReady()\nAffiliateERC1155Storefront.toggleReady()",
+    });
+    expect(batch.transactions).to.have.lengthOf(2);
+    expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+
+    await expect(
+      saveQueue(hre, queue, { ...options, safe: other.address, file }),
+    ).to.be.rejectedWith("holds a batch for another Safe or chain");
+  });
+
+  it("Should transfer ownership to the Safe and keep the records in step", async function () {
+    const rows = await transferOwnership(hre, { ...options, to: safe.address });
+
+    expect(rows.map(({ name, status }) => [name, status])).to.have.deep.members(
+      [
+        ["AffiliateERC1155Storefront", "transferred"],
+        ["AffiliateVerifierProxy", "transferred"],
+        ["CurationStorefront", "transferred"],
+        ["ReceiptERC1155", "transferred"],
+        ["ReceiptERC1155Factory", "transferred"],
+      ],
+    );
+    expect(await storefront.owner()).to.equal(safe.address);
+    const [, latest] = getDeploymentHistory(
+      "AffiliateERC1155Storefront",
+      hre,
+      tmpDir,
+    );
+    expect(latest).to.deep.include({
+      owner: safe.address,
+      ownershipTransfer: { from: deployer.address, to: safe.address },
+    });
+    const drift = (await checkDrift(hre, { ...options, ready: null })).filter(
+      (row) => row.status === "drift",
+    );
+    expect(drift).to.be.empty;
+
+    const again = await transferOwnership(hre, {
+      ...options,
+      to: safe.address,
+    });
+    expect(again.every((row) => row.status === "unchanged")).to.be.true;
+  });
+
+  it("Should queue owner calls for the Safe that owns the contract", async function () {
+    await transferOwnership(hre, {
+      ...options,
+      to: safe.address,
+      names: ["AffiliateERC1155Storefront"],
+    });
+    const call = {
+      ...options,
+      target: "AffiliateERC1155Storefront",
+      method: "toggleReady",
+    };
+
+    await expect(ownerCall(hre, call)).to.be.rejectedWith(
+      `AffiliateERC1155Storefront is owned by ${safe.address}, not by ${deployer.address}`,
+    );
+
+    const queue = [];
+    const receipt = await withoutSigner(() =>
+      ownerCall(hre, { ...call, safe: safe.address, queue }),
+    );
+    expect(receipt).to.be.undefined;
+    expect(queue).to.have.lengthOf(1);
+    expect(await storefront.ready()).to.be.false;
+
+    await execute(queue);
+    expect(await storefront.ready()).to.be.true;
+  });
+
+  it("Should hand contracts from one Safe to another through a batch", async function () {
+    const names = ["AffiliateERC1155Storefront", "CurationStorefront"];
+    await transferOwnership(hre, { ...options, to: safe.address, names });
+
+    const queue = [];
+    const queued = await withoutSigner(() =>
+      transferOwnership(hre, {
+        ...options,
+        to: other.address,
+        names,
+        safe: safe.address,
+        queue,
+      }),
+    );
+    expect(queued.map((row) => row.status)).to.deep.equal(["queued", "queued"]);
+    await execute(queue);
+
+    const recorded = await transferOwnership(hre, {
+      ...options,
+      to: other.address,
+      names,
+    });
+    expect(recorded.map((row) => row.status)).to.deep.equal([
+      "recorded",
+      "recorded",
+    ]);
+    const history = getDeploymentHistory("CurationStorefront", hre, tmpDir);
+    expect(history[history.length - 1]).to.deep.include({
+      owner: other.address,
+      ownershipTransfer: { from: safe.address, to: other.address },
+    });
+  });
+
+  it("Should queue UmpMetadata updates for its Safe", async function () {
+    const token = await ethers.deployContract("MockERC20", [
+      "MockToken",
+      "MTK",
+    ]);
+    const queue = [];
+    const wire = {
+      ...options,
+      tokens: [await token.getAddress()],
+      safe: safe.address,
+      queue,
+    };
+
+    const result = await wireMetadata(hre, wire);
+    const metadata = await ethers.getContractAt("UmpMetadata", result.address);
+    expect(await metadata.owner()).to.equal(safe.address);
+    expect(result.actions.map((action) => action.method)).to.deep.equal([
+      "addStorefrontToAllowlist",
+      "addSupportedERC20Token",
+    ]);
+    expect(await metadata.getAllSupportedERC20Tokens()).to.be.empty;
+
+    await execute(queue);
+    queue.length = 0;
+    expect((await wireMetadata(hre, wire)).actions).to.be.empty;
+    expect(queue).to.be.empty;
+  });
+});
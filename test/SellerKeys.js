@@ -0,0 +1,274 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadManifest, runManifest } = require("../lib/deploy-engine");
+const {
+  addSellerKey,
+  listSellerKeys,
+  publishSellerKey,
+  readKeyring,
+  unlockKeyring,
+} = require("../lib/seller-keys");
+const {
+  AuctionHouseClient,
+  encryptMessage,
+  generateKeyPair,
+  readInbox,
+} = require("../sdk");
+
+const { ethers } = hre;
+
+// Cheap scrypt so the tests do not spend seconds per key
+const scrypt = { N: 1 << 10 };
+const password = "correct horse battery staple";
+
+describe("Seller keys", function () {
+  let owner, arbiter, bidder, tmpDir, file, options;
+
+  beforeEach(async function () {
+    [owner, arbiter, bidder] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "seller-keys-"));
+    file = path.join(tmpDir, "keyring.json");
+    options = {
+      file,
+      deploymentsDir: tmpDir,
+      signer: owner,
+      log: () => {},
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Keyring", function () {
+    it("Should keep every key, with only the public keys in the clear", async function () {
+      const first = await addSellerKey({ file, password, scrypt });
+      const second = await addSellerKey({ file, password, scrypt });
+
+      const keyring = readKeyring(file);
+      expect(keyring.keys.map((key) => key.publicKey)).to.deep.equal([
+        first,
+        second,
+      ]);
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+
+      const unlocked = await unlockKeyring({ file, password });
+      expect(unlocked.map((key) => key.publicKey)).to.deep.equal([
+        first,
+        second,
+      ]);
+      for (const { privateKey, publicKey } of unlocked) {
+        expect(new ethers.SigningKey(privateKey).publicKey).to.equal(publicKey);
+        expect(fs.readFileSync(file, "utf8")).not.to.include(
+          privateKey.slice(2),
+        );
+      }
+    });
+
+    it("Should refuse a wrong password", async function () {
+      await addSellerKey({ file, password, scrypt });
+
+      await expect(
+        unlockKeyring({ file, password: "wrong" }),
+      ).to.be.rejectedWith(`Could not unlock the seller keyring ${file}`);
+      await expect(
+        addSellerKey({ file, password: "wrong", scrypt }),
+      ).to.be.rejectedWith(`Could not unlock the seller keyring ${file}`);
+      expect(readKeyring(file).keys).to.have.lengthOf(1);
+    });
+  });
+
+  describe("Storefronts", function () {
+    let storefront, address;
+
+    beforeEach(async function () {
+      const seaport = await ethers.deployContract("MockSeaport");
+      const erc1155 = await ethers.deployContract("MockERC1155");
+      const verifier = await ethers.deployContract("MockAffiliateVerifier");
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      storefront = await ethers.deployContract("AffiliateERC1155Storefront", [
+        await seaport.getAddress(),
+        arbiter.address,
+        await escrowFactory.getAddress(),
+        await erc1155.getAddress(),
+        await verifier.getAddress(),
+        60,
+        60,
+      ]);
+      address = await storefront.getAddress();
+    });
+
+    it("Should publish the newest key once", async function () {
+      await addSellerKey({ file, password, scrypt });
+      const publicKey = await addSellerKey({ file, password, scrypt });
+
+      const result = await publishSellerKey(hre, {
+        ...options,
+        target: address,
+      });
+
+      expect(result).to.deep.equal({
+        publicKey,
+        previous: undefined,
+        status: "published",
+      });
+      expect(await storefront.encryptionPublicKey()).to.equal(publicKey);
+      expect(
+        (await publishSellerKey(hre, { ...options, target: address })).status,
+      ).to.equal("unchanged");
+    });
+
+    it("Should refuse keys missing from the keyring", async function () {
+      await addSellerKey({ file, password, scrypt });
+
+      await expect(
+        publishSellerKey(hre, {
+          ...options,
+          target: address,
+          publicKey: generateKeyPair().publicKey,
+        }),
+      ).to.be.rejectedWith("is not in the seller keyring");
+      await expect(
+        publishSellerKey(hre, {
+          ...options,
+          target: address,
+          file: path.join(tmpDir, "empty.json"),
+        }),
+      ).to.be.rejectedWith("has no keys");
+    });
+  });
+
+  describe("Auction houses", function () {
+    let house, address, registry;
+
+    async function auctionWithBid(publicKey, payload) {
+      const client = new AuctionHouseClient(address, owner);
+      const { auctionId } = await client.createAuctionWithNewNFT({
+        metadata: { name: "Item" },
+        reservePrice: 1000n,
+        duration: 3600,
+        arbiter: arbiter.address,
+      });
+      await time.increase(120);
+      await new AuctionHouseClient(address, bidder).bid({
+        auctionId,
+        message: encryptMessage(publicKey, payload),
+      });
+      return auctionId;
+    }
+
+    beforeEach(async function () {
+      const itemFactory = await ethers.deployContract(
+        "AuctionItemERC721Factory",
+      );
+      const escrowFactory = await ethers.deployContract(
+        "AffiliateEscrowFactory",
+      );
+      house = await ethers.deployContract("AuctionHouse", [
+        "House",
+        "",
+        "",
+        "",
+        "ITEM",
+        86400,
+        await itemFactory.getAddress(),
+        await escrowFactory.getAddress(),
+      ]);
+      address = await house.getAddress();
+      const { steps } = await runManifest(
+        hre,
+        loadManifest("key-registry"),
+        options,
+      );
+      registry = await ethers.getContractAt(
+        "EncryptionKeyRegistry",
+        steps.EncryptionKeyRegistry.address,
+      );
+    });
+
+    it("Should only let the house owner set its key in the registry", async function () {
+      await expect(
+        registry.connect(bidder).setEncryptionPublicKey(address, "0x04"),
+      )
+        .to.be.revertedWithCustomError(registry, "NotContractOwner")
+        .withArgs(address, bidder.address);
+      await expect(registry.setEncryptionPublicKey(address, "0x04"))
+        .to.emit(registry, "EncryptionPublicKeySet")
+        .withArgs(address, "", "0x04");
+      expect(await registry.encryptionPublicKey(address)).to.equal("0x04");
+    });
+
+    it("Should refuse to publish without a recorded registry", async function () {
+      fs.rmSync(path.join(tmpDir, "31337"), { recursive: true, force: true });
+      await addSellerKey({ file, password, scrypt });
+
+      await expect(
+        publishSellerKey(hre, { ...options, target: address }),
+      ).to.be.rejectedWith(
+        "No EncryptionKeyRegistry recorded on hardhat; deploy the key-registry manifest first",
+      );
+    });
+
+    it("Should open messages sent before and after a rotation", async function () {
+      const oldKey = await addSellerKey({ file, password, scrypt });
+      await publishSellerKey(hre, { ...options, target: address });
+      const before = await auctionWithBid(oldKey, { name: "Before" });
+
+      const newKey = await addSellerKey({ file, password, scrypt });
+      const result = await publishSellerKey(hre, {
+        ...options,
+        target: address,
+      });
+      expect(result.previous).to.equal(oldKey);
+      const after = await auctionWithBid(newKey, { name: "After" });
+
+      const keys = await unlockKeyring({ file, password });
+      const { orders } = await readInbox(ethers.provider, address, {
+        privateKeys: keys.map((key) => key.privateKey),
+        keyRegistry: await registry.getAddress(),
+      });
+
+      expect(
+        orders.map((order) => [
+          order.auctionId,
+          order.encryptionPublicKey,
+          order.payload,
+        ]),
+      ).to.deep.equal([
+        [before, oldKey, { name: "Before" }],
+        [after, newKey, { name: "After" }],
+      ]);
+    });
+
+    it("Should list which keys are current, retired or missing", async function () {
+      const oldKey = await addSellerKey({ file, password, scrypt });
+      await publishSellerKey(hre, { ...options, target: address });
+      const { blockNumber: rotated } = await (
+        await registry.setEncryptionPublicKey(
+          address,
+          generateKeyPair().publicKey,
+        )
+      ).wait();
+      const unpublished = await addSellerKey({ file, password, scrypt });
+
+      const rows = await listSellerKeys(hre, { ...options, target: address });
+
+      expect(
+        rows.map(({ publicKey, status }) => [publicKey, status]),
+      ).to.deep.include.members([
+        [oldKey, "retired"],
+        [unpublished, "unpublished"],
+      ]);
+      expect(rows[2]).to.deep.include({
+        status: "current, missing",
+        since: rotated,
+      });
+    });
+  });
+});
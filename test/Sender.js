@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { journalPath, sendTransaction } = require("../lib/sender");
+
+const { ethers, network } = hre;
+
+describe("Transaction sender", function () {
+  let deployer, other, tmpDir, lines, options;
+
+  beforeEach(async function () {
+    [deployer, other] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sender-"));
+    lines = [];
+    options = {
+      deploymentsDir: tmpDir,
+      pollMs: 10,
+      log: (line) => lines.push(line),
+    };
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function until(condition) {
+    while (!(await condition())) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  it("Should send EIP-1559 transactions with an estimated gas limit and capped fees", async function () {
+    const token = await ethers.deployContract("MockERC20", [
+      "MockToken",
+      "MTK",
+    ]);
+    const request = await token.mint.populateTransaction(other.address, 1000n);
+    const estimate = await deployer.estimateGas(request);
+    const caps = { maxFeePerGas: 10n ** 9n, maxPriorityFeePerGas: 10n ** 8n };
+
+    const receipt = await sendTransaction(hre, deployer, request, {
+      ...options,
+      caps,
+    });
+
+    const tx = await ethers.provider.getTransaction(receipt.hash);
+    expect(tx.type).to.equal(2);
+    expect(tx.gasLimit).to.equal((estimate * 120n) / 100n);
+    expect(tx.maxFeePerGas).to.equal(caps.maxFeePerGas);
+    expect(tx.maxPriorityFeePerGas).to.equal(caps.maxPriorityFeePerGas);
+    expect(await token.balanceOf(other.address)).to.equal(1000n);
+  });
+
+  it("Should give concurrent sends their own nonces", async function () {
+    const start = await ethers.provider.getTransactionCount(deployer.address);
+
+    const receipts = await Promise.all(
+      [1n, 2n, 3n, 4n].map((value) =>
+        sendTransaction(hre, deployer, { to: other.address, value }, options),
+      ),
+    );
+
+    const nonces = await Promise.all(
+      receipts.map(
+        async (receipt) =>
+          (await ethers.provider.getTransaction(receipt.hash)).nonce,
+      ),
+    );
+    expect([...nonces].sort()).to.deep.equal([
+      start,
+      start + 1,
+      start + 2,
+      start + 3,
+    ]);
+  });
+
+  it("Should replace a transaction that is stuck past its deadline", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const sending = sendTransaction(
+      hre,
+      deployer,
+      { to: other.address, value: 1n },
+      { ...options, deadlineMs: 50 },
+    );
+    await until(() => lines.some((line) => line.startsWith("Replaced")));
+    await network.provider.send("evm_mine");
+    const receipt = await sending;
+
+    const replacement = await ethers.provider.getTransaction(receipt.hash);
+    expect(lines[0]).to.include(receipt.hash);
+    expect(replacement.nonce).to.equal(
+      (await ethers.provider.getTransactionCount(deployer.address)) - 1,
+    );
+  });
+
+  it("Should stop waiting after the timeout and keep the journal entry", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+
+    await expect(
+      sendTransaction(
+        hre,
+        deployer,
+        { to: other.address, value: 1n },
+        { ...options, key: "transfer", journal: true, timeoutMs: 100 },
+      ),
+    ).to.be.rejectedWith(
+      /is still pending after 0s; it stays in the journal for the next run to pick up/,
+    );
+
+    const journal = JSON.parse(
+      fs.readFileSync(journalPath(31337, tmpDir), "utf8"),
+    );
+    expect(journal.transfer.hashes).to.have.lengthOf(1);
+    await network.provider.send("evm_mine");
+  });
+
+  it("Should keep waiting for the original when a replacement is refused", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const signer = Object.create(deployer);
+    const sent = [];
+    signer.sendTransaction = async function (transaction) {
+      sent.push(transaction.nonce);
+      if (sent.length === 1) return deployer.sendTransaction(transaction);
+      throw Object.assign(new Error("replacement transaction underpriced"), {
+        code: "REPLACEMENT_UNDERPRICED",
+      });
+    };
+
+    const sending = sendTransaction(
+      hre,
+      signer,
+      { to: other.address, value: 1n },
+      { ...options, deadlineMs: 50 },
+    );
+    await until(() => lines.some((line) => line.startsWith("Replacement")));
+    await network.provider.send("evm_mine");
+    const receipt = await sending;
+
+    const original = await ethers.provider.getTransaction(receipt.hash);
+    expect(sent.length).to.be.at.least(2);
+    expect(original.nonce).to.equal(sent[1]);
+    expect(lines.some((line) => line.startsWith("Replaced"))).to.equal(false);
+  });
+
+  it("Should pick up an in-flight transaction recorded in the journal", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const nonce = await ethers.provider.getTransactionCount(
+      deployer.address,
+      "pending",
+    );
+    const pending = await deployer.sendTransaction({
+      to: other.address,
+      value: 1n,
+      nonce,
+    });
+    const file = journalPath(31337, tmpDir);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        transfer: {
+          from: deployer.address,
+          nonce,
+          request: { to: other.address, value: "1", gasLimit: "21000" },
+          fees: {
+            maxFeePerGas: pending.maxFeePerGas.toString(),
+            maxPriorityFeePerGas: pending.maxPriorityFeePerGas.toString(),
+          },
+          hashes: [pending.hash],
+          sentAt: Date.now(),
+        },
+      }),
+    );
+
+    const sending = sendTransaction(
+      hre,
+      deployer,
+      { to: other.address, value: 1n },
+      { ...options, key: "transfer", journal: true },
+    );
+    await until(() => lines.length > 0);
+    await network.provider.send("evm_mine");
+    const receipt = await sending;
+
+    expect(lines[0]).to.equal(`Resuming ${pending.hash} (nonce ${nonce})`);
+    expect(receipt.hash).to.equal(pending.hash);
+    expect(
+      await ethers.provider.getTransactionCount(deployer.address, "pending"),
+    ).to.equal(nonce + 1);
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.deep.equal({});
+  });
+});
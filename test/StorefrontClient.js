@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { StorefrontClient } = require("../sdk");
+
+describe("StorefrontClient", function () {
+  let owner, arbiter, buyer, affiliate;
+  let storefront, erc1155, token, address, seaport;
+
+  const price = ethers.parseEther("1");
+  const message = {
+    encryptedData: "0x42040e12f7539ea8",
+    ephemeralPublicKey:
+      "0x0447a63f06b2593890f9269cec414678f24d0da58127821800b715cd211b026c25d2c7f99bf3ff595730181a10fac12a5bad366aeb44fb5b59f51b62022fcd701f",
+    iv: "0xad40e6c0dae874564d01cb17",
+    verificationHash:
+      "0x803d7d2d2bf6f058ff2d0f43ee4e8cf872f6a8c8b5cc21daa721ba9f44b3aa76",
+  };
+
+  beforeEach(async function () {
+    [owner, arbiter, buyer, affiliate] = await ethers.getSigners();
+    const mockSeaport = await ethers.deployContract("MockSeaport");
+    seaport = await mockSeaport.getAddress();
+    erc1155 = await ethers.deployContract("MockERC1155");
+    token = await ethers.deployContract("MockERC20", ["Mock", "MOCK"]);
+    const verifier = await ethers.deployContract("MockAffiliateVerifier");
+    const escrowFactory = await ethers.deployContract("AffiliateEscrowFactory");
+    storefront = await ethers.deployContract("AffiliateERC1155Storefront", [
+      seaport,
+      arbiter.address,
+      await escrowFactory.getAddress(),
+      await erc1155.getAddress(),
+      await verifier.getAddress(),
+      7 * 24 * 60 * 60,
+      21 * 24 * 60 * 60,
+    ]);
+    address = await storefront.getAddress();
+    await storefront.initialize();
+    await storefront.toggleReady();
+    await erc1155.mint(address, 1, 10, "0x");
+    await erc1155.mint(address, 2, 10, "0x");
+    await storefront.listToken(1, price, ethers.ZeroAddress, 500);
+    await storefront.listToken(2, price, await token.getAddress(), 0);
+  });
+
+  it("Should build a contract order from previewOrder", async function () {
+    const client = new StorefrontClient(address, buyer);
+    const escrow = await storefront.getEscrowContract();
+
+    const { advancedOrder, value } = await client.buildOrder(1);
+
+    expect(await client.seaport()).to.equal(seaport);
+    expect(value).to.equal(price);
+    expect(advancedOrder.parameters.offerer).to.equal(address);
+    expect(advancedOrder.parameters.orderType).to.equal(4);
+    expect(advancedOrder.parameters.offer).to.deep.equal([
+      {
+        itemType: 3n,
+        token: await erc1155.getAddress(),
+        identifierOrCriteria: 1n,
+        startAmount: 1n,
+        endAmount: 1n,
+      },
+    ]);
+    expect(advancedOrder.parameters.consideration[0].recipient).to.equal(
+      escrow,
+    );
+    expect(advancedOrder.parameters.totalOriginalConsiderationItems).to.equal(
+      1,
+    );
+  });
+
+  it("Should buy with ETH and return the escrow holding the payment", async function () {
+    const client = new StorefrontClient(address, buyer);
+    const escrow = await storefront.getEscrowContract();
+
+    const purchase = await client.buy(1, {
+      affiliate: affiliate.address,
+      message,
+    });
+
+    expect(purchase.escrowAddress).to.equal(escrow);
+    expect(purchase.price).to.equal(price);
+    expect(purchase.affiliate).to.equal(affiliate.address);
+    expect(purchase.affiliateShare).to.equal(500n);
+    expect(await ethers.provider.getBalance(escrow)).to.equal(price);
+    expect(await erc1155.balanceOf(buyer.address, 1)).to.equal(1n);
+    // Every purchase gets a fresh escrow
+    expect(await storefront.getEscrowContract()).to.not.equal(escrow);
+
+    const event = purchase.receipt.logs
+      .map((log) => storefront.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "StorefrontOrderFulfilled");
+    expect(event.args.encryptedData).to.equal(message.encryptedData);
+    expect(event.args.iv).to.equal(message.iv);
+    expect(event.args.verificationHash).to.equal(message.verificationHash);
+  });
+
+  it("Should approve Seaport before buying with an ERC20", async function () {
+    await token.mint(buyer.address, price);
+    const client = new StorefrontClient(address, buyer);
+
+    const { escrowAddress, paymentToken } = await client.buy(2);
+
+    expect(paymentToken).to.equal(await token.getAddress());
+    expect(await token.balanceOf(escrowAddress)).to.equal(price);
+    expect(await token.balanceOf(buyer.address)).to.equal(0n);
+    expect(await erc1155.balanceOf(buyer.address, 2)).to.equal(1n);
+  });
+});
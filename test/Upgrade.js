@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getDeployment,
+  getDeploymentHistory,
+  recordDeployment,
+} = require("../lib/deployments");
+const {
+  readImplementation,
+  recordExecutedUpgrades,
+  upgradeProxy,
+} = require("../lib/upgrade");
+
+const { ethers } = hre;
+
+describe("UUPS upgrades", function () {
+  let deployer, other, tmpDir, options, verifier, proxyAddress;
+
+  beforeEach(async function () {
+    [deployer, other] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "upgrade-"));
+    options = {
+      contract: "MockAffiliateVerifierV2",
+      call: { method: "initializeV2", args: [5000] },
+      deploymentsDir: tmpDir,
+      log: () => {},
+    };
+
+    const implementation = await ethers.deployContract("AffiliateVerifier");
+    const args = [
+      await implementation.getAddress(),
+      implementation.interface.encodeFunctionData("initialize"),
+    ];
+    const proxy = await ethers.deployContract("AffiliateVerifierProxy", args);
+    proxyAddress = await proxy.getAddress();
+    verifier = await ethers.getContractAt("AffiliateVerifier", proxyAddress);
+
+    const record = (name, address, constructorArguments = []) =>
+      recordDeployment(
+        hre,
+        name,
+        { address, constructorArguments, deployer: deployer.address },
+        { deploymentsDir: tmpDir },
+      );
+    await record("AffiliateVerifier", args[0]);
+    await record("AffiliateVerifierProxy", proxyAddress, args);
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should upgrade the proxy and record the upgrade", async function () {
+    const previous = await readImplementation(ethers.provider, proxyAddress);
+
+    const result = await upgradeProxy(hre, options);
+
+    expect(result.previous).to.equal(previous);
+    expect(await readImplementation(ethers.provider, proxyAddress)).to.equal(
+      result.implementation,
+    );
+
+    const upgraded = await ethers.getContractAt(
+      "MockAffiliateVerifierV2",
+      proxyAddress,
+    );
+    expect(await upgraded.getMultiplier(other.address)).to.equal(5000);
+    expect(await upgraded.owner()).to.equal(deployer.address);
+
+    const implementations = getDeploymentHistory(
+      "AffiliateVerifier",
+      hre,
+      tmpDir,
+    );
+    expect(implementations.map((entry) => entry.address)).to.deep.equal([
+      previous,
+      result.implementation,
+    ]);
+    expect(implementations[1].contractName).to.equal("MockAffiliateVerifierV2");
+
+    const proxyEntry = getDeployment("AffiliateVerifierProxy", hre, tmpDir);
+    expect(proxyEntry.address).to.equal(proxyAddress);
+    expect(proxyEntry.txHash).to.equal(result.txHash);
+    expect(proxyEntry.upgrade).to.include({
+      from: previous,
+      to: result.implementation,
+    });
+  });
+
+  it("Should send nothing when the implementation deployment is declined", async function () {
+    const previous = await readImplementation(ethers.provider, proxyAddress);
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+    const plans = [];
+
+    await expect(
+      upgradeProxy(hre, {
+        ...options,
+        confirm: async (plan) => {
+          plans.push(plan);
+          return false;
+        },
+      }),
+    ).to.be.rejectedWith("Not confirmed; nothing was sent");
+
+    expect(plans).to.have.lengthOf(1);
+    expect(plans[0].description).to.equal(
+      "Deploy MockAffiliateVerifierV2 as the new implementation of AffiliateVerifierProxy",
+    );
+    expect(
+      await ethers.provider.getTransactionCount(deployer.address),
+    ).to.equal(nonce);
+    expect(await readImplementation(ethers.provider, proxyAddress)).to.equal(
+      previous,
+    );
+    expect(
+      getDeploymentHistory("AffiliateVerifierProxy", hre, tmpDir),
+    ).to.have.lengthOf(1);
+  });
+
+  it("Should reject an incompatible storage layout", async function () {
+    const { implementation } = await upgradeProxy(hre, options);
+
+    await expect(
+      upgradeProxy(hre, {
+        ...options,
+        contract: "MockAffiliateVerifierV3",
+        call: undefined,
+      }),
+    ).to.be.rejectedWith(/storage layout is incompatible/);
+
+    expect(await readImplementation(ethers.provider, proxyAddress)).to.equal(
+      implementation,
+    );
+    expect(
+      getDeploymentHistory("AffiliateVerifierProxy", hre, tmpDir),
+    ).to.have.lengthOf(2);
+  });
+
+  it("Should only let the owner upgrade", async function () {
+    await verifier.transferOwnership(other.address);
+
+    await expect(upgradeProxy(hre, options)).to.be.revertedWithCustomError(
+      verifier,
+      "OwnableUnauthorizedAccount",
+    );
+  });
+  it("Should queue the upgrade for a Safe that owns the proxy", async function () {
+    await verifier.transferOwnership(other.address);
+    const previous = await readImplementation(ethers.provider, proxyAddress);
+    const queue = [];
+
+    const result = await upgradeProxy(hre, {
+      ...options,
+      safe: other.address,
+      queue,
+    });
+
+    expect(result.txHash).to.be.undefined;
+    expect(await readImplementation(ethers.provider, proxyAddress)).to.equal(
+      previous,
+    );
+    expect(getDeployment("AffiliateVerifier", hre, tmpDir)).to.include({
+      address: result.implementation,
+    });
+    expect(getDeployment("AffiliateVerifierProxy", hre, tmpDir).upgrade).to.be
+      .undefined;
+    expect(await recordExecutedUpgrades(hre, options)).to.deep.equal([]);
+
+    const [{ transaction }] = queue;
+    await other.sendTransaction({ to: transaction.to, data: transaction.data });
+    expect(await readImplementation(ethers.provider, proxyAddress)).to.equal(
+      result.implementation,
+    );
+
+    const [entry] = await recordExecutedUpgrades(hre, options);
+    expect(entry.upgrade).to.include({
+      from: previous,
+      to: result.implementation,
+      contract: "MockAffiliateVerifierV2",
+      safe: other.address,
+    });
+    expect(
+      getDeployment("AffiliateVerifierProxy", hre, tmpDir).upgrade,
+    ).to.include({ to: result.implementation });
+    expect(await recordExecutedUpgrades(hre, options)).to.deep.equal([]);
+  });
+});
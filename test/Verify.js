@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { recordDeployment } = require("../lib/deployments");
+const { detectProxy, verifyContract, verifyRecords } = require("../lib/verify");
+
+const { ethers } = hre;
+
+// Minimal stand-in for the Etherscan contract API used by hardhat-verify and
+// the proxy verification endpoints.
+function startExplorer() {
+  const explorer = {
+    verified: new Set(),
+    notIndexed: new Map(),
+    submissions: [],
+    proxies: new Map(),
+  };
+  const guids = new Map();
+
+  const reply = (response, status, result) => {
+    response.writeHead(200, { "Content-Type": "application/json" });
+    const message =
+      status === "1"
+        ? "OK"
+        : Array.isArray(result)
+          ? "No records found"
+          : "NOTOK";
+    response.end(JSON.stringify({ status, message, result }));
+  };
+
+  explorer.server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const url = new URL(request.url, "http://localhost");
+      const params = new URLSearchParams(url.searchParams);
+      for (const [key, value] of new URLSearchParams(body)) {
+        params.set(key, value);
+      }
+      const action = params.get("action");
+      const address = (
+        params.get("address") ||
+        params.get("contractaddress") ||
+        ""
+      ).toLowerCase();
+
+      if (action === "getLogs") {
+        return ethers.provider
+          .getLogs({
+            address: params.get("address"),
+            topics: [params.get("topic0")],
+            fromBlock: 0,
+          })
+          .then((logs) =>
+            logs.length > 0
+              ? reply(response, "1", logs)
+              : reply(response, "0", []),
+          );
+      }
+      if (action === "getsourcecode") {
+        const source = explorer.verified.has(address) ? "source" : "";
+        return reply(response, "1", [{ SourceCode: source }]);
+      }
+      if (action === "verifysourcecode") {
+        explorer.submissions.push(address);
+        const remaining = explorer.notIndexed.get(address) || 0;
+        if (remaining > 0) {
+          explorer.notIndexed.set(address, remaining - 1);
+          return reply(
+            response,
+            "0",
+            `Unable to locate ContractCode at ${address}`,
+          );
+        }
+        const guid = `guid-${guids.size}`;
+        guids.set(guid, address);
+        return reply(response, "1", guid);
+      }
+      if (action === "checkverifystatus") {
+        explorer.verified.add(guids.get(params.get("guid")));
+        return reply(response, "1", "Pass - Verified");
+      }
+      if (action === "verifyproxycontract") {
+        const guid = `proxy-${guids.size}`;
+        guids.set(guid, address);
+        explorer.proxies.set(
+          address,
+          params.get("expectedimplementation").toLowerCase(),
+        );
+        return reply(response, "1", guid);
+      }
+      if (action === "checkproxyverification") {
+        return reply(response, "1", "The proxy was successfully updated.");
+      }
+      return reply(response, "0", `Unknown action ${action}`);
+    });
+  });
+
+  return new Promise((resolve) => {
+    explorer.server.listen(0, "127.0.0.1", () => {
+      explorer.url = `http://127.0.0.1:${explorer.server.address().port}`;
+      resolve(explorer);
+    });
+  });
+}
+
+describe("Explorer verification", function () {
+  const options = { attempts: 3, delayMs: 1, log: () => {} };
+  const factoryName =
+    "contracts/AuctionItemERC721Factory.sol:AuctionItemERC721Factory";
+  let explorer, etherscanConfig, tmpDir, deployer;
+
+  before(async function () {
+    explorer = await startExplorer();
+    etherscanConfig = hre.config.etherscan;
+    hre.config.etherscan = {
+      ...etherscanConfig,
+      apiKey: { localexplorer: "test" },
+      customChains: [
+        ...etherscanConfig.customChains,
+        {
+          network: "localexplorer",
+          chainId: 31337,
+          urls: { apiURL: `${explorer.url}/api`, browserURL: explorer.url },
+        },
+      ],
+    };
+  });
+
+  after(function () {
+    hre.config.etherscan = etherscanConfig;
+    explorer.server.close();
+  });
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-"));
+    explorer.verified.clear();
+    explorer.notIndexed.clear();
+    explorer.submissions.length = 0;
+    explorer.proxies.clear();
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function deployVerifierProxy() {
+    const implementation = await ethers.deployContract("AffiliateVerifier");
+    const initialize =
+      implementation.interface.encodeFunctionData("initialize");
+    const proxy = await ethers.deployContract("AffiliateVerifierProxy", [
+      await implementation.getAddress(),
+      initialize,
+    ]);
+    return {
+      implementation: await implementation.getAddress(),
+      proxy: await proxy.getAddress(),
+      args: [await implementation.getAddress(), initialize],
+    };
+  }
+
+  async function createEscrowClone() {
+    const factory = await ethers.deployContract("AffiliateEscrowFactory");
+    const tx = await factory.createEscrow(
+      deployer.address,
+      deployer.address,
+      deployer.address,
+    );
+    const receipt = await tx.wait();
+    const [event] = receipt.logs
+      .map((log) => factory.interface.parseLog(log))
+      .filter((log) => log && log.name === "AffiliateEscrowCreated");
+    return { factory, clone: event.args.escrowAddress };
+  }
+
+  it("Should detect EIP-1967 proxies and EIP-1167 clones", async function () {
+    const { implementation, proxy } = await deployVerifierProxy();
+    const { factory, clone } = await createEscrowClone();
+
+    expect(await detectProxy(ethers.provider, proxy)).to.deep.equal({
+      kind: "proxy",
+      implementation,
+    });
+    expect(await detectProxy(ethers.provider, clone)).to.deep.equal({
+      kind: "clone",
+      implementation: await factory.escrowImplementation(),
+    });
+    expect(await detectProxy(ethers.provider, implementation)).to.deep.equal({
+      kind: "contract",
+    });
+  });
+
+  it("Should retry while the explorer has not indexed the contract", async function () {
+    const factory = await ethers.deployContract("AuctionItemERC721Factory");
+    const address = (await factory.getAddress()).toLowerCase();
+    explorer.notIndexed.set(address, 2);
+
+    const result = await verifyContract(hre, address, [], {
+      ...options,
+      contract: factoryName,
+    });
+
+    expect(result).to.deep.equal({ status: "verified" });
+    expect(explorer.submissions).to.deep.equal([address, address, address]);
+  });
+
+  it("Should give up after the last attempt", async function () {
+    const factory = await ethers.deployContract("AuctionItemERC721Factory");
+    const address = (await factory.getAddress()).toLowerCase();
+    explorer.notIndexed.set(address, 5);
+
+    const result = await verifyContract(hre, address, [], {
+      ...options,
+      contract: factoryName,
+    });
+
+    expect(result.status).to.equal("failed");
+    expect(explorer.submissions).to.have.lengthOf(3);
+  });
+
+  it("Should not resubmit verified contracts", async function () {
+    const factory = await ethers.deployContract("AuctionItemERC721Factory");
+    const address = (await factory.getAddress()).toLowerCase();
+    explorer.verified.add(address);
+
+    const result = await verifyContract(hre, address, [], {
+      ...options,
+      contract: factoryName,
+    });
+
+    expect(result).to.deep.equal({ status: "already verified" });
+    expect(explorer.submissions).to.be.empty;
+  });
+
+  it("Should verify records, link proxies and clones, and report each one", async function () {
+    const { implementation, proxy, args } = await deployVerifierProxy();
+    const { factory, clone } = await createEscrowClone();
+    const record = (name, address, constructorArguments = []) =>
+      recordDeployment(
+        hre,
+        name,
+        { address, constructorArguments, deployer: deployer.address },
+        { deploymentsDir: tmpDir },
+      );
+    await record("AffiliateVerifier", implementation);
+    await record("AffiliateVerifierProxy", proxy, args);
+    await record("AffiliateEscrowFactory", await factory.getAddress());
+
+    const rows = await verifyRecords(hre, {
+      ...options,
+      clones: true,
+      deploymentsDir: tmpDir,
+    });
+
+    expect(
+      rows.map(({ name, kind, status }) => [name, kind, status]),
+    ).to.deep.equal([
+      ["AffiliateEscrowFactory", "contract", "verified"],
+      ["AffiliateEscrow clone implementation", "implementation", "verified"],
+      ["AffiliateEscrow clone", "clone link", "verified"],
+      ["AffiliateVerifier", "contract", "verified"],
+      ["AffiliateVerifier", "implementation", "verified"],
+      ["AffiliateVerifierProxy", "proxy", "verified"],
+      ["AffiliateVerifierProxy", "proxy link", "verified"],
+    ]);
+    expect(
+      explorer.submissions.filter(
+        (address) => address === implementation.toLowerCase(),
+      ),
+    ).to.have.lengthOf(1);
+    expect(explorer.proxies.get(proxy.toLowerCase())).to.equal(
+      implementation.toLowerCase(),
+    );
+    expect(explorer.proxies.get(clone.toLowerCase())).to.equal(
+      (await factory.escrowImplementation()).toLowerCase(),
+    );
+  });
+});